@@ -0,0 +1,98 @@
+/**
+ * JS client for the Pilot State Machine API. Its methods are made from the OpenAPI document (openapi.json next to
+ * this file, written by `npm run openapi -- write` and on prepack; or pass spec, e.g. fetched from GET /openapi.json),
+ * one per operationId:
+ *
+ *   const { createClient } = require('pilot-state-machine-client');
+ *   const api = createClient({ baseUrl: process.env.STATE_MACHINE_API_URL, apiKey: process.env.STATE_MACHINE_API_KEY });
+ *   const { actions } = await api.getActions({ kit_id: 'KIT-12345' });
+ *   await api.updateActions({ kit_id: 'KIT-12345', appointment_made: true });
+ *   const { users } = await api.getUsersByEmail({ email: 'someone@example.com' });
+ *   await api.setState({ key: 'job:1', value: { step: 2 } });
+ *   const { value, version } = await api.getState({ key: 'job:1' });
+ *
+ * Each method takes a params object. Path parameters (e.g. kit_id in /kits/{kit_id}/state) are taken from it;
+ * the rest is the query string for GET and the JSON body otherwise. Methods resolve to the parsed response body
+ * and reject on any other status than the documented one with an Error carrying status, body and operation.
+ * An optional second argument { headers } adds request headers, e.g. an Idempotency-Key so a retried write is not
+ * applied twice:
+ *
+ *   await api.updateActions({ kit_id: 'KIT-12345', appointment_made: true }, { headers: { 'Idempotency-Key': requestId } });
+ *
+ * No dependencies; needs a global fetch (Node 18+) or options.fetch.
+ */
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+function buildOperation(path, method, op) {
+  const pathParams = (op.parameters || []).filter((p) => p.in === 'path').map((p) => p.name);
+  const expected = Object.keys(op.responses || {}).map(Number).filter((status) => status >= 200 && status < 300);
+  return { operationId: op.operationId, path, method: method.toUpperCase(), pathParams, expected };
+}
+
+/** Every operation in an OpenAPI document: [{ operationId, path, method, pathParams, expected }]. */
+function operationsOf(spec) {
+  const operations = [];
+  for (const [path, item] of Object.entries(spec.paths || {})) {
+    for (const method of METHODS) {
+      if (item[method]?.operationId) operations.push(buildOperation(path, method, item[method]));
+    }
+  }
+  return operations;
+}
+
+async function call(options, operation, params = {}, request = {}) {
+  const rest = { ...params };
+  let path = operation.path;
+  for (const name of operation.pathParams) {
+    if (rest[name] === undefined) throw new Error(`${operation.operationId}: "${name}" is required`);
+    path = path.replace(`{${name}}`, encodeURIComponent(rest[name]));
+    delete rest[name];
+  }
+  const headers = { Accept: 'application/json', ...options.headers, ...request.headers };
+  if (options.apiKey) headers.Authorization = `Bearer ${options.apiKey}`;
+  const init = { method: operation.method, headers };
+  if (operation.method === 'GET') {
+    const query = new URLSearchParams(Object.entries(rest).filter(([, v]) => v !== undefined).map(([k, v]) => [k, String(v)]));
+    if ([...query].length > 0) path += `?${query}`;
+  } else {
+    headers['Content-Type'] = 'application/json';
+    init.body = JSON.stringify(rest);
+  }
+
+  const res = await options.fetch(`${options.baseUrl.replace(/\/+$/, '')}${path}`, init);
+  const text = await res.text();
+  let body;
+  try {
+    body = text ? JSON.parse(text) : null;
+  } catch {
+    body = text;
+  }
+  const ok = operation.expected.length > 0 ? operation.expected.includes(res.status) : res.ok;
+  if (!ok) {
+    const message = (body && body.error) || `${res.status} ${res.statusText || ''}`.trim();
+    throw Object.assign(new Error(`${operation.operationId}: ${message}`), { status: res.status, body, operation: operation.operationId });
+  }
+  return body;
+}
+
+/**
+ * A client with one async method per operation.
+ * options: { baseUrl, apiKey?, spec? (default ./openapi.json), fetch? (default global fetch), headers? }
+ */
+function createClient(options = {}) {
+  if (!options.baseUrl) throw new Error('createClient: "baseUrl" is required');
+  const resolved = {
+    ...options,
+    fetch: options.fetch || globalThis.fetch,
+    spec: options.spec || require('./openapi.json'),
+  };
+  if (typeof resolved.fetch !== 'function') throw new Error('createClient: no fetch available; pass options.fetch');
+  const client = {};
+  for (const operation of operationsOf(resolved.spec)) {
+    client[operation.operationId] = (params, request) => call(resolved, operation, params, request);
+  }
+  return client;
+}
+
+module.exports = { createClient, operationsOf };
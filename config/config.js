@@ -20,5 +20,12 @@ module.exports = {
   ERROR_SUBSCRIBER_EMAIL: "william@decodelove.com",
   ERROR_SUBSCRIBER_EMAIL_2: "william@decodelove.com", // Add your email here to receive error alerts
 
+  // Webhook authentication (POST /webhooks/actions)
+  CALENDLY_WEBHOOK_SIGNING_KEY: "", // Signing key of the Calendly webhook subscription
+  WEBHOOK_SHARED_SECRET: "", // Value non-Calendly callers send in the X-Webhook-Secret header
+
+  // Test kits (users.is_test): Airtable writes go here when TEST_KIT_AIRTABLE is "sandbox" in serverless.yml
+  AIRTABLE_SANDBOX_LAMBDA_ARN: "", // serverless.yml also grants lambda:InvokeFunction on it when set
+
   // Router topic ARN is built in serverless.yml as s3-event-router-<stage>-general
 };
\ No newline at end of file
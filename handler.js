@@ -3,84 +3,107 @@
  * GET /state — check (read) state from the database
  * POST /state — update state in the database
  *
- * Expects table: state_machine_state (key text primary key, value jsonb, updated_at timestamptz default now())
- */
-
-const { Pool } = require('pg');
-const { LambdaClient, InvokeCommand } = require('@aws-sdk/client-lambda');
-const { SNSClient, PublishCommand } = require('@aws-sdk/client-sns');
-
-const STATE_TABLE = 'state_machine_state';
-
-let pool = null;
-const snsClient = new SNSClient({});
-
-function getPool() {
-  if (!pool) {
-    pool = new Pool({
-      host: process.env.DB_HOST,
-      port: parseInt(process.env.DB_PORT || '5432', 10),
-      database: process.env.DB_NAME,
-      user: process.env.DB_USER,
-      password: process.env.DB_PASSWORD,
-      ssl: { rejectUnauthorized: false },
-      max: 1,
-      idleTimeoutMillis: 30000,
-      connectionTimeoutMillis: 5000,
-    });
-    pool.on('error', (err) => console.error('Unexpected error on idle client', err));
-  }
-  return pool;
-}
+ * Expects the schema in migrations/ (npm run migrate -- up); each function checks for it on its first invocation.
+ */
+
+const { PublishCommand } = require('@aws-sdk/client-sns');
+const { getPool, withTransaction } = require('./lib/db');
+const services = require('./lib/services');
+const lifecycle = require('./lib/lifecycle');
+const audit = require('./lib/audit');
+const webhookSignature = require('./lib/webhookSignature');
+const outbox = require('./lib/outbox');
+const airtable = require('./lib/airtable');
+const apiKeys = require('./lib/apiKeys');
+const schema = require('./lib/schema');
+const { getHeader } = require('./lib/http');
+const stateStore = require('./lib/stateStore');
+const profile = require('./lib/profile');
+const migrations = require('./lib/migrations');
+const query = require('./lib/query');
+const sandbox = require('./lib/sandbox');
+const consent = require('./lib/consent');
+const privacy = require('./lib/privacy');
+const rules = require('./lib/rules');
+const reminders = require('./lib/reminders');
+const log = require('./lib/log');
+const routes = require('./lib/routes');
+const openapi = require('./lib/openapi');
+const inbox = require('./lib/inbox');
+const changefeed = require('./lib/changefeed');
+const analytics = require('./lib/analytics');
+const idempotency = require('./lib/idempotency');
+const webhookProviders = require('./lib/webhookProviders');
 
 const jsonHeaders = { 'Content-Type': 'application/json' };
 
-function jsonResponse(statusCode, body) {
-  return { statusCode, headers: jsonHeaders, body: JSON.stringify(body) };
+function jsonResponse(statusCode, body, headers = {}) {
+  return { statusCode, headers: { ...jsonHeaders, ...headers }, body: JSON.stringify(body) };
 }
 
 /**
- * GET /state — Check (read) state by key.
- * Query params: key (required)
+ * GET /state — Check (read) state by key, or list keys by prefix.
+ * Query params: key, or prefix (may be empty) with optional cursor, limit (max 500) and include_values=true
+ * A single key returns its value and version; the ETag header carries the same version for If-Match.
+ * A listing returns { prefix, items, next_cursor }; pass next_cursor back as cursor for the next page.
  */
 exports.getState = async (event) => {
   try {
-    const key = event.queryStringParameters?.key;
+    const query = event.queryStringParameters || {};
+    const key = query.key;
+    if (!key && typeof query.prefix === 'string') {
+      const limit = Math.min(Math.max(parseInt(query.limit || '100', 10) || 100, 1), 500);
+      const db = getPool();
+      const page = await stateStore.list(db, {
+        prefix: query.prefix,
+        cursor: query.cursor,
+        limit,
+        includeValues: query.include_values === 'true',
+      });
+      return jsonResponse(200, { prefix: query.prefix, ...page });
+    }
     if (!key || typeof key !== 'string') {
-      return jsonResponse(400, { error: 'Query parameter "key" is required' });
+      return jsonResponse(400, { error: 'Query parameter "key" (or "prefix" to list keys) is required' });
     }
 
     const db = getPool();
-    const result = await db.query(
-      `SELECT key, value, updated_at FROM ${STATE_TABLE} WHERE key = $1`,
-      [key]
-    );
+    const row = await stateStore.get(db, key);
 
-    if (result.rows.length === 0) {
+    if (!row) {
       return jsonResponse(404, { error: 'Not found', key });
     }
 
-    const row = result.rows[0];
     return jsonResponse(200, {
       key: row.key,
       value: row.value,
+      version: row.version,
+      expires_at: row.expires_at,
       updated_at: row.updated_at,
-    });
+    }, { ETag: stateStore.etag(row.version) });
   } catch (error) {
-    console.error('getState error:', error);
+    log.error('getState error', error);
     if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
       return jsonResponse(500, { error: 'Database connection failed' });
     }
-    if (error.code === '42P01') {
-      return jsonResponse(500, { error: 'State table missing. Create state_machine_state (key, value, updated_at).' });
+    if (error.code === '42P01' || error.code === '42703') {
+      return jsonResponse(500, { error: 'State table missing or outdated. Create state_machine_state (key, value, version, expires_at, updated_at).' });
     }
     throw error;
   }
 };
 
+const STATE_OPS = ['set', 'merge', 'set_path', 'delete_path', 'delete'];
+
 /**
  * POST /state — Update state in the database.
- * Body: { key: string, value: any } (value will be stored as JSONB)
+ * Body: { key: string, value: any } (value will be stored as JSONB), or one of
+ *   { key, op: 'merge', patch }             — JSON merge patch (RFC 7386) onto the stored value
+ *   { key, op: 'set_path', path, value }    — set one member; path is ["a", "b"] or "a.b"
+ *   { key, op: 'delete_path', path }        — remove one member
+ *   { key, op: 'delete' }                   — delete the key
+ * Any write may add ttl_seconds (expire that many seconds from now; null clears the expiry).
+ * expected_version (or an If-Match header) makes the write compare-and-swap: 0 creates only if the key
+ * is new, N writes only if the stored version is still N. A stale write gets 409 with the current value.
  */
 exports.updateState = async (event) => {
   try {
@@ -96,93 +119,123 @@ exports.updateState = async (event) => {
       return jsonResponse(400, { error: '"key" is required and must be a string' });
     }
 
+    const op = body.op || 'set';
+    if (!STATE_OPS.includes(op)) {
+      return jsonResponse(400, { error: `"op" must be one of: ${STATE_OPS.join(', ')}` });
+    }
+    let path;
+    if (op === 'set_path' || op === 'delete_path') {
+      path = stateStore.parsePath(body.path);
+      if (!path) return jsonResponse(400, { error: '"path" is required: an array of keys/indexes or a dotted string' });
+    }
+    if (op === 'merge' && (body.patch === null || typeof body.patch !== 'object' || Array.isArray(body.patch))) {
+      return jsonResponse(400, { error: '"patch" is required and must be an object' });
+    }
+    const ttlSeconds = body.ttl_seconds;
+    if (ttlSeconds !== undefined && ttlSeconds !== null && (!Number.isInteger(ttlSeconds) || ttlSeconds <= 0)) {
+      return jsonResponse(400, { error: '"ttl_seconds" must be a positive integer or null' });
+    }
+
     const value = body.value !== undefined ? body.value : null;
+    const expectedVersion = stateStore.parseExpectedVersion(body.expected_version, getHeader(event, 'If-Match'));
+    if (expectedVersion?.error) return jsonResponse(400, { error: expectedVersion.error });
 
-    const db = getPool();
-    await db.query(
-      `INSERT INTO ${STATE_TABLE} (key, value, updated_at)
-       VALUES ($1, $2::jsonb, now())
-       ON CONFLICT (key) DO UPDATE SET value = $2::jsonb, updated_at = now()`,
-      [key, JSON.stringify(value)]
-    );
+    const outcome = await withTransaction(async (db) => {
+      const before = await stateStore.getForUpdate(db, key);
+      const currentVersion = before ? before.version : 0;
+      if (expectedVersion !== undefined && expectedVersion !== '*' && expectedVersion !== currentVersion) {
+        return { conflict: before };
+      }
+      if ((expectedVersion === '*' || op === 'delete') && !before) {
+        return { conflict: null };
+      }
+
+      let written;
+      if (op === 'delete') {
+        written = await stateStore.remove(db, key, { expectedVersion: currentVersion });
+      } else {
+        let next = value;
+        if (op === 'merge') next = stateStore.mergePatch(before ? before.value : null, body.patch);
+        if (op === 'set_path') next = stateStore.setIn(before ? before.value : null, path, value);
+        if (op === 'delete_path') next = before ? stateStore.removeIn(before.value, path) : null;
+        // Partial ops are computed from the locked row, so they only apply if it is still that version.
+        const guard = op === 'set' ? expectedVersion : currentVersion;
+        written = await stateStore.put(db, key, next, { expectedVersion: guard, ttlSeconds });
+      }
+      if (written.conflict !== undefined) return written;
+      await changefeed.recordChange(db, {
+        table: stateStore.STATE_TABLE,
+        stateKey: key,
+        operation: op === 'delete' ? 'delete' : before ? 'update' : 'insert',
+        before,
+        after: op === 'delete' ? null : written.row,
+        columns: ['value', 'expires_at'],
+        event,
+      });
+      return { ...written, deleted: op === 'delete' };
+    });
 
-    return jsonResponse(200, { ok: true, key, value });
+    if (outcome.conflict !== undefined) {
+      const current = outcome.conflict;
+      if (!current && expectedVersion === undefined) {
+        return jsonResponse(404, { error: 'Not found', key });
+      }
+      return jsonResponse(409, {
+        error: 'Version conflict: state was changed since it was read',
+        key,
+        expected_version: expectedVersion,
+        current_version: current ? current.version : 0,
+        value: current ? current.value : null,
+        updated_at: current ? current.updated_at : null,
+      }, current ? { ETag: stateStore.etag(current.version) } : {});
+    }
+
+    const row = outcome.row;
+    if (outcome.deleted) {
+      return jsonResponse(200, { ok: true, key, deleted: true, version: row.version });
+    }
+    return jsonResponse(200, {
+      ok: true,
+      key,
+      value: row.value,
+      version: row.version,
+      expires_at: row.expires_at,
+    }, { ETag: stateStore.etag(row.version) });
   } catch (error) {
-    console.error('updateState error:', error);
+    log.error('updateState error', error);
     if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
       return jsonResponse(500, { error: 'Database connection failed' });
     }
-    if (error.code === '42P01') {
-      return jsonResponse(500, { error: 'State table missing. Create state_machine_state (key, value, updated_at).' });
+    if (error.code === '42P01' || error.code === '42703') {
+      return jsonResponse(500, { error: 'State table missing or outdated. Create state_machine_state (key, value, version, expires_at, updated_at).' });
     }
     throw error;
   }
 };
 
-const TABLES = { actions: 'actions', users: 'users', reports: 'reports', kits: 'kits', consents: 'consents' };
-const SAFE_COLUMN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
-const AIRTABLE_UPDATE_URL = 'https://k9p740qez4.execute-api.us-east-1.amazonaws.com/update';
-const lambdaClient = new LambdaClient({ region: 'us-east-1' });
-
-/** Convert snake_case to "Title Case" (e.g. appointment_made → "Appointment Made"). */
-function toTitleCase(snakeStr) {
-  return snakeStr.split('_').map((s) => s.charAt(0).toUpperCase() + s.slice(1).toLowerCase()).join(' ');
-}
-
-/** POST updates to Airtable API. Fields use Title Case keys (e.g. toc_agreed → "Toc Agreed"). Logs if user/kit not found. */
-async function syncToAirtable(kitId, updates) {
-  const columns = Object.keys(updates).filter((k) => SAFE_COLUMN.test(k));
-  if (columns.length === 0) return;
-  const fields = columns.map((col) => {
-    const titleKey = toTitleCase(col);
-    return { [titleKey]: updates[col] };
-  });
-  const payload = { kit_id: kitId, fields };
-
-  const lambdaArn = process.env.AIRTABLE_LAMBDA_ARN;
-  if (lambdaArn) {
-    try {
-      const { Payload, FunctionError } = await lambdaClient.send(new InvokeCommand({
-        FunctionName: lambdaArn,
-        InvocationType: 'RequestResponse',
-        Payload: JSON.stringify(payload),
-      }));
-      if (FunctionError) {
-        console.error('syncToAirtable Lambda error', { kit_id: kitId, FunctionError });
-        return;
-      }
-      const result = Payload ? JSON.parse(new TextDecoder().decode(Payload)) : {};
-      const statusCode = result.statusCode ?? 200;
-      if (statusCode === 404 || (result.body && /not found|user not found/i.test(String(result.body)))) {
-        console.log('syncToAirtable: user/kit not found', { kit_id: kitId, statusCode });
-      } else if (statusCode >= 400) {
-        console.error('syncToAirtable failed', { kit_id: kitId, statusCode, body: result.body });
-      }
-    } catch (err) {
-      console.error('syncToAirtable error', { kit_id: kitId, error: err.message });
-    }
-    return;
+/**
+ * Scheduled — delete expired /state keys and expired idempotency keys in batches.
+ */
+exports.sweepExpiredState = async () => {
+  const db = getPool();
+  let total = 0;
+  for (;;) {
+    const deleted = await stateStore.sweepExpired(db, 500);
+    total += deleted.length;
+    if (deleted.length < 500) break;
   }
-
-  try {
-    const res = await fetch(AIRTABLE_UPDATE_URL, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload),
-    });
-    if (!res.ok) {
-      const text = await res.text();
-      if (res.status === 404 || (text && /not found|user not found/i.test(text))) {
-        console.log('syncToAirtable: user/kit not found', { kit_id: kitId, status: res.status });
-      } else {
-        console.error('syncToAirtable failed', { kit_id: kitId, status: res.status, body: text });
-      }
-    }
-  } catch (err) {
-    console.error('syncToAirtable error', { kit_id: kitId, error: err.message });
+  let keys = 0;
+  for (;;) {
+    const deleted = await idempotency.sweepExpired(db, 500);
+    keys += deleted;
+    if (deleted < 500) break;
   }
-}
+  log.info('sweepExpiredState done', { deleted: total, idempotency_keys_deleted: keys });
+  return { deleted: total, idempotency_keys_deleted: keys };
+};
 
+const TABLES = { actions: 'actions', users: 'users', reports: 'reports', kits: 'kits', consents: 'consents' };
+const SAFE_COLUMN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
 function parseJsonBody(event) {
   try {
     return typeof event.body === 'string' ? JSON.parse(event.body) : event.body || {};
@@ -191,6 +244,38 @@ function parseJsonBody(event) {
   }
 }
 
+/**
+ * Airtable target for a kit: {} normally, { lambdaArn } or { skip: true } for test kits (lib/sandbox.js),
+ * and { skip: true } once consent has been withdrawn.
+ */
+async function airtableTargetFor(kitId) {
+  const repository = services.repository();
+  if (consent.isWithdrawn(await repository.findRow(TABLES.consents, kitId))) {
+    log.info('Airtable sync skipped: consent withdrawn', { kit_id: kitId });
+    return { skip: true };
+  }
+  return sandbox.airtableTarget(await repository.findRow(TABLES.users, kitId), kitId);
+}
+
+/**
+ * Sync the columns tableName mirrors to Airtable; a push that doesn't land is saved to the failure log.
+ * Test kits are skipped or go to the sandbox target. Returns false when the push failed, true otherwise.
+ */
+async function mirrorToAirtable(tableName, kitId, updates) {
+  const fields = airtable.mirroredFields(tableName, updates);
+  if (Object.keys(fields).length === 0) return true;
+  const target = await airtableTargetFor(kitId);
+  if (target.skip) return true;
+  const outcome = await airtable.syncToAirtable(kitId, fields, target);
+  if (outcome.ok) return true;
+  try {
+    await services.repository().recordAirtableFailure({ kitId, tableName, fields, outcome });
+  } catch (err) {
+    log.error('mirrorToAirtable: could not log failure', { kit_id: kitId, error: err.message });
+  }
+  return false;
+}
+
 function getByKitId(tableName, responseKey) {
   return async (event) => {
     try {
@@ -202,15 +287,11 @@ function getByKitId(tableName, responseKey) {
         return jsonResponse(400, { error: '"kit_id" is required and must be a string' });
       }
 
-      const db = getPool();
-      const result = await db.query(
-        `SELECT * FROM ${tableName} WHERE kit_id = $1`,
-        [kitId]
-      );
+      const rows = await services.repository().findRows(tableName, kitId);
 
-      return jsonResponse(200, { kit_id: kitId, [responseKey]: result.rows });
+      return jsonResponse(200, { kit_id: kitId, [responseKey]: rows });
     } catch (error) {
-      console.error(`get${responseKey} error:`, error);
+      log.error(`get${responseKey} error`, error);
       if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
         return jsonResponse(500, { error: 'Database connection failed' });
       }
@@ -228,6 +309,62 @@ exports.getReportsByKitId = getByKitId(TABLES.reports, 'reports');
 exports.getKitsByKitId = getByKitId(TABLES.kits, 'kits');
 exports.getConsentsByKitId = getByKitId(TABLES.consents, 'consents');
 
+/**
+ * POST /{table}/query — Filtered, sorted, paginated rows of a kit table (grammar in lib/query.js).
+ * Body: { where?: { column | "other_table.column": value | { eq, ne, in, is_null, gt, gte, lt, lte } },
+ *         select?: string[], order_by?: string, order?: 'asc' | 'desc', limit?: number (max 500), cursor?: string }
+ * Filtering on another kit table needs read scope on that table too.
+ */
+function queryTable(tableName) {
+  return async (event) => {
+    try {
+      const body = parseJsonBody(event);
+      if (body === null) return jsonResponse(400, { error: 'Request body must be valid JSON' });
+
+      const joined = query.joinedTables(tableName, body);
+      const unknown = joined.filter((t) => !TABLES[t]);
+      if (unknown.length > 0) {
+        return jsonResponse(400, { error: `Can only filter on kit tables (${Object.keys(TABLES).join(', ')})`, tables: unknown });
+      }
+      const denied = joined.filter((t) => event.apiKey && !apiKeys.hasScope(event.apiKey.scopes, `${t}:read`));
+      if (denied.length > 0) {
+        return jsonResponse(403, { error: `API key lacks scope "${denied[0]}:read" needed to filter on ${denied[0]}` });
+      }
+
+      const db = getPool();
+      const columnsByTable = {};
+      for (const table of [tableName, ...joined]) {
+        columnsByTable[table] = await schema.loadColumns(db, table);
+      }
+      const parsed = query.parseQuery(tableName, columnsByTable, body);
+      if (parsed.errors) {
+        return jsonResponse(400, { error: `Invalid query for "${tableName}": ${Object.keys(parsed.errors).join(', ')}`, fields: parsed.errors });
+      }
+
+      const page = await query.run(db, parsed.spec);
+      return jsonResponse(200, { table: tableName, ...page });
+    } catch (error) {
+      log.error(`query${tableName} error`, error);
+      if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+        return jsonResponse(500, { error: 'Database connection failed' });
+      }
+      if (error.code === '22P02' || error.code === '42883') {
+        return jsonResponse(400, { error: 'Invalid value or operator for a column in the query.' });
+      }
+      if (error.code === '42P01') {
+        return jsonResponse(500, { error: `Table "${tableName}" not found.` });
+      }
+      throw error;
+    }
+  };
+}
+
+exports.queryActions = queryTable(TABLES.actions);
+exports.queryUsers = queryTable(TABLES.users);
+exports.queryReports = queryTable(TABLES.reports);
+exports.queryKits = queryTable(TABLES.kits);
+exports.queryConsents = queryTable(TABLES.consents);
+
 /**
  * POST /users/by-email — Look up users by email (case-insensitive).
  * Body: { email: string }
@@ -240,14 +377,10 @@ exports.getUsersByEmail = async (event) => {
     if (!email || typeof email !== 'string') {
       return jsonResponse(400, { error: '"email" is required and must be a string' });
     }
-    const db = getPool();
-    const result = await db.query(
-      `SELECT * FROM ${TABLES.users} WHERE LOWER(email) = LOWER($1)`,
-      [email.trim()]
-    );
-    return jsonResponse(200, { email: email.trim(), users: result.rows });
+    const users = await services.repository().findUsersByEmail(email);
+    return jsonResponse(200, { email: email.trim(), users });
   } catch (error) {
-    console.error('getUsersByEmail error:', error);
+    log.error('getUsersByEmail error', error);
     if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
       return jsonResponse(500, { error: 'Database connection failed' });
     }
@@ -262,7 +395,8 @@ exports.getUsersByEmail = async (event) => {
  * POST /users/create — Create a user with kit_id, email, is_test, first_name.
  * Body: { kit_id: string, email: string, is_test: boolean }
  * first_name is set to 'test_user' for test users.
- * Returns 201 with user row, or 409 if kit_id already exists (caller should retry with new kit_id).
+ * Returns 201 with user row, or 409 if kit_id already exists (caller should retry with new kit_id)
+ * or the email or kit_id belongs to a participant whose data was erased (conflict: 'erased').
  */
 exports.createUser = async (event) => {
   try {
@@ -277,15 +411,22 @@ exports.createUser = async (event) => {
     if (!email || typeof email !== 'string') {
       return jsonResponse(400, { error: '"email" is required and must be a string' });
     }
-    const db = getPool();
-    const result = await db.query(
-      `INSERT INTO ${TABLES.users} (kit_id, email, is_test, first_name) VALUES ($1, $2, $3, 'test_user') RETURNING *`,
-      [kitId, email.trim(), isTest]
-    );
-    if (result.rows.length === 0) return jsonResponse(500, { error: 'Insert failed' });
-    return jsonResponse(201, { ok: true, user: result.rows[0] });
-  } catch (error) {
-    console.error('createUser error:', error);
+    const user = await services.repository().transaction(async (repo) => {
+      if (await repo.findErasure({ email, kitId })) return { erased: true };
+      const inserted = await repo.insertRow(TABLES.users, { kit_id: kitId, email: email.trim(), is_test: isTest, first_name: 'test_user' });
+      if (inserted) {
+        await repo.recordChange({ table: TABLES.users, kitId, operation: 'insert', before: null, after: inserted, event });
+      }
+      return inserted;
+    });
+    if (!user) return jsonResponse(500, { error: 'Insert failed' });
+    if (user.erased) {
+      return jsonResponse(409, { error: 'This participant\'s data was erased; the user cannot be created again', conflict: 'erased' });
+    }
+    if (isTest) sandbox.logTestTraffic('user_created', { kit_id: kitId });
+    return jsonResponse(201, { ok: true, user });
+  } catch (error) {
+    log.error('createUser error', error);
     if (error.code === '23505') {
       return jsonResponse(409, { error: 'kit_id already exists', conflict: 'kit_id' });
     }
@@ -301,9 +442,15 @@ exports.createUser = async (event) => {
 
 /**
  * Build UPDATE table SET col1=$2, col2=$3 ... WHERE kit_id=$1 from body.
- * Only keys matching SAFE_COLUMN are used; kit_id is required and used in WHERE.
+ * kit_id is required and used in WHERE. Every other key must be a writable column of the table
+ * (lib/schema.js); values are coerced to the column type, and a 400 lists the problem per field.
+ * With options.lifecycle, the kit's rows are locked and the update is rejected with 409
+ * if it would move the kit along a transition lib/lifecycle.js does not allow; options.refuse(rows, changes, kitId), checked
+ * first on the same locked rows, can return a 409 body to reject the update for another reason (null to allow it).
+ * options.afterWrite(repo, kitId, changes, event) runs in the same transaction after the write (e.g. to queue outbox messages).
+ * With options.airtable, the columns the table mirrors (lib/airtable.js) are synced after commit.
  */
-function updateByKitId(tableName) {
+function updateByKitId(tableName, options = {}) {
   return async (event) => {
     try {
       const body = parseJsonBody(event);
@@ -316,38 +463,51 @@ function updateByKitId(tableName) {
 
       const updates = { ...body };
       delete updates.kit_id;
-      const columns = Object.keys(updates).filter((k) => SAFE_COLUMN.test(k));
-      if (columns.length === 0) {
+      if (Object.keys(updates).length === 0) {
         return jsonResponse(400, { error: 'Send at least one field to update (e.g. status, score). Column names must be alphanumeric + underscore.' });
       }
 
-      const invalidValues = columns.filter((c) => updates[c] === undefined || Number.isNaN(updates[c]));
-      if (invalidValues.length > 0) {
-        return jsonResponse(400, { error: `Invalid values for fields: ${invalidValues.join(', ')}. Use null to clear a field.` });
+      const repository = services.repository();
+      const tableColumns = await repository.loadColumns(tableName);
+      const { values: changes, errors } = schema.validateUpdates(tableColumns, updates);
+      if (Object.keys(errors).length > 0) {
+        const unknown = Object.values(errors).includes('Unknown column');
+        return jsonResponse(400, {
+          error: `Invalid fields for "${tableName}": ${Object.keys(errors).join(', ')}`,
+          fields: errors,
+          ...(unknown ? { valid_columns: schema.writableColumns(tableColumns) } : {}),
+        });
       }
 
-      const setClause = columns.map((c, i) => `${c} = $${i + 2}`).join(', ');
-      const params = [kitId, ...columns.map((c) => updates[c])];
-      const db = getPool();
-      let result = await db.query(
-        `UPDATE ${tableName} SET ${setClause} WHERE kit_id = $1`,
-        params
-      );
-
-      let created = false;
-      if (result.rowCount === 0) {
-        const insertCols = ['kit_id', ...columns].join(', ');
-        const insertPlaces = columns.map((_, i) => `$${i + 2}`).join(', ');
-        result = await db.query(
-          `INSERT INTO ${tableName} (${insertCols}) VALUES ($1, ${insertPlaces})`,
-          params
-        );
-        created = true;
-      }
-
-      return jsonResponse(200, { ok: true, kit_id: kitId, updated: result.rowCount, created });
+      const columns = Object.keys(changes).filter((c) => SAFE_COLUMN.test(c));
+      const values = Object.fromEntries(columns.map((c) => [c, changes[c]]));
+      const outcome = await repository.transaction(async (repo) => {
+        if (options.lifecycle) {
+          const rows = await repo.loadKitRows(kitId, { lock: true });
+          const refusal = options.refuse ? options.refuse(rows, changes, kitId) : null;
+          if (refusal) return { refusal };
+          const check = lifecycle.checkUpdate(rows, tableName, changes);
+          if (!check.allowed) return { conflict: check };
+        }
+
+        const { rowCount, created } = await writeKitRow(repo, tableName, kitId, values, event);
+        if (options.afterWrite) {
+          await options.afterWrite(repo, kitId, changes, event);
+        }
+        await applyNotificationRules(repo, kitId, writtenRefs(tableName, columns));
+        return { updated: rowCount, created };
+      });
+
+      if (outcome.refusal) return jsonResponse(409, outcome.refusal);
+      if (outcome.conflict) {
+        return jsonResponse(409, lifecycle.conflictBody(kitId, outcome.conflict));
+      }
+      if (options.airtable) {
+        await mirrorToAirtable(tableName, kitId, changes);
+      }
+      return jsonResponse(200, { ok: true, kit_id: kitId, updated: outcome.updated, created: outcome.created });
     } catch (error) {
-      console.error(`update${tableName} error:`, error);
+      log.error(`update${tableName} error`, error);
       if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
         return jsonResponse(500, { error: 'Database connection failed' });
       }
@@ -362,266 +522,1849 @@ function updateByKitId(tableName) {
   };
 }
 
-const topicArn = () => process.env.ROUTER_TOPIC_ARN;
-
-async function maybeSendPdfEmail(db, kitId, link) {
-  const topic = topicArn();
-  if (!topic) {
-    console.log('maybeSendPdfEmail skipped', { kitId, reason: 'ROUTER_TOPIC_ARN not set' });
-    return;
-  }
-  const userResult = await db.query(
-    'SELECT kit_id, email, first_name FROM users WHERE kit_id = $1 LIMIT 1',
-    [kitId]
-  );
-  if (userResult.rows.length === 0) {
-    console.log('maybeSendPdfEmail skipped', { kitId, reason: 'no user' });
-    return;
-  }
-  const user = userResult.rows[0];
-  const consentResult = await db.query(
-    'SELECT toc_agreed FROM consents WHERE kit_id = $1 LIMIT 1',
-    [kitId]
-  );
-  if (consentResult.rows.length === 0) {
-    console.log('maybeSendPdfEmail skipped', { kitId, reason: 'no consent' });
-    return;
-  }
-  if (!consentResult.rows[0].toc_agreed) {
-    console.log('maybeSendPdfEmail skipped', { kitId, reason: 'toc_agreed false' });
-    return;
-  }
-  const actionResult = await db.query(
-    'SELECT appointment_made, pdf_email_sent FROM actions WHERE kit_id = $1 LIMIT 1',
-    [kitId]
-  );
-  if (actionResult.rows.length === 0) {
-    console.log('maybeSendPdfEmail skipped', { kitId, reason: 'no action row' });
-    return;
-  }
-  const action = actionResult.rows[0];
-  if (!action.appointment_made) {
-    console.log('maybeSendPdfEmail skipped', { kitId, reason: 'appointment_made false' });
-    return;
-  }
-  if (action.pdf_email_sent) {
-    console.log('maybeSendPdfEmail skipped', { kitId, reason: 'pdf_email_sent already true' });
-    return;
-  }
-  const firstName = user.first_name || '';
-  const email = user.email || '';
-  console.log('maybeSendPdfEmail running', { kitId, email });
+/**
+ * GET /kits/{kit_id}/state — Computed lifecycle state for a kit and the transitions allowed next.
+ * 404 when no kit table has a row for the kit_id.
+ */
+exports.getKitState = async (event) => {
   try {
-    await snsClient.send(new PublishCommand({
-      TopicArn: topic,
-      Message: JSON.stringify({
-        message_type: 'send_pdf_email',
-        kit_id: kitId,
-        firstName,
-        email,
-        link: link || undefined,
-      }),
-    }));
-    console.log('maybeSendPdfEmail sent', { kitId });
-  } catch (err) {
-    console.error('maybeSendPdfEmail failed', { kitId, error: err.message });
-  }
-}
+    const kitId = event.pathParameters?.kit_id;
+    if (!kitId || typeof kitId !== 'string') {
+      return jsonResponse(400, { error: 'Path parameter "kit_id" is required' });
+    }
 
-exports.updateActions = async (event) => {
-  const result = await updateByKitId(TABLES.actions)(event);
-  if (result.statusCode !== 200) return result;
-  const body = parseJsonBody(event);
-  if (body?.appointment_made && body?.kit_id) {
-    const db = getPool();
-    await maybeSendPdfEmail(db, body.kit_id);
-  }
-  if (body?.kit_id) {
-    const updates = { ...body };
-    delete updates.kit_id;
-    const columns = Object.keys(updates).filter((k) => SAFE_COLUMN.test(k));
-    if (columns.length > 0) {
-      await syncToAirtable(body.kit_id, updates);
+    const rows = await services.repository().loadKitRows(kitId);
+    if (!Object.values(rows).some(Boolean)) return jsonResponse(404, { error: 'Unknown kit', kit_id: kitId });
+    const state = lifecycle.computeState(rows);
+    return jsonResponse(200, {
+      kit_id: kitId,
+      state,
+      allowed_transitions: lifecycle.allowedTransitions(state),
+    });
+  } catch (error) {
+    log.error('getKitState error', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+      return jsonResponse(500, { error: 'Database connection failed' });
+    }
+    if (error.code === '42P01') {
+      return jsonResponse(500, { error: 'Kit table missing (users, consents, reports, actions, kits).' });
     }
+    throw error;
   }
-  return result;
 };
-exports.updateUsers = updateByKitId(TABLES.users);
-exports.updateConsents = async (event) => {
-  const result = await updateByKitId(TABLES.consents)(event);
-  if (result.statusCode !== 200) return result;
-  const body = parseJsonBody(event);
-  if (body?.toc_agreed && body?.kit_id) {
+
+/**
+ * POST /kits/profile — Everything about one or more kits in one response and one DB round trip.
+ * Body: { kit_id: string } | { kit_ids: string[] } (max 100) | { email: string } (every kit of that user)
+ * Each profile has the user, consent, actions, reports and kit rows plus derived flags:
+ * lifecycle state, eligible_for_pdf_email, pdf_email_missing (first unmet send_pdf_email precondition)
+ * and appointment_status.
+ */
+exports.getKitProfiles = async (event) => {
+  try {
+    const body = parseJsonBody(event);
+    if (body === null) return jsonResponse(400, { error: 'Request body must be valid JSON' });
+
+    const kitIds = body.kit_ids !== undefined ? body.kit_ids : body.kit_id !== undefined ? [body.kit_id] : [];
+    if (!Array.isArray(kitIds) || !kitIds.every((id) => typeof id === 'string' && id)) {
+      return jsonResponse(400, { error: '"kit_id" must be a string and "kit_ids" an array of strings' });
+    }
+    if (kitIds.length > profile.MAX_KITS) {
+      return jsonResponse(400, { error: `At most ${profile.MAX_KITS} kit_ids per request` });
+    }
+    const email = body.email;
+    if (email !== undefined && (typeof email !== 'string' || !email.trim())) {
+      return jsonResponse(400, { error: '"email" must be a non-empty string' });
+    }
+    if (kitIds.length === 0 && email === undefined) {
+      return jsonResponse(400, { error: 'Send "kit_id", "kit_ids" or "email"' });
+    }
+
     const db = getPool();
-    await maybeSendPdfEmail(db, body.kit_id);
-  }
-  if (body?.kit_id) {
-    const updates = { ...body };
-    delete updates.kit_id;
-    const columns = Object.keys(updates).filter((k) => SAFE_COLUMN.test(k));
-    if (columns.length > 0) {
-      await syncToAirtable(body.kit_id, updates);
+    const profiles = await profile.loadProfiles(db, { kitIds: [...new Set(kitIds)], email });
+    return jsonResponse(200, { profiles });
+  } catch (error) {
+    log.error('getKitProfiles error', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+      return jsonResponse(500, { error: 'Database connection failed' });
+    }
+    if (error.code === '42P01') {
+      return jsonResponse(500, { error: 'Kit table missing (users, consents, reports, actions, kits).' });
     }
+    throw error;
   }
-  return result;
 };
-exports.updateReports = updateByKitId(TABLES.reports);
-exports.updateKits = updateByKitId(TABLES.kits);
 
 /**
- * POST /webhooks/actions — Incoming webhook: update actions table by kit_id.
- * Body: { kit_id: string, ...fields to set on actions }
- * Same shape as POST /actions/update; use this URL for external webhook callers.
+ * POST /history — Audit trail for a kit_id, oldest change first.
+ * Body: { kit_id: string, table?: string, from?: ISO timestamp, to?: ISO timestamp, limit?: number (max 1000) }
  */
-exports.webhookActions = async (event) => {
-  const always200 = (body) => ({ statusCode: 200, headers: jsonHeaders, body: JSON.stringify(body) });
+exports.getHistory = async (event) => {
   try {
-    console.log('webhookActions invoked', { rawPath: event.rawPath, path: event.path, method: event.requestContext?.http?.method });
     const body = parseJsonBody(event);
-    if (body === null) return always200({ ok: false, error: 'Request body must be valid JSON' });
+    if (body === null) return jsonResponse(400, { error: 'Request body must be valid JSON' });
+
+    const kitId = body.kit_id;
+    if (!kitId || typeof kitId !== 'string') {
+      return jsonResponse(400, { error: '"kit_id" is required and must be a string' });
+    }
+    if (body.table !== undefined && !Object.values(TABLES).includes(body.table)) {
+      return jsonResponse(400, { error: `"table" must be one of: ${Object.values(TABLES).join(', ')}` });
+    }
+    for (const field of ['from', 'to']) {
+      if (body[field] !== undefined && Number.isNaN(Date.parse(body[field]))) {
+        return jsonResponse(400, { error: `"${field}" must be an ISO timestamp` });
+      }
+    }
+    const limit = Math.min(Math.max(parseInt(body.limit || '500', 10) || 500, 1), 1000);
 
-    console.log('Webhook payload received', {
-      path: event.rawPath || event.path,
-      headers: event.headers || {},
-      body,
+    const history = await services.repository().auditHistory({
+      kitId,
+      table: body.table,
+      from: body.from,
+      to: body.to,
+      limit,
     });
+    return jsonResponse(200, { kit_id: kitId, history });
+  } catch (error) {
+    log.error('getHistory error', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+      return jsonResponse(500, { error: 'Database connection failed' });
+    }
+    if (error.code === '42P01') {
+      return jsonResponse(500, { error: `Table "${audit.AUDIT_TABLE}" not found.` });
+    }
+    throw error;
+  }
+};
 
-    const isInviteeCreated = String(body.event || '').toLowerCase() === 'invitee.created';
-    if (isInviteeCreated) {
-    try {
-      console.log('Calendly invitee.created payload', JSON.stringify(body.payload, null, 2));
+/**
+ * POST /changes — Change-data feed events after a cursor, oldest first (lib/changefeed.js). Pass the returned
+ * next_cursor as "after" to read the next page; events from the last changefeed.SETTLE_SECONDS are not listed yet.
+ * Body: { after?: event_id (default: from the start), table?: string, kit_id?: string, limit?: number (max 1000) }
+ */
+exports.listChanges = async (event) => {
+  try {
+    const body = parseJsonBody(event);
+    if (body === null) return jsonResponse(400, { error: 'Request body must be valid JSON' });
 
-      const email = body.payload?.email;
-      if (!email || typeof email !== 'string') {
-        return always200({ ok: false, error: 'invitee.created payload missing email' });
-      }
+    const after = body.after === undefined || body.after === null ? '0' : String(body.after);
+    if (!/^\d+$/.test(after)) {
+      return jsonResponse(400, { error: '"after" must be an event_id' });
+    }
+    const tables = [...Object.values(TABLES), stateStore.STATE_TABLE];
+    if (body.table !== undefined && !tables.includes(body.table)) {
+      return jsonResponse(400, { error: `"table" must be one of: ${tables.join(', ')}` });
+    }
+    if (body.kit_id !== undefined && typeof body.kit_id !== 'string') {
+      return jsonResponse(400, { error: '"kit_id" must be a string' });
+    }
+    const limit = Math.min(Math.max(parseInt(body.limit || '100', 10) || 100, 1), 1000);
 
-      const db = getPool();
-      const userResult = await db.query(
-        'SELECT kit_id, first_name FROM users WHERE lower(email) = lower($1) LIMIT 1',
-        [email.trim().toLowerCase()]
-      );
-
-      if (userResult.rows.length === 0 || !userResult.rows[0].kit_id) {
-        console.error('Calendly webhook: user not found for email', { email });
-        return always200({
-          ok: false,
-          error: 'No user found for this email',
-          email,
-          event: body.event,
-        });
-      }
+    const rows = await services.repository().listChanges({ after, table: body.table, kitId: body.kit_id, limit });
+    const changes = rows.slice(0, limit);
+    return jsonResponse(200, {
+      changes,
+      next_cursor: changes.length > 0 ? changes[changes.length - 1].event_id : after,
+      has_more: rows.length > limit,
+    });
+  } catch (error) {
+    log.error('listChanges error', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+      return jsonResponse(500, { error: 'Database connection failed' });
+    }
+    if (error.code === '42P01') {
+      return jsonResponse(500, { error: `Table "${audit.AUDIT_TABLE}" not found.` });
+    }
+    throw error;
+  }
+};
 
-      const kitId = userResult.rows[0].kit_id;
-      const firstName = userResult.rows[0].first_name || body.payload?.first_name || body.payload?.name || '';
-      const link = body.payload?.reschedule_url || body.payload?.cancel_url || '';
-      let actionResult = await db.query(
-        'UPDATE actions SET appointment_made = true WHERE kit_id = $1',
-        [kitId]
-      );
-
-      let created = false;
-      if (actionResult.rowCount === 0) {
-        actionResult = await db.query(
-          'INSERT INTO actions (kit_id, appointment_made) VALUES ($1, true) RETURNING kit_id',
-          [kitId]
-        );
-        created = true;
-      }
-
-      console.log('📅 Calendly invitee.created processed', { email, kitId });
-
-      const guests = Array.isArray(body.payload?.scheduled_event?.event_guests)
-        ? body.payload.scheduled_event.event_guests
-        : [];
-      const touchedKitIds = [kitId];
-      for (const guest of guests) {
-        const guestEmail = guest?.email;
-        if (!guestEmail || typeof guestEmail !== 'string') continue;
-        const guestUserResult = await db.query(
-          'SELECT kit_id FROM users WHERE lower(email) = lower($1) LIMIT 1',
-          [guestEmail.trim().toLowerCase()]
-        );
-        if (guestUserResult.rows.length === 0 || !guestUserResult.rows[0].kit_id) continue;
-        const guestKitId = guestUserResult.rows[0].kit_id;
-        touchedKitIds.push(guestKitId);
-        let guestActionResult = await db.query(
-          'UPDATE actions SET appointment_made = true WHERE kit_id = $1',
-          [guestKitId]
-        );
-        if (guestActionResult.rowCount === 0) {
-          await db.query(
-            'INSERT INTO actions (kit_id, appointment_made) VALUES ($1, true)',
-            [guestKitId]
-          );
-        }
-      }
+/**
+ * POST /analytics/funnel — Kits per lifecycle stage with conversion rates and median hours between stages
+ * (lib/analytics.js), for kits created in the range. format "csv" answers text/csv for spreadsheets.
+ * Body: { from?: ISO timestamp, to?: ISO timestamp, cohort?: "week", include_test?: boolean, format?: "json" | "csv" }
+ */
+exports.getFunnel = async (event) => {
+  try {
+    const body = parseJsonBody(event);
+    if (body === null) return jsonResponse(400, { error: 'Request body must be valid JSON' });
 
-      for (const kid of touchedKitIds) {
-        await maybeSendPdfEmail(db, kid, kid === kitId ? link : undefined);
-      }
-
-      for (const kid of touchedKitIds) {
-        await syncToAirtable(kid, { appointment_made: true });
-      }
-
-      const topicArn = process.env.ROUTER_TOPIC_ARN;
-      console.log('SNS publish attempt', { topicArn: topicArn || '(not set)', kitId });
-      if (topicArn) {
-        try {
-          await snsClient.send(new PublishCommand({
-            TopicArn: topicArn,
-            Message: JSON.stringify({
-              message_type: 'appointment_made',
-              kit_id: kitId,
-              firstName,
-              email,
-              link: link || undefined,
-            }),
-          }));
-          console.log('📣 Appointment SNS message sent', { kitId, topicArn });
-        } catch (snsError) {
-          const errMsg = snsError.message || String(snsError);
-          const errCode = snsError.Code || snsError.name || snsError.code;
-          console.error('Failed to publish appointment SNS message', {
-            kitId,
-            topicArn,
-            error: errMsg,
-            code: errCode,
-          });
-        }
-      } else {
-        console.log('ROUTER_TOPIC_ARN not set; skipping appointment SNS publish');
+    for (const field of ['from', 'to']) {
+      if (body[field] !== undefined && Number.isNaN(Date.parse(body[field]))) {
+        return jsonResponse(400, { error: `"${field}" must be an ISO timestamp` });
       }
-
-      return always200({
-        ok: true,
-        event: body.event,
-        email,
-        kit_id: kitId,
-        appointment_made: true,
-        updated: actionResult.rowCount,
-        created_when_missing: created,
-      });
-    } catch (error) {
-      console.error('webhookActions invitee.created error:', error);
-      const message = error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND'
-        ? 'Database connection failed'
-        : (error.message || String(error));
-      return always200({ ok: false, error: message, code: error.code });
     }
-  }
+    if (body.cohort !== undefined && !analytics.COHORTS.includes(body.cohort)) {
+      return jsonResponse(400, { error: `"cohort" must be one of: ${analytics.COHORTS.join(', ')}` });
+    }
+    if (body.include_test !== undefined && typeof body.include_test !== 'boolean') {
+      return jsonResponse(400, { error: '"include_test" must be a boolean' });
+    }
+    const format = body.format || 'json';
+    if (!['json', 'csv'].includes(format)) {
+      return jsonResponse(400, { error: '"format" must be one of: json, csv' });
+    }
 
-    // Default behavior: treat webhook as a generic actions update payload — still always 200
-    const result = await exports.updateActions(event);
-    const payload = result.body ? JSON.parse(result.body) : { ok: false, error: 'No response body' };
-    return always200(result.statusCode === 200 ? payload : { ...payload, ok: false });
-  } catch (error) {
-    console.error('webhookActions error', error);
-    return always200({
-      ok: false,
-      error: error && (error.message || String(error)),
-      code: error && error.code,
+    const kits = await analytics.loadKits(getPool(), { from: body.from, to: body.to, includeTest: body.include_test === true });
+    const report = analytics.funnel(kits, { cohort: body.cohort });
+    if (format === 'csv') {
+      return {
+        statusCode: 200,
+        headers: { 'Content-Type': 'text/csv; charset=utf-8', 'Content-Disposition': 'attachment; filename="funnel.csv"' },
+        body: analytics.toCsv(report),
+      };
+    }
+    return jsonResponse(200, {
+      from: body.from ?? null,
+      to: body.to ?? null,
+      cohort: body.cohort ?? null,
+      include_test: body.include_test === true,
+      ...report,
     });
+  } catch (error) {
+    log.error('getFunnel error', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+      return jsonResponse(500, { error: 'Database connection failed' });
+    }
+    if (error.code === '42P01') {
+      return jsonResponse(500, { error: `Kit table or "${audit.AUDIT_TABLE}" not found.` });
+    }
+    throw error;
   }
 };
+
+const topicArn = () => process.env.ROUTER_TOPIC_ARN;
+
+/** "table.column" refs for the columns written to a kit table, as notification rules' trigger_on expects. */
+function writtenRefs(tableName, columns) {
+  return columns.map((c) => `${tableName}.${c}`);
+}
+
+/**
+ * Queue the router messages whose notification rules (lib/rules.js) are triggered by a write to the refs in
+ * written and whose conditions now hold. Pass the repository of the transaction that made the change so both
+ * commit together. Test kits get tagged messages, or none (lib/sandbox.js).
+ * extra: fields added to every message queued (e.g. the Calendly link).
+ */
+async function applyNotificationRules(repo, kitId, written, extra = {}) {
+  const triggered = rules.activeRules().filter((rule) => rules.isTriggered(rule, written));
+  if (triggered.length === 0) return;
+  const topic = topicArn();
+  if (!topic) {
+    log.info('Notification rules skipped', { kitId, reason: 'ROUTER_TOPIC_ARN not set' });
+    return;
+  }
+  const rows = await repo.loadKitRows(kitId);
+  for (const rule of triggered) {
+    const reason = await rules.blocker(rule, rows, (table) => repo.loadColumns(table));
+    if (reason) {
+      log.info('Notification rule skipped', { kitId, message_type: rule.message_type, reason });
+      continue;
+    }
+    const message = sandbox.notificationFor(rows.users, rules.buildMessage(rule, kitId, rows, extra));
+    if (!message) continue;
+    const outboxId = await repo.enqueueOutbox({ topicArn: topic, kitId, dedupeKey: rules.dedupeKey(rule, kitId), message });
+    if (outboxId === null) {
+      log.info('Notification rule skipped', { kitId, message_type: rule.message_type, reason: 'already queued' });
+      continue;
+    }
+    log.info('Notification queued', { kitId, message_type: rule.message_type, outboxId });
+  }
+}
+
+/** 409 body for giving consent on a kit whose consent was withdrawn. */
+function withdrawnConflict(kitId) {
+  return { error: `Consent for kit_id "${kitId}" was withdrawn and cannot be given again`, kit_id: kitId };
+}
+
+/** Cancel everything still queued for a kit whose consent was withdrawn (same transaction as repo). */
+async function haltKit(repo, kitId) {
+  const canceled = await repo.cancelOutboxForKit(kitId, 'consent withdrawn');
+  log.info('Consent withdrawn; queued messages canceled', { kitId, outboxIds: canceled });
+  return canceled;
+}
+
+const updateActions = updateByKitId(TABLES.actions, { lifecycle: true, airtable: true });
+exports.updateActions = updateActions;
+exports.updateUsers = updateByKitId(TABLES.users, { airtable: true });
+exports.updateConsents = updateByKitId(TABLES.consents, {
+  lifecycle: true,
+  airtable: true,
+  // Same rule as /consents/agree: consent can't be given again once withdrawn.
+  refuse: (rows, changes, kitId) => (lifecycle.flag(changes.toc_agreed) && consent.isWithdrawn(rows.consents)
+    ? withdrawnConflict(kitId)
+    : null),
+  afterWrite: async (repo, kitId, changes, event) => {
+    for (const entry of consent.eventsForUpdate(changes)) {
+      await repo.recordConsentEvent({ kitId, ...entry, apiEvent: event });
+    }
+    if (changes.withdrawn_at) await haltKit(repo, kitId);
+  },
+});
+exports.updateReports = updateByKitId(TABLES.reports, { airtable: true });
+exports.updateKits = updateByKitId(TABLES.kits, { lifecycle: true, airtable: true });
+
+/** occurred_at from a consent request body: undefined when absent, { error } when not a past timestamp. */
+function parseOccurredAt(value) {
+  if (value === undefined || value === null) return undefined;
+  const result = schema.coerce(value, { type: 'timestamp with time zone', nullable: false });
+  if (result.error || new Date(result.value) > new Date()) return { error: '"occurred_at" must be an ISO 8601 timestamp that is not in the future' };
+  return result.value;
+}
+
+/**
+ * POST /consents/agree — Record agreement to a terms version in the consent ledger and set toc_agreed.
+ * Body: { kit_id: string, terms_version: string, source?: string, occurred_at?: ISO timestamp (default now) }
+ * 409 once consent has been withdrawn. Applies notification rules triggered by the consents columns written.
+ */
+exports.agreeConsent = async (event) => {
+  try {
+    const body = parseJsonBody(event);
+    if (body === null) return jsonResponse(400, { error: 'Request body must be valid JSON' });
+    const kitId = body.kit_id;
+    if (!kitId || typeof kitId !== 'string') {
+      return jsonResponse(400, { error: '"kit_id" is required and must be a string' });
+    }
+    if (!body.terms_version || typeof body.terms_version !== 'string') {
+      return jsonResponse(400, { error: '"terms_version" is required and must be a string' });
+    }
+    if (body.source !== undefined && typeof body.source !== 'string') {
+      return jsonResponse(400, { error: '"source" must be a string' });
+    }
+    const occurredAt = parseOccurredAt(body.occurred_at);
+    if (occurredAt && occurredAt.error) return jsonResponse(400, { error: occurredAt.error });
+
+    const values = { toc_agreed: true, terms_version: body.terms_version, agreed_at: occurredAt || new Date().toISOString() };
+    const outcome = await services.repository().transaction(async (repo) => {
+      const rows = await repo.loadKitRows(kitId, { lock: true });
+      if (consent.isWithdrawn(rows.consents)) return { withdrawn: true };
+      const check = lifecycle.checkUpdate(rows, TABLES.consents, values);
+      if (!check.allowed) return { conflict: check };
+      await writeKitRow(repo, TABLES.consents, kitId, values, event);
+      const eventId = await repo.recordConsentEvent({
+        kitId,
+        event: 'agreed',
+        termsVersion: body.terms_version,
+        occurredAt: values.agreed_at,
+        source: body.source,
+        apiEvent: event,
+      });
+      await applyNotificationRules(repo, kitId, writtenRefs(TABLES.consents, Object.keys(values)));
+      return { eventId };
+    });
+
+    if (outcome.withdrawn) return jsonResponse(409, withdrawnConflict(kitId));
+    if (outcome.conflict) return jsonResponse(409, lifecycle.conflictBody(kitId, outcome.conflict));
+    await mirrorToAirtable(TABLES.consents, kitId, { toc_agreed: true });
+    return jsonResponse(200, { ok: true, kit_id: kitId, event_id: outcome.eventId, terms_version: body.terms_version, agreed_at: values.agreed_at });
+  } catch (error) {
+    log.error('agreeConsent error', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+      return jsonResponse(500, { error: 'Database connection failed' });
+    }
+    if (error.code === '42P01') {
+      return jsonResponse(500, { error: `Table "${consent.CONSENT_EVENTS_TABLE}" or a kit table not found.` });
+    }
+    throw error;
+  }
+};
+
+/**
+ * POST /consents/withdraw — Withdraw a kit's consent: records it in the ledger, sets consents.withdrawn_at and
+ * cancels everything queued for the kit. From then on PDF emails, Calendly updates, router messages and
+ * Airtable sync refuse to act for it. Withdrawing twice is a no-op.
+ * Body: { kit_id: string, source?: string, reason?: string, occurred_at?: ISO timestamp (default now) }
+ */
+exports.withdrawConsent = async (event) => {
+  try {
+    const body = parseJsonBody(event);
+    if (body === null) return jsonResponse(400, { error: 'Request body must be valid JSON' });
+    const kitId = body.kit_id;
+    if (!kitId || typeof kitId !== 'string') {
+      return jsonResponse(400, { error: '"kit_id" is required and must be a string' });
+    }
+    if (body.source !== undefined && typeof body.source !== 'string') {
+      return jsonResponse(400, { error: '"source" must be a string' });
+    }
+    if (body.reason !== undefined && typeof body.reason !== 'string') {
+      return jsonResponse(400, { error: '"reason" must be a string' });
+    }
+    const occurredAt = parseOccurredAt(body.occurred_at);
+    if (occurredAt && occurredAt.error) return jsonResponse(400, { error: occurredAt.error });
+
+    const withdrawnAt = occurredAt || new Date().toISOString();
+    const outcome = await services.repository().transaction(async (repo) => {
+      const rows = await repo.loadKitRows(kitId, { lock: true });
+      if (consent.isWithdrawn(rows.consents)) return { already: rows.consents.withdrawn_at };
+      const check = lifecycle.checkUpdate(rows, TABLES.consents, { withdrawn_at: withdrawnAt });
+      if (!check.allowed) return { conflict: check };
+      await writeKitRow(repo, TABLES.consents, kitId, { withdrawn_at: withdrawnAt }, event);
+      const eventId = await repo.recordConsentEvent({
+        kitId,
+        event: 'withdrawn',
+        occurredAt: withdrawnAt,
+        source: body.source,
+        details: body.reason ? { reason: body.reason } : null,
+        apiEvent: event,
+      });
+      const canceled = await haltKit(repo, kitId);
+      return { eventId, canceled };
+    });
+
+    if (outcome.conflict) return jsonResponse(409, lifecycle.conflictBody(kitId, outcome.conflict));
+    if (outcome.already) {
+      return jsonResponse(200, { ok: true, kit_id: kitId, already_withdrawn: true, withdrawn_at: outcome.already });
+    }
+    return jsonResponse(200, {
+      ok: true,
+      kit_id: kitId,
+      event_id: outcome.eventId,
+      withdrawn_at: withdrawnAt,
+      canceled_outbox_ids: outcome.canceled,
+    });
+  } catch (error) {
+    log.error('withdrawConsent error', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+      return jsonResponse(500, { error: 'Database connection failed' });
+    }
+    if (error.code === '42P01') {
+      return jsonResponse(500, { error: `Table "${consent.CONSENT_EVENTS_TABLE}" or a kit table not found.` });
+    }
+    throw error;
+  }
+};
+
+/**
+ * POST /consents/history — A kit's consent ledger, oldest first, and the consent in force at a point in time.
+ * Body: { kit_id: string, at?: ISO timestamp (default now) }
+ * effective: { status: 'none' | 'agreed' | 'not_agreed' | 'withdrawn', terms_version, since, event_id }
+ */
+exports.getConsentHistory = async (event) => {
+  try {
+    const body = parseJsonBody(event);
+    if (body === null) return jsonResponse(400, { error: 'Request body must be valid JSON' });
+    const kitId = body.kit_id;
+    if (!kitId || typeof kitId !== 'string') {
+      return jsonResponse(400, { error: '"kit_id" is required and must be a string' });
+    }
+    let at = new Date();
+    if (body.at !== undefined) {
+      const result = schema.coerce(body.at, { type: 'timestamp with time zone', nullable: false });
+      if (result.error) return jsonResponse(400, { error: '"at" must be an ISO 8601 timestamp' });
+      at = new Date(result.value);
+    }
+    const events = await services.repository().consentHistory(kitId);
+    return jsonResponse(200, {
+      kit_id: kitId,
+      at: at.toISOString(),
+      effective: consent.effectiveAt(events, at),
+      events,
+    });
+  } catch (error) {
+    log.error('getConsentHistory error', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+      return jsonResponse(500, { error: 'Database connection failed' });
+    }
+    if (error.code === '42P01') {
+      return jsonResponse(500, { error: `Table "${consent.CONSENT_EVENTS_TABLE}" not found.` });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Compare the mirrored columns of each kit against its Airtable record, optionally pushing Postgres values over drift.
+ * options: { kitIds?, afterKitId?, limit, apply, stop? } — without kitIds, kits are paged by kit_id (test kits left out).
+ * stop() is asked before each kit after the first; once it returns true the run ends early: next_after_kit_id is the
+ * last kit checked, or with kitIds, remaining_kit_ids lists the ones not reached.
+ * Test kits and kits whose consent was withdrawn are never compared (their Airtable writes are skipped or sandboxed).
+ * Corrections go through mirrorToAirtable, so one that fails is saved to the failure log like any other push.
+ * Returns { checked, drifted, missing, errors, kits, next_after_kit_id, remaining_kit_ids? }.
+ */
+async function reconcileAirtable({ kitIds, afterKitId, limit, apply, stop }) {
+  const repository = services.repository();
+  const ids = kitIds || await repository.listKitIds({ afterKitId, limit });
+
+  const report = { checked: 0, drifted: 0, missing: 0, errors: 0, kits: [] };
+  for (const kitId of ids) {
+    if (report.checked > 0 && stop && stop()) {
+      if (kitIds) {
+        report.next_after_kit_id = null;
+        report.remaining_kit_ids = ids.slice(report.checked);
+      } else {
+        report.next_after_kit_id = ids[report.checked - 1];
+      }
+      return report;
+    }
+    report.checked += 1;
+    try {
+      const rows = await repository.loadKitRows(kitId);
+      if (sandbox.isTestUser(rows.users)) {
+        report.kits.push({ kit_id: kitId, skipped: 'test kit' });
+        continue;
+      }
+      if (consent.isWithdrawn(rows.consents)) {
+        report.kits.push({ kit_id: kitId, skipped: 'consent withdrawn' });
+        continue;
+      }
+      const record = await airtable.fetchAirtableRecord(kitId);
+      if (!record.found) {
+        report.missing += 1;
+        report.kits.push({ kit_id: kitId, missing_in_airtable: true });
+        continue;
+      }
+      const differences = airtable.diffKit(rows, record.fields);
+      if (differences.length === 0) continue;
+      report.drifted += 1;
+      const entry = { kit_id: kitId, differences };
+      if (apply) {
+        entry.corrected = true;
+        for (const table of new Set(differences.map((d) => d.table))) {
+          const corrections = Object.fromEntries(differences.filter((d) => d.table === table).map((d) => [d.column, d.postgres]));
+          if (!await mirrorToAirtable(table, kitId, corrections)) entry.corrected = false;
+        }
+      }
+      report.kits.push(entry);
+    } catch (err) {
+      report.errors += 1;
+      report.kits.push({ kit_id: kitId, error: err.message });
+      log.error('reconcileAirtable error', { kit_id: kitId, error: err.message });
+    }
+  }
+  report.next_after_kit_id = !kitIds && ids.length === limit ? ids[ids.length - 1] : null;
+  return report;
+}
+
+/** How long POST /airtable/reconcile checks kits before answering, well inside the HTTP API's 30 s limit. */
+const RECONCILE_HTTP_BUDGET_MS = 20 * 1000;
+
+/**
+ * POST /airtable/reconcile — Report Airtable drift for kits and optionally correct it.
+ * Body: { kit_ids?: string[], after_kit_id?: string, limit?: number (max 500), apply?: boolean }
+ * Without kit_ids, kits are paged by kit_id; pass next_after_kit_id from the response to continue. Kits are checked
+ * for at most RECONCILE_HTTP_BUDGET_MS, so a large page can come back short: next_after_kit_id (or remaining_kit_ids
+ * for kit_ids) then says where to carry on.
+ */
+exports.reconcileAirtable = async (event) => {
+  try {
+    const body = parseJsonBody(event);
+    if (body === null) return jsonResponse(400, { error: 'Request body must be valid JSON' });
+    if (body.kit_ids !== undefined
+      && (!Array.isArray(body.kit_ids) || !body.kit_ids.every((id) => typeof id === 'string' && id))) {
+      return jsonResponse(400, { error: '"kit_ids" must be an array of strings' });
+    }
+    const limit = Math.min(Math.max(parseInt(body.limit || '100', 10) || 100, 1), 500);
+    const deadline = Date.now() + RECONCILE_HTTP_BUDGET_MS;
+    const report = await reconcileAirtable({
+      kitIds: body.kit_ids,
+      afterKitId: typeof body.after_kit_id === 'string' ? body.after_kit_id : undefined,
+      limit,
+      apply: body.apply === true,
+      stop: () => Date.now() >= deadline,
+    });
+    return jsonResponse(200, report);
+  } catch (error) {
+    log.error('reconcileAirtable error', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+      return jsonResponse(500, { error: 'Database connection failed' });
+    }
+    if (error.code === '42P01') {
+      return jsonResponse(500, { error: 'Kit table missing (users, consents, reports, actions, kits).' });
+    }
+    throw error;
+  }
+};
+
+/** Time left in an invocation at which a paged job stops, so it ends before the function times out. */
+const JOB_TIME_MARGIN_MS = 60 * 1000;
+
+/**
+ * Scan the kits for a scheduled job in kit_id pages, carrying on after the cursor the job's last run saved.
+ * page(afterKitId, stop) handles one page and returns the kit_id to continue after (null at the end); stop() turns
+ * true once the invocation is within JOB_TIME_MARGIN_MS of its timeout. The cursor is saved after every page, so a
+ * run that crashes loses at most one page, and cleared once the scan reaches the last kit.
+ * Returns { resumedFrom, nextAfterKitId } (nextAfterKitId null when the scan is complete).
+ */
+async function scanKitPages(job, context, page) {
+  const repository = services.repository();
+  const outOfTime = () => typeof context?.getRemainingTimeInMillis === 'function'
+    && context.getRemainingTimeInMillis() < JOB_TIME_MARGIN_MS;
+  const resumedFrom = await repository.loadJobCursor(job);
+  let afterKitId = resumedFrom;
+  do {
+    afterKitId = await page(afterKitId, outOfTime);
+    await repository.saveJobCursor(job, afterKitId);
+  } while (afterKitId && !outOfTime());
+  return { resumedFrom, nextAfterKitId: afterKitId || null };
+}
+
+const RECONCILE_PAGE_SIZE = 200;
+
+/**
+ * Scheduled — walk the kits by kit_id and log Airtable drift. Pushes corrections when AIRTABLE_RECONCILE_APPLY is "true".
+ * Pages through scanKitPages, so a run stops before the function times out and the next one carries on from there.
+ */
+exports.reconcileAirtableJob = async (event, context) => {
+  const apply = process.env.AIRTABLE_RECONCILE_APPLY === 'true';
+  const totals = { checked: 0, drifted: 0, missing: 0, errors: 0 };
+  const scan = await scanKitPages('reconcileAirtableJob', context, async (afterKitId, stop) => {
+    const report = await reconcileAirtable({ afterKitId, limit: RECONCILE_PAGE_SIZE, apply, stop });
+    for (const key of Object.keys(totals)) totals[key] += report[key];
+    for (const kit of report.kits) log.info('Airtable drift', kit);
+    return report.next_after_kit_id;
+  });
+  const complete = !scan.nextAfterKitId;
+  log.info('reconcileAirtableJob done', { ...totals, apply, resumed_from: scan.resumedFrom, complete, next_after_kit_id: scan.nextAfterKitId });
+  return { ...totals, complete };
+};
+
+/**
+ * POST /airtable/failures — Logged Airtable sync failures, newest first.
+ * Body: { kit_id?: string, include_resolved?: boolean, limit?: number (max 500) }
+ */
+exports.listAirtableFailures = async (event) => {
+  try {
+    const body = parseJsonBody(event);
+    if (body === null) return jsonResponse(400, { error: 'Request body must be valid JSON' });
+    if (body.kit_id !== undefined && typeof body.kit_id !== 'string') {
+      return jsonResponse(400, { error: '"kit_id" must be a string' });
+    }
+    const limit = Math.min(Math.max(parseInt(body.limit || '100', 10) || 100, 1), 500);
+    const db = getPool();
+    const failures = await airtable.listFailures(db, {
+      kitId: body.kit_id,
+      includeResolved: body.include_resolved === true,
+      limit,
+    });
+    return jsonResponse(200, { failures });
+  } catch (error) {
+    log.error('listAirtableFailures error', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+      return jsonResponse(500, { error: 'Database connection failed' });
+    }
+    if (error.code === '42P01') {
+      return jsonResponse(500, { error: `Table "${airtable.FAILURES_TABLE}" not found.` });
+    }
+    throw error;
+  }
+};
+
+/**
+ * POST /airtable/failures/retry — Re-send logged failures to Airtable; successes are marked resolved.
+ * Body: { ids: number[] } or { all: true } for every unresolved failure (up to 500).
+ */
+exports.retryAirtableFailures = async (event) => {
+  try {
+    const body = parseJsonBody(event);
+    if (body === null) return jsonResponse(400, { error: 'Request body must be valid JSON' });
+    const ids = body.ids;
+    if (ids !== undefined && (!Array.isArray(ids) || ids.length === 0 || !ids.every((id) => Number.isInteger(id)))) {
+      return jsonResponse(400, { error: '"ids" must be a non-empty array of integers' });
+    }
+    if (ids === undefined && body.all !== true) {
+      return jsonResponse(400, { error: 'Send "ids" or "all": true' });
+    }
+    const db = getPool();
+    const failures = await airtable.listFailures(db, { ids, limit: 500 });
+    const results = [];
+    for (const failure of failures) {
+      const target = await airtableTargetFor(failure.kit_id);
+      const outcome = target.skip
+        ? { ok: true }
+        : await airtable.syncToAirtable(failure.kit_id, failure.fields, target);
+      await airtable.recordRetry(db, failure.id, outcome);
+      results.push({ id: failure.id, kit_id: failure.kit_id, ok: outcome.ok, reason: outcome.reason });
+    }
+    return jsonResponse(200, {
+      ok: true,
+      retried: results.length,
+      resolved: results.filter((r) => r.ok).length,
+      results,
+    });
+  } catch (error) {
+    log.error('retryAirtableFailures error', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+      return jsonResponse(500, { error: 'Database connection failed' });
+    }
+    if (error.code === '42P01') {
+      return jsonResponse(500, { error: `Table "${airtable.FAILURES_TABLE}" not found.` });
+    }
+    throw error;
+  }
+};
+
+const APPOINTMENT_COLUMNS = ['appointment_made', 'appointment_event_uri', 'appointment_start_time'];
+
+/**
+ * Set values on a kit's row in table (inserting it if missing) and audit the change.
+ * Returns { row, rowCount, created, before }.
+ */
+async function writeKitRow(repo, table, kitId, values, event) {
+  const columns = Object.keys(values);
+  const before = await repo.findRow(table, kitId, { lock: true });
+  let written = await repo.updateRows(table, kitId, values);
+  let created = false;
+  if (written.length === 0) {
+    written = [await repo.insertRow(table, { kit_id: kitId, ...values })];
+    created = true;
+  }
+  await repo.recordChange({
+    table,
+    kitId,
+    operation: created ? 'insert' : 'update',
+    before,
+    after: written[0],
+    columns: created ? null : columns,
+    event,
+  });
+  return { row: written[0], rowCount: written.length, created, before };
+}
+
+/**
+ * Write the Calendly appointment columns on the kit's actions row (inserting it if missing) and audit the change.
+ * fields: { appointment_made, appointment_event_uri, appointment_start_time }
+ */
+async function setAppointment(repo, kitId, fields, event) {
+  const columns = APPOINTMENT_COLUMNS.filter((c) => fields[c] !== undefined);
+  return writeKitRow(repo, TABLES.actions, kitId, Object.fromEntries(columns.map((c) => [c, fields[c]])), event);
+}
+
+/** Look up the kit for a Calendly email. Returns { kitId, firstName, email } or null. */
+async function findKitByEmail(repo, email) {
+  const [user] = await repo.findUsersByEmail(email);
+  if (!user || !user.kit_id) return null;
+  return { kitId: user.kit_id, firstName: user.first_name || '', email };
+}
+
+/** Webhook result for an email whose participant data was erased (logged without the email; the inbox drops the body). */
+function erasedParticipant(body) {
+  log.info('Calendly webhook: participant data was erased; ignoring', { event: body.event });
+  return { response: { ok: false, error: 'Participant data was erased', event: body.event }, erased: true };
+}
+
+/** Kits of the scheduled event's guests (event_guests), skipping unknown emails. */
+async function findGuestKits(repo, payload) {
+  const guests = Array.isArray(payload?.scheduled_event?.event_guests)
+    ? payload.scheduled_event.event_guests
+    : [];
+  const kits = [];
+  for (const guest of guests) {
+    const guestEmail = guest?.email;
+    if (!guestEmail || typeof guestEmail !== 'string') continue;
+    const kit = await findKitByEmail(repo, guestEmail);
+    if (kit) kits.push(kit);
+  }
+  return kits;
+}
+
+/**
+ * Queue a message for the router topic in the outbox (same transaction as repo); skipped when ROUTER_TOPIC_ARN is unset.
+ * Messages for test kits are tagged or dropped (lib/sandbox.js); nothing is queued once consent is withdrawn.
+ */
+async function queueRouterMessage(repo, routerMessage) {
+  const topic = topicArn();
+  if (!topic) {
+    log.info(`ROUTER_TOPIC_ARN not set; skipping ${routerMessage.message_type} SNS publish`);
+    return;
+  }
+  if (consent.isWithdrawn(await repo.findRow(TABLES.consents, routerMessage.kit_id))) {
+    log.info('Router message skipped: consent withdrawn', { kitId: routerMessage.kit_id, message_type: routerMessage.message_type });
+    return;
+  }
+  const message = sandbox.notificationFor(await repo.findRow(TABLES.users, routerMessage.kit_id), routerMessage);
+  if (!message) return;
+  const outboxId = await repo.enqueueOutbox({ topicArn: topic, kitId: message.kit_id, message });
+  log.info('Router message queued', { kitId: message.kit_id, message_type: message.message_type, outboxId });
+}
+
+/**
+ * Calendly invitee.created — mark the host's and guests' kits as booked and store the event URI and start time.
+ * A payload with old_invitee set is the second half of a reschedule and publishes appointment_rescheduled
+ * instead of appointment_made. Kits whose consent was withdrawn are not booked.
+ * Runs inside the webhook's transaction (repo); returns { response, airtable } where airtable lists the
+ * { kitId, fields } to sync once the transaction has committed.
+ */
+async function handleInviteeCreated(repo, body, event) {
+  const email = body.payload?.email;
+  if (!email || typeof email !== 'string') {
+    return { response: { ok: false, error: 'invitee.created payload missing email' } };
+  }
+
+  const host = await findKitByEmail(repo, email);
+  if (!host && await repo.findErasure({ email })) return erasedParticipant(body);
+  if (!host) {
+    log.error('Calendly webhook: user not found for email', { email });
+    return {
+      response: {
+        ok: false,
+        error: 'No user found for this email',
+        email,
+        event: body.event,
+      },
+    };
+  }
+  log.setKitId(host.kitId);
+
+  const kitId = host.kitId;
+  const firstName = host.firstName || body.payload?.first_name || body.payload?.name || '';
+  const link = body.payload?.reschedule_url || body.payload?.cancel_url || '';
+  const rescheduled = Boolean(body.payload?.old_invitee);
+  const appointment = {
+    appointment_made: true,
+    appointment_event_uri: body.payload?.scheduled_event?.uri || null,
+    appointment_start_time: body.payload?.scheduled_event?.start_time || null,
+  };
+  const hostRows = await repo.loadKitRows(kitId);
+  if (consent.isWithdrawn(hostRows.consents)) {
+    log.error('Calendly webhook: consent withdrawn; not booking', { kitId });
+    return { response: { ok: false, status: 409, error: 'Consent withdrawn for this kit', kit_id: kitId, event: body.event } };
+  }
+  const check = lifecycle.checkUpdate(hostRows, 'actions', appointment);
+  if (!check.allowed) {
+    log.error('Calendly webhook: illegal state transition', { kitId, from: check.from, to: check.to });
+    return { response: { ok: false, status: 409, event: body.event, ...lifecycle.conflictBody(kitId, check) } };
+  }
+  const actionResult = await setAppointment(repo, kitId, appointment, event);
+
+  log.info('Calendly event processed', { event: 'invitee.created', email, kitId, rescheduled });
+
+  const touched = [{ kitId, firstName, email }];
+  for (const guest of await findGuestKits(repo, body.payload)) {
+    const guestRows = await repo.loadKitRows(guest.kitId);
+    if (consent.isWithdrawn(guestRows.consents)) {
+      log.error('Calendly webhook: consent withdrawn for guest; not booking', { kitId: guest.kitId });
+      continue;
+    }
+    const guestCheck = lifecycle.checkUpdate(guestRows, 'actions', appointment);
+    if (!guestCheck.allowed) {
+      log.error('Calendly webhook: illegal state transition for guest', { kitId: guest.kitId, from: guestCheck.from, to: guestCheck.to });
+      continue;
+    }
+    touched.push(guest);
+    await setAppointment(repo, guest.kitId, appointment, event);
+  }
+
+  for (const kit of touched) {
+    await applyNotificationRules(repo, kit.kitId, writtenRefs(TABLES.actions, APPOINTMENT_COLUMNS), {
+      link: kit.kitId === kitId ? link || undefined : undefined,
+    });
+  }
+
+  if (rescheduled) {
+    for (const kit of touched) {
+      await queueRouterMessage(repo, {
+        message_type: 'appointment_rescheduled',
+        kit_id: kit.kitId,
+        firstName: kit.kitId === kitId ? firstName : kit.firstName,
+        email: kit.email,
+        start_time: appointment.appointment_start_time || undefined,
+        link: link || undefined,
+      });
+    }
+  } else {
+    await queueRouterMessage(repo, {
+      message_type: 'appointment_made',
+      kit_id: kitId,
+      firstName,
+      email,
+      link: link || undefined,
+    });
+  }
+
+  return {
+    response: {
+      ok: true,
+      event: body.event,
+      email,
+      kit_id: kitId,
+      appointment_made: true,
+      rescheduled,
+      updated: actionResult.rowCount,
+      created_when_missing: actionResult.created,
+    },
+    airtable: touched.map((kit) => ({
+      kitId: kit.kitId,
+      fields: { appointment_made: true, appointment_start_time: appointment.appointment_start_time },
+    })),
+  };
+}
+
+/**
+ * Calendly invitee.canceled — clear appointment_made and the stored event on the host's and guests' kits.
+ * Cancels that are half of a reschedule (payload.rescheduled) are left to the matching invitee.created,
+ * and a cancel for an event other than the one stored on the kit is ignored as stale, as are kits whose consent was withdrawn.
+ * Same transaction and return shape as handleInviteeCreated.
+ */
+async function handleInviteeCanceled(repo, body, event) {
+  const email = body.payload?.email;
+  if (!email || typeof email !== 'string') {
+    return { response: { ok: false, error: 'invitee.canceled payload missing email' } };
+  }
+
+  const host = await findKitByEmail(repo, email);
+  if (!host && await repo.findErasure({ email })) return erasedParticipant(body);
+  if (!host) {
+    log.error('Calendly webhook: user not found for email', { email });
+    return { response: { ok: false, error: 'No user found for this email', email, event: body.event } };
+  }
+  log.setKitId(host.kitId);
+  if (body.payload?.rescheduled === true) {
+    log.info('Calendly invitee.canceled is part of a reschedule; waiting for invitee.created', { kitId: host.kitId });
+    return { response: { ok: true, event: body.event, email, kit_id: host.kitId, rescheduled: true, canceled: [] } };
+  }
+
+  const eventUri = body.payload?.scheduled_event?.uri || null;
+  const cleared = { appointment_made: false, appointment_event_uri: null, appointment_start_time: null };
+  const canceled = [];
+  for (const kit of [host, ...await findGuestKits(repo, body.payload)]) {
+    const rows = await repo.loadKitRows(kit.kitId);
+    if (consent.isWithdrawn(rows.consents)) {
+      log.info('Calendly invitee.canceled for a kit with withdrawn consent; ignoring', { kitId: kit.kitId });
+      continue;
+    }
+    const storedUri = rows.actions?.appointment_event_uri;
+    if (storedUri && eventUri && storedUri !== eventUri) {
+      log.info('Calendly invitee.canceled for a stale event; ignoring', { kitId: kit.kitId, storedUri, eventUri });
+      continue;
+    }
+    const check = lifecycle.checkUpdate(rows, 'actions', cleared);
+    if (!check.allowed) {
+      log.error('Calendly webhook: illegal state transition', { kitId: kit.kitId, from: check.from, to: check.to });
+      if (kit === host) return { response: { ok: false, status: 409, event: body.event, ...lifecycle.conflictBody(kit.kitId, check) } };
+      continue;
+    }
+    await setAppointment(repo, kit.kitId, cleared, event);
+    await applyNotificationRules(repo, kit.kitId, writtenRefs(TABLES.actions, APPOINTMENT_COLUMNS));
+    canceled.push(kit);
+  }
+
+  log.info('Calendly event processed', { event: 'invitee.canceled', email, kitIds: canceled.map((k) => k.kitId) });
+
+  for (const kit of canceled) {
+    await queueRouterMessage(repo, {
+      message_type: 'appointment_canceled',
+      kit_id: kit.kitId,
+      firstName: kit.firstName || (kit === host ? body.payload?.first_name || body.payload?.name || '' : ''),
+      email: kit.email,
+      reason: body.payload?.cancellation?.reason || undefined,
+    });
+  }
+
+  return {
+    response: {
+      ok: true,
+      event: body.event,
+      email,
+      kit_id: host.kitId,
+      appointment_made: false,
+      canceled: canceled.map((k) => k.kitId),
+    },
+    airtable: canceled.map((kit) => ({
+      kitId: kit.kitId,
+      fields: { appointment_made: false, appointment_start_time: null },
+    })),
+  };
+}
+
+/** Set a notification rule's once_flag ({ table, column }) once its message has been published, and audit it. */
+async function markOnceFlag(repo, kitId, onceFlag, requestId) {
+  const { table, column } = onceFlag;
+  const before = await repo.findRow(table, kitId, { lock: true });
+  const [after] = await repo.updateRows(table, kitId, { [column]: true });
+  if (!after) return;
+  await repo.recordChange({
+    table,
+    kitId,
+    operation: 'update',
+    before,
+    after,
+    columns: [column],
+    route: 'schedule:dispatchOutbox',
+    requestId,
+  });
+}
+
+/**
+ * Scheduled — publish due outbox rows to SNS, each in its own transaction.
+ * Failed publishes are retried with exponential backoff until outbox.MAX_ATTEMPTS, then marked failed.
+ * Delivering a message whose notification rule has a once_flag (send_pdf_email: actions.pdf_email_sent) sets it. Messages for kits whose consent was withdrawn are canceled.
+ * Change-feed events (lib/changefeed.js) are published with their table/operation/column attributes and never canceled.
+ */
+exports.dispatchOutbox = async (event) => {
+  const batchSize = parseInt(process.env.OUTBOX_BATCH_SIZE || '25', 10);
+  const summary = { delivered: 0, retried: 0, failed: 0, canceled: 0 };
+  for (let i = 0; i < batchSize; i++) {
+    const status = await services.repository().transaction(async (repo) => {
+      const row = await repo.claimOutbox();
+      if (!row) return null;
+      const isChange = row.message_type === changefeed.MESSAGE_TYPE;
+      if (row.kit_id && !isChange && consent.isWithdrawn(await repo.findRow(TABLES.consents, row.kit_id))) {
+        await repo.cancelOutboxForKit(row.kit_id, 'consent withdrawn');
+        log.info('dispatchOutbox: consent withdrawn; message canceled', { id: row.id, kitId: row.kit_id, message_type: row.message_type });
+        return 'canceled';
+      }
+      try {
+        await services.sns().send(new PublishCommand({
+          TopicArn: row.topic_arn,
+          Message: JSON.stringify(row.message),
+          MessageAttributes: isChange ? changefeed.messageAttributes(row.message) : sandbox.messageAttributes(row.message),
+        }));
+      } catch (err) {
+        log.metric('SnsPublish', { Outcome: 'failure' });
+        const next = await repo.markOutboxAttemptFailed(row, err.message || String(err));
+        log.error('dispatchOutbox publish failed', {
+          id: row.id,
+          kitId: row.kit_id,
+          message_type: row.message_type,
+          attempts: row.attempts + 1,
+          status: next,
+          error: err.message,
+        });
+        return next === 'failed' ? 'failed' : 'retried';
+      }
+      log.metric('SnsPublish', { Outcome: 'success' });
+      await repo.markOutboxDelivered(row.id);
+      const onceFlag = row.kit_id ? rules.onceFlagFor(row.message_type) : null;
+      if (onceFlag) await markOnceFlag(repo, row.kit_id, onceFlag, event?.id);
+      log.info('Outbox message published', { id: row.id, kitId: row.kit_id, message_type: row.message_type });
+      return 'delivered';
+    });
+    if (!status) break;
+    summary[status] += 1;
+  }
+  log.info('dispatchOutbox done', summary);
+  return summary;
+};
+
+const REMINDER_PAGE_SIZE = 200;
+
+/**
+ * Queue the reminders (lib/reminders.js) that are due for one kit, in one transaction with their kit_reminders rows.
+ * Test kits and kits whose consent was withdrawn are skipped, and a kit that hasn't agreed (consents.toc_agreed)
+ * only gets registered-stage reminders. Returns the message types queued.
+ */
+async function remindKit(kitId, configured, topic, now) {
+  return services.repository().transaction(async (repo) => {
+    const rows = await repo.loadKitRows(kitId, { lock: true });
+    if (!rows.users || sandbox.isTestUser(rows.users) || consent.isWithdrawn(rows.consents)) return [];
+    const agreed = lifecycle.flag(rows.consents?.toc_agreed);
+    const queued = [];
+    for (const reminder of configured) {
+      if (reminder.stage !== 'registered' && !agreed) continue;
+      const tracking = await repo.findReminder(kitId, reminder.message_type);
+      const due = reminders.check(reminder, rows, tracking, now);
+      if (!due.due) continue;
+      await repo.enqueueOutbox({
+        topicArn: topic,
+        kitId,
+        dedupeKey: reminders.dedupeKey(reminder, kitId, due.since, due.count),
+        message: reminders.buildMessage(reminder, kitId, rows.users, due.count),
+      });
+      await repo.recordReminderSent({
+        kitId,
+        messageType: reminder.message_type,
+        count: due.count,
+        since: due.since.toISOString(),
+        sentAt: now.toISOString(),
+      });
+      log.info('Reminder queued', { kitId, message_type: reminder.message_type, stage: reminder.stage, reminder_count: due.count });
+      queued.push(reminder.message_type);
+    }
+    return queued;
+  });
+}
+
+/**
+ * Scheduled — queue reminders for kits stuck in a lifecycle stage past the configured threshold (KIT_REMINDERS).
+ * Scans every non-test kit by kit_id; each kit is handled in its own transaction so one failure doesn't stop the run.
+ * Pages through scanKitPages, so a run stops before the function times out and the next one carries on from there.
+ */
+exports.sendStuckKitReminders = async (event, context) => {
+  const summary = { checked: 0, queued: 0, errors: 0 };
+  const configured = reminders.activeReminders();
+  const topic = topicArn();
+  if (configured.length === 0 || !topic) {
+    log.info('sendStuckKitReminders skipped', { reason: topic ? 'no reminders configured' : 'ROUTER_TOPIC_ARN not set' });
+    return summary;
+  }
+  const now = new Date();
+  const scan = await scanKitPages('sendStuckKitReminders', context, async (afterKitId, stop) => {
+    const kitIds = await services.repository().listKitIds({ afterKitId, limit: REMINDER_PAGE_SIZE });
+    let lastKitId = null;
+    for (const kitId of kitIds) {
+      if (lastKitId && stop()) return lastKitId;
+      summary.checked += 1;
+      try {
+        summary.queued += (await remindKit(kitId, configured, topic, now)).length;
+      } catch (err) {
+        summary.errors += 1;
+        log.error('sendStuckKitReminders error', { kit_id: kitId, error: err.message });
+      }
+      lastKitId = kitId;
+    }
+    return kitIds.length < REMINDER_PAGE_SIZE ? null : lastKitId;
+  });
+  summary.complete = !scan.nextAfterKitId;
+  log.info('sendStuckKitReminders done', { ...summary, resumed_from: scan.resumedFrom, next_after_kit_id: scan.nextAfterKitId });
+  return summary;
+};
+
+/**
+ * POST /outbox — List outbox messages, newest first.
+ * Body: { status?: 'failed' | 'pending' | 'delivered' | 'canceled' (default 'failed'), kit_id?: string, limit?: number (max 500) }
+ */
+exports.listOutbox = async (event) => {
+  try {
+    const body = parseJsonBody(event);
+    if (body === null) return jsonResponse(400, { error: 'Request body must be valid JSON' });
+    const status = body.status || 'failed';
+    if (!['failed', 'pending', 'delivered', 'canceled'].includes(status)) {
+      return jsonResponse(400, { error: '"status" must be one of: failed, pending, delivered, canceled' });
+    }
+    if (body.kit_id !== undefined && typeof body.kit_id !== 'string') {
+      return jsonResponse(400, { error: '"kit_id" must be a string' });
+    }
+    const limit = Math.min(Math.max(parseInt(body.limit || '100', 10) || 100, 1), 500);
+    const db = getPool();
+    const messages = await outbox.list(db, { status, kitId: body.kit_id, limit });
+    return jsonResponse(200, { status, messages });
+  } catch (error) {
+    log.error('listOutbox error', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+      return jsonResponse(500, { error: 'Database connection failed' });
+    }
+    if (error.code === '42P01') {
+      return jsonResponse(500, { error: `Table "${outbox.OUTBOX_TABLE}" not found.` });
+    }
+    throw error;
+  }
+};
+
+/**
+ * POST /outbox/redrive — Put failed outbox messages back in the queue for the next dispatch.
+ * Body: { ids: number[] } or { all: true } for every failed message.
+ */
+exports.redriveOutbox = async (event) => {
+  try {
+    const body = parseJsonBody(event);
+    if (body === null) return jsonResponse(400, { error: 'Request body must be valid JSON' });
+    const ids = body.ids;
+    if (ids !== undefined && (!Array.isArray(ids) || ids.length === 0 || !ids.every((id) => Number.isInteger(id)))) {
+      return jsonResponse(400, { error: '"ids" must be a non-empty array of integers' });
+    }
+    if (ids === undefined && body.all !== true) {
+      return jsonResponse(400, { error: 'Send "ids" or "all": true' });
+    }
+    const db = getPool();
+    const redriven = await outbox.redrive(db, ids);
+    return jsonResponse(200, { ok: true, redriven });
+  } catch (error) {
+    log.error('redriveOutbox error', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+      return jsonResponse(500, { error: 'Database connection failed' });
+    }
+    if (error.code === '42P01') {
+      return jsonResponse(500, { error: `Table "${outbox.OUTBOX_TABLE}" not found.` });
+    }
+    throw error;
+  }
+};
+
+/**
+ * POST /notifications/dry-run — Which notification rules (lib/rules.js) would queue a message for a kit right now.
+ * Body: { kit_id: string, written?: ["table.column", ...] } — with written, also says whether a write to those
+ * columns would trigger each rule. Nothing is queued.
+ * Returns { kit_id, rules: [{ message_type, triggered, would_fire, reason, message }] }.
+ */
+exports.dryRunNotificationRules = async (event) => {
+  try {
+    const body = parseJsonBody(event);
+    if (body === null) return jsonResponse(400, { error: 'Request body must be valid JSON' });
+    const kitId = body.kit_id;
+    if (!kitId || typeof kitId !== 'string') {
+      return jsonResponse(400, { error: '"kit_id" is required and must be a string' });
+    }
+    const written = body.written;
+    if (written !== undefined && (!Array.isArray(written) || !written.every((ref) => typeof ref === 'string'))) {
+      return jsonResponse(400, { error: '"written" must be an array of "table.column" strings' });
+    }
+
+    const repo = services.repository();
+    const rows = await repo.loadKitRows(kitId);
+    const results = [];
+    for (const rule of rules.activeRules()) {
+      const triggered = written === undefined ? null : rules.isTriggered(rule, written);
+      const reason = await rules.blocker(rule, rows, (table) => repo.loadColumns(table));
+      results.push({
+        message_type: rule.message_type,
+        triggered,
+        would_fire: triggered !== false && reason === null,
+        reason,
+        message: reason === null ? rules.buildMessage(rule, kitId, rows) : null,
+      });
+    }
+    return jsonResponse(200, {
+      kit_id: kitId,
+      router_topic_configured: Boolean(topicArn()),
+      test_kit: sandbox.isTestUser(rows.users),
+      rules: results,
+    });
+  } catch (error) {
+    log.error('dryRunNotificationRules error', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+      return jsonResponse(500, { error: 'Database connection failed' });
+    }
+    if (error.code === '42P01') {
+      return jsonResponse(500, { error: 'A kit table named in the notification rules is missing.' });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Calendly webhooks: invitee.created and invitee.canceled run in one transaction and their Airtable fields are
+ * mirrored after commit; other event types are ignored. Returns { status, response, kitIds, redact? } for the inbox.
+ */
+async function processCalendlyWebhook(body, event) {
+  const eventName = String(body.event || '').toLowerCase();
+  if (eventName !== 'invitee.created' && eventName !== 'invitee.canceled') {
+    log.info('Calendly event ignored', { event: body.event });
+    return { status: 'ignored', response: { ok: true, event: body.event, ignored: true } };
+  }
+  const outcome = await services.repository().transaction((repo) => (eventName === 'invitee.created'
+    ? handleInviteeCreated(repo, body, event)
+    : handleInviteeCanceled(repo, body, event)));
+  if (outcome.erased) return { status: 'ignored', response: outcome.response, redact: true };
+  for (const { kitId, fields } of outcome.airtable || []) {
+    await mirrorToAirtable(TABLES.actions, kitId, fields);
+  }
+  const kitIds = [outcome.response.kit_id, ...(outcome.airtable || []).map((a) => a.kitId)].filter(Boolean);
+  return { status: outcome.response.ok ? 'processed' : 'failed', response: outcome.response, kitIds };
+}
+
+/** Generic webhooks (X-Webhook-Secret): the body is applied like POST /actions/update. */
+async function processActionsWebhook(body, event) {
+  const result = await updateActions(event);
+  const payload = result.body ? JSON.parse(result.body) : { ok: false, error: 'No response body' };
+  const kitIds = typeof body.kit_id === 'string' ? [body.kit_id] : [];
+  if (result.statusCode === 200) return { status: 'processed', response: payload, kitIds };
+  return { status: 'failed', response: { ...payload, ok: false }, kitIds };
+}
+
+/** Processing per webhook provider (lib/webhookProviders.js), by provider name. */
+const WEBHOOK_PROCESSORS = {
+  calendly: processCalendlyWebhook,
+  'shared-secret': processActionsWebhook,
+};
+
+/**
+ * Process a stored webhook with its provider's processor and record the outcome on its inbox row (lib/inbox.js).
+ * A thrown error is recorded as failed. Returns { status, response }.
+ */
+async function runInboxEvent(inboxId, providerName, body, event) {
+  let result;
+  try {
+    const processor = WEBHOOK_PROCESSORS[providerName];
+    if (!processor) throw new Error(`No processor for webhook provider "${providerName}"`);
+    result = await processor(body, event);
+  } catch (error) {
+    log.error('Webhook processing error', { inbox_id: inboxId, provider: providerName, error });
+    const message = error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND'
+      ? 'Database connection failed'
+      : (error.message || String(error));
+    result = { status: 'failed', response: { ok: false, error: message, code: error.code } };
+  }
+  await services.repository().finishWebhook(inboxId, {
+    status: result.status,
+    response: result.response,
+    error: result.status === 'failed' ? result.response.error || 'Processing failed' : null,
+    kitIds: [...new Set(result.kitIds || [])],
+    redact: result.redact,
+  });
+  return result;
+}
+
+/**
+ * POST /webhooks/actions — Incoming webhook: update actions table by kit_id.
+ * Body: { kit_id: string, ...fields to set on actions }
+ * Same shape as POST /actions/update; use this URL for external webhook callers.
+ * Calendly events must carry a valid Calendly-Webhook-Signature; everything else needs X-Webhook-Secret.
+ * Unauthenticated requests are logged and dropped, still with a 200.
+ * Authenticated ones are stored in the webhook inbox first (lib/inbox.js): a provider event id seen before is
+ * answered as a duplicate without processing, and when the event can't be stored the answer is 503 so the
+ * sender retries. The response carries inbox_id. Retries are deduplicated by that event id only; Idempotency-Key
+ * is not read here, so every answer stays a 200 the sender won't retry on.
+ */
+exports.webhookActions = async (event) => {
+  const always200 = (body) => ({ statusCode: 200, headers: jsonHeaders, body: JSON.stringify(body) });
+  try {
+    const body = parseJsonBody(event);
+    if (body === null) {
+      log.metric('WebhookOutcome', { Source: 'unknown', Outcome: 'invalid' });
+      return always200({ ok: false, error: 'Request body must be valid JSON' });
+    }
+    log.info('Webhook received', { event: body.event });
+
+    const provider = webhookProviders.providerFor(event, body);
+    const outcomeMetric = (outcome) => log.metric('WebhookOutcome', { Source: provider.name, Outcome: outcome });
+    const verification = provider.verify(event);
+    if (!verification.ok) {
+      outcomeMetric('rejected');
+      log.error('webhookActions: rejected unauthenticated webhook', {
+        source: provider.name,
+        reason: verification.reason,
+        event: body.event,
+      });
+      return always200({ ok: false, error: 'Webhook authentication failed' });
+    }
+
+    const rawBody = webhookSignature.rawBody(event);
+    let stored;
+    try {
+      stored = await services.repository().receiveWebhook({
+        provider: provider.name,
+        eventId: provider.eventId(event, body, rawBody),
+        eventType: provider.eventType(body),
+        headers: event.headers,
+        rawBody,
+      });
+    } catch (error) {
+      log.error('webhookActions: could not store webhook', error);
+      outcomeMetric('unstored');
+      return jsonResponse(503, { ok: false, error: 'Webhook could not be stored; retry later' });
+    }
+    if (stored.duplicate) {
+      log.info('Duplicate webhook not processed', { inbox_id: stored.id, provider: provider.name, status: stored.status });
+      outcomeMetric('duplicate');
+      return always200({ ok: true, duplicate: true, inbox_id: stored.id, status: stored.status });
+    }
+
+    const result = await runInboxEvent(stored.id, provider.name, body, event);
+    outcomeMetric(result.status);
+    return always200({ ...result.response, inbox_id: stored.id });
+  } catch (error) {
+    log.error('webhookActions error', error);
+    log.metric('WebhookOutcome', { Source: 'unknown', Outcome: 'error' });
+    return always200({
+      ok: false,
+      error: error && (error.message || String(error)),
+      code: error && error.code,
+    });
+  }
+};
+
+/**
+ * POST /webhooks/inbox — Stored webhooks, newest first, without their bodies.
+ * Body: { status?: 'received' | 'processed' | 'ignored' | 'failed', provider?: string, kit_id?: string, limit?: number (max 500) }
+ */
+exports.listWebhookInbox = async (event) => {
+  try {
+    const body = parseJsonBody(event);
+    if (body === null) return jsonResponse(400, { error: 'Request body must be valid JSON' });
+    if (body.status !== undefined && !inbox.STATUSES.includes(body.status)) {
+      return jsonResponse(400, { error: `"status" must be one of: ${inbox.STATUSES.join(', ')}` });
+    }
+    const limit = Math.min(Math.max(parseInt(body.limit || '100', 10) || 100, 1), 500);
+    const events = await services.repository().listWebhooks({
+      status: body.status,
+      provider: body.provider,
+      kitId: body.kit_id,
+      limit,
+    });
+    return jsonResponse(200, { events });
+  } catch (error) {
+    log.error('listWebhookInbox error', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+      return jsonResponse(500, { error: 'Database connection failed' });
+    }
+    if (error.code === '42P01') {
+      return jsonResponse(500, { error: `Table "${inbox.INBOX_TABLE}" not found.` });
+    }
+    throw error;
+  }
+};
+
+const REPLAY_LIMIT = 100;
+
+/**
+ * POST /webhooks/inbox/replay — Process stored webhooks again with their provider's logic (e.g. the invitee.created
+ * handling), after the database was down or for a participant created late. Signatures were checked on receipt
+ * and are not checked again; the audit log records this route and the calling key.
+ * Body: { id: number, force?: boolean } — one failed event (with force, one in any status), or
+ *       { all: true, limit?: number (max 100) } — the oldest failed events.
+ * Returns { ok, replayed, results: [{ id, status, error? }] }.
+ */
+exports.replayWebhooks = async (event) => {
+  try {
+    const body = parseJsonBody(event);
+    if (body === null) return jsonResponse(400, { error: 'Request body must be valid JSON' });
+    if (body.id !== undefined && !Number.isInteger(body.id)) {
+      return jsonResponse(400, { error: '"id" must be an integer' });
+    }
+    if (body.id === undefined && body.all !== true) {
+      return jsonResponse(400, { error: 'Send "id" or "all": true' });
+    }
+
+    const repository = services.repository();
+    const claimed = [];
+    if (body.id !== undefined) {
+      const row = await repository.claimWebhook(body.id, body.force === true ? inbox.STATUSES : ['failed']);
+      if (!row) {
+        return jsonResponse(409, { error: `Webhook ${body.id} is not a failed inbox event; send "force": true to replay it in any status` });
+      }
+      claimed.push(row);
+    } else {
+      const limit = Math.min(Math.max(parseInt(body.limit || String(REPLAY_LIMIT), 10) || REPLAY_LIMIT, 1), REPLAY_LIMIT);
+      for (const { id } of await repository.listWebhooks({ status: 'failed', limit, oldestFirst: true })) {
+        const row = await repository.claimWebhook(id, ['failed']);
+        if (row) claimed.push(row);
+      }
+    }
+
+    const results = [];
+    for (const row of claimed) {
+      const replayEvent = {
+        headers: row.headers,
+        body: row.raw_body,
+        rawPath: event.rawPath || event.path,
+        requestContext: event.requestContext,
+        apiKey: event.apiKey,
+      };
+      let payload;
+      try {
+        payload = JSON.parse(row.raw_body);
+      } catch {
+        payload = {};
+      }
+      const result = await runInboxEvent(row.id, row.provider, payload, replayEvent);
+      results.push({ id: row.id, status: result.status, ...(result.status === 'failed' ? { error: result.response.error } : {}) });
+    }
+    const caller = event.apiKey || {};
+    log.info('Webhooks replayed', { ids: results.map((r) => r.id), key_id: caller.id, key_name: caller.name });
+    return jsonResponse(200, { ok: true, replayed: results.length, results });
+  } catch (error) {
+    log.error('replayWebhooks error', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+      return jsonResponse(500, { error: 'Database connection failed' });
+    }
+    if (error.code === '42P01') {
+      return jsonResponse(500, { error: `Table "${inbox.INBOX_TABLE}" not found.` });
+    }
+    throw error;
+  }
+};
+
+/**
+ * GET /openapi.json — The API as an OpenAPI 3.1 document built from lib/routes.js. Public: no API key needed.
+ * The server URL is the domain the request came in on.
+ */
+exports.getOpenApi = async (event) => {
+  const domain = event.requestContext?.domainName;
+  return jsonResponse(200, openapi.document({ serverUrl: domain ? `https://${domain}` : undefined }));
+};
+
+/**
+ * POST /admin/api-keys — Issue an API key. The plaintext key is returned once and never stored.
+ * Body: { name: string, scopes: string[] } (e.g. ["users:read", "consents:write", "state:*"])
+ */
+exports.issueApiKey = async (event) => {
+  try {
+    const body = parseJsonBody(event);
+    if (body === null) return jsonResponse(400, { error: 'Request body must be valid JSON' });
+    if (!body.name || typeof body.name !== 'string') {
+      return jsonResponse(400, { error: '"name" is required and must be a string' });
+    }
+    if (!Array.isArray(body.scopes) || body.scopes.length === 0) {
+      return jsonResponse(400, { error: '"scopes" is required and must be a non-empty array' });
+    }
+    const invalid = body.scopes.filter((scope) => !apiKeys.isValidScope(scope));
+    if (invalid.length > 0) {
+      return jsonResponse(400, { error: `Invalid scopes: ${invalid.join(', ')}. Use "<resource>:<read|write|*>".` });
+    }
+    const db = getPool();
+    const { key, record } = await apiKeys.issue(db, { name: body.name.trim(), scopes: body.scopes });
+    log.info('API key issued', { id: record.id, key_name: record.name, scopes: record.scopes, by: event.apiKey?.name });
+    return jsonResponse(201, { ok: true, key, api_key: record });
+  } catch (error) {
+    log.error('issueApiKey error', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+      return jsonResponse(500, { error: 'Database connection failed' });
+    }
+    if (error.code === '42P01') {
+      return jsonResponse(500, { error: `Table "${apiKeys.API_KEYS_TABLE}" not found.` });
+    }
+    throw error;
+  }
+};
+
+/**
+ * POST /admin/api-keys/list — List API keys (never the keys themselves).
+ * Body: { include_revoked?: boolean }
+ */
+exports.listApiKeys = async (event) => {
+  try {
+    const body = parseJsonBody(event);
+    if (body === null) return jsonResponse(400, { error: 'Request body must be valid JSON' });
+    const db = getPool();
+    const keys = await apiKeys.list(db, { includeRevoked: body.include_revoked === true });
+    return jsonResponse(200, { api_keys: keys });
+  } catch (error) {
+    log.error('listApiKeys error', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+      return jsonResponse(500, { error: 'Database connection failed' });
+    }
+    if (error.code === '42P01') {
+      return jsonResponse(500, { error: `Table "${apiKeys.API_KEYS_TABLE}" not found.` });
+    }
+    throw error;
+  }
+};
+
+/**
+ * POST /admin/api-keys/revoke — Revoke an API key.
+ * Body: { id: number }
+ */
+exports.revokeApiKey = async (event) => {
+  try {
+    const body = parseJsonBody(event);
+    if (body === null) return jsonResponse(400, { error: 'Request body must be valid JSON' });
+    if (!Number.isInteger(body.id)) {
+      return jsonResponse(400, { error: '"id" is required and must be an integer' });
+    }
+    const db = getPool();
+    const revoked = await apiKeys.revoke(db, body.id);
+    if (!revoked) return jsonResponse(404, { error: 'Active API key not found', id: body.id });
+    log.info('API key revoked', { id: revoked.id, key_name: revoked.name, by: event.apiKey?.name });
+    return jsonResponse(200, { ok: true, api_key: revoked });
+  } catch (error) {
+    log.error('revokeApiKey error', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+      return jsonResponse(500, { error: 'Database connection failed' });
+    }
+    if (error.code === '42P01') {
+      return jsonResponse(500, { error: `Table "${apiKeys.API_KEYS_TABLE}" not found.` });
+    }
+    throw error;
+  }
+};
+
+/**
+ * POST /admin/purge-test-data — Delete every test kit (users.is_test) from the kit tables, its /state keys,
+ * undelivered outbox messages and open Airtable failures (lib/sandbox.js). Dry run unless dry_run is false.
+ * Body: { dry_run?: boolean (default true) }
+ */
+exports.purgeTestData = async (event) => {
+  try {
+    const body = parseJsonBody(event);
+    if (body === null) return jsonResponse(400, { error: 'Request body must be valid JSON' });
+    if (body.dry_run !== undefined && typeof body.dry_run !== 'boolean') {
+      return jsonResponse(400, { error: '"dry_run" must be a boolean' });
+    }
+    const dryRun = body.dry_run !== false;
+    const result = await withTransaction((db) => sandbox.purgeTestData(db, { dryRun }));
+    const caller = event.apiKey || {};
+    log.info(dryRun ? 'purgeTestData dry run' : 'purgeTestData purged', {
+      kits: result.kit_ids.length,
+      counts: result.counts,
+      key_id: caller.id,
+      key_name: caller.name,
+    });
+    return jsonResponse(200, {
+      ok: true,
+      dry_run: dryRun,
+      kits: result.kit_ids.length,
+      kit_ids: result.kit_ids,
+      [dryRun ? 'would_delete' : 'deleted']: result.counts,
+    });
+  } catch (error) {
+    log.error('purgeTestData error', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+      return jsonResponse(500, { error: 'Database connection failed' });
+    }
+    if (error.code === '42P01') {
+      return jsonResponse(500, { error: 'A table touched by the purge is missing; run migrations.' });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Kit ids for a privacy request body: { kit_id } or { email } (every kit whose users row has it).
+ * Returns { subject, kitIds } or { error }.
+ */
+async function privacySubject(repo, body) {
+  const hasKit = body.kit_id !== undefined;
+  const hasEmail = body.email !== undefined;
+  if (hasKit === hasEmail) return { error: 'Send exactly one of "kit_id" or "email"' };
+  if (hasKit) {
+    if (!body.kit_id || typeof body.kit_id !== 'string') return { error: '"kit_id" must be a non-empty string' };
+    return { subject: { kit_id: body.kit_id }, kitIds: [body.kit_id] };
+  }
+  if (!body.email || typeof body.email !== 'string') return { error: '"email" must be a non-empty string' };
+  const users = await repo.findUsersByEmail(body.email);
+  return { subject: { email: body.email.trim() }, kitIds: [...new Set(users.map((u) => u.kit_id))] };
+}
+
+/**
+ * POST /privacy/export — Everything held for a participant as one JSON document (lib/privacy.js).
+ * Body: { kit_id: string } or { email: string }
+ * Returns { exported_at, subject, kits: [{ kit_id, users, consents, reports, actions, kits, state,
+ * consent_events, audit_log, outbox, airtable_failures }] }, or 404 when nothing is held.
+ */
+exports.exportPersonalData = async (event) => {
+  try {
+    const body = parseJsonBody(event);
+    if (body === null) return jsonResponse(400, { error: 'Request body must be valid JSON' });
+    const result = await services.repository().transaction(async (repo) => {
+      const found = await privacySubject(repo, body);
+      if (found.error) return found;
+      const kits = [];
+      for (const kitId of found.kitIds) kits.push(await repo.exportKitData(kitId));
+      return { subject: found.subject, kits: kits.filter((doc) => !privacy.isEmptyExport(doc)) };
+    });
+    if (result.error) return jsonResponse(400, { error: result.error });
+    if (result.kits.length === 0) return jsonResponse(404, { error: 'No data held for this participant', ...result.subject });
+    const caller = event.apiKey || {};
+    log.info('Personal data exported', { kit_ids: result.kits.map((k) => k.kit_id), key_id: caller.id, key_name: caller.name });
+    return jsonResponse(200, { exported_at: new Date().toISOString(), subject: result.subject, kits: result.kits });
+  } catch (error) {
+    log.error('exportPersonalData error', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+      return jsonResponse(500, { error: 'Database connection failed' });
+    }
+    if (error.code === '42P01') {
+      return jsonResponse(500, { error: 'A table holding participant data is missing; run migrations.' });
+    }
+    throw error;
+  }
+};
+
+/**
+ * POST /privacy/erase — Anonymize or delete a participant's data in one transaction, tell Airtable and leave a
+ * tombstone so /users/create and Calendly webhooks don't bring the user back (lib/privacy.js). Each erased kit gets
+ * an audit row, and so a change event, naming its tombstone.
+ * Body: { kit_id: string } or { email: string }, plus mode?: 'anonymize' | 'delete' (default 'anonymize')
+ * Returns { ok, mode, erased_at, kit_ids, counts: { table: rows }, airtable: [{ kit_id, ok | skipped }] },
+ * or 404 when nothing is held.
+ */
+exports.erasePersonalData = async (event) => {
+  try {
+    const body = parseJsonBody(event);
+    if (body === null) return jsonResponse(400, { error: 'Request body must be valid JSON' });
+    const mode = body.mode === undefined ? 'anonymize' : body.mode;
+    if (!privacy.MODES.includes(mode)) {
+      return jsonResponse(400, { error: `"mode" must be one of: ${privacy.MODES.join(', ')}` });
+    }
+
+    const erasedAt = new Date().toISOString();
+    const result = await services.repository().transaction(async (repo) => {
+      const found = await privacySubject(repo, body);
+      if (found.error) return found;
+      const kits = [];
+      for (const kitId of found.kitIds) {
+        const rows = await repo.loadKitRows(kitId, { lock: true });
+        if (Object.values(rows).some(Boolean)) kits.push({ kitId, user: rows.users });
+      }
+      if (kits.length === 0) return { subject: found.subject, kits };
+      const counts = await repo.eraseKitData(kits.map((k) => k.kitId), mode);
+      for (const { kitId, user } of kits) {
+        const tombstoneId = await repo.recordErasure({ kitId, email: (user && user.email) || body.email, mode, apiEvent: event });
+        await repo.recordChange(privacy.erasureEntry({ kitId, tombstoneId, mode, apiEvent: event }));
+      }
+      return { subject: found.subject, kits, counts };
+    });
+    if (result.error) return jsonResponse(400, { error: result.error });
+    if (result.kits.length === 0) return jsonResponse(404, { error: 'No data held for this participant', ...result.subject });
+
+    // Erased kits are told to Airtable even when their consent was withdrawn, so this skips airtableTargetFor.
+    const fields = privacy.airtableFields(erasedAt);
+    const synced = [];
+    for (const { kitId, user } of result.kits) {
+      const target = sandbox.airtableTarget(user, kitId);
+      if (target.skip) {
+        synced.push({ kit_id: kitId, skipped: 'test kit' });
+        continue;
+      }
+      const outcome = await airtable.syncToAirtable(kitId, fields, target);
+      synced.push({ kit_id: kitId, ok: outcome.ok });
+      if (!outcome.ok) {
+        await services.repository().recordAirtableFailure({ kitId, tableName: TABLES.users, fields, outcome })
+          .catch((err) => log.error('erasePersonalData: could not log Airtable failure', { kit_id: kitId, error: err.message }));
+      }
+    }
+
+    const kitIds = result.kits.map((k) => k.kitId);
+    const caller = event.apiKey || {};
+    log.info('Personal data erased', { kit_ids: kitIds, mode, counts: result.counts, key_id: caller.id, key_name: caller.name });
+    return jsonResponse(200, { ok: true, mode, erased_at: erasedAt, kit_ids: kitIds, counts: result.counts, airtable: synced });
+  } catch (error) {
+    log.error('erasePersonalData error', error);
+    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+      return jsonResponse(500, { error: 'Database connection failed' });
+    }
+    if (error.code === '42P01') {
+      return jsonResponse(500, { error: 'A table holding participant data is missing; run migrations.' });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Wrap an HTTP handler so it needs an API key carrying scope. The key is passed on as event.apiKey
+ * ({ id, name, prefix, scopes }) so writes can be attributed; 401 without a valid key, 403 without the scope.
+ */
+function requireApiKey(scope, handler) {
+  return async (event) => {
+    const key = apiKeys.extractKey(event);
+    if (!key) return jsonResponse(401, { error: 'API key required (Authorization: Bearer <key> or X-Api-Key)' });
+    let record;
+    try {
+      record = await services.repository().authenticateApiKey(key);
+    } catch (error) {
+      log.error('requireApiKey error', error);
+      if (error.code === '42P01') {
+        return jsonResponse(500, { error: `Table "${apiKeys.API_KEYS_TABLE}" not found.` });
+      }
+      return jsonResponse(500, { error: 'Database connection failed' });
+    }
+    if (!record) return jsonResponse(401, { error: 'Invalid or revoked API key' });
+    if (!apiKeys.hasScope(record.scopes, scope)) {
+      return jsonResponse(403, { error: `API key lacks scope "${scope}"`, scopes: record.scopes });
+    }
+    const caller = { id: record.id, name: record.name, prefix: record.key_prefix, scopes: record.scopes };
+    if (scope.endsWith(':write')) {
+      log.info('API write', { key_id: caller.id, key_name: caller.name, key_prefix: caller.prefix, scope, route: event.rawPath || event.path });
+    }
+    return handler({ ...event, apiKey: caller });
+  };
+}
+
+/**
+ * Scope required by each HTTP handler, from the route registry (lib/routes.js). webhookActions authenticates with
+ * webhook signatures instead, getOpenApi is public, and the scheduled functions (SCHEDULED_HANDLERS) are not
+ * reachable over HTTP.
+ */
+const HANDLER_SCOPES = routes.handlerScopes();
+
+const SCHEDULED_HANDLERS = ['sweepExpiredState', 'dispatchOutbox', 'reconcileAirtableJob', 'sendStuckKitReminders'];
+
+let schemaVerified = false;
+
+/**
+ * Check once per container that the tables and columns in migrations.REQUIRED_COLUMNS exist.
+ * Returns null when they do, otherwise an error body naming what is missing. Only a passing check is
+ * remembered, so a container recovers as soon as migrations have been run. Skipped for non-Postgres repositories.
+ */
+async function schemaProblem() {
+  if (schemaVerified || services.repository().kind !== 'postgres') return null;
+  let result;
+  try {
+    result = await migrations.checkSchema(getPool());
+  } catch (error) {
+    log.error('Schema check error', error);
+    return { error: 'Database connection failed' };
+  }
+  if (result.ok) {
+    schemaVerified = true;
+    return null;
+  }
+  log.error('Database schema is behind the code', result);
+  return {
+    error: 'Database schema is missing tables or columns; run "npm run migrate -- up"',
+    missing_tables: result.missingTables,
+    missing_columns: result.missingColumns,
+  };
+}
+
+/** Answer 400 when the request body doesn't match the handler's schema in lib/routes.js. */
+function requireValidBody(name, handler) {
+  const route = routes.forHandler(name);
+  return async (event) => {
+    const problem = openapi.checkBody(route, event);
+    if (problem) return jsonResponse(400, problem);
+    return handler(event);
+  };
+}
+
+/**
+ * Run a write at most once per Idempotency-Key (lib/idempotency.js): the first response is stored and replayed to
+ * retries with the same key, a different request reusing the key gets 422 and one still running 409. scope
+ * namespaces the keys (the calling API key). Requests without the header just run.
+ */
+async function idempotent(event, scope, run) {
+  const key = idempotency.keyOf(event);
+  if (key === undefined) return run();
+  if (key === null) {
+    return jsonResponse(400, { error: `"${idempotency.HEADER}" must be 1-255 printable ASCII characters` });
+  }
+  const repository = services.repository();
+  const hash = idempotency.requestHash(event);
+  let claim;
+  try {
+    claim = await repository.claimIdempotencyKey({
+      scope,
+      key,
+      requestHash: hash,
+      kitId: idempotency.kitIdOf(event),
+      ttlHours: idempotency.ttlHours(),
+    });
+  } catch (error) {
+    log.error('idempotency claim error', error);
+    if (error.code === '42P01') {
+      return jsonResponse(500, { error: `Table "${idempotency.IDEMPOTENCY_TABLE}" not found.` });
+    }
+    return jsonResponse(503, { error: `${idempotency.HEADER} could not be checked; retry later` });
+  }
+  if (!claim.claimed) {
+    log.info('Idempotent request answered from the stored response', { scope, status: claim.row.status });
+    return idempotency.answerFor(claim.row, hash, jsonResponse);
+  }
+
+  let response;
+  try {
+    response = await run();
+  } catch (error) {
+    await repository.releaseIdempotencyKey(claim.id).catch((err) => log.error('idempotency release error', err));
+    throw error;
+  }
+  try {
+    if (response.statusCode >= 500) await repository.releaseIdempotencyKey(claim.id);
+    else await repository.completeIdempotencyKey(claim.id, response);
+  } catch (error) {
+    log.error('idempotency store error', error);
+  }
+  return response;
+}
+
+/** For routes marked idempotent in lib/routes.js: honour Idempotency-Key per calling API key. */
+function requireIdempotency(name, handler) {
+  if (!routes.forHandler(name)?.idempotent) return handler;
+  return (event) => idempotent(event, `api_key:${event.apiKey.id}`, () => handler(event));
+}
+
+/** Run handler only once the schema check passes; otherwise answer with respond(errorBody). */
+function requireSchema(handler, respond) {
+  return async (event, context) => {
+    const problem = await schemaProblem();
+    if (problem) return respond(problem);
+    return handler(event, context);
+  };
+}
+
+for (const [name, scope] of Object.entries(HANDLER_SCOPES)) {
+  exports[name] = requireSchema(
+    requireApiKey(scope, requireValidBody(name, requireIdempotency(name, exports[name]))),
+    (body) => jsonResponse(500, body)
+  );
+}
+// Nothing is stored when the check fails, so answer 503 (as when the inbox can't be written) and let the sender retry.
+exports.webhookActions = requireSchema(exports.webhookActions, (body) => jsonResponse(503, { ok: false, ...body }));
+for (const name of SCHEDULED_HANDLERS) {
+  exports[name] = requireSchema(exports[name], (body) => {
+    throw new Error(`${name}: ${body.error} ${JSON.stringify({ tables: body.missing_tables, columns: body.missing_columns })}`);
+  });
+}
+for (const name of [...Object.keys(HANDLER_SCOPES), 'webhookActions', 'getOpenApi', ...SCHEDULED_HANDLERS]) {
+  exports[name] = log.handler(name, exports[name]);
+}
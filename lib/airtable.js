@@ -0,0 +1,232 @@
+/**
+ * Airtable mirror — pushes kit table columns to the Airtable lambda, records failed pushes,
+ * and compares Postgres against Airtable for drift.
+ *
+ * Which columns are mirrored is configured per table with AIRTABLE_SYNC_TABLES (JSON), e.g.
+ *   {"actions": "*", "consents": "*", "users": ["first_name", "email"]}
+ * "*" mirrors every column a handler writes; a list mirrors only those columns; a missing table is not synced.
+ *
+ * Expects table: airtable_sync_failures (migrations/0005_airtable_sync_failures.up.sql).
+ */
+
+const { InvokeCommand } = require('@aws-sdk/client-lambda');
+const services = require('./services');
+const log = require('./log');
+
+const AIRTABLE_UPDATE_URL = 'https://k9p740qez4.execute-api.us-east-1.amazonaws.com/update';
+const FAILURES_TABLE = 'airtable_sync_failures';
+const SAFE_COLUMN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+const DEFAULT_SYNC_TABLES = { actions: '*', consents: '*' };
+/** Bookkeeping columns that are never mirrored or compared. */
+const UNMIRRORED_COLUMNS = ['id', 'kit_id', 'created_at', 'updated_at'];
+
+/** Convert snake_case to "Title Case" (e.g. appointment_made → "Appointment Made"). */
+function toTitleCase(snakeStr) {
+  return snakeStr.split('_').map((s) => s.charAt(0).toUpperCase() + s.slice(1).toLowerCase()).join(' ');
+}
+
+/** Per-table sync config from AIRTABLE_SYNC_TABLES, falling back to actions and consents only. */
+function syncTables() {
+  const raw = process.env.AIRTABLE_SYNC_TABLES;
+  if (!raw) return DEFAULT_SYNC_TABLES;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    log.error('AIRTABLE_SYNC_TABLES is not valid JSON; using defaults', { value: raw });
+    return DEFAULT_SYNC_TABLES;
+  }
+}
+
+/** The subset of updates that table mirrors to Airtable ({} when the table isn't synced). */
+function mirroredFields(tableName, updates) {
+  const setting = syncTables()[tableName];
+  if (!setting) return {};
+  return Object.fromEntries(Object.entries(updates).filter(([col]) => SAFE_COLUMN.test(col)
+    && !UNMIRRORED_COLUMNS.includes(col)
+    && (setting === '*' || (Array.isArray(setting) && setting.includes(col)))));
+}
+
+async function invokeLambda(functionName, payload) {
+  const { Payload, FunctionError } = await services.lambda().send(new InvokeCommand({
+    FunctionName: functionName,
+    InvocationType: 'RequestResponse',
+    Payload: JSON.stringify(payload),
+  }));
+  return {
+    FunctionError,
+    result: Payload ? JSON.parse(new TextDecoder().decode(Payload)) : {},
+  };
+}
+
+/**
+ * POST updates to Airtable API. Fields use Title Case keys (e.g. toc_agreed → "Toc Agreed"). Logs if user/kit not found.
+ * options.lambdaArn sends the update through that lambda instead of AIRTABLE_LAMBDA_ARN (test kits' sandbox target).
+ * Returns { ok: true } or { ok: false, reason: 'not_found' | 'error', status?, error? }; never throws.
+ * Each failure is counted in the AirtableSyncFailure metric by reason.
+ */
+async function syncToAirtable(kitId, updates, options = {}) {
+  const outcome = await pushToAirtable(kitId, updates, options);
+  if (!outcome.ok) log.metric('AirtableSyncFailure', { Reason: outcome.reason });
+  return outcome;
+}
+
+async function pushToAirtable(kitId, updates, options) {
+  const columns = Object.keys(updates).filter((k) => SAFE_COLUMN.test(k));
+  if (columns.length === 0) return { ok: true };
+  const fields = columns.map((col) => {
+    const titleKey = toTitleCase(col);
+    return { [titleKey]: updates[col] };
+  });
+  const payload = { kit_id: kitId, fields };
+
+  const lambdaArn = options.lambdaArn || process.env.AIRTABLE_LAMBDA_ARN;
+  if (lambdaArn) {
+    try {
+      const { FunctionError, result } = await invokeLambda(lambdaArn, payload);
+      if (FunctionError) {
+        log.error('syncToAirtable Lambda error', { kit_id: kitId, FunctionError });
+        return { ok: false, reason: 'error', error: FunctionError };
+      }
+      const statusCode = result.statusCode ?? 200;
+      if (statusCode === 404 || (result.body && /not found|user not found/i.test(String(result.body)))) {
+        log.info('syncToAirtable: user/kit not found', { kit_id: kitId, statusCode });
+        return { ok: false, reason: 'not_found', status: statusCode };
+      } else if (statusCode >= 400) {
+        log.error('syncToAirtable failed', { kit_id: kitId, statusCode, body: result.body });
+        return { ok: false, reason: 'error', status: statusCode, error: String(result.body ?? '') };
+      }
+    } catch (err) {
+      log.error('syncToAirtable error', { kit_id: kitId, error: err.message });
+      return { ok: false, reason: 'error', error: err.message };
+    }
+    return { ok: true };
+  }
+
+  try {
+    const res = await services.fetch()(AIRTABLE_UPDATE_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+    });
+    if (!res.ok) {
+      const text = await res.text();
+      if (res.status === 404 || (text && /not found|user not found/i.test(text))) {
+        log.info('syncToAirtable: user/kit not found', { kit_id: kitId, status: res.status });
+        return { ok: false, reason: 'not_found', status: res.status };
+      }
+      log.error('syncToAirtable failed', { kit_id: kitId, status: res.status, body: text });
+      return { ok: false, reason: 'error', status: res.status, error: text };
+    }
+  } catch (err) {
+    log.error('syncToAirtable error', { kit_id: kitId, error: err.message });
+    return { ok: false, reason: 'error', error: err.message };
+  }
+  return { ok: true };
+}
+
+/**
+ * Read a kit's Airtable record through AIRTABLE_READ_LAMBDA_ARN (invoked with { kit_id }).
+ * Returns { found: true, fields } with Title Case keys, or { found: false }. Throws on lambda errors.
+ */
+async function fetchAirtableRecord(kitId) {
+  const lambdaArn = process.env.AIRTABLE_READ_LAMBDA_ARN;
+  if (!lambdaArn) throw new Error('AIRTABLE_READ_LAMBDA_ARN not set');
+  const { FunctionError, result } = await invokeLambda(lambdaArn, { kit_id: kitId });
+  if (FunctionError) throw new Error(`Airtable read lambda error: ${FunctionError}`);
+  const statusCode = result.statusCode ?? 200;
+  if (statusCode === 404) return { found: false };
+  if (statusCode >= 400) throw new Error(`Airtable read failed (${statusCode}): ${result.body}`);
+  const body = typeof result.body === 'string' ? JSON.parse(result.body) : result.body || result;
+  return { found: true, fields: body.fields || {} };
+}
+
+/** Normalise a value for comparison: Airtable omits unchecked boxes and empty cells, and returns dates as ISO strings. */
+function comparable(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (value === undefined || value === null || value === false || value === '') return null;
+  if (typeof value === 'string' && !Number.isNaN(Date.parse(value)) && /^\d{4}-\d{2}-\d{2}T/.test(value)) {
+    return new Date(value).toISOString();
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Compare a kit's rows ({ table: row|null }) against its Airtable fields.
+ * Tables synced with "*" are compared on the columns present in the Airtable record; explicit lists on every listed column.
+ * Returns [{ table, column, field, postgres, airtable }] for each mismatch.
+ */
+function diffKit(rows, airtableFields) {
+  const differences = [];
+  for (const [table, setting] of Object.entries(syncTables())) {
+    const row = rows[table];
+    if (!row || !setting) continue;
+    const columns = setting === '*'
+      ? Object.keys(row).filter((c) => !UNMIRRORED_COLUMNS.includes(c) && toTitleCase(c) in airtableFields)
+      : setting;
+    for (const column of columns) {
+      const field = toTitleCase(column);
+      if (comparable(row[column]) !== comparable(airtableFields[field])) {
+        differences.push({ table, column, field, postgres: row[column] ?? null, airtable: airtableFields[field] ?? null });
+      }
+    }
+  }
+  return differences;
+}
+
+/** Persist a failed sync so it can be listed and retried. */
+async function recordFailure(db, { kitId, tableName, fields, outcome }) {
+  const result = await db.query(
+    `INSERT INTO ${FAILURES_TABLE} (kit_id, table_name, fields, reason, status_code, error)
+     VALUES ($1, $2, $3::jsonb, $4, $5, $6) RETURNING id`,
+    [kitId, tableName, JSON.stringify(fields), outcome.reason, outcome.status ?? null, outcome.error ?? null]
+  );
+  return result.rows[0].id;
+}
+
+/** Failure log rows, newest first. filters: { kitId?, includeResolved?, ids?, limit? } */
+async function listFailures(db, { kitId, includeResolved = false, ids, limit = 100 } = {}) {
+  const where = [];
+  const params = [];
+  if (!includeResolved) where.push('resolved_at IS NULL');
+  if (kitId) {
+    params.push(kitId);
+    where.push(`kit_id = $${params.length}`);
+  }
+  if (ids) {
+    params.push(ids);
+    where.push(`id = ANY($${params.length}::bigint[])`);
+  }
+  params.push(limit);
+  const result = await db.query(
+    `SELECT id, kit_id, table_name, fields, reason, status_code, error, attempts, created_at, last_attempt_at, resolved_at
+     FROM ${FAILURES_TABLE}${where.length ? ` WHERE ${where.join(' AND ')}` : ''}
+     ORDER BY created_at DESC, id DESC LIMIT $${params.length}`,
+    params
+  );
+  return result.rows;
+}
+
+/** Record the result of retrying a logged failure: resolved on success, otherwise the new error. */
+async function recordRetry(db, id, outcome) {
+  await db.query(
+    `UPDATE ${FAILURES_TABLE}
+     SET attempts = attempts + 1, last_attempt_at = now(),
+         resolved_at = CASE WHEN $2 THEN now() ELSE NULL END,
+         reason = COALESCE($3, reason), status_code = $4, error = $5
+     WHERE id = $1`,
+    [id, outcome.ok, outcome.ok ? null : outcome.reason, outcome.status ?? null, outcome.ok ? null : outcome.error ?? null]
+  );
+}
+
+module.exports = {
+  FAILURES_TABLE,
+  toTitleCase,
+  syncTables,
+  mirroredFields,
+  syncToAirtable,
+  fetchAirtableRecord,
+  diffKit,
+  recordFailure,
+  listFailures,
+  recordRetry,
+};
@@ -0,0 +1,146 @@
+/**
+ * Pilot funnel — how many kits reached each stage, conversion between stages and the median time each step took,
+ * read from the five kit tables (and the audit log for when flags were set). Behind POST /analytics/funnel.
+ *
+ *   created           users row (users.created_at)
+ *   toc_agreed        consents.toc_agreed (consents.agreed_at, else consents.created_at)
+ *   report_available  a reports row (the first reports.created_at)
+ *   appointment_made  actions.appointment_made (first audit row setting it true)
+ *   pdf_email_sent    actions.pdf_email_sent (first audit row setting it true)
+ *
+ * The funnel is cumulative: a kit counts at a stage only if it also reached every earlier one. A stage's time can be
+ * unknown (a flag set before the audit log existed); such kits are counted but left out of the medians.
+ * Cohorts group kits by the UTC week (starting Monday) of users.created_at.
+ */
+
+const { AUDIT_TABLE } = require('./audit');
+
+const STAGES = ['created', 'toc_agreed', 'report_available', 'appointment_made', 'pdf_email_sent'];
+const COHORTS = ['week'];
+const HOUR_MS = 3600 * 1000;
+const CSV_COLUMNS = ['cohort', 'stage', 'kits', 'conversion_from_previous', 'conversion_from_start', 'median_hours_from_previous'];
+
+/**
+ * One row per kit created in the range: { kit_id, created_at, toc_agreed_at, report_available_at, ... } plus a
+ * reached_<stage> flag for each stage after created. filters: { from?, to?, includeTest? } (from/to inclusive ISO).
+ */
+async function loadKits(db, { from, to, includeTest = false }) {
+  const firstSetTrue = (column) => `(SELECT min(l.created_at) FROM ${AUDIT_TABLE} l
+       WHERE l.table_name = 'actions' AND l.kit_id = u.kit_id AND l.changes->'${column}'->>'after' = 'true')`;
+  const result = await db.query(
+    `SELECT u.kit_id, u.created_at,
+       EXISTS (SELECT 1 FROM consents c WHERE c.kit_id = u.kit_id AND c.toc_agreed) AS reached_toc_agreed,
+       (SELECT min(COALESCE(c.agreed_at, c.created_at)) FROM consents c WHERE c.kit_id = u.kit_id AND c.toc_agreed) AS toc_agreed_at,
+       EXISTS (SELECT 1 FROM reports r WHERE r.kit_id = u.kit_id) AS reached_report_available,
+       (SELECT min(r.created_at) FROM reports r WHERE r.kit_id = u.kit_id) AS report_available_at,
+       EXISTS (SELECT 1 FROM actions a WHERE a.kit_id = u.kit_id AND a.appointment_made) AS reached_appointment_made,
+       ${firstSetTrue('appointment_made')} AS appointment_made_at,
+       EXISTS (SELECT 1 FROM actions a WHERE a.kit_id = u.kit_id AND a.pdf_email_sent) AS reached_pdf_email_sent,
+       ${firstSetTrue('pdf_email_sent')} AS pdf_email_sent_at
+     FROM users u
+     WHERE ($1::timestamptz IS NULL OR u.created_at >= $1)
+       AND ($2::timestamptz IS NULL OR u.created_at <= $2)
+       AND ($3 OR u.is_test IS NOT TRUE)
+     ORDER BY u.created_at, u.kit_id`,
+    [from ?? null, to ?? null, includeTest]
+  );
+  return result.rows;
+}
+
+function timeOf(value) {
+  if (value == null) return null;
+  const ms = (value instanceof Date ? value : new Date(value)).getTime();
+  return Number.isNaN(ms) ? null : ms;
+}
+
+/** The Monday (UTC) starting the week of a timestamp, as YYYY-MM-DD. */
+function weekOf(value) {
+  const date = new Date(timeOf(value));
+  date.setUTCHours(0, 0, 0, 0);
+  date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return date.toISOString().slice(0, 10);
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function ratio(count, of) {
+  return of > 0 ? Math.round((count / of) * 10000) / 10000 : null;
+}
+
+/** [{ stage, kits, conversion_from_previous, conversion_from_start, median_hours_from_previous }] for kits. */
+function summarize(kits) {
+  let remaining = kits;
+  const stages = [];
+  STAGES.forEach((stage, i) => {
+    const previous = remaining;
+    if (i > 0) remaining = previous.filter((kit) => kit[`reached_${stage}`]);
+    const hours = i === 0 ? [] : remaining
+      .map((kit) => [timeOf(kit[`${STAGES[i - 1]}_at`]), timeOf(kit[`${stage}_at`])])
+      .filter(([start, end]) => start !== null && end !== null)
+      .map(([start, end]) => (end - start) / HOUR_MS);
+    const middle = median(hours);
+    stages.push({
+      stage,
+      kits: remaining.length,
+      conversion_from_previous: i === 0 ? null : ratio(remaining.length, previous.length),
+      conversion_from_start: i === 0 ? null : ratio(remaining.length, kits.length),
+      median_hours_from_previous: middle === null ? null : Math.round(middle * 100) / 100,
+    });
+  });
+  return stages;
+}
+
+/**
+ * The funnel for rows from loadKits: { stages: STAGES, total: { kits, stages }, cohorts? }.
+ * With cohort "week", cohorts lists { cohort: week start, kits, stages } oldest first.
+ */
+function funnel(kits, { cohort } = {}) {
+  const report = { stages: STAGES, total: { kits: kits.length, stages: summarize(kits) } };
+  if (cohort === 'week') {
+    const groups = new Map();
+    for (const kit of kits) {
+      const week = weekOf(kit.created_at);
+      if (!groups.has(week)) groups.set(week, []);
+      groups.get(week).push(kit);
+    }
+    report.cohorts = [...groups.keys()].sort().map((week) => ({
+      cohort: week,
+      kits: groups.get(week).length,
+      stages: summarize(groups.get(week)),
+    }));
+  }
+  return report;
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** The funnel as CSV: one line per cohort and stage, the totals first with cohort "all". */
+function toCsv(report) {
+  const groups = [{ cohort: 'all', stages: report.total.stages }, ...(report.cohorts || [])];
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const group of groups) {
+    for (const stage of group.stages) {
+      lines.push(CSV_COLUMNS.map((column) => csvField(column === 'cohort' ? group.cohort : stage[column])).join(','));
+    }
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  STAGES,
+  COHORTS,
+  loadKits,
+  weekOf,
+  summarize,
+  funnel,
+  toCsv,
+};
@@ -0,0 +1,99 @@
+/**
+ * API keys with per-resource scopes.
+ *
+ * Keys look like "psm_<43 url-safe chars>" and are sent as "Authorization: Bearer <key>" or "X-Api-Key: <key>".
+ * Only the SHA-256 hash and a short display prefix are stored (table api_keys, migrations/0006_api_keys.up.sql).
+ * Scopes are "<resource>:<read|write>"; either half may be "*" (e.g. "state:*", "*:read"), and "*" grants everything.
+ */
+
+const crypto = require('crypto');
+const { getHeader } = require('./http');
+
+const API_KEYS_TABLE = 'api_keys';
+const KEY_PREFIX = 'psm_';
+const SCOPE = /^(\*|[a-z_]+:(read|write|\*)|\*:(read|write))$/;
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function generateKey() {
+  return KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+}
+
+/** The key from the Authorization (Bearer) or X-Api-Key header, or null. */
+function extractKey(event) {
+  const authorization = getHeader(event, 'Authorization');
+  if (authorization && /^Bearer\s+/i.test(authorization)) return authorization.replace(/^Bearer\s+/i, '').trim() || null;
+  return getHeader(event, 'X-Api-Key') || null;
+}
+
+function isValidScope(scope) {
+  return typeof scope === 'string' && SCOPE.test(scope);
+}
+
+/** True if any granted scope covers the required "<resource>:<action>". */
+function hasScope(granted, required) {
+  const [resource, action] = required.split(':');
+  return (granted || []).some((scope) => scope === '*'
+    || scope === required
+    || scope === `${resource}:*`
+    || scope === `*:${action}`);
+}
+
+/** Look up an active key and touch last_used_at. Returns { id, name, key_prefix, scopes } or null. */
+async function authenticate(db, key) {
+  const result = await db.query(
+    `UPDATE ${API_KEYS_TABLE} SET last_used_at = now()
+     WHERE key_hash = $1 AND revoked_at IS NULL
+     RETURNING id, name, key_prefix, scopes`,
+    [hashKey(key)]
+  );
+  return result.rows[0] || null;
+}
+
+/** Create a key. Returns { key, record }; the plaintext key is only available here. */
+async function issue(db, { name, scopes }) {
+  const key = generateKey();
+  const result = await db.query(
+    `INSERT INTO ${API_KEYS_TABLE} (name, key_hash, key_prefix, scopes)
+     VALUES ($1, $2, $3, $4::text[])
+     RETURNING id, name, key_prefix, scopes, created_at`,
+    [name, hashKey(key), key.slice(0, KEY_PREFIX.length + 6), scopes]
+  );
+  return { key, record: result.rows[0] };
+}
+
+async function list(db, { includeRevoked = false } = {}) {
+  const result = await db.query(
+    `SELECT id, name, key_prefix, scopes, created_at, last_used_at, revoked_at
+     FROM ${API_KEYS_TABLE}${includeRevoked ? '' : ' WHERE revoked_at IS NULL'}
+     ORDER BY created_at, id`
+  );
+  return result.rows;
+}
+
+/** Revoke a key by id. Returns the revoked row, or null if it doesn't exist or was already revoked. */
+async function revoke(db, id) {
+  const result = await db.query(
+    `UPDATE ${API_KEYS_TABLE} SET revoked_at = now()
+     WHERE id = $1 AND revoked_at IS NULL
+     RETURNING id, name, key_prefix, scopes, revoked_at`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  API_KEYS_TABLE,
+  KEY_PREFIX,
+  hashKey,
+  generateKey,
+  extractKey,
+  isValidScope,
+  hasScope,
+  authenticate,
+  issue,
+  list,
+  revoke,
+};
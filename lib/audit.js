@@ -0,0 +1,112 @@
+/**
+ * Append-only audit history for kit table mutations.
+ *
+ * Expects table: kit_audit_log (migrations/0003_kit_audit_log.up.sql). Rows are only ever inserted; each one holds the
+ * before/after values of the columns a request changed, plus the route, request id and API key it came from.
+ * The only exception is erasure of a participant's data, which redacts personal data in them (lib/privacy.js).
+ * Writes are recorded through lib/changefeed.js, which also publishes each row as a change event.
+ */
+
+const AUDIT_TABLE = 'kit_audit_log';
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/** { column: { before, after } } for each column whose value differs between the two rows. */
+function diffRows(before, after, columns) {
+  const cols = columns || Object.keys({ ...(before || {}), ...(after || {}) });
+  const diff = {};
+  for (const col of cols) {
+    const prev = before ? before[col] ?? null : null;
+    const next = after ? after[col] ?? null : null;
+    if (!sameValue(prev, next)) diff[col] = { before: prev, after: next };
+  }
+  return diff;
+}
+
+/** Route, request id and calling API key (set by the auth middleware) of the event that caused a change. */
+function sourceOf(event) {
+  return {
+    route: event?.rawPath || event?.path || event?.routeKey || null,
+    requestId: event?.requestContext?.requestId || null,
+    apiKey: event?.apiKey ? `${event.apiKey.name} (${event.apiKey.prefix})` : null,
+  };
+}
+
+/**
+ * The audit row for a change, or null when nothing actually changed.
+ * entry: { table, kitId, stateKey?, operation, before, after, columns?, event, route?, requestId? }
+ * route/requestId override what is read from event (for scheduled jobs, which have no API route).
+ */
+function buildEntry(entry) {
+  const changes = diffRows(entry.before, entry.after, entry.columns);
+  if (Object.keys(changes).length === 0) return null;
+  const source = sourceOf(entry.event);
+  return {
+    table_name: entry.table,
+    kit_id: entry.kitId ?? null,
+    state_key: entry.stateKey ?? null,
+    operation: entry.operation,
+    changes,
+    source_route: entry.route ?? source.route,
+    request_id: entry.requestId ?? source.requestId,
+    api_key: source.apiKey,
+  };
+}
+
+/** Insert a row built by buildEntry. Returns { id, created_at }. */
+async function insertEntry(db, row) {
+  const result = await db.query(
+    `INSERT INTO ${AUDIT_TABLE} (table_name, kit_id, state_key, operation, changes, source_route, request_id, api_key)
+     VALUES ($1, $2, $3, $4, $5::jsonb, $6, $7, $8) RETURNING id, created_at`,
+    [row.table_name, row.kit_id, row.state_key, row.operation, JSON.stringify(row.changes), row.source_route, row.request_id, row.api_key]
+  );
+  return result.rows[0];
+}
+
+/** Insert one audit row (see buildEntry). Skips the insert when nothing actually changed. */
+async function recordChange(db, entry) {
+  const row = buildEntry(entry);
+  if (!row) return null;
+  return (await insertEntry(db, row)).id;
+}
+
+/**
+ * Audit rows for a kit, oldest first.
+ * filters: { kitId, table?, from?, to?, limit? } — from/to are ISO timestamps (inclusive).
+ */
+async function queryHistory(db, { kitId, table, from, to, limit = 500 }) {
+  const where = ['kit_id = $1'];
+  const params = [kitId];
+  if (table) {
+    params.push(table);
+    where.push(`table_name = $${params.length}`);
+  }
+  if (from) {
+    params.push(from);
+    where.push(`created_at >= $${params.length}`);
+  }
+  if (to) {
+    params.push(to);
+    where.push(`created_at <= $${params.length}`);
+  }
+  params.push(limit);
+  const result = await db.query(
+    `SELECT id, table_name, kit_id, operation, changes, source_route, request_id, api_key, created_at
+     FROM ${AUDIT_TABLE} WHERE ${where.join(' AND ')}
+     ORDER BY created_at, id LIMIT $${params.length}`,
+    params
+  );
+  return result.rows;
+}
+
+module.exports = {
+  AUDIT_TABLE,
+  diffRows,
+  sourceOf,
+  buildEntry,
+  insertEntry,
+  recordChange,
+  queryHistory,
+};
@@ -0,0 +1,108 @@
+/**
+ * Change-data feed — one event per audited write to a kit table or /state key, for downstream systems.
+ *
+ * Every write goes through recordChange, which inserts the audit row (lib/audit.js) and, when CHANGE_FEED_TOPIC_ARN
+ * is set, queues the event on the outbox in the same transaction; dispatchOutbox publishes it with messageAttributes
+ * so subscribers can filter with SNS subscription policies (e.g. { "table": ["actions"], "columns": ["appointment_made"] }).
+ * An event:
+ *
+ *   event_id      the audit row id — the cursor for POST /changes and the key to deduplicate deliveries on
+ *   table         table_name (a kit table or state_machine_state); kit_id, or state_key for /state writes
+ *   operation     insert | update | delete, or erase (table erasure_tombstones) for POST /privacy/erase
+ *   columns       the changed columns; changes holds { column: { before, after } } for each
+ *   source_route  route (or schedule:<function>) and request_id of the write; occurred_at is when it was made
+ *
+ * POST /changes pages through the same events from kit_audit_log, so a consumer that missed deliveries can catch up.
+ * Events newer than SETTLE_SECONDS are held back there: ids are taken when a row is inserted, not when its
+ * transaction commits, and no write transaction outlives a function's 30 s timeout.
+ */
+
+const audit = require('./audit');
+const outbox = require('./outbox');
+
+const MESSAGE_TYPE = outbox.CHANGE_MESSAGE_TYPE;
+const SETTLE_SECONDS = 30;
+
+function topicArn() {
+  return process.env.CHANGE_FEED_TOPIC_ARN || null;
+}
+
+/** The change event for an audit row (as stored, with id and created_at). */
+function buildEvent(row) {
+  const createdAt = row.created_at instanceof Date ? row.created_at.toISOString() : row.created_at;
+  return {
+    message_type: MESSAGE_TYPE,
+    event_id: String(row.id),
+    table: row.table_name,
+    kit_id: row.kit_id ?? null,
+    state_key: row.state_key ?? null,
+    operation: row.operation,
+    columns: Object.keys(row.changes || {}),
+    changes: row.changes,
+    source_route: row.source_route ?? null,
+    request_id: row.request_id ?? null,
+    occurred_at: createdAt ?? null,
+  };
+}
+
+/** SNS message attributes for an event; kit_id and source_route are left out when empty. */
+function messageAttributes(event) {
+  const attributes = {
+    table: { DataType: 'String', StringValue: event.table },
+    operation: { DataType: 'String', StringValue: event.operation },
+    columns: { DataType: 'String.Array', StringValue: JSON.stringify(event.columns) },
+  };
+  if (event.kit_id) attributes.kit_id = { DataType: 'String', StringValue: event.kit_id };
+  if (event.source_route) attributes.source_route = { DataType: 'String', StringValue: event.source_route };
+  return attributes;
+}
+
+/**
+ * Audit a change (entry as for audit.buildEntry) and queue its event when the feed topic is configured.
+ * Returns the audit row id, or null when nothing actually changed.
+ */
+async function recordChange(db, entry) {
+  const row = audit.buildEntry(entry);
+  if (!row) return null;
+  const stored = await audit.insertEntry(db, row);
+  const topic = topicArn();
+  if (topic) {
+    await outbox.enqueue(db, { topicArn: topic, kitId: row.kit_id, message: buildEvent({ ...row, ...stored }) });
+  }
+  return stored.id;
+}
+
+/**
+ * Events after the cursor (an event_id; 0 for the start), oldest first. filters: { after, table?, kitId?, limit? }
+ * Returns limit + 1 rows at most so the caller can tell whether there are more.
+ */
+async function list(db, { after = '0', table, kitId, limit = 100 }) {
+  const params = [after, String(SETTLE_SECONDS)];
+  const where = ['id > $1::bigint', "created_at < now() - ($2 || ' seconds')::interval"];
+  if (table) {
+    params.push(table);
+    where.push(`table_name = $${params.length}`);
+  }
+  if (kitId) {
+    params.push(kitId);
+    where.push(`kit_id = $${params.length}`);
+  }
+  params.push(limit + 1);
+  const result = await db.query(
+    `SELECT id, table_name, kit_id, state_key, operation, changes, source_route, request_id, created_at
+     FROM ${audit.AUDIT_TABLE} WHERE ${where.join(' AND ')}
+     ORDER BY id LIMIT $${params.length}`,
+    params
+  );
+  return result.rows.map(buildEvent);
+}
+
+module.exports = {
+  MESSAGE_TYPE,
+  SETTLE_SECONDS,
+  topicArn,
+  buildEvent,
+  messageAttributes,
+  recordChange,
+  list,
+};
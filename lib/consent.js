@@ -0,0 +1,102 @@
+/**
+ * Consent ledger — every agreement, decline and withdrawal per kit, with terms version, time and source.
+ *
+ * Expects table: consent_events (migrations/0007_consent_events.up.sql). The consents row holds the current
+ * values (toc_agreed, terms_version, agreed_at, withdrawn_at); the ledger is the history behind them.
+ * A withdrawn kit is terminal: PDF emails, Calendly updates, router messages and Airtable sync all refuse to act.
+ */
+
+const { sourceOf } = require('./audit');
+
+const CONSENT_EVENTS_TABLE = 'consent_events';
+const EVENTS = ['agreed', 'declined', 'withdrawn'];
+const STATUS_BY_EVENT = { agreed: 'agreed', declined: 'not_agreed', withdrawn: 'withdrawn' };
+
+/** True when a kit's consents row records a withdrawal. */
+function isWithdrawn(consentRow) {
+  return Boolean(consentRow) && consentRow.withdrawn_at != null;
+}
+
+/**
+ * The ledger row for an event. entry: { kitId, event, termsVersion?, occurredAt?, source?, details?, apiEvent? }
+ * source defaults to the route of apiEvent (the Lambda event that caused it).
+ */
+function buildEvent(entry) {
+  if (!EVENTS.includes(entry.event)) throw new Error(`Unknown consent event "${entry.event}"`);
+  const origin = sourceOf(entry.apiEvent);
+  return {
+    kit_id: entry.kitId,
+    event: entry.event,
+    terms_version: entry.termsVersion ?? null,
+    occurred_at: entry.occurredAt ?? null,
+    source: entry.source ?? origin.route,
+    request_id: origin.requestId,
+    api_key: origin.apiKey,
+    details: entry.details ?? null,
+  };
+}
+
+/** Append one event (see buildEvent). occurred_at defaults to now. Returns the new id. */
+async function record(db, entry) {
+  const row = buildEvent(entry);
+  const result = await db.query(
+    `INSERT INTO ${CONSENT_EVENTS_TABLE} (kit_id, event, terms_version, occurred_at, source, request_id, api_key, details)
+     VALUES ($1, $2, $3, COALESCE($4::timestamptz, now()), $5, $6, $7, $8::jsonb) RETURNING id`,
+    [row.kit_id, row.event, row.terms_version, row.occurred_at, row.source, row.request_id, row.api_key,
+      row.details === null ? null : JSON.stringify(row.details)]
+  );
+  return result.rows[0].id;
+}
+
+/** A kit's events, oldest first. */
+async function history(db, kitId) {
+  const result = await db.query(
+    `SELECT id, kit_id, event, terms_version, occurred_at, source, request_id, api_key, details, created_at
+     FROM ${CONSENT_EVENTS_TABLE} WHERE kit_id = $1 ORDER BY occurred_at, id`,
+    [kitId]
+  );
+  return result.rows;
+}
+
+/**
+ * Consent in force at `at` (Date) given a kit's events, oldest first:
+ * { status: 'none' | 'agreed' | 'not_agreed' | 'withdrawn', terms_version, since, event_id }.
+ * A withdrawal stays in force whatever comes after it.
+ */
+function effectiveAt(events, at = new Date()) {
+  let effective = { status: 'none', terms_version: null, since: null, event_id: null };
+  for (const e of events) {
+    if (new Date(e.occurred_at) > at) break;
+    if (effective.status === 'withdrawn') break;
+    effective = {
+      status: STATUS_BY_EVENT[e.event],
+      terms_version: e.event === 'agreed' ? e.terms_version : effective.terms_version,
+      since: e.occurred_at,
+      event_id: e.id,
+    };
+  }
+  return effective;
+}
+
+/**
+ * Ledger events implied by an update to the consents row: toc_agreed true/false → agreed/declined,
+ * withdrawn_at set → withdrawn. changes are the coerced column values written.
+ */
+function eventsForUpdate(changes) {
+  const events = [];
+  if (changes.toc_agreed === true) events.push({ event: 'agreed', termsVersion: changes.terms_version, occurredAt: changes.agreed_at });
+  if (changes.toc_agreed === false) events.push({ event: 'declined' });
+  if (changes.withdrawn_at) events.push({ event: 'withdrawn', occurredAt: changes.withdrawn_at });
+  return events;
+}
+
+module.exports = {
+  CONSENT_EVENTS_TABLE,
+  EVENTS,
+  isWithdrawn,
+  buildEvent,
+  record,
+  history,
+  effectiveAt,
+  eventsForUpdate,
+};
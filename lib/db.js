@@ -0,0 +1,45 @@
+/**
+ * Shared pg Pool for the Lambda container, configured from the DB_* environment variables.
+ * One connection per container (max: 1), so never query the pool from inside a transaction on it.
+ */
+
+const { Pool } = require('pg');
+const log = require('./log');
+
+let pool = null;
+
+function getPool() {
+  if (!pool) {
+    pool = new Pool({
+      host: process.env.DB_HOST,
+      port: parseInt(process.env.DB_PORT || '5432', 10),
+      database: process.env.DB_NAME,
+      user: process.env.DB_USER,
+      password: process.env.DB_PASSWORD,
+      ssl: { rejectUnauthorized: false },
+      max: 1,
+      idleTimeoutMillis: 30000,
+      connectionTimeoutMillis: 5000,
+    });
+    pool.on('error', (err) => log.error('Unexpected error on idle client', err));
+  }
+  return pool;
+}
+
+/** Run fn(client) inside BEGIN/COMMIT on a dedicated client; rolls back and rethrows on error. */
+async function withTransaction(fn) {
+  const client = await getPool().connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { getPool, withTransaction };
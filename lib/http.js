@@ -0,0 +1,13 @@
+/**
+ * Helpers for API Gateway events shared by the handlers and lib modules.
+ */
+
+/** Header lookup that works for both API Gateway payload versions (v2 lowercases names, v1 does not). */
+function getHeader(event, name) {
+  const headers = event.headers || {};
+  const wanted = name.toLowerCase();
+  const key = Object.keys(headers).find((k) => k.toLowerCase() === wanted);
+  return key ? headers[key] : undefined;
+}
+
+module.exports = { getHeader };
@@ -0,0 +1,169 @@
+/**
+ * Idempotency keys for write endpoints. A request that sends an Idempotency-Key header runs once per key within its
+ * scope (the calling API key). Its response is stored in idempotency_keys
+ * (migrations/0011_idempotency_keys.up.sql) and replayed, with Idempotent-Replayed: true, to retries that use the
+ * same key, until the key expires (IDEMPOTENCY_TTL_HOURS, default 24). A retry that gets 2xx/4xx back is a replay,
+ * never a second write, so side effects (Airtable pushes, outbox messages) happen once.
+ *
+ *   - the same key with a different route or body gets 422
+ *   - the same key while the first request is still running gets 409
+ *   - 5xx responses are not stored, so the retry runs again
+ *
+ * The key is claimed before the handler runs, outside its transaction. A key left in_progress by a function that died
+ * can be claimed again by the same request after STALE_SECONDS (longer than any HTTP function's timeout).
+ */
+
+const crypto = require('crypto');
+const { getHeader } = require('./http');
+const log = require('./log');
+
+const IDEMPOTENCY_TABLE = 'idempotency_keys';
+const HEADER = 'Idempotency-Key';
+const REPLAYED_HEADER = 'Idempotent-Replayed';
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+const DEFAULT_TTL_HOURS = 24;
+const STALE_SECONDS = 60;
+
+let cached = { raw: undefined, hours: DEFAULT_TTL_HOURS };
+
+/** Hours a stored response is replayed for, parsed once per value of IDEMPOTENCY_TTL_HOURS. */
+function ttlHours() {
+  const raw = process.env.IDEMPOTENCY_TTL_HOURS;
+  if (raw === cached.raw) return cached.hours;
+  let hours = DEFAULT_TTL_HOURS;
+  if (raw) {
+    const parsed = Number(raw);
+    if (Number.isFinite(parsed) && parsed > 0) hours = parsed;
+    else log.error('IDEMPOTENCY_TTL_HOURS is not a positive number; using the default', { value: raw, default: DEFAULT_TTL_HOURS });
+  }
+  cached = { raw, hours };
+  return hours;
+}
+
+/** The request's Idempotency-Key: undefined when not sent, null when sent but not 1-255 printable ASCII characters. */
+function keyOf(event) {
+  const key = getHeader(event, HEADER);
+  if (key === undefined) return undefined;
+  return typeof key === 'string' && KEY_PATTERN.test(key) ? key : null;
+}
+
+/** JSON with object keys sorted, so bodies that differ only in key order hash the same. */
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value !== null && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((k) => `${JSON.stringify(k)}:${canonical(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+function bodyOf(event) {
+  if (typeof event.body !== 'string') return event.body ?? null;
+  const text = event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+/** Hash of what makes two requests "the same": method, route and body. */
+function requestHash(event) {
+  const method = event.requestContext?.http?.method || event.httpMethod || '';
+  const route = event.rawPath || event.path || event.routeKey || '';
+  return crypto.createHash('sha256').update(`${method} ${route}\n${canonical(bodyOf(event))}`).digest('hex');
+}
+
+/** kit_id of the request body, kept on the row so erasure can find the stored response. */
+function kitIdOf(event) {
+  const body = bodyOf(event);
+  return body && typeof body.kit_id === 'string' ? body.kit_id : null;
+}
+
+/**
+ * The response for a request whose key is already taken by row (see claim): the stored response, or 422/409.
+ * jsonResponse is the handler's (status, body) → response helper.
+ */
+function answerFor(row, hash, jsonResponse) {
+  if (row.request_hash !== hash) {
+    return jsonResponse(422, { error: `${HEADER} was already used for a different request`, idempotency_key: row.key });
+  }
+  if (row.status !== 'completed') {
+    return jsonResponse(409, { error: `A request with this ${HEADER} is still in progress; retry later`, idempotency_key: row.key });
+  }
+  const stored = row.response;
+  return { statusCode: stored.statusCode, headers: { ...stored.headers, [REPLAYED_HEADER]: 'true' }, body: stored.body };
+}
+
+/** The parts of a handler response that are stored and replayed. */
+function storedResponse(response) {
+  return { statusCode: response.statusCode, headers: response.headers || {}, body: response.body ?? '' };
+}
+
+/**
+ * Claim a key for a request. entry: { scope, key, requestHash, kitId?, ttlHours }
+ * Returns { claimed: true, id } when the request should run (a new key, an expired one, or a stale in_progress
+ * claim by the same request), otherwise { claimed: false, row } with the row holding the key.
+ */
+async function claim(db, { scope, key, requestHash: hash, kitId, ttlHours: hours }) {
+  const result = await db.query(
+    `INSERT INTO ${IDEMPOTENCY_TABLE} AS k (scope, key, request_hash, kit_id, expires_at)
+     VALUES ($1, $2, $3, $4, now() + ($5 || ' hours')::interval)
+     ON CONFLICT (scope, key) DO UPDATE
+     SET request_hash = EXCLUDED.request_hash, kit_id = EXCLUDED.kit_id, status = 'in_progress', response = NULL,
+         created_at = now(), completed_at = NULL, expires_at = EXCLUDED.expires_at
+     WHERE k.expires_at <= now()
+        OR (k.status = 'in_progress' AND k.request_hash = EXCLUDED.request_hash
+            AND k.created_at < now() - ($6 || ' seconds')::interval)
+     RETURNING id`,
+    [scope, key, hash, kitId ?? null, String(hours), String(STALE_SECONDS)]
+  );
+  if (result.rows.length > 0) return { claimed: true, id: result.rows[0].id };
+  const existing = await db.query(
+    `SELECT id, key, request_hash, status, response FROM ${IDEMPOTENCY_TABLE} WHERE scope = $1 AND key = $2`,
+    [scope, key]
+  );
+  // Swept between the two statements: answer as in progress, and the retry claims it.
+  return { claimed: false, row: existing.rows[0] || { key, request_hash: hash, status: 'in_progress' } };
+}
+
+/** Store the response for a claimed key. */
+async function complete(db, id, response) {
+  await db.query(
+    `UPDATE ${IDEMPOTENCY_TABLE} SET status = 'completed', response = $2::jsonb, completed_at = now() WHERE id = $1`,
+    [id, JSON.stringify(storedResponse(response))]
+  );
+}
+
+/** Give a claimed key back (the request failed), so a retry runs again. */
+async function release(db, id) {
+  await db.query(`DELETE FROM ${IDEMPOTENCY_TABLE} WHERE id = $1 AND status = 'in_progress'`, [id]);
+}
+
+/** Delete up to batchSize expired keys. Returns how many were deleted. */
+async function sweepExpired(db, batchSize = 500) {
+  const result = await db.query(
+    `DELETE FROM ${IDEMPOTENCY_TABLE} WHERE id IN (
+       SELECT id FROM ${IDEMPOTENCY_TABLE} WHERE expires_at <= now() ORDER BY expires_at LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )`,
+    [batchSize]
+  );
+  return result.rowCount;
+}
+
+module.exports = {
+  IDEMPOTENCY_TABLE,
+  HEADER,
+  REPLAYED_HEADER,
+  STALE_SECONDS,
+  ttlHours,
+  keyOf,
+  requestHash,
+  kitIdOf,
+  answerFor,
+  storedResponse,
+  claim,
+  complete,
+  release,
+  sweepExpired,
+};
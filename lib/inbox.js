@@ -0,0 +1,111 @@
+/**
+ * Durable inbox for incoming webhooks (POST /webhooks/actions).
+ *
+ * Expects table: webhook_inbox (migrations/0010_webhook_inbox.up.sql). Every authenticated webhook is stored with
+ * its raw body and headers before it is processed; a provider event id seen before is not processed again. The
+ * row then records the outcome:
+ *   received   stored, not finished (still running, or the function died; replay with force)
+ *   processed  handled
+ *   ignored    nothing to do (e.g. a Calendly event type we don't handle, or an erased participant)
+ *   failed     handling failed; last_error says why and POST /webhooks/inbox/replay runs it again
+ * kit_ids lists the kits an event touched, so privacy export and erasure can find it.
+ */
+
+const INBOX_TABLE = 'webhook_inbox';
+const STATUSES = ['received', 'processed', 'ignored', 'failed'];
+/** Headers never stored: credentials a replay doesn't need. */
+const SECRET_HEADERS = ['authorization', 'cookie', 'x-api-key', 'x-webhook-secret'];
+const LIST_COLUMNS = `id, provider, event_id, event_type, status, attempts, last_error, kit_ids, received_at, processed_at`;
+
+/** Request headers to store: lower-cased names, credentials left out. */
+function storedHeaders(headers) {
+  const stored = {};
+  for (const [name, value] of Object.entries(headers || {})) {
+    const key = name.toLowerCase();
+    if (!SECRET_HEADERS.includes(key)) stored[key] = value;
+  }
+  return stored;
+}
+
+/**
+ * Store an incoming webhook. entry: { provider, eventId, eventType, headers, rawBody }
+ * Returns { id, duplicate: false } for a new event, or { id, duplicate: true, status } when its id was seen before.
+ */
+async function receive(db, { provider, eventId, eventType, headers, rawBody }) {
+  const inserted = await db.query(
+    `INSERT INTO ${INBOX_TABLE} (provider, event_id, event_type, headers, raw_body)
+     VALUES ($1, $2, $3, $4::jsonb, $5)
+     ON CONFLICT (provider, event_id) DO NOTHING
+     RETURNING id`,
+    [provider, eventId, eventType ?? null, JSON.stringify(storedHeaders(headers)), rawBody]
+  );
+  if (inserted.rows.length > 0) return { id: inserted.rows[0].id, duplicate: false };
+  const existing = await db.query(
+    `SELECT id, status FROM ${INBOX_TABLE} WHERE provider = $1 AND event_id = $2`,
+    [provider, eventId]
+  );
+  return { id: existing.rows[0].id, duplicate: true, status: existing.rows[0].status };
+}
+
+/**
+ * Record the outcome of one processing attempt. outcome: { status, response?, error?, kitIds?, redact? }
+ * redact replaces the stored body and headers (for events about an erased participant).
+ */
+async function finish(db, id, { status, response, error, kitIds, redact }) {
+  await db.query(
+    `UPDATE ${INBOX_TABLE}
+     SET status = $2, attempts = attempts + 1, last_error = $3, response = $4::jsonb, kit_ids = $5::text[],
+         processed_at = now()${redact ? `, raw_body = '{}', headers = '{}'::jsonb` : ''}
+     WHERE id = $1`,
+    [id, status, error ?? null, response === undefined ? null : JSON.stringify(response), kitIds || []]
+  );
+}
+
+/**
+ * Take an event for replay: returns its row (with raw_body and headers) and sets it back to received, but only
+ * when its status is one of statuses; null otherwise, so two replays can't both run it.
+ */
+async function claim(db, id, statuses) {
+  const result = await db.query(
+    `UPDATE ${INBOX_TABLE} SET status = 'received' WHERE id = $1 AND status = ANY($2::text[]) RETURNING *`,
+    [id, statuses]
+  );
+  return result.rows[0] || null;
+}
+
+/** Inbox rows without bodies. filters: { status?, provider?, kitId?, limit?, oldestFirst? } */
+async function list(db, { status, provider, kitId, limit = 100, oldestFirst = false } = {}) {
+  const params = [];
+  const where = [];
+  if (status) {
+    params.push(status);
+    where.push(`status = $${params.length}`);
+  }
+  if (provider) {
+    params.push(provider);
+    where.push(`provider = $${params.length}`);
+  }
+  if (kitId) {
+    params.push([kitId]);
+    where.push(`kit_ids && $${params.length}::text[]`);
+  }
+  params.push(limit);
+  const result = await db.query(
+    `SELECT ${LIST_COLUMNS} FROM ${INBOX_TABLE}
+     ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+     ORDER BY received_at ${oldestFirst ? 'ASC' : 'DESC'}, id ${oldestFirst ? 'ASC' : 'DESC'}
+     LIMIT $${params.length}`,
+    params
+  );
+  return result.rows;
+}
+
+module.exports = {
+  INBOX_TABLE,
+  STATUSES,
+  storedHeaders,
+  receive,
+  finish,
+  claim,
+  list,
+};
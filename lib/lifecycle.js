@@ -0,0 +1,131 @@
+/**
+ * Kit lifecycle — declarative states and transitions for one kit_id.
+ *
+ * A kit's state is computed from its users, consents, reports, actions and kits rows:
+ * STATES is checked top to bottom and the first guard that matches wins. The stage guards are cumulative: a report
+ * row counts only once terms are agreed, a booking only once the report is ready. pdf_sent stays pdf_sent when the
+ * appointment is canceled afterwards (the PDF has gone out).
+ *
+ *   unregistered → registered → consented → report_ready ⇄ appointment_made → pdf_sent
+ *   any registered state → canceled (kits.canceled_at) | withdrawn (consents.withdrawn_at)
+ *
+ * Setting a STAGE_FLAGS column before the kit reached the stage before it (e.g. appointment_made without consent),
+ * or on a withdrawn or canceled kit, is rejected by checkUpdate, even though the computed state wouldn't change.
+ */
+
+const KIT_TABLES = ['users', 'consents', 'reports', 'actions', 'kits'];
+
+/** True for booleans and the string forms Postgres accepts for them. */
+function flag(value) {
+  return value === true || value === 'true' || value === 't';
+}
+
+const isConsented = (rows) => Boolean(rows.users) && flag(rows.consents?.toc_agreed);
+const isReportReady = (rows) => isConsented(rows) && Boolean(rows.reports);
+
+/** States in priority order: the first whose guard matches the kit's rows is the current state. */
+const STATES = [
+  { name: 'withdrawn', guard: (rows) => rows.consents?.withdrawn_at != null },
+  { name: 'canceled', guard: (rows) => rows.kits?.canceled_at != null },
+  { name: 'pdf_sent', guard: (rows) => isReportReady(rows) && flag(rows.actions?.pdf_email_sent) },
+  { name: 'appointment_made', guard: (rows) => isReportReady(rows) && flag(rows.actions?.appointment_made) },
+  { name: 'report_ready', guard: isReportReady },
+  { name: 'consented', guard: isConsented },
+  { name: 'registered', guard: (rows) => Boolean(rows.users) },
+  { name: 'unregistered', guard: () => true },
+];
+
+const ACTIVE_STATES = ['registered', 'consented', 'report_ready', 'appointment_made', 'pdf_sent'];
+/** States a kit never leaves; its stage flags can no longer be set. */
+const TERMINAL_STATES = ['withdrawn', 'canceled'];
+
+/** The stage that setting each flag column to true puts a kit in. */
+const STAGE_FLAGS = {
+  'consents.toc_agreed': 'consented',
+  'actions.appointment_made': 'appointment_made',
+  'actions.pdf_email_sent': 'pdf_sent',
+};
+
+const TRANSITIONS = [
+  { name: 'register', from: ['unregistered'], to: 'registered' },
+  { name: 'consent', from: ['registered'], to: 'consented' },
+  // The report arrived before consent: agreeing makes it count.
+  { name: 'consent', from: ['registered'], to: 'report_ready' },
+  { name: 'report', from: ['consented'], to: 'report_ready' },
+  { name: 'book', from: ['report_ready'], to: 'appointment_made' },
+  { name: 'unbook', from: ['appointment_made'], to: 'report_ready' },
+  { name: 'send_pdf', from: ['appointment_made'], to: 'pdf_sent' },
+  { name: 'cancel', from: ACTIVE_STATES, to: 'canceled' },
+  { name: 'withdraw', from: ACTIVE_STATES, to: 'withdrawn' },
+];
+
+/** Load the first row of each kit table for kitId ({ users, consents, reports, actions, kits }; null when missing). */
+async function loadKitRows(db, kitId, { lock = false } = {}) {
+  const rows = {};
+  for (const table of KIT_TABLES) {
+    const result = await db.query(
+      `SELECT * FROM ${table} WHERE kit_id = $1 LIMIT 1${lock ? ' FOR UPDATE' : ''}`,
+      [kitId]
+    );
+    rows[table] = result.rows[0] || null;
+  }
+  return rows;
+}
+
+function computeState(rows) {
+  return STATES.find((s) => s.guard(rows)).name;
+}
+
+function allowedTransitions(state) {
+  return TRANSITIONS
+    .filter((t) => t.from.includes(state))
+    .map((t) => ({ transition: t.name, to: t.to }));
+}
+
+/**
+ * Check whether applying updates to one table's row moves the kit along a legal transition.
+ * Updates that leave the computed state unchanged are allowed, unless they set a STAGE_FLAGS column that isn't set
+ * yet too early or on a terminal kit (to is then that flag's stage). Returns { allowed, from, to, transition }.
+ */
+function checkUpdate(rows, tableName, updates) {
+  const from = computeState(rows);
+  const next = { ...rows, [tableName]: { ...(rows[tableName] || {}), ...updates } };
+  const to = computeState(next);
+  const rank = (state) => ['unregistered', ...ACTIVE_STATES].indexOf(state);
+  for (const [column, value] of Object.entries(updates)) {
+    const stage = STAGE_FLAGS[`${tableName}.${column}`];
+    if (!stage || !flag(value) || flag(rows[tableName]?.[column])) continue;
+    if (TERMINAL_STATES.includes(from) || (rank(to) !== -1 && rank(to) < rank(stage))) {
+      return { allowed: false, from, to: stage, transition: null };
+    }
+  }
+  if (from === to) return { allowed: true, from, to, transition: null };
+  const transition = TRANSITIONS.find((t) => t.to === to && t.from.includes(from));
+  return { allowed: Boolean(transition), from, to, transition: transition ? transition.name : null };
+}
+
+/** Response body for a rejected transition (served with 409). */
+function conflictBody(kitId, check) {
+  return {
+    error: `Illegal state transition for kit_id "${kitId}": ${check.from} → ${check.to}`,
+    kit_id: kitId,
+    current_state: check.from,
+    attempted_state: check.to,
+    allowed_transitions: allowedTransitions(check.from),
+  };
+}
+
+module.exports = {
+  KIT_TABLES,
+  STATES,
+  ACTIVE_STATES,
+  TERMINAL_STATES,
+  STAGE_FLAGS,
+  TRANSITIONS,
+  flag,
+  loadKitRows,
+  computeState,
+  allowedTransitions,
+  checkUpdate,
+  conflictBody,
+};
@@ -0,0 +1,153 @@
+/**
+ * Structured logging — one JSON line per entry carrying the invocation's request id, route, function and kit_id,
+ * with personal data redacted, plus CloudWatch Embedded Metric Format (EMF) counters.
+ *
+ * handler.js wraps every exported handler with log.handler(name, fn), which sets the context for the invocation
+ * and logs one "request" line with its outcome, status and latency. Anywhere inside it:
+ *   log.info(message, fields) / log.warn(...) / log.error(message, fields | Error)
+ *   log.setKitId(kitId)          set kit_id for the remaining lines (a kitId or kit_id field overrides it per line)
+ *   log.metric(name, dimensions) count 1 of name in METRICS_NAMESPACE (default PilotStateMachine)
+ *
+ * Redaction is on unless LOG_REDACT is "false": email, name and credential fields (and auth headers) are
+ * replaced with "[REDACTED]", and email addresses inside any other string are masked.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const REDACTED = '[REDACTED]';
+const SENSITIVE_KEY = /^(e-?mail|name|first_?name|last_?name|full_?name|authorization|cookie|x-api-key|x-webhook-secret|calendly-webhook-signature|password|secret|token)$/i;
+const EMAIL = /[^\s@"'<>(),;:]+@[^\s@"'<>(),;:]+\.[A-Za-z]{2,}/g;
+const MAX_DEPTH = 8;
+const DEFAULT_NAMESPACE = 'PilotStateMachine';
+
+const storage = new AsyncLocalStorage();
+
+function redactionEnabled() {
+  return process.env.LOG_REDACT !== 'false';
+}
+
+function serializeError(error) {
+  return { type: error.name, message: error.message, code: error.code, stack: error.stack };
+}
+
+/** A copy of value that is safe to log: sensitive fields replaced, emails in strings masked, errors serialized. */
+function redact(value, depth = 0) {
+  if (value instanceof Error) return redact(serializeError(value), depth);
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'string') return redactionEnabled() ? value.replace(EMAIL, REDACTED) : value;
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+  const out = {};
+  for (const [key, item] of Object.entries(value)) {
+    out[key] = redactionEnabled() && SENSITIVE_KEY.test(key) && item != null ? REDACTED : redact(item, depth + 1);
+  }
+  return out;
+}
+
+/** Log fields with kitId renamed to kit_id, so every line can be queried the same way. */
+function normalize(fields) {
+  if (fields instanceof Error) return { error: serializeError(fields) };
+  if (!fields || typeof fields !== 'object') return fields === undefined ? {} : { detail: fields };
+  const { kitId, ...rest } = fields;
+  return kitId !== undefined && rest.kit_id === undefined ? { kit_id: kitId, ...rest } : rest;
+}
+
+function write(level, message, fields) {
+  const context = storage.getStore() || {};
+  const entry = {
+    level,
+    time: new Date().toISOString(),
+    message,
+    function: context.function,
+    request_id: context.requestId,
+    route: context.route,
+    kit_id: context.kitId,
+    ...redact(normalize(fields)),
+  };
+  (level === 'error' ? console.error : console.log)(JSON.stringify(entry));
+}
+
+const info = (message, fields) => write('info', message, fields);
+const warn = (message, fields) => write('warn', message, fields);
+const error = (message, fields) => write('error', message, fields);
+
+function setKitId(kitId) {
+  const context = storage.getStore();
+  if (context && kitId) context.kitId = kitId;
+}
+
+/** Emit an EMF count of 1 for name, with string dimensions (keep them low-cardinality). */
+function metric(name, dimensions = {}) {
+  const context = storage.getStore() || {};
+  console.log(JSON.stringify({
+    _aws: {
+      Timestamp: Date.now(),
+      CloudWatchMetrics: [{
+        Namespace: process.env.METRICS_NAMESPACE || DEFAULT_NAMESPACE,
+        Dimensions: [Object.keys(dimensions)],
+        Metrics: [{ Name: name, Unit: 'Count' }],
+      }],
+    },
+    ...dimensions,
+    [name]: 1,
+    function: context.function,
+    request_id: context.requestId,
+  }));
+}
+
+/** kit_id from a request's path parameters or JSON body, if it has one. */
+function kitIdOf(event) {
+  if (typeof event?.pathParameters?.kit_id === 'string') return event.pathParameters.kit_id;
+  if (typeof event?.body !== 'string') return undefined;
+  try {
+    const body = JSON.parse(event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body);
+    return typeof body?.kit_id === 'string' ? body.kit_id : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+function outcomeOf(result) {
+  const status = result?.statusCode;
+  if (status === undefined) return 'ok';
+  if (status >= 500) return 'error';
+  return status >= 400 ? 'rejected' : 'ok';
+}
+
+/**
+ * Wrap a Lambda handler: run it with a logging context and log one "request" line when it returns or throws.
+ * The request id is API Gateway's, falling back to the Lambda request id (scheduled functions).
+ */
+function handler(name, fn) {
+  return (event, lambdaContext) => {
+    const context = {
+      function: name,
+      requestId: event?.requestContext?.requestId || lambdaContext?.awsRequestId || event?.id,
+      route: event?.routeKey || event?.rawPath || event?.path || (event?.source === 'aws.events' ? 'schedule' : undefined),
+      kitId: kitIdOf(event),
+    };
+    return storage.run(context, async () => {
+      const started = Date.now();
+      try {
+        const result = await fn(event, lambdaContext);
+        info('request', { outcome: outcomeOf(result), status: result?.statusCode, latency_ms: Date.now() - started });
+        return result;
+      } catch (err) {
+        error('request', { outcome: 'error', latency_ms: Date.now() - started, error: err });
+        throw err;
+      }
+    });
+  };
+}
+
+module.exports = {
+  REDACTED,
+  redact,
+  info,
+  warn,
+  error,
+  setKitId,
+  metric,
+  handler,
+};
@@ -0,0 +1,181 @@
+/**
+ * Versioned schema migrations (migrations/NNNN_name.up.sql + NNNN_name.down.sql) and the startup schema check.
+ *
+ * Applied versions are recorded in schema_migrations with a checksum of the up file, so an edited
+ * migration shows up in status. Each migration runs in its own transaction together with its
+ * schema_migrations row, under an advisory lock so two runs can't interleave.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_TABLE = 'schema_migrations';
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_NAME = /^(\d{4})_([a-z0-9_]+)\.(up|down)\.sql$/;
+const LOCK_ID = 727001;
+
+/**
+ * Tables and columns the handlers depend on. checkSchema compares the database against this list,
+ * so add to it whenever a migration adds something the code reads or writes.
+ */
+const REQUIRED_COLUMNS = {
+  state_machine_state: ['key', 'value', 'version', 'expires_at', 'updated_at'],
+  users: ['kit_id', 'email', 'first_name', 'is_test'],
+  consents: ['kit_id', 'toc_agreed', 'terms_version', 'agreed_at', 'withdrawn_at'],
+  reports: ['kit_id'],
+  actions: ['kit_id', 'appointment_made', 'appointment_event_uri', 'appointment_start_time', 'pdf_email_sent'],
+  kits: ['kit_id', 'canceled_at'],
+  kit_audit_log: ['table_name', 'kit_id', 'state_key', 'operation', 'changes', 'source_route', 'request_id', 'api_key', 'created_at'],
+  notification_outbox: ['kit_id', 'message_type', 'topic_arn', 'message', 'dedupe_key', 'status', 'attempts', 'last_error', 'next_attempt_at', 'delivered_at'],
+  consent_events: ['kit_id', 'event', 'terms_version', 'occurred_at', 'source', 'request_id', 'api_key', 'details'],
+  airtable_sync_failures: ['kit_id', 'table_name', 'fields', 'reason', 'status_code', 'error', 'attempts', 'last_attempt_at', 'resolved_at'],
+  api_keys: ['name', 'key_hash', 'key_prefix', 'scopes', 'last_used_at', 'revoked_at'],
+  kit_reminders: ['kit_id', 'message_type', 'reminder_count', 'stage_since', 'last_sent_at'],
+  erasure_tombstones: ['kit_id', 'email_hash', 'mode', 'request_id', 'api_key', 'erased_at'],
+  webhook_inbox: ['provider', 'event_id', 'event_type', 'headers', 'raw_body', 'status', 'attempts', 'last_error', 'response', 'kit_ids', 'received_at', 'processed_at'],
+  idempotency_keys: ['scope', 'key', 'request_hash', 'kit_id', 'status', 'response', 'created_at', 'completed_at', 'expires_at'],
+};
+
+function checksum(sql) {
+  return crypto.createHash('sha256').update(sql).digest('hex');
+}
+
+/** Migrations on disk in version order: [{ version, name, up, down, checksum }]. */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+  for (const file of fs.readdirSync(dir).sort()) {
+    const match = FILE_NAME.exec(file);
+    if (!match) continue;
+    const [, version, name, direction] = match;
+    const entry = byVersion.get(version) || { version, name };
+    if (entry.name !== name) throw new Error(`Migration ${version} has two names: ${entry.name}, ${name}`);
+    entry[direction] = fs.readFileSync(path.join(dir, file), 'utf8');
+    byVersion.set(version, entry);
+  }
+  const migrations = [...byVersion.values()];
+  for (const m of migrations) {
+    if (!m.up) throw new Error(`Migration ${m.version}_${m.name} has no .up.sql file`);
+    m.checksum = checksum(m.up);
+  }
+  return migrations;
+}
+
+async function ensureTable(db) {
+  await db.query(
+    `CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+       version     text primary key,
+       name        text not null,
+       checksum    text not null,
+       applied_at  timestamptz not null default now()
+     )`
+  );
+}
+
+async function appliedRows(db) {
+  const result = await db.query(`SELECT version, name, checksum, applied_at FROM ${MIGRATIONS_TABLE} ORDER BY version`);
+  return result.rows;
+}
+
+/**
+ * Every migration on disk or in the tracking table with its state:
+ * 'applied', 'pending', 'changed' (up file edited after it was applied) or 'missing' (applied but no file).
+ */
+async function status(db, migrations = loadMigrations()) {
+  await ensureTable(db);
+  const applied = new Map((await appliedRows(db)).map((row) => [row.version, row]));
+  const rows = migrations.map((m) => {
+    const row = applied.get(m.version);
+    applied.delete(m.version);
+    let state = 'pending';
+    if (row) state = row.checksum === m.checksum ? 'applied' : 'changed';
+    return { version: m.version, name: m.name, state, applied_at: row ? row.applied_at : null };
+  });
+  for (const row of applied.values()) {
+    rows.push({ version: row.version, name: row.name, state: 'missing', applied_at: row.applied_at });
+  }
+  return rows.sort((a, b) => a.version.localeCompare(b.version));
+}
+
+/** BEGIN, take the migration lock, run fn(client), COMMIT. client must be a dedicated connection. */
+async function inLockedTransaction(client, fn) {
+  await client.query('BEGIN');
+  try {
+    await client.query('SELECT pg_advisory_xact_lock($1)', [LOCK_ID]);
+    const result = await fn();
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  }
+}
+
+/** Apply pending migrations in order, up to and including version `to` when given. Returns the versions applied. */
+async function up(client, { to, migrations = loadMigrations() } = {}) {
+  await ensureTable(client);
+  const done = [];
+  for (const m of migrations) {
+    if (to && m.version > to) break;
+    const applied = await inLockedTransaction(client, async () => {
+      const existing = await client.query(`SELECT 1 FROM ${MIGRATIONS_TABLE} WHERE version = $1`, [m.version]);
+      if (existing.rows.length > 0) return false;
+      await client.query(m.up);
+      await client.query(
+        `INSERT INTO ${MIGRATIONS_TABLE} (version, name, checksum) VALUES ($1, $2, $3)`,
+        [m.version, m.name, m.checksum]
+      );
+      return true;
+    });
+    if (applied) done.push(`${m.version}_${m.name}`);
+  }
+  return done;
+}
+
+/** Roll back the last `steps` applied migrations (default 1), newest first. Returns the versions rolled back. */
+async function down(client, { steps = 1, migrations = loadMigrations() } = {}) {
+  await ensureTable(client);
+  const files = new Map(migrations.map((m) => [m.version, m]));
+  const applied = (await appliedRows(client)).reverse().slice(0, steps);
+  const done = [];
+  for (const row of applied) {
+    const m = files.get(row.version);
+    if (!m || !m.down) throw new Error(`No .down.sql file for migration ${row.version}_${row.name}`);
+    await inLockedTransaction(client, async () => {
+      await client.query(m.down);
+      await client.query(`DELETE FROM ${MIGRATIONS_TABLE} WHERE version = $1`, [row.version]);
+    });
+    done.push(`${m.version}_${m.name}`);
+  }
+  return done;
+}
+
+/**
+ * Compare the database against REQUIRED_COLUMNS.
+ * Returns { ok, missingTables, missingColumns } where missingColumns lists "table.column".
+ */
+async function checkSchema(db, required = REQUIRED_COLUMNS) {
+  const result = await db.query(
+    `SELECT table_name, column_name FROM information_schema.columns
+     WHERE table_schema = current_schema() AND table_name = ANY($1::text[])`,
+    [Object.keys(required)]
+  );
+  const present = new Set(result.rows.map((r) => `${r.table_name}.${r.column_name}`));
+  const tables = new Set(result.rows.map((r) => r.table_name));
+  const missingTables = Object.keys(required).filter((t) => !tables.has(t));
+  const missingColumns = Object.entries(required)
+    .filter(([t]) => tables.has(t))
+    .flatMap(([t, cols]) => cols.filter((c) => !present.has(`${t}.${c}`)).map((c) => `${t}.${c}`));
+  return { ok: missingTables.length === 0 && missingColumns.length === 0, missingTables, missingColumns };
+}
+
+module.exports = {
+  MIGRATIONS_TABLE,
+  MIGRATIONS_DIR,
+  REQUIRED_COLUMNS,
+  loadMigrations,
+  status,
+  up,
+  down,
+  checkSchema,
+};
@@ -0,0 +1,168 @@
+/**
+ * OpenAPI 3.1 document and request body validation, both built from the route registry (lib/routes.js).
+ * The validator covers the JSON Schema subset the registry uses; handlers still check values that need the
+ * database or column types (e.g. update fields).
+ */
+
+const { ROUTES } = require('./routes');
+const { version } = require('../package.json');
+
+const ERROR = {
+  type: 'object',
+  required: ['error'],
+  properties: { error: { type: 'string' }, errors: { type: 'array', items: { type: 'string' } } },
+  additionalProperties: true,
+};
+
+function json(schema) {
+  return { 'application/json': { schema } };
+}
+
+function tagOf(path) {
+  return path.split('/')[1].replace(/\..*$/, '');
+}
+
+function operation(route) {
+  const op = {
+    operationId: route.operation || route.handler,
+    summary: route.summary,
+    tags: [tagOf(route.path)],
+    parameters: [],
+    responses: {
+      [route.status || 200]: { description: 'Success', content: json(route.response || { type: 'object' }) },
+    },
+  };
+  for (const match of route.path.matchAll(/\{([^}]+)\}/g)) {
+    op.parameters.push({ name: match[1], in: 'path', required: true, schema: { type: 'string' } });
+  }
+  for (const [name, schema] of Object.entries(route.query || {})) {
+    op.parameters.push({ name, in: 'query', required: false, schema });
+  }
+  if (route.csv) op.responses[route.status || 200].content['text/csv'] = { schema: { type: 'string' } };
+  if (route.idempotent) {
+    op.parameters.push({
+      name: 'Idempotency-Key',
+      in: 'header',
+      required: false,
+      description: 'Retries with the same key get the first response back (Idempotent-Replayed: true) instead of running again',
+      schema: { type: 'string', minLength: 1, maxLength: 255 },
+    });
+    op.responses[409] = { description: 'A request with this Idempotency-Key is still in progress', content: json({ $ref: '#/components/schemas/Error' }) };
+    op.responses[422] = { description: 'Idempotency-Key was already used for a different request', content: json({ $ref: '#/components/schemas/Error' }) };
+  }
+  if (op.parameters.length === 0) delete op.parameters;
+  if (route.body) op.requestBody = { required: true, content: json(route.body) };
+  if (route.body || op.parameters) op.responses[400] = { description: 'Invalid request', content: json({ $ref: '#/components/schemas/Error' }) };
+  if (route.scope) {
+    op.security = [{ bearerKey: [] }, { headerKey: [] }];
+    op['x-scope'] = route.scope;
+    op.description = `Requires an API key with scope "${route.scope}".`;
+    op.responses[401] = { description: 'Missing or unknown API key', content: json({ $ref: '#/components/schemas/Error' }) };
+    op.responses[403] = { description: 'API key lacks the scope', content: json({ $ref: '#/components/schemas/Error' }) };
+    op.responses[500] = { description: 'Server or database error', content: json({ $ref: '#/components/schemas/Error' }) };
+  } else {
+    op.security = [];
+  }
+  return op;
+}
+
+/** The OpenAPI document for every route. serverUrl (e.g. the API Gateway endpoint) is listed as the server. */
+function document({ serverUrl } = {}) {
+  const paths = {};
+  for (const route of ROUTES) {
+    paths[route.path] = paths[route.path] || {};
+    paths[route.path][route.method.toLowerCase()] = operation(route);
+  }
+  return {
+    openapi: '3.1.0',
+    info: { title: 'Pilot State Machine API', version: version || '1.0.0' },
+    ...(serverUrl ? { servers: [{ url: serverUrl }] } : {}),
+    paths,
+    components: {
+      schemas: { Error: ERROR },
+      securitySchemes: {
+        bearerKey: { type: 'http', scheme: 'bearer', description: 'Authorization: Bearer psm_...' },
+        headerKey: { type: 'apiKey', in: 'header', name: 'X-Api-Key' },
+      },
+    },
+  };
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function article(type) {
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+/** Messages for every way value breaks schema; name is the field path used in them (e.g. "where.status"). */
+function validate(schema, value, name = 'body') {
+  const types = schema.type === undefined ? null : [].concat(schema.type);
+  if (types && !types.some((type) => matchesType(value, type))) {
+    return [`"${name}" must be ${types.filter((t) => t !== 'null').map(article).join(' or ')}${types.includes('null') ? ' or null' : ''}`];
+  }
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`"${name}" must be one of: ${schema.enum.join(', ')}`);
+  if (typeof value === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+    errors.push(`"${name}" must be a non-empty string`);
+  }
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`"${name}" must be at least ${schema.minimum}`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems && value.length < schema.minItems) errors.push(`"${name}" must have at least ${schema.minItems} item(s)`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`"${name}" must have at most ${schema.maxItems} items`);
+    if (schema.items) value.forEach((item, i) => errors.push(...validate(schema.items, item, `${name}[${i}]`)));
+  }
+  if (typeOf(value) === 'object') {
+    const prefix = name === 'body' ? '' : `${name}.`;
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        const type = schema.properties?.[key]?.type;
+        errors.push(typeof type === 'string' ? `"${prefix}${key}" is required and must be ${article(type)}` : `"${prefix}${key}" is required`);
+      }
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const propertySchema = schema.properties?.[key];
+      if (propertySchema) {
+        if (item !== undefined) errors.push(...validate(propertySchema, item, `${prefix}${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`"${prefix}${key}" is not a known field`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validate(schema.additionalProperties, item, `${prefix}${key}`));
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Check an API Gateway event's JSON body against route.body. Returns null when it passes (or the route has
+ * no body schema), otherwise { error, errors } for a 400.
+ */
+function checkBody(route, event) {
+  if (!route || !route.body || route.validate === false) return null;
+  let body;
+  try {
+    body = typeof event.body === 'string' ? JSON.parse(event.body) : event.body || {};
+  } catch {
+    return { error: 'Request body must be valid JSON' };
+  }
+  const errors = validate(route.body, body);
+  return errors.length > 0 ? { error: errors[0], errors } : null;
+}
+
+module.exports = {
+  document,
+  validate,
+  checkBody,
+};
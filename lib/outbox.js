@@ -0,0 +1,132 @@
+/**
+ * Transactional outbox for SNS notifications.
+ *
+ * Expects table: notification_outbox (migrations/0004_notification_outbox.up.sql). Handlers enqueue messages with the same client
+ * (and so the same transaction) that wrote the state change; the scheduled dispatchOutbox function
+ * publishes pending rows with exponential backoff and marks them delivered or failed.
+ * Messages for a kit whose consent was withdrawn are marked canceled instead, except change-feed events
+ * (CHANGE_MESSAGE_TYPE, lib/changefeed.js), which report the withdrawal itself and are always published.
+ */
+
+const OUTBOX_TABLE = 'notification_outbox';
+const CHANGE_MESSAGE_TYPE = 'kit_change';
+const MAX_ATTEMPTS = 8;
+const BASE_BACKOFF_SECONDS = 30;
+const MAX_BACKOFF_SECONDS = 3600;
+
+/** Seconds to wait before retry number `attempts` (1-based): 30s, 60s, 120s, ... capped at 1h. */
+function backoffSeconds(attempts) {
+  return Math.min(BASE_BACKOFF_SECONDS * 2 ** Math.max(attempts - 1, 0), MAX_BACKOFF_SECONDS);
+}
+
+/**
+ * Queue a message for publishing. With a dedupeKey, a second enqueue for the same key is a no-op
+ * (unique index), which is how once-per-kit messages like send_pdf_email stay exactly-once.
+ * Returns the new row id, or null when the dedupe key was already used.
+ */
+async function enqueue(db, { topicArn, kitId, message, dedupeKey }) {
+  const result = await db.query(
+    `INSERT INTO ${OUTBOX_TABLE} (kit_id, message_type, topic_arn, message, dedupe_key)
+     VALUES ($1, $2, $3, $4::jsonb, $5)
+     ON CONFLICT (dedupe_key) DO NOTHING
+     RETURNING id`,
+    [kitId ?? null, message.message_type, topicArn, JSON.stringify(message), dedupeKey ?? null]
+  );
+  return result.rows.length > 0 ? result.rows[0].id : null;
+}
+
+/** Lock the next due pending row (skipping rows another dispatcher holds). Call inside a transaction. */
+async function claimNext(db) {
+  const result = await db.query(
+    `SELECT * FROM ${OUTBOX_TABLE}
+     WHERE status = 'pending' AND next_attempt_at <= now()
+     ORDER BY next_attempt_at, id
+     LIMIT 1
+     FOR UPDATE SKIP LOCKED`
+  );
+  return result.rows[0] || null;
+}
+
+async function markDelivered(db, id) {
+  await db.query(
+    `UPDATE ${OUTBOX_TABLE} SET status = 'delivered', attempts = attempts + 1, delivered_at = now(), last_error = NULL
+     WHERE id = $1`,
+    [id]
+  );
+}
+
+/** Record a failed attempt: reschedule with backoff, or mark failed once MAX_ATTEMPTS is reached. */
+async function markAttemptFailed(db, row, errorMessage) {
+  const attempts = row.attempts + 1;
+  const status = attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+  await db.query(
+    `UPDATE ${OUTBOX_TABLE}
+     SET status = $2, attempts = $3, last_error = $4, next_attempt_at = now() + ($5 || ' seconds')::interval
+     WHERE id = $1`,
+    [row.id, status, attempts, errorMessage, String(backoffSeconds(attempts))]
+  );
+  return status;
+}
+
+/** Outbox rows by status (default failed), newest first. filters: { status?, kitId?, limit? } */
+async function list(db, { status = 'failed', kitId, limit = 100 } = {}) {
+  const params = [status];
+  let where = 'status = $1';
+  if (kitId) {
+    params.push(kitId);
+    where += ` AND kit_id = $${params.length}`;
+  }
+  params.push(limit);
+  const result = await db.query(
+    `SELECT id, kit_id, message_type, topic_arn, message, dedupe_key, status, attempts, last_error,
+            next_attempt_at, created_at, delivered_at
+     FROM ${OUTBOX_TABLE} WHERE ${where}
+     ORDER BY created_at DESC, id DESC LIMIT $${params.length}`,
+    params
+  );
+  return result.rows;
+}
+
+/** Put failed rows back in the queue (all failed rows when ids is omitted). Returns the re-driven ids. */
+async function redrive(db, ids) {
+  const params = [];
+  let where = "status = 'failed'";
+  if (ids) {
+    params.push(ids);
+    where += ' AND id = ANY($1::bigint[])';
+  }
+  const result = await db.query(
+    `UPDATE ${OUTBOX_TABLE} SET status = 'pending', attempts = 0, next_attempt_at = now(), last_error = NULL
+     WHERE ${where} RETURNING id`,
+    params
+  );
+  return result.rows.map((r) => r.id);
+}
+
+/**
+ * Stop every pending or failed message for a kit (e.g. after consent is withdrawn): they are marked
+ * 'canceled' with reason as last_error, so neither dispatch nor redrive picks them up. Change-feed events
+ * are left alone. Returns the ids.
+ */
+async function cancelForKit(db, kitId, reason) {
+  const result = await db.query(
+    `UPDATE ${OUTBOX_TABLE} SET status = 'canceled', last_error = $2
+     WHERE kit_id = $1 AND status IN ('pending', 'failed') AND message_type <> $3 RETURNING id`,
+    [kitId, reason, CHANGE_MESSAGE_TYPE]
+  );
+  return result.rows.map((r) => r.id);
+}
+
+module.exports = {
+  OUTBOX_TABLE,
+  CHANGE_MESSAGE_TYPE,
+  MAX_ATTEMPTS,
+  backoffSeconds,
+  enqueue,
+  claimNext,
+  markDelivered,
+  markAttemptFailed,
+  list,
+  redrive,
+  cancelForKit,
+};
@@ -0,0 +1,215 @@
+/**
+ * Subject access and erasure for one participant's data (POST /privacy/export, POST /privacy/erase).
+ *
+ * A participant is found by kit_id or by email (every kit whose users row has it). Their data is the rows of the
+ * five kit tables, /state keys with the kit_id as a ':'-separated segment, the consent ledger, the audit log,
+ * outbox messages, logged Airtable failures, reminders sent, the webhooks that touched the kit (webhook_inbox) and
+ * responses stored for its Idempotency-Key requests (idempotency_keys).
+ *
+ * Erasure modes:
+ *   anonymize  clear PII_COLUMNS; kit rows and the consent ledger stay for aggregate reporting
+ *   delete     delete the kit rows and consent ledger outright
+ * Both keep the kit's audit log rows but redact them (see redactChanges): PII_COLUMNS in kit table rows and every
+ * value in /state rows. They delete state keys, outbox messages (including change-feed events for the state keys), Airtable failures,
+ * stored webhooks and idempotent responses (they can hold copies of personal data) and reminder counts, and leave
+ * a row in erasure_tombstones (migrations/0008_erasure_tombstones.up.sql) with a hash of the email, so the user is
+ * not created again from a later signup or webhook.
+ */
+
+const crypto = require('crypto');
+const lifecycle = require('./lifecycle');
+const consent = require('./consent');
+const { sourceOf, AUDIT_TABLE } = require('./audit');
+const { STATE_TABLE } = require('./stateStore');
+const { OUTBOX_TABLE, CHANGE_MESSAGE_TYPE } = require('./outbox');
+const { FAILURES_TABLE } = require('./airtable');
+const { REMINDERS_TABLE } = require('./reminders');
+const { INBOX_TABLE } = require('./inbox');
+const { IDEMPOTENCY_TABLE } = require('./idempotency');
+
+const TOMBSTONES_TABLE = 'erasure_tombstones';
+const MODES = ['anonymize', 'delete'];
+/** Columns that identify a person, cleared by anonymize. */
+const PII_COLUMNS = { users: ['email', 'first_name'] };
+const KIT_SEGMENT = "string_to_array(key, ':') && $1::text[]";
+
+/** sha256 of the trimmed, lower-cased email (null when there is none). */
+function hashEmail(email) {
+  if (typeof email !== 'string' || !email.trim()) return null;
+  return crypto.createHash('sha256').update(email.trim().toLowerCase()).digest('hex');
+}
+
+/**
+ * An audit row's changes with the values of columns (every column when omitted) replaced by null, keeping the
+ * column names so the history still shows what changed and when.
+ */
+function redactChanges(changes, columns) {
+  const redacted = { ...changes };
+  for (const column of Object.keys(changes)) {
+    if (!columns || columns.includes(column)) redacted[column] = { before: null, after: null };
+  }
+  return redacted;
+}
+
+/** Fields sent to the Airtable lambda for an erased kit. */
+function airtableFields(erasedAt) {
+  return { email: null, first_name: null, erased_at: erasedAt };
+}
+
+/** Every row held for kitId, as one document. */
+async function exportKit(db, kitId) {
+  const doc = { kit_id: kitId };
+  for (const table of lifecycle.KIT_TABLES) {
+    doc[table] = (await db.query(`SELECT * FROM ${table} WHERE kit_id = $1 ORDER BY id`, [kitId])).rows;
+  }
+  doc.state = (await db.query(
+    `SELECT key, value, version, expires_at, updated_at FROM ${STATE_TABLE} WHERE ${KIT_SEGMENT} ORDER BY key`,
+    [[kitId]]
+  )).rows;
+  doc.consent_events = await consent.history(db, kitId);
+  doc.audit_log = (await db.query(
+    `SELECT id, table_name, operation, changes, source_route, request_id, created_at
+     FROM ${AUDIT_TABLE} WHERE kit_id = $1 ORDER BY created_at, id`,
+    [kitId]
+  )).rows;
+  doc.outbox = (await db.query(
+    `SELECT id, message_type, message, status, created_at, delivered_at FROM ${OUTBOX_TABLE} WHERE kit_id = $1 ORDER BY id`,
+    [kitId]
+  )).rows;
+  doc.airtable_failures = (await db.query(
+    `SELECT id, table_name, fields, reason, created_at, resolved_at FROM ${FAILURES_TABLE} WHERE kit_id = $1 ORDER BY id`,
+    [kitId]
+  )).rows;
+  doc.reminders = (await db.query(
+    `SELECT message_type, reminder_count, stage_since, last_sent_at FROM ${REMINDERS_TABLE} WHERE kit_id = $1 ORDER BY message_type`,
+    [kitId]
+  )).rows;
+  doc.webhook_inbox = (await db.query(
+    `SELECT id, provider, event_id, event_type, headers, raw_body, status, received_at, processed_at
+     FROM ${INBOX_TABLE} WHERE kit_ids && $1::text[] ORDER BY id`,
+    [[kitId]]
+  )).rows;
+  doc.idempotency_keys = (await db.query(
+    `SELECT id, key, status, response, created_at, expires_at FROM ${IDEMPOTENCY_TABLE} WHERE kit_id = $1 ORDER BY id`,
+    [kitId]
+  )).rows;
+  return doc;
+}
+
+/** True when an export document holds no rows at all. */
+function isEmptyExport(doc) {
+  return Object.entries(doc).every(([key, value]) => key === 'kit_id' || value.length === 0);
+}
+
+/**
+ * Erase kitIds' data (see the modes above). Call inside a transaction.
+ * Returns { table: rows deleted or anonymized }.
+ */
+async function erase(db, kitIds, mode) {
+  if (!MODES.includes(mode)) throw new Error(`Unknown erasure mode "${mode}"`);
+  const counts = {};
+  const run = async (table, sql, params = [kitIds]) => {
+    counts[table] = (counts[table] || 0) + (await db.query(sql, params)).rowCount;
+  };
+
+  if (mode === 'delete') {
+    for (const table of lifecycle.KIT_TABLES) await run(table, `DELETE FROM ${table} WHERE kit_id = ANY($1::text[])`);
+    await run(consent.CONSENT_EVENTS_TABLE, `DELETE FROM ${consent.CONSENT_EVENTS_TABLE} WHERE kit_id = ANY($1::text[])`);
+  } else {
+    for (const [table, columns] of Object.entries(PII_COLUMNS)) {
+      await run(table, `UPDATE ${table} SET ${columns.map((c) => `${c} = NULL`).join(', ')} WHERE kit_id = ANY($1::text[])`);
+    }
+  }
+  for (const [table, columns] of Object.entries(PII_COLUMNS)) {
+    await run(
+      AUDIT_TABLE,
+      `UPDATE ${AUDIT_TABLE} SET changes = changes || (
+         SELECT jsonb_object_agg(c, '{"before": null, "after": null}'::jsonb) FROM unnest($2::text[]) c WHERE changes ? c)
+       WHERE kit_id = ANY($1::text[]) AND table_name = $3 AND changes ?| $2::text[]`,
+      [kitIds, columns, table]
+    );
+  }
+  await run(
+    AUDIT_TABLE,
+    `UPDATE ${AUDIT_TABLE} SET changes = (
+       SELECT jsonb_object_agg(c, '{"before": null, "after": null}'::jsonb) FROM jsonb_object_keys(changes) c)
+     WHERE table_name = '${STATE_TABLE}' AND changes <> '{}'::jsonb AND string_to_array(state_key, ':') && $1::text[]`
+  );
+  await run(STATE_TABLE, `DELETE FROM ${STATE_TABLE} WHERE ${KIT_SEGMENT}`);
+  await run(OUTBOX_TABLE, `DELETE FROM ${OUTBOX_TABLE} WHERE kit_id = ANY($1::text[])`);
+  await run(
+    OUTBOX_TABLE,
+    `DELETE FROM ${OUTBOX_TABLE} WHERE kit_id IS NULL AND message_type = $2
+     AND string_to_array(message->>'state_key', ':') && $1::text[]`,
+    [kitIds, CHANGE_MESSAGE_TYPE]
+  );
+  await run(FAILURES_TABLE, `DELETE FROM ${FAILURES_TABLE} WHERE kit_id = ANY($1::text[])`);
+  await run(REMINDERS_TABLE, `DELETE FROM ${REMINDERS_TABLE} WHERE kit_id = ANY($1::text[])`);
+  await run(INBOX_TABLE, `DELETE FROM ${INBOX_TABLE} WHERE kit_ids && $1::text[]`);
+  await run(IDEMPOTENCY_TABLE, `DELETE FROM ${IDEMPOTENCY_TABLE} WHERE kit_id = ANY($1::text[])`);
+  return counts;
+}
+
+/** The tombstone row for an erased kit. entry: { kitId, email?, mode, apiEvent? } */
+function buildTombstone(entry) {
+  const origin = sourceOf(entry.apiEvent);
+  return {
+    kit_id: entry.kitId,
+    email_hash: hashEmail(entry.email),
+    mode: entry.mode,
+    request_id: origin.requestId,
+    api_key: origin.apiKey,
+  };
+}
+
+/**
+ * The audit entry (for changefeed.recordChange) that records an erasure: one per erased kit, naming the tombstone.
+ * It is written after the erasure, so it is neither redacted nor dropped from the outbox.
+ */
+function erasureEntry({ kitId, tombstoneId, mode, apiEvent }) {
+  return {
+    table: TOMBSTONES_TABLE,
+    kitId,
+    operation: 'erase',
+    before: null,
+    after: { tombstone_id: tombstoneId, mode },
+    event: apiEvent,
+  };
+}
+
+/** Insert a tombstone (see buildTombstone). Returns the new id. */
+async function recordTombstone(db, entry) {
+  const row = buildTombstone(entry);
+  const result = await db.query(
+    `INSERT INTO ${TOMBSTONES_TABLE} (kit_id, email_hash, mode, request_id, api_key)
+     VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+    [row.kit_id, row.email_hash, row.mode, row.request_id, row.api_key]
+  );
+  return result.rows[0].id;
+}
+
+/** The newest tombstone matching the email or the kit_id, or null. */
+async function findTombstone(db, { email, kitId }) {
+  const result = await db.query(
+    `SELECT id, kit_id, mode, erased_at FROM ${TOMBSTONES_TABLE}
+     WHERE email_hash = $1 OR kit_id = $2 ORDER BY erased_at DESC LIMIT 1`,
+    [hashEmail(email), kitId ?? null]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  TOMBSTONES_TABLE,
+  MODES,
+  PII_COLUMNS,
+  hashEmail,
+  redactChanges,
+  airtableFields,
+  exportKit,
+  isEmptyExport,
+  erase,
+  buildTombstone,
+  erasureEntry,
+  recordTombstone,
+  findTombstone,
+};
@@ -0,0 +1,88 @@
+/**
+ * Kit profile — one kit's user, consent, actions, reports and kit rows read in a single query,
+ * plus flags derived from them (lifecycle state, PDF email eligibility, appointment status).
+ */
+
+const lifecycle = require('./lifecycle');
+
+const MAX_KITS = 100;
+
+/**
+ * Why send_pdf_email can't go out for a kit right now, or null if it can.
+ * rows: { users, consents, actions } as returned by lifecycle.loadKitRows. Mirrors the default send_pdf_email
+ * notification rule (lib/rules.js); the reason is the first missing precondition.
+ */
+function pdfEmailBlocker(rows) {
+  if (!rows.users) return 'no user';
+  if (!rows.consents) return 'no consent';
+  if (rows.consents.withdrawn_at != null) return 'consent withdrawn';
+  if (!lifecycle.flag(rows.consents.toc_agreed)) return 'toc_agreed false';
+  if (!rows.actions) return 'no action row';
+  if (!lifecycle.flag(rows.actions.appointment_made)) return 'appointment_made false';
+  if (lifecycle.flag(rows.actions.pdf_email_sent)) return 'pdf_email_sent already true';
+  return null;
+}
+
+/** 'none', 'scheduled' (start time in the future or unknown) or 'past'. */
+function appointmentStatus(action, now = new Date()) {
+  if (!action || !lifecycle.flag(action.appointment_made)) return 'none';
+  const start = action.appointment_start_time ? new Date(action.appointment_start_time) : null;
+  return start && start < now ? 'past' : 'scheduled';
+}
+
+/**
+ * Profiles for kitIds and/or every kit of a user email (case-insensitive), in one round trip.
+ * Kits with no rows at all come back with found: false.
+ */
+async function loadProfiles(db, { kitIds = [], email }) {
+  const result = await db.query(
+    `WITH wanted AS (
+       SELECT unnest($1::text[]) AS kit_id
+       UNION
+       SELECT kit_id FROM users WHERE $2::text IS NOT NULL AND LOWER(email) = LOWER($2)
+     )
+     SELECT w.kit_id,
+       (SELECT row_to_json(u) FROM users u WHERE u.kit_id = w.kit_id LIMIT 1) AS "user",
+       (SELECT row_to_json(c) FROM consents c WHERE c.kit_id = w.kit_id LIMIT 1) AS consent,
+       (SELECT COALESCE(json_agg(a), '[]'::json) FROM actions a WHERE a.kit_id = w.kit_id) AS actions,
+       (SELECT COALESCE(json_agg(r), '[]'::json) FROM reports r WHERE r.kit_id = w.kit_id) AS reports,
+       (SELECT row_to_json(k) FROM kits k WHERE k.kit_id = w.kit_id LIMIT 1) AS kit
+     FROM wanted w
+     ORDER BY w.kit_id`,
+    [kitIds, email ? email.trim() : null]
+  );
+  return result.rows.map(buildProfile);
+}
+
+function buildProfile(row) {
+  const rows = {
+    users: row.user,
+    consents: row.consent,
+    actions: row.actions[0] || null,
+    reports: row.reports[0] || null,
+    kits: row.kit,
+  };
+  const blocker = pdfEmailBlocker(rows);
+  return {
+    kit_id: row.kit_id,
+    found: Boolean(row.user || row.consent || row.kit || row.actions.length || row.reports.length),
+    user: row.user,
+    consent: row.consent,
+    actions: row.actions,
+    reports: row.reports,
+    kit: row.kit,
+    derived: {
+      state: lifecycle.computeState(rows),
+      eligible_for_pdf_email: blocker === null,
+      pdf_email_missing: blocker,
+      appointment_status: appointmentStatus(rows.actions),
+    },
+  };
+}
+
+module.exports = {
+  MAX_KITS,
+  pdfEmailBlocker,
+  appointmentStatus,
+  loadProfiles,
+};
@@ -0,0 +1,233 @@
+/**
+ * Filtered, sorted, cursor-paginated reads of one kit table (POST /{table}/query).
+ *
+ * Request body:
+ *   where     { column: condition, "other_table.column": condition, ... } — all conditions must hold
+ *   select    [column, ...] (default: every column)
+ *   order_by  column (default: id, or kit_id when the table has no id), order: "asc" | "desc"
+ *   limit     1..500 (default 100), cursor: next_cursor from the previous page
+ *
+ * A condition is a value (equality; null means IS NULL) or an object of operators:
+ *   { eq, ne, in: [...], is_null: true|false, gt, gte, lt, lte }
+ * Values are coerced to the column type like update bodies (lib/schema.js), so "true", "2024-05-01" etc. work.
+ * "other_table.column" keys filter on another kit table joined by kit_id: the row matches when the kit has
+ * a row there that meets every condition given for that table.
+ */
+
+const schema = require('./schema');
+
+const SAFE_COLUMN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+const OPERATORS = { eq: '=', ne: '<>', gt: '>', gte: '>=', lt: '<', lte: '<=' };
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+const MAX_IN_VALUES = 1000;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function encodeCursor(values) {
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return Array.isArray(values) && values.length === 2 ? values : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Validate one column's condition. Returns { conditions: [{ column, op, value? }] } or { error }.
+ * op is an OPERATORS key, 'in' or 'is_null'.
+ */
+function parseCondition(column, meta, condition) {
+  const coerceValue = (value) => {
+    const result = schema.coerce(value, { ...meta, nullable: false });
+    return result.error ? { error: `${result.error} (column type ${meta.type})` } : result;
+  };
+  if (!isPlainObject(condition)) {
+    if (condition === null) return { conditions: [{ column, op: 'is_null', value: true }] };
+    const result = coerceValue(condition);
+    return result.error ? result : { conditions: [{ column, op: 'eq', value: result.value }] };
+  }
+  const conditions = [];
+  for (const [op, raw] of Object.entries(condition)) {
+    if (op === 'is_null') {
+      if (typeof raw !== 'boolean') return { error: '"is_null" must be true or false' };
+      conditions.push({ column, op, value: raw });
+    } else if (op === 'in') {
+      if (!Array.isArray(raw) || raw.length === 0 || raw.length > MAX_IN_VALUES) {
+        return { error: `"in" must be an array of 1 to ${MAX_IN_VALUES} values` };
+      }
+      const values = [];
+      for (const item of raw) {
+        const result = coerceValue(item);
+        if (result.error) return result;
+        values.push(result.value);
+      }
+      conditions.push({ column, op, value: values });
+    } else if (OPERATORS[op]) {
+      const result = coerceValue(raw);
+      if (result.error) return result;
+      conditions.push({ column, op, value: result.value });
+    } else {
+      return { error: `Unknown operator "${op}" (use ${[...Object.keys(OPERATORS), 'in', 'is_null'].join(', ')})` };
+    }
+  }
+  if (conditions.length === 0) return { error: 'Condition object has no operators' };
+  return { conditions };
+}
+
+/**
+ * Validate a query body against the columns of tableName and of the kit tables it filters on.
+ * columnsByTable: { table: columns } as returned by schema.loadColumns, for tableName and every joinable table.
+ * Returns { spec } or { errors: { field: message } }.
+ */
+function parseQuery(tableName, columnsByTable, body) {
+  const columns = columnsByTable[tableName];
+  const errors = {};
+  const where = {};
+
+  const whereBody = body.where === undefined ? {} : body.where;
+  if (!isPlainObject(whereBody)) {
+    errors.where = 'Must be an object of { column: condition }';
+  } else {
+    for (const [key, condition] of Object.entries(whereBody)) {
+      const parts = key.split('.');
+      const [table, column] = parts.length === 2 ? parts : [tableName, parts[0]];
+      if (parts.length > 2 || !SAFE_COLUMN.test(column)) {
+        errors[`where.${key}`] = 'Invalid column name';
+      } else if (!columnsByTable[table]) {
+        errors[`where.${key}`] = `Unknown table "${table}"`;
+      } else if (!columnsByTable[table][column]) {
+        errors[`where.${key}`] = 'Unknown column';
+      } else {
+        const result = parseCondition(column, columnsByTable[table][column], condition);
+        if (result.error) errors[`where.${key}`] = result.error;
+        else where[table] = [...(where[table] || []), ...result.conditions];
+      }
+    }
+  }
+
+  let select = null;
+  if (body.select !== undefined) {
+    if (!Array.isArray(body.select) || body.select.length === 0) {
+      errors.select = 'Must be a non-empty array of column names';
+    } else {
+      const unknown = body.select.filter((c) => typeof c !== 'string' || !SAFE_COLUMN.test(c) || !columns[c]);
+      if (unknown.length > 0) errors.select = `Unknown columns: ${unknown.join(', ')}`;
+      else select = [...new Set(body.select)];
+    }
+  }
+
+  const tiebreaker = columns.id ? 'id' : 'kit_id';
+  const orderBy = body.order_by === undefined ? tiebreaker : body.order_by;
+  if (typeof orderBy !== 'string' || !SAFE_COLUMN.test(orderBy) || !columns[orderBy]) {
+    errors.order_by = 'Unknown column';
+  } else if (['json', 'jsonb', 'ARRAY'].includes(columns[orderBy].type)) {
+    errors.order_by = `Cannot sort by a ${columns[orderBy].type} column`;
+  }
+  const order = body.order === undefined ? 'asc' : body.order;
+  if (order !== 'asc' && order !== 'desc') errors.order = 'Must be "asc" or "desc"';
+
+  const limit = body.limit === undefined ? DEFAULT_LIMIT : body.limit;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) errors.limit = `Must be an integer from 1 to ${MAX_LIMIT}`;
+
+  let after = null;
+  if (body.cursor !== undefined && body.cursor !== null) {
+    after = decodeCursor(body.cursor);
+    if (!after) errors.cursor = 'Invalid cursor';
+  }
+
+  if (Object.keys(errors).length > 0) return { errors };
+  return { spec: { table: tableName, where, select, orderBy, order, tiebreaker, limit, after } };
+}
+
+/** SQL for the conditions on one table alias, appending values to params. */
+function conditionSql(alias, conditions, params) {
+  return conditions.map(({ column, op, value }) => {
+    const ref = `${alias}.${column}`;
+    if (op === 'is_null') return value ? `${ref} IS NULL` : `${ref} IS NOT NULL`;
+    params.push(value);
+    if (op === 'in') return `${ref} = ANY($${params.length})`;
+    return `${ref} ${OPERATORS[op]} $${params.length}`;
+  });
+}
+
+/**
+ * Keyset condition for rows after the cursor. Rows are ordered by (order_by IS NULL), order_by, tiebreaker,
+ * so NULLs come last in both directions.
+ */
+function cursorSql(spec, params) {
+  const [value, tie] = spec.after;
+  const cmp = spec.order === 'asc' ? '>' : '<';
+  const col = `t.${spec.orderBy}`;
+  const tieCol = `t.${spec.tiebreaker}`;
+  if (spec.orderBy === spec.tiebreaker) {
+    params.push(tie);
+    return `${tieCol} ${cmp} $${params.length}`;
+  }
+  if (value === null) {
+    params.push(tie);
+    return `(${col} IS NULL AND ${tieCol} ${cmp} $${params.length})`;
+  }
+  params.push(value, tie);
+  const v = `$${params.length - 1}`;
+  const t = `$${params.length}`;
+  return `(${col} ${cmp} ${v} OR (${col} = ${v} AND ${tieCol} ${cmp} ${t}) OR ${col} IS NULL)`;
+}
+
+/** Run a parsed query. Returns { items, next_cursor }. */
+async function run(db, spec) {
+  const params = [];
+  const clauses = [];
+  for (const [table, conditions] of Object.entries(spec.where)) {
+    if (table === spec.table) {
+      clauses.push(...conditionSql('t', conditions, params));
+    } else {
+      const inner = conditionSql('j', conditions, params);
+      clauses.push(`EXISTS (SELECT 1 FROM ${table} j WHERE j.kit_id = t.kit_id AND ${inner.join(' AND ')})`);
+    }
+  }
+  if (spec.after) clauses.push(cursorSql(spec, params));
+
+  const selected = spec.select ? [...new Set([...spec.select, spec.orderBy, spec.tiebreaker])] : null;
+  const direction = spec.order === 'asc' ? 'ASC' : 'DESC';
+  params.push(spec.limit + 1);
+  const result = await db.query(
+    `SELECT ${selected ? selected.map((c) => `t.${c}`).join(', ') : 't.*'} FROM ${spec.table} t
+     ${clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : ''}
+     ORDER BY (t.${spec.orderBy} IS NULL), t.${spec.orderBy} ${direction}, t.${spec.tiebreaker} ${direction}
+     LIMIT $${params.length}`,
+    params
+  );
+
+  const rows = result.rows.slice(0, spec.limit);
+  const last = rows[rows.length - 1];
+  const hasMore = result.rows.length > spec.limit;
+  const toJson = (v) => (v instanceof Date ? v.toISOString() : v);
+  return {
+    items: spec.select ? rows.map((row) => Object.fromEntries(spec.select.map((c) => [c, row[c]]))) : rows,
+    next_cursor: hasMore ? encodeCursor([toJson(last[spec.orderBy] ?? null), toJson(last[spec.tiebreaker])]) : null,
+  };
+}
+
+/** Tables other than tableName that the where clause filters on (need their columns loaded and read access). */
+function joinedTables(tableName, body) {
+  if (!isPlainObject(body.where)) return [];
+  return [...new Set(Object.keys(body.where)
+    .filter((key) => key.includes('.'))
+    .map((key) => key.split('.')[0])
+    .filter((table) => table !== tableName))];
+}
+
+module.exports = {
+  MAX_LIMIT,
+  parseCondition,
+  parseQuery,
+  joinedTables,
+  run,
+};
@@ -0,0 +1,170 @@
+/**
+ * Reminders for kits stuck in a lifecycle stage, configured with KIT_REMINDERS (a JSON array). A reminder:
+ *
+ *   stage          lifecycle state the kit is stuck in (registered, consented, report_ready, appointment_made, pdf_sent)
+ *   message_type   router message queued, e.g. "appointment_reminder"
+ *   after_hours    hours in the stage before the first reminder
+ *   every_hours    hours between reminders (default after_hours)
+ *   max_reminders  reminders per stay in the stage (default 3)
+ *   since          "table.column" holding when the kit entered the stage (default STAGE_SINCE[stage])
+ *
+ * Expects table: kit_reminders (migrations/0009_kit_reminders.up.sql), one row per kit and message_type with the
+ * count and last send. The count starts again when the kit re-enters the stage (its since time changes).
+ */
+
+const lifecycle = require('./lifecycle');
+const log = require('./log');
+
+const REMINDERS_TABLE = 'kit_reminders';
+const DEFAULT_REMINDERS = [
+  { stage: 'report_ready', message_type: 'appointment_reminder', after_hours: 72, every_hours: 72, max_reminders: 3 },
+];
+/** Where each stage's entry time is read from, first non-null wins. */
+const STAGE_SINCE = {
+  registered: ['users.created_at'],
+  consented: ['consents.agreed_at', 'consents.created_at'],
+  report_ready: ['reports.created_at'],
+  appointment_made: ['actions.appointment_start_time'],
+};
+const REF = /^([a-z_]+)\.([a-zA-Z_][a-zA-Z0-9_]*)$/;
+const HOUR_MS = 3600 * 1000;
+
+function isPositive(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+/** Problems with one configured reminder. */
+function reminderErrors(reminder) {
+  if (reminder === null || typeof reminder !== 'object' || Array.isArray(reminder)) return ['must be an object'];
+  const errors = [];
+  if (!lifecycle.ACTIVE_STATES.includes(reminder.stage)) errors.push(`"stage" must be one of: ${lifecycle.ACTIVE_STATES.join(', ')}`);
+  if (!reminder.message_type || typeof reminder.message_type !== 'string') errors.push('"message_type" must be a string');
+  if (!isPositive(reminder.after_hours)) errors.push('"after_hours" must be a positive number');
+  if (reminder.every_hours !== undefined && !isPositive(reminder.every_hours)) errors.push('"every_hours" must be a positive number');
+  if (reminder.max_reminders !== undefined && !(Number.isInteger(reminder.max_reminders) && reminder.max_reminders > 0)) {
+    errors.push('"max_reminders" must be a positive integer');
+  }
+  if (reminder.since !== undefined) {
+    const match = typeof reminder.since === 'string' ? REF.exec(reminder.since) : null;
+    if (!match || !lifecycle.KIT_TABLES.includes(match[1])) errors.push('"since" must be a kit table column');
+  } else if (!STAGE_SINCE[reminder.stage]) {
+    errors.push(`"since" is required for stage "${reminder.stage}"`);
+  }
+  return errors;
+}
+
+let cached = { raw: undefined, reminders: DEFAULT_REMINDERS };
+
+/** The configured reminders, parsed once per value of KIT_REMINDERS. Invalid entries are logged and left out. */
+function activeReminders() {
+  const raw = process.env.KIT_REMINDERS;
+  if (raw === cached.raw) return cached.reminders;
+  let reminders = DEFAULT_REMINDERS;
+  if (raw) {
+    try {
+      const parsed = JSON.parse(raw);
+      if (!Array.isArray(parsed)) throw new Error('not an array');
+      reminders = parsed.filter((reminder, i) => {
+        const errors = reminderErrors(reminder);
+        if (errors.length > 0) log.error('KIT_REMINDERS: reminder ignored', { index: i, errors });
+        return errors.length === 0;
+      });
+    } catch (err) {
+      log.error('KIT_REMINDERS is not a valid JSON array; using defaults', { value: raw, error: err.message });
+    }
+  }
+  cached = { raw, reminders };
+  return reminders;
+}
+
+/** When the kit entered the reminder's stage, as a Date, or null when the since column is empty. */
+function stageSince(reminder, rows) {
+  const refs = reminder.since ? [reminder.since] : STAGE_SINCE[reminder.stage];
+  for (const ref of refs) {
+    const [table, column] = ref.split('.');
+    const value = rows[table]?.[column];
+    if (value == null) continue;
+    const date = value instanceof Date ? value : new Date(value);
+    if (!Number.isNaN(date.getTime())) return date;
+  }
+  return null;
+}
+
+/**
+ * Whether a reminder is due for a kit. tracking is its kit_reminders row (or null).
+ * Returns { due: true, count, since } with count the number this reminder will be, or { due: false, reason }.
+ */
+function check(reminder, rows, tracking, now = new Date()) {
+  if (lifecycle.computeState(rows) !== reminder.stage) return { due: false, reason: 'not in stage' };
+  const since = stageSince(reminder, rows);
+  if (!since) return { due: false, reason: 'no stage time' };
+  const sameStay = tracking && tracking.stage_since && new Date(tracking.stage_since).getTime() === since.getTime();
+  const sent = sameStay ? tracking.reminder_count : 0;
+  if (sent >= (reminder.max_reminders ?? 3)) return { due: false, reason: 'max reminders sent' };
+  const first = since.getTime() + reminder.after_hours * HOUR_MS;
+  const next = sent === 0 ? first : new Date(tracking.last_sent_at).getTime() + (reminder.every_hours ?? reminder.after_hours) * HOUR_MS;
+  if (now.getTime() < Math.max(first, next)) return { due: false, reason: 'not yet due' };
+  return { due: true, count: sent + 1, since };
+}
+
+/** The router message for a reminder: the send_pdf_email shape plus the stage and reminder number. */
+function buildMessage(reminder, kitId, user, count) {
+  return {
+    message_type: reminder.message_type,
+    kit_id: kitId,
+    firstName: user.first_name || '',
+    email: user.email || '',
+    stage: reminder.stage,
+    reminder_count: count,
+  };
+}
+
+/** Outbox dedupe key: one message per reminder number per stay in the stage. */
+function dedupeKey(reminder, kitId, since, count) {
+  return `${reminder.message_type}:${kitId}:${since.getTime()}:${count}`;
+}
+
+/** A kit's kit_reminders row for messageType, or null. */
+async function find(db, kitId, messageType) {
+  const result = await db.query(
+    `SELECT kit_id, message_type, reminder_count, stage_since, last_sent_at
+     FROM ${REMINDERS_TABLE} WHERE kit_id = $1 AND message_type = $2 FOR UPDATE`,
+    [kitId, messageType]
+  );
+  return result.rows[0] || null;
+}
+
+/** Record that reminder number count went out. entry: { kitId, messageType, count, since, sentAt? } */
+async function recordSent(db, { kitId, messageType, count, since, sentAt }) {
+  await db.query(
+    `INSERT INTO ${REMINDERS_TABLE} (kit_id, message_type, reminder_count, stage_since, last_sent_at)
+     VALUES ($1, $2, $3, $4, COALESCE($5::timestamptz, now()))
+     ON CONFLICT (kit_id, message_type) DO UPDATE
+     SET reminder_count = EXCLUDED.reminder_count, stage_since = EXCLUDED.stage_since, last_sent_at = EXCLUDED.last_sent_at`,
+    [kitId, messageType, count, since, sentAt ?? null]
+  );
+}
+
+/** Non-test kit ids after afterKitId, in kit_id order. */
+async function listKitIds(db, { afterKitId, limit }) {
+  const result = await db.query(
+    'SELECT kit_id FROM users WHERE kit_id > $1 AND is_test IS NOT TRUE ORDER BY kit_id LIMIT $2',
+    [afterKitId || '', limit]
+  );
+  return result.rows.map((r) => r.kit_id);
+}
+
+module.exports = {
+  REMINDERS_TABLE,
+  DEFAULT_REMINDERS,
+  STAGE_SINCE,
+  reminderErrors,
+  activeReminders,
+  stageSince,
+  check,
+  buildMessage,
+  dedupeKey,
+  find,
+  recordSent,
+  listKitIds,
+};
@@ -0,0 +1,534 @@
+/**
+ * In-memory repository — same methods as lib/repository/postgres.js, backed by plain arrays, so the kit
+ * table, webhook and outbox handlers run without a database (see "Running locally" in the README).
+ *
+ * transaction(fn) snapshots the data and puts it back if fn throws. There is no isolation between
+ * concurrent transactions; the repository is meant for one caller at a time.
+ * Everything written is visible on repository.data for inspection.
+ */
+
+const lifecycle = require('../lifecycle');
+const audit = require('../audit');
+const changefeed = require('../changefeed');
+const outbox = require('../outbox');
+const apiKeys = require('../apiKeys');
+const consent = require('../consent');
+const privacy = require('../privacy');
+const { FAILURES_TABLE } = require('../airtable');
+const { REMINDERS_TABLE } = require('../reminders');
+const inbox = require('../inbox');
+const idempotency = require('../idempotency');
+
+const column = (type, nullable = true) => ({ type, nullable, maxLength: null });
+const TIMESTAMP = 'timestamp with time zone';
+
+/** Kit table columns as migrations/ create them (in lib/schema.js shape), used when none are passed in. */
+const DEFAULT_COLUMNS = {
+  users: {
+    id: column('bigint', false),
+    kit_id: column('text', false),
+    email: column('text'),
+    first_name: column('text'),
+    is_test: column('boolean', false),
+    created_at: column(TIMESTAMP, false),
+  },
+  consents: {
+    id: column('bigint', false),
+    kit_id: column('text', false),
+    toc_agreed: column('boolean', false),
+    terms_version: column('text'),
+    agreed_at: column(TIMESTAMP),
+    withdrawn_at: column(TIMESTAMP),
+    created_at: column(TIMESTAMP, false),
+  },
+  reports: {
+    id: column('bigint', false),
+    kit_id: column('text', false),
+    created_at: column(TIMESTAMP, false),
+  },
+  actions: {
+    id: column('bigint', false),
+    kit_id: column('text', false),
+    appointment_made: column('boolean', false),
+    appointment_event_uri: column('text'),
+    appointment_start_time: column(TIMESTAMP),
+    pdf_email_sent: column('boolean', false),
+    created_at: column(TIMESTAMP, false),
+  },
+  kits: {
+    id: column('bigint', false),
+    kit_id: column('text', false),
+    canceled_at: column(TIMESTAMP),
+    created_at: column(TIMESTAMP, false),
+  },
+};
+
+/** Column defaults from migrations/ (besides id and created_at), filled in on insert as Postgres does. */
+const DEFAULT_VALUES = {
+  users: { is_test: false },
+  consents: { toc_agreed: false },
+  actions: { appointment_made: false, pdf_email_sent: false },
+};
+
+/** Columns that must be unique per table, like the unique indexes in Postgres. */
+const DEFAULT_UNIQUE = { users: ['kit_id'] };
+
+function dbError(message, code) {
+  return Object.assign(new Error(message), { code });
+}
+
+/**
+ * options: { columns?, unique?, rows?: { table: [row, ...] }, now?: () => Date }
+ * columns maps each table to its column metadata (defaults to DEFAULT_COLUMNS); a table missing there
+ * behaves like a missing Postgres table (code 42P01).
+ */
+function createMemoryRepository(options = {}) {
+  const columns = options.columns || DEFAULT_COLUMNS;
+  const unique = options.unique || DEFAULT_UNIQUE;
+  const now = options.now || (() => new Date());
+  const ids = {};
+  const nextId = (name) => {
+    ids[name] = (ids[name] || 0) + 1;
+    return ids[name];
+  };
+
+  const data = {
+    tables: Object.fromEntries(Object.keys(columns).map((t) => [t, []])),
+    audit: [],
+    outbox: [],
+    consentEvents: [],
+    airtableFailures: [],
+    apiKeys: [],
+    tombstones: [],
+    reminders: [],
+    inbox: [],
+    idempotency: [],
+    jobCursors: {},
+  };
+
+  function table(name) {
+    if (!data.tables[name]) throw dbError(`relation "${name}" does not exist`, '42P01');
+    return data.tables[name];
+  }
+
+  /** Store values the way Postgres would hand them back (json columns parsed, unknown columns and NOT NULL violations rejected). */
+  function toStored(tableName, values) {
+    const stored = {};
+    for (const [name, value] of Object.entries(values)) {
+      const meta = columns[tableName][name];
+      if (!meta) throw dbError(`column "${name}" of relation "${tableName}" does not exist`, '42703');
+      if (value === null && !meta.nullable) {
+        throw dbError(`null value in column "${name}" of relation "${tableName}" violates not-null constraint`, '23502');
+      }
+      stored[name] = (meta.type === 'json' || meta.type === 'jsonb') && typeof value === 'string'
+        ? JSON.parse(value)
+        : value;
+    }
+    return stored;
+  }
+
+  function insert(tableName, values) {
+    const rows = table(tableName);
+    const row = {
+      ...(columns[tableName].id ? { id: nextId(tableName) } : {}),
+      ...(columns[tableName].created_at ? { created_at: now().toISOString() } : {}),
+      ...Object.fromEntries(Object.entries(DEFAULT_VALUES[tableName] || {}).filter(([name]) => columns[tableName][name])),
+      ...toStored(tableName, values),
+    };
+    for (const col of unique[tableName] || []) {
+      if (rows.some((r) => r[col] === row[col])) {
+        throw dbError(`duplicate key value violates unique constraint "${tableName}_${col}_key"`, '23505');
+      }
+    }
+    rows.push(row);
+    return structuredClone(row);
+  }
+
+  const repository = {
+    kind: 'memory',
+    data,
+    inTransaction: false,
+
+    async transaction(fn) {
+      if (this.inTransaction) return fn(this);
+      const snapshot = structuredClone({ data, ids });
+      this.inTransaction = true;
+      try {
+        return await fn(this);
+      } catch (error) {
+        Object.assign(data, snapshot.data);
+        Object.keys(ids).forEach((k) => delete ids[k]);
+        Object.assign(ids, snapshot.ids);
+        throw error;
+      } finally {
+        this.inTransaction = false;
+      }
+    },
+
+    async loadColumns(tableName) {
+      if (!columns[tableName]) throw dbError(`Table "${tableName}" not found`, '42P01');
+      return columns[tableName];
+    },
+
+    async loadKitRows(kitId) {
+      const rows = {};
+      for (const tableName of lifecycle.KIT_TABLES) rows[tableName] = await this.findRow(tableName, kitId);
+      return rows;
+    },
+
+    async findRows(tableName, kitId) {
+      return structuredClone(table(tableName).filter((r) => r.kit_id === kitId));
+    },
+
+    async findRow(tableName, kitId) {
+      const row = table(tableName).find((r) => r.kit_id === kitId);
+      return row ? structuredClone(row) : null;
+    },
+
+    async findUsersByEmail(email) {
+      const wanted = email.trim().toLowerCase();
+      return structuredClone(table('users').filter((r) => typeof r.email === 'string' && r.email.toLowerCase() === wanted));
+    },
+
+    async updateRows(tableName, kitId, values) {
+      const stored = toStored(tableName, values);
+      const rows = table(tableName).filter((r) => r.kit_id === kitId);
+      rows.forEach((r) => Object.assign(r, stored));
+      return structuredClone(rows);
+    },
+
+    async insertRow(tableName, values) {
+      return insert(tableName, values);
+    },
+
+    async recordChange(entry) {
+      const row = audit.buildEntry(entry);
+      if (!row) return null;
+      const stored = { id: nextId('audit'), ...row, created_at: now().toISOString() };
+      data.audit.push(stored);
+      const topic = changefeed.topicArn();
+      if (topic) await this.enqueueOutbox({ topicArn: topic, kitId: row.kit_id, message: changefeed.buildEvent(stored) });
+      return stored.id;
+    },
+
+    /** Like audit.queryHistory: a kit's audit rows, oldest first. */
+    async auditHistory({ kitId, table, from, to, limit = 500 }) {
+      const time = (value) => new Date(value).getTime();
+      return data.audit
+        .filter((r) => r.kit_id === kitId && (!table || r.table_name === table)
+          && (!from || time(r.created_at) >= time(from)) && (!to || time(r.created_at) <= time(to)))
+        .slice(0, limit)
+        .map(({ state_key: _stateKey, ...r }) => structuredClone(r));
+    },
+
+    async listChanges({ after = '0', table, kitId, limit = 100 }) {
+      const settled = now().getTime() - changefeed.SETTLE_SECONDS * 1000;
+      return data.audit
+        .filter((r) => r.id > Number(after) && new Date(r.created_at).getTime() < settled
+          && (!table || r.table_name === table) && (!kitId || r.kit_id === kitId))
+        .sort((a, b) => a.id - b.id)
+        .slice(0, limit + 1)
+        .map((r) => changefeed.buildEvent(structuredClone(r)));
+    },
+
+    async enqueueOutbox({ topicArn, kitId, message, dedupeKey }) {
+      if (dedupeKey && data.outbox.some((r) => r.dedupe_key === dedupeKey)) return null;
+      const id = nextId('outbox');
+      data.outbox.push({
+        id,
+        kit_id: kitId ?? null,
+        message_type: message.message_type,
+        topic_arn: topicArn,
+        message: structuredClone(message),
+        dedupe_key: dedupeKey ?? null,
+        status: 'pending',
+        attempts: 0,
+        last_error: null,
+        next_attempt_at: now().toISOString(),
+        created_at: now().toISOString(),
+        delivered_at: null,
+      });
+      return id;
+    },
+
+    async claimOutbox() {
+      const due = data.outbox
+        .filter((r) => r.status === 'pending' && new Date(r.next_attempt_at) <= now())
+        .sort((a, b) => new Date(a.next_attempt_at) - new Date(b.next_attempt_at) || a.id - b.id);
+      return due.length > 0 ? structuredClone(due[0]) : null;
+    },
+
+    async markOutboxDelivered(id) {
+      const row = data.outbox.find((r) => r.id === id);
+      if (row) Object.assign(row, { status: 'delivered', attempts: row.attempts + 1, delivered_at: now().toISOString(), last_error: null });
+    },
+
+    async markOutboxAttemptFailed(claimed, errorMessage) {
+      const attempts = claimed.attempts + 1;
+      const status = attempts >= outbox.MAX_ATTEMPTS ? 'failed' : 'pending';
+      const row = data.outbox.find((r) => r.id === claimed.id);
+      if (row) {
+        Object.assign(row, {
+          status,
+          attempts,
+          last_error: errorMessage,
+          next_attempt_at: new Date(now().getTime() + outbox.backoffSeconds(attempts) * 1000).toISOString(),
+        });
+      }
+      return status;
+    },
+
+    async cancelOutboxForKit(kitId, reason) {
+      const rows = data.outbox.filter((r) => r.kit_id === kitId && (r.status === 'pending' || r.status === 'failed')
+        && r.message_type !== outbox.CHANGE_MESSAGE_TYPE);
+      rows.forEach((r) => Object.assign(r, { status: 'canceled', last_error: reason }));
+      return rows.map((r) => r.id);
+    },
+
+    async recordConsentEvent(entry) {
+      const row = consent.buildEvent(entry);
+      const id = nextId('consentEvents');
+      data.consentEvents.push({
+        id,
+        ...row,
+        occurred_at: row.occurred_at || now().toISOString(),
+        details: structuredClone(row.details),
+        created_at: now().toISOString(),
+      });
+      return id;
+    },
+
+    async consentHistory(kitId) {
+      return structuredClone(data.consentEvents
+        .filter((e) => e.kit_id === kitId)
+        .sort((a, b) => new Date(a.occurred_at) - new Date(b.occurred_at) || a.id - b.id));
+    },
+
+    async recordAirtableFailure({ kitId, tableName, fields, outcome }) {
+      const id = nextId('airtableFailures');
+      data.airtableFailures.push({
+        id,
+        kit_id: kitId,
+        table_name: tableName,
+        fields: structuredClone(fields),
+        reason: outcome.reason,
+        status_code: outcome.status ?? null,
+        error: outcome.error ?? null,
+        attempts: 0,
+        created_at: now().toISOString(),
+        last_attempt_at: null,
+        resolved_at: null,
+      });
+      return id;
+    },
+
+    async receiveWebhook({ provider, eventId, eventType, headers, rawBody }) {
+      const existing = data.inbox.find((r) => r.provider === provider && r.event_id === eventId);
+      if (existing) return { id: existing.id, duplicate: true, status: existing.status };
+      const id = nextId('inbox');
+      data.inbox.push({
+        id,
+        provider,
+        event_id: eventId,
+        event_type: eventType ?? null,
+        headers: inbox.storedHeaders(headers),
+        raw_body: rawBody,
+        status: 'received',
+        attempts: 0,
+        last_error: null,
+        response: null,
+        kit_ids: [],
+        received_at: now().toISOString(),
+        processed_at: null,
+      });
+      return { id, duplicate: false };
+    },
+
+    async finishWebhook(id, { status, response, error, kitIds, redact }) {
+      const row = data.inbox.find((r) => r.id === id);
+      if (!row) return;
+      Object.assign(row, {
+        status,
+        attempts: row.attempts + 1,
+        last_error: error ?? null,
+        response: response === undefined ? null : structuredClone(response),
+        kit_ids: [...(kitIds || [])],
+        processed_at: now().toISOString(),
+      }, redact ? { raw_body: '{}', headers: {} } : {});
+    },
+
+    async claimWebhook(id, statuses) {
+      const row = data.inbox.find((r) => r.id === id && statuses.includes(r.status));
+      if (!row) return null;
+      row.status = 'received';
+      return structuredClone(row);
+    },
+
+    async listWebhooks({ status, provider, kitId, limit = 100, oldestFirst = false } = {}) {
+      const rows = data.inbox
+        .filter((r) => (!status || r.status === status) && (!provider || r.provider === provider)
+          && (!kitId || r.kit_ids.includes(kitId)))
+        .sort((a, b) => (oldestFirst ? a.id - b.id : b.id - a.id))
+        .slice(0, limit);
+      return structuredClone(rows.map(({ headers, raw_body: rawBody, response, ...rest }) => rest));
+    },
+
+    async claimIdempotencyKey({ scope, key, requestHash, kitId, ttlHours }) {
+      const existing = data.idempotency.find((r) => r.scope === scope && r.key === key);
+      const time = now().getTime();
+      const stale = existing && existing.status === 'in_progress' && existing.request_hash === requestHash
+        && new Date(existing.created_at).getTime() < time - idempotency.STALE_SECONDS * 1000;
+      if (existing && new Date(existing.expires_at).getTime() > time && !stale) return { claimed: false, row: structuredClone(existing) };
+      if (existing) data.idempotency.splice(data.idempotency.indexOf(existing), 1);
+      const id = nextId('idempotency');
+      data.idempotency.push({
+        id,
+        scope,
+        key,
+        request_hash: requestHash,
+        kit_id: kitId ?? null,
+        status: 'in_progress',
+        response: null,
+        created_at: now().toISOString(),
+        completed_at: null,
+        expires_at: new Date(time + ttlHours * 3600 * 1000).toISOString(),
+      });
+      return { claimed: true, id };
+    },
+
+    async completeIdempotencyKey(id, response) {
+      const row = data.idempotency.find((r) => r.id === id);
+      if (row) Object.assign(row, { status: 'completed', response: structuredClone(idempotency.storedResponse(response)), completed_at: now().toISOString() });
+    },
+
+    async releaseIdempotencyKey(id) {
+      const index = data.idempotency.findIndex((r) => r.id === id && r.status === 'in_progress');
+      if (index !== -1) data.idempotency.splice(index, 1);
+    },
+
+    async listKitIds({ afterKitId, limit }) {
+      return table('users')
+        .filter((r) => r.kit_id > (afterKitId || '') && !lifecycle.flag(r.is_test))
+        .map((r) => r.kit_id)
+        .sort()
+        .slice(0, limit);
+    },
+
+    async loadJobCursor(job) {
+      return data.jobCursors[job] || null;
+    },
+
+    async saveJobCursor(job, afterKitId) {
+      data.jobCursors[job] = afterKitId || null;
+    },
+
+    async findReminder(kitId, messageType) {
+      const row = data.reminders.find((r) => r.kit_id === kitId && r.message_type === messageType);
+      return row ? structuredClone(row) : null;
+    },
+
+    async recordReminderSent({ kitId, messageType, count, since, sentAt }) {
+      let row = data.reminders.find((r) => r.kit_id === kitId && r.message_type === messageType);
+      if (!row) {
+        row = { kit_id: kitId, message_type: messageType };
+        data.reminders.push(row);
+      }
+      Object.assign(row, {
+        reminder_count: count,
+        stage_since: new Date(since).toISOString(),
+        last_sent_at: sentAt ?? now().toISOString(),
+      });
+    },
+
+    /** Like privacy.exportKit; there is no /state store in memory, so state is always []. */
+    async exportKitData(kitId) {
+      const doc = { kit_id: kitId };
+      for (const tableName of lifecycle.KIT_TABLES) doc[tableName] = await this.findRows(tableName, kitId);
+      doc.state = [];
+      doc.consent_events = await this.consentHistory(kitId);
+      doc.audit_log = structuredClone(data.audit.filter((r) => r.kit_id === kitId));
+      doc.outbox = structuredClone(data.outbox.filter((r) => r.kit_id === kitId));
+      doc.airtable_failures = structuredClone(data.airtableFailures.filter((r) => r.kit_id === kitId));
+      doc.reminders = structuredClone(data.reminders.filter((r) => r.kit_id === kitId));
+      doc.webhook_inbox = structuredClone(data.inbox.filter((r) => r.kit_ids.includes(kitId)));
+      doc.idempotency_keys = structuredClone(data.idempotency.filter((r) => r.kit_id === kitId));
+      return doc;
+    },
+
+    async eraseKitData(kitIds, mode) {
+      if (!privacy.MODES.includes(mode)) throw new Error(`Unknown erasure mode "${mode}"`);
+      const counts = {};
+      const ofKits = (r) => kitIds.includes(r.kit_id);
+      const remove = (name, rows, match) => {
+        const kept = rows.filter((r) => !match(r));
+        counts[name] = (counts[name] || 0) + rows.length - kept.length;
+        rows.splice(0, rows.length, ...kept);
+      };
+      if (mode === 'delete') {
+        for (const tableName of lifecycle.KIT_TABLES) remove(tableName, table(tableName), ofKits);
+        remove(consent.CONSENT_EVENTS_TABLE, data.consentEvents, ofKits);
+      } else {
+        for (const [tableName, piiColumns] of Object.entries(privacy.PII_COLUMNS)) {
+          const rows = table(tableName).filter(ofKits);
+          rows.forEach((r) => piiColumns.forEach((c) => { r[c] = null; }));
+          counts[tableName] = rows.length;
+        }
+      }
+      for (const [tableName, piiColumns] of Object.entries(privacy.PII_COLUMNS)) {
+        const audited = data.audit.filter((r) => ofKits(r) && r.table_name === tableName
+          && piiColumns.some((c) => c in r.changes));
+        audited.forEach((r) => { r.changes = privacy.redactChanges(r.changes, piiColumns); });
+        counts[audit.AUDIT_TABLE] = (counts[audit.AUDIT_TABLE] || 0) + audited.length;
+      }
+      remove(outbox.OUTBOX_TABLE, data.outbox, (r) => ofKits(r) || (r.kit_id === null && r.message_type === outbox.CHANGE_MESSAGE_TYPE
+        && String(r.message.state_key).split(':').some((segment) => kitIds.includes(segment))));
+      remove(FAILURES_TABLE, data.airtableFailures, ofKits);
+      remove(REMINDERS_TABLE, data.reminders, ofKits);
+      remove(inbox.INBOX_TABLE, data.inbox, (r) => r.kit_ids.some((id) => kitIds.includes(id)));
+      remove(idempotency.IDEMPOTENCY_TABLE, data.idempotency, ofKits);
+      return counts;
+    },
+
+    async recordErasure(entry) {
+      const id = nextId('tombstones');
+      data.tombstones.push({ id, ...privacy.buildTombstone(entry), erased_at: now().toISOString() });
+      return id;
+    },
+
+    async findErasure({ email, kitId }) {
+      const emailHash = privacy.hashEmail(email);
+      const match = data.tombstones.filter((r) => (emailHash && r.email_hash === emailHash) || r.kit_id === kitId).pop();
+      return match ? structuredClone(match) : null;
+    },
+
+    async authenticateApiKey(key) {
+      const record = data.apiKeys.find((r) => r.key_hash === apiKeys.hashKey(key) && !r.revoked_at);
+      if (!record) return null;
+      record.last_used_at = now().toISOString();
+      return { id: record.id, name: record.name, key_prefix: record.key_prefix, scopes: [...record.scopes] };
+    },
+
+    /** Create a key (memory only; Postgres keys come from lib/apiKeys.js). Returns the plaintext key. */
+    issueApiKey({ name, scopes }) {
+      const key = apiKeys.generateKey();
+      data.apiKeys.push({
+        id: nextId('apiKeys'),
+        name,
+        key_hash: apiKeys.hashKey(key),
+        key_prefix: key.slice(0, apiKeys.KEY_PREFIX.length + 6),
+        scopes: [...scopes],
+        created_at: now().toISOString(),
+        last_used_at: null,
+        revoked_at: null,
+      });
+      return key;
+    },
+  };
+
+  for (const [tableName, rows] of Object.entries(options.rows || {})) {
+    for (const row of rows) insert(tableName, row);
+  }
+  return repository;
+}
+
+module.exports = { DEFAULT_COLUMNS, createMemoryRepository };
@@ -0,0 +1,133 @@
+/**
+ * Postgres repository — the data access behind the kit table, webhook and outbox handlers.
+ *
+ * lib/repository/memory.js implements the same methods in memory. Methods called on the repository
+ * returned by createPostgresRepository use the shared pool; inside transaction(fn), fn gets a repository
+ * bound to the transaction's client, so everything it does commits or rolls back together.
+ */
+
+const { getPool, withTransaction } = require('../db');
+const lifecycle = require('../lifecycle');
+const audit = require('../audit');
+const changefeed = require('../changefeed');
+const outbox = require('../outbox');
+const airtable = require('../airtable');
+const apiKeys = require('../apiKeys');
+const schema = require('../schema');
+const consent = require('../consent');
+const privacy = require('../privacy');
+const reminders = require('../reminders');
+const inbox = require('../inbox');
+const idempotency = require('../idempotency');
+const stateStore = require('../stateStore');
+
+const SAFE_COLUMN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+function checkColumns(columns) {
+  const bad = columns.find((c) => !SAFE_COLUMN.test(c));
+  if (bad) throw new Error(`Unsafe column name "${bad}"`);
+}
+
+/** Repository over db (the pool or a transaction's client). inTransaction: db is already inside BEGIN. */
+function repositoryFor(db, inTransaction) {
+  return {
+    kind: 'postgres',
+
+    /** Run fn(repository) in one transaction. Nested calls reuse the open transaction. */
+    transaction(fn) {
+      if (inTransaction) return fn(this);
+      return withTransaction((client) => fn(repositoryFor(client, true)));
+    },
+
+    loadColumns: (table) => schema.loadColumns(db, table),
+
+    loadKitRows: (kitId, options) => lifecycle.loadKitRows(db, kitId, options),
+
+    /** Every row of table for kitId. */
+    async findRows(table, kitId) {
+      const result = await db.query(`SELECT * FROM ${table} WHERE kit_id = $1`, [kitId]);
+      return result.rows;
+    },
+
+    /** The first row of table for kitId, or null. With lock, the row stays locked until the transaction ends. */
+    async findRow(table, kitId, { lock = false } = {}) {
+      const result = await db.query(
+        `SELECT * FROM ${table} WHERE kit_id = $1 LIMIT 1${lock ? ' FOR UPDATE' : ''}`,
+        [kitId]
+      );
+      return result.rows[0] || null;
+    },
+
+    /** Users whose email matches (case-insensitive). */
+    async findUsersByEmail(email) {
+      const result = await db.query('SELECT * FROM users WHERE LOWER(email) = LOWER($1)', [email.trim()]);
+      return result.rows;
+    },
+
+    /** Set values on every row of table for kitId. Returns the updated rows ([] when the kit has none). */
+    async updateRows(table, kitId, values) {
+      const columns = Object.keys(values);
+      checkColumns(columns);
+      const result = await db.query(
+        `UPDATE ${table} SET ${columns.map((c, i) => `${c} = $${i + 2}`).join(', ')} WHERE kit_id = $1 RETURNING *`,
+        [kitId, ...columns.map((c) => values[c])]
+      );
+      return result.rows;
+    },
+
+    /** Insert one row and return it. A duplicate key throws with code 23505. */
+    async insertRow(table, values) {
+      const columns = Object.keys(values);
+      checkColumns(columns);
+      const result = await db.query(
+        `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')}) RETURNING *`,
+        columns.map((c) => values[c])
+      );
+      return result.rows[0];
+    },
+
+    recordChange: (entry) => changefeed.recordChange(db, entry),
+    auditHistory: (filters) => audit.queryHistory(db, filters),
+    listChanges: (filters) => changefeed.list(db, filters),
+
+    enqueueOutbox: (entry) => outbox.enqueue(db, entry),
+    claimOutbox: () => outbox.claimNext(db),
+    markOutboxDelivered: (id) => outbox.markDelivered(db, id),
+    markOutboxAttemptFailed: (row, errorMessage) => outbox.markAttemptFailed(db, row, errorMessage),
+    cancelOutboxForKit: (kitId, reason) => outbox.cancelForKit(db, kitId, reason),
+
+    recordConsentEvent: (entry) => consent.record(db, entry),
+    consentHistory: (kitId) => consent.history(db, kitId),
+
+    recordAirtableFailure: (entry) => airtable.recordFailure(db, entry),
+
+    receiveWebhook: (entry) => inbox.receive(db, entry),
+    finishWebhook: (id, outcome) => inbox.finish(db, id, outcome),
+    claimWebhook: (id, statuses) => inbox.claim(db, id, statuses),
+    listWebhooks: (filters) => inbox.list(db, filters),
+
+    claimIdempotencyKey: (entry) => idempotency.claim(db, entry),
+    completeIdempotencyKey: (id, response) => idempotency.complete(db, id, response),
+    releaseIdempotencyKey: (id) => idempotency.release(db, id),
+
+    listKitIds: (options) => reminders.listKitIds(db, options),
+    loadJobCursor: (job) => stateStore.getJobCursor(db, job),
+    saveJobCursor: (job, afterKitId) => stateStore.putJobCursor(db, job, afterKitId),
+    findReminder: (kitId, messageType) => reminders.find(db, kitId, messageType),
+    recordReminderSent: (entry) => reminders.recordSent(db, entry),
+
+    exportKitData: (kitId) => privacy.exportKit(db, kitId),
+    eraseKitData: (kitIds, mode) => privacy.erase(db, kitIds, mode),
+    recordErasure: (entry) => privacy.recordTombstone(db, entry),
+    findErasure: (match) => privacy.findTombstone(db, match),
+
+    authenticateApiKey: (key) => apiKeys.authenticate(db, key),
+  };
+}
+
+/** Repository over the shared pool (created on first query). */
+function createPostgresRepository() {
+  return repositoryFor({ query: (text, params) => getPool().query(text, params) }, false);
+}
+
+module.exports = { createPostgresRepository };
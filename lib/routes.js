@@ -0,0 +1,634 @@
+/**
+ * Route registry — the one list of HTTP endpoints. Each exported HTTP handler in handler.js has an entry with its
+ * method, path, API key scope, request schema and response schema. From it:
+ *   - handler.js takes each handler's scope and validates request bodies before the handler runs (lib/openapi.js)
+ *   - GET /openapi.json serves the OpenAPI 3 document built from it
+ *   - client/ (the JS client) calls the API by operation name from that document
+ *   - npm run openapi -- check compares it with serverless.yml and client/openapi.json
+ *
+ * An entry:
+ *   handler    export name in handler.js (and function name in serverless.yml)
+ *   operation  OpenAPI operationId and client method name (default handler)
+ *   scope      API key scope required; omitted for public routes and webhooks, which authenticate themselves
+ *   query      { name: schema } query string parameters (GET routes)
+ *   body       JSON Schema of the request body; bodies are validated against it unless validate is false
+ *   response   JSON Schema of the success response, sent with status (default 200)
+ *   csv        true when the route can also answer text/csv (body format "csv")
+ *   idempotent true when the route honours an Idempotency-Key header (lib/idempotency.js)
+ *
+ * Schemas use the subset lib/openapi.js validates: type, properties, required, items, enum, minLength,
+ * minimum, minItems, maxItems, additionalProperties (schema or boolean); a type may be a list, e.g. ["string", "null"].
+ */
+
+function orNull(schema) {
+  return { ...schema, type: [schema.type, 'null'] };
+}
+
+const kitId = { type: 'string', minLength: 1, description: 'Kit id' };
+const email = { type: 'string', minLength: 1, description: 'Email address (matched case-insensitively)' };
+const timestamp = { type: 'string', format: 'date-time' };
+const limit = (max) => ({ type: 'integer', description: `Page size, capped at ${max}` });
+const ids = { type: 'array', items: { type: 'integer' }, minItems: 1 };
+const row = { type: 'object', description: 'A table row, one property per column', additionalProperties: true };
+const rows = { type: 'array', items: row };
+const transitions = {
+  type: 'array',
+  items: { type: 'object', properties: { transition: { type: 'string' }, to: { type: 'string' } } },
+};
+
+const funnelStage = {
+  type: 'object',
+  properties: {
+    stage: { type: 'string' },
+    kits: { type: 'integer' },
+    conversion_from_previous: orNull({ type: 'number' }),
+    conversion_from_start: orNull({ type: 'number' }),
+    median_hours_from_previous: orNull({ type: 'number' }),
+  },
+};
+
+const kitBody = { type: 'object', required: ['kit_id'], properties: { kit_id: kitId } };
+const kitUpdate = {
+  type: 'object',
+  required: ['kit_id'],
+  properties: { kit_id: kitId },
+  additionalProperties: true,
+  description: 'kit_id plus the columns to set; values are coerced to the column types',
+};
+const updated = {
+  type: 'object',
+  properties: { ok: { type: 'boolean' }, kit_id: kitId, updated: { type: 'integer' }, created: { type: 'boolean' } },
+};
+const queryBody = {
+  type: 'object',
+  properties: {
+    where: { type: 'object', additionalProperties: true, description: '{ column | "other_table.column": value | { eq, ne, in, is_null, gt, gte, lt, lte } }' },
+    select: { type: 'array', items: { type: 'string' } },
+    order_by: { type: 'string' },
+    order: { type: 'string', enum: ['asc', 'desc'] },
+    limit: limit(500),
+    cursor: { type: 'string' },
+  },
+};
+const page = (table) => ({
+  type: 'object',
+  properties: { table: { type: 'string', enum: [table] }, items: rows, next_cursor: orNull({ type: 'string' }) },
+});
+const subject = {
+  type: 'object',
+  description: 'Exactly one of kit_id or email',
+  properties: { kit_id: kitId, email },
+};
+const idsOrAll = {
+  type: 'object',
+  description: 'ids, or all: true',
+  properties: { ids, all: { type: 'boolean' } },
+};
+
+function byKitId(handler, table, operation) {
+  return {
+    handler,
+    operation,
+    method: 'POST',
+    path: `/${table}`,
+    scope: `${table}:read`,
+    summary: `Rows of ${table} for a kit_id`,
+    body: kitBody,
+    response: { type: 'object', properties: { kit_id: kitId, [table]: rows } },
+  };
+}
+
+function queryOf(handler, table) {
+  return {
+    handler,
+    method: 'POST',
+    path: `/${table}/query`,
+    scope: `${table}:read`,
+    summary: `Filtered, sorted, paginated rows of ${table}`,
+    body: queryBody,
+    response: page(table),
+  };
+}
+
+function updateOf(handler, table) {
+  return {
+    handler,
+    method: 'POST',
+    path: `/${table}/update`,
+    scope: `${table}:write`,
+    idempotent: true,
+    summary: `Update a kit's ${table} row (created when missing)`,
+    body: kitUpdate,
+    response: updated,
+  };
+}
+
+const ROUTES = [
+  {
+    handler: 'getState',
+    method: 'GET',
+    path: '/state',
+    scope: 'state:read',
+    summary: 'Read a state key, or list keys by prefix',
+    query: {
+      key: { type: 'string' },
+      prefix: { type: 'string' },
+      cursor: { type: 'string' },
+      limit: { type: 'integer' },
+      include_values: { type: 'boolean' },
+    },
+    response: {
+      type: 'object',
+      description: 'The key (with an ETag header), or { prefix, items, next_cursor } when listing',
+      properties: {
+        key: { type: 'string' },
+        value: {},
+        version: { type: 'integer' },
+        expires_at: orNull(timestamp),
+        updated_at: timestamp,
+        prefix: { type: 'string' },
+        items: { type: 'array', items: { type: 'object', additionalProperties: true } },
+        next_cursor: orNull({ type: 'string' }),
+      },
+    },
+  },
+  {
+    handler: 'updateState',
+    operation: 'setState',
+    method: 'POST',
+    path: '/state',
+    scope: 'state:write',
+    idempotent: true,
+    summary: 'Write, patch or delete a state key',
+    body: {
+      type: 'object',
+      required: ['key'],
+      properties: {
+        key: { type: 'string', minLength: 1 },
+        op: { type: 'string', enum: ['set', 'merge', 'set_path', 'delete_path', 'delete'] },
+        value: {},
+        patch: { type: 'object', additionalProperties: true },
+        path: { type: ['array', 'string'], items: { type: ['string', 'integer'] } },
+        ttl_seconds: orNull({ type: 'integer', minimum: 1 }),
+        expected_version: { type: 'integer', minimum: 0 },
+      },
+    },
+    response: {
+      type: 'object',
+      properties: {
+        ok: { type: 'boolean' },
+        key: { type: 'string' },
+        value: {},
+        version: { type: 'integer' },
+        expires_at: orNull(timestamp),
+        deleted: { type: 'boolean' },
+      },
+    },
+  },
+  byKitId('getActionsByKitId', 'actions', 'getActions'),
+  byKitId('getUsersByKitId', 'users', 'getUsers'),
+  byKitId('getReportsByKitId', 'reports', 'getReports'),
+  byKitId('getKitsByKitId', 'kits', 'getKits'),
+  byKitId('getConsentsByKitId', 'consents', 'getConsents'),
+  queryOf('queryActions', 'actions'),
+  queryOf('queryUsers', 'users'),
+  queryOf('queryReports', 'reports'),
+  queryOf('queryKits', 'kits'),
+  queryOf('queryConsents', 'consents'),
+  {
+    handler: 'getUsersByEmail',
+    method: 'POST',
+    path: '/users/by-email',
+    scope: 'users:read',
+    summary: 'Users with an email address',
+    body: { type: 'object', required: ['email'], properties: { email } },
+    response: { type: 'object', properties: { email: { type: 'string' }, users: rows } },
+  },
+  {
+    handler: 'createUser',
+    method: 'POST',
+    path: '/users/create',
+    scope: 'users:write',
+    idempotent: true,
+    summary: 'Create a user (409 if the kit_id exists or the participant was erased)',
+    body: {
+      type: 'object',
+      required: ['kit_id', 'email'],
+      properties: { kit_id: kitId, email, is_test: { type: 'boolean' }, first_name: { type: 'string' } },
+    },
+    status: 201,
+    response: { type: 'object', properties: { ok: { type: 'boolean' }, user: row } },
+  },
+  updateOf('updateActions', 'actions'),
+  updateOf('updateUsers', 'users'),
+  updateOf('updateReports', 'reports'),
+  updateOf('updateKits', 'kits'),
+  updateOf('updateConsents', 'consents'),
+  {
+    handler: 'agreeConsent',
+    method: 'POST',
+    path: '/consents/agree',
+    scope: 'consents:write',
+    summary: 'Record agreement to a terms version',
+    body: {
+      type: 'object',
+      required: ['kit_id', 'terms_version'],
+      properties: { kit_id: kitId, terms_version: { type: 'string', minLength: 1 }, source: { type: 'string' }, occurred_at: timestamp },
+    },
+    response: {
+      type: 'object',
+      properties: { ok: { type: 'boolean' }, kit_id: kitId, event_id: { type: 'integer' }, terms_version: { type: 'string' }, agreed_at: timestamp },
+    },
+  },
+  {
+    handler: 'withdrawConsent',
+    method: 'POST',
+    path: '/consents/withdraw',
+    scope: 'consents:write',
+    summary: "Withdraw a kit's consent and cancel everything queued for it",
+    body: {
+      type: 'object',
+      required: ['kit_id'],
+      properties: { kit_id: kitId, source: { type: 'string' }, reason: { type: 'string' }, occurred_at: timestamp },
+    },
+    response: {
+      type: 'object',
+      properties: {
+        ok: { type: 'boolean' },
+        kit_id: kitId,
+        event_id: { type: 'integer' },
+        withdrawn_at: timestamp,
+        already_withdrawn: { type: 'boolean' },
+        canceled_outbox_ids: { type: 'array', items: { type: 'integer' } },
+      },
+    },
+  },
+  {
+    handler: 'getConsentHistory',
+    method: 'POST',
+    path: '/consents/history',
+    scope: 'consents:read',
+    summary: "A kit's consent ledger and the consent in force at a point in time",
+    body: { type: 'object', required: ['kit_id'], properties: { kit_id: kitId, at: timestamp } },
+    response: {
+      type: 'object',
+      properties: {
+        kit_id: kitId,
+        at: timestamp,
+        effective: {
+          type: 'object',
+          properties: {
+            status: { type: 'string', enum: ['none', 'agreed', 'not_agreed', 'withdrawn'] },
+            terms_version: orNull({ type: 'string' }),
+            since: orNull(timestamp),
+            event_id: orNull({ type: 'integer' }),
+          },
+        },
+        events: rows,
+      },
+    },
+  },
+  {
+    handler: 'getKitState',
+    method: 'GET',
+    path: '/kits/{kit_id}/state',
+    scope: 'kits:read',
+    summary: 'Lifecycle state of a kit and the transitions allowed next (404 for an unknown kit)',
+    response: { type: 'object', properties: { kit_id: kitId, state: { type: 'string' }, allowed_transitions: transitions } },
+  },
+  {
+    handler: 'getKitProfiles',
+    method: 'POST',
+    path: '/kits/profile',
+    scope: 'profile:read',
+    summary: 'Everything about one or more kits, with derived flags',
+    body: {
+      type: 'object',
+      description: 'One of kit_id, kit_ids or email',
+      properties: { kit_id: kitId, kit_ids: { type: 'array', items: kitId, minItems: 1, maxItems: 100 }, email },
+    },
+    response: { type: 'object', properties: { profiles: { type: 'array', items: { type: 'object', additionalProperties: true } } } },
+  },
+  {
+    handler: 'getHistory',
+    method: 'POST',
+    path: '/history',
+    scope: 'history:read',
+    summary: 'Audit trail for a kit, oldest change first',
+    body: {
+      type: 'object',
+      required: ['kit_id'],
+      properties: { kit_id: kitId, table: { type: 'string' }, from: timestamp, to: timestamp, limit: limit(1000) },
+    },
+    response: { type: 'object', properties: { kit_id: kitId, history: rows } },
+  },
+  {
+    handler: 'listChanges',
+    method: 'POST',
+    path: '/changes',
+    scope: 'changes:read',
+    summary: 'Change-data feed events after a cursor, oldest first',
+    body: {
+      type: 'object',
+      properties: {
+        after: { type: ['string', 'integer', 'null'], description: 'event_id to read after (next_cursor of the previous page)' },
+        table: { type: 'string' },
+        kit_id: kitId,
+        limit: limit(1000),
+      },
+    },
+    response: {
+      type: 'object',
+      properties: {
+        changes: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              event_id: { type: 'string' },
+              table: { type: 'string' },
+              kit_id: orNull(kitId),
+              state_key: orNull({ type: 'string' }),
+              operation: { type: 'string', enum: ['insert', 'update', 'delete'] },
+              columns: { type: 'array', items: { type: 'string' } },
+              changes: { type: 'object', additionalProperties: { type: 'object', properties: { before: {}, after: {} } } },
+              source_route: orNull({ type: 'string' }),
+              request_id: orNull({ type: 'string' }),
+              occurred_at: timestamp,
+            },
+          },
+        },
+        next_cursor: { type: 'string' },
+        has_more: { type: 'boolean' },
+      },
+    },
+  },
+  {
+    handler: 'getFunnel',
+    method: 'POST',
+    path: '/analytics/funnel',
+    scope: 'analytics:read',
+    summary: 'Kits per lifecycle stage with conversion rates and median hours between stages',
+    body: {
+      type: 'object',
+      properties: {
+        from: timestamp,
+        to: timestamp,
+        cohort: { type: 'string', enum: ['week'] },
+        include_test: { type: 'boolean' },
+        format: { type: 'string', enum: ['json', 'csv'] },
+      },
+    },
+    csv: true,
+    response: {
+      type: 'object',
+      properties: {
+        from: orNull(timestamp),
+        to: orNull(timestamp),
+        cohort: orNull({ type: 'string' }),
+        include_test: { type: 'boolean' },
+        stages: { type: 'array', items: { type: 'string' } },
+        total: { type: 'object', properties: { kits: { type: 'integer' }, stages: { type: 'array', items: funnelStage } } },
+        cohorts: {
+          type: 'array',
+          items: { type: 'object', properties: { cohort: { type: 'string' }, kits: { type: 'integer' }, stages: { type: 'array', items: funnelStage } } },
+        },
+      },
+    },
+  },
+  {
+    handler: 'exportPersonalData',
+    method: 'POST',
+    path: '/privacy/export',
+    scope: 'privacy:read',
+    summary: 'Everything held for a participant (404 when nothing is)',
+    body: subject,
+    response: {
+      type: 'object',
+      properties: { exported_at: timestamp, subject: { type: 'object', additionalProperties: true }, kits: { type: 'array', items: { type: 'object', additionalProperties: true } } },
+    },
+  },
+  {
+    handler: 'erasePersonalData',
+    method: 'POST',
+    path: '/privacy/erase',
+    scope: 'privacy:write',
+    summary: "Anonymize or delete a participant's data and leave a tombstone",
+    body: { ...subject, properties: { ...subject.properties, mode: { type: 'string', enum: ['anonymize', 'delete'] } } },
+    response: {
+      type: 'object',
+      properties: {
+        ok: { type: 'boolean' },
+        mode: { type: 'string' },
+        erased_at: timestamp,
+        kit_ids: { type: 'array', items: kitId },
+        counts: { type: 'object', additionalProperties: { type: 'integer' } },
+        airtable: { type: 'array', items: { type: 'object', additionalProperties: true } },
+      },
+    },
+  },
+  {
+    handler: 'listOutbox',
+    method: 'POST',
+    path: '/outbox',
+    scope: 'outbox:read',
+    summary: 'Outbox messages by status, newest first',
+    body: {
+      type: 'object',
+      properties: { status: { type: 'string', enum: ['failed', 'pending', 'delivered', 'canceled'] }, kit_id: kitId, limit: limit(500) },
+    },
+    response: { type: 'object', properties: { status: { type: 'string' }, messages: rows } },
+  },
+  {
+    handler: 'redriveOutbox',
+    method: 'POST',
+    path: '/outbox/redrive',
+    scope: 'outbox:write',
+    summary: 'Queue failed outbox messages again',
+    body: idsOrAll,
+    response: { type: 'object', properties: { ok: { type: 'boolean' }, redriven: { type: 'array', items: { type: 'integer' } } } },
+  },
+  {
+    handler: 'dryRunNotificationRules',
+    method: 'POST',
+    path: '/notifications/dry-run',
+    scope: 'outbox:read',
+    summary: 'Which notification rules would queue a message for a kit now',
+    body: { type: 'object', required: ['kit_id'], properties: { kit_id: kitId, written: { type: 'array', items: { type: 'string' } } } },
+    response: {
+      type: 'object',
+      properties: {
+        kit_id: kitId,
+        router_topic_configured: { type: 'boolean' },
+        test_kit: { type: 'boolean' },
+        rules: { type: 'array', items: { type: 'object', additionalProperties: true } },
+      },
+    },
+  },
+  {
+    handler: 'reconcileAirtable',
+    method: 'POST',
+    path: '/airtable/reconcile',
+    scope: 'airtable:write',
+    summary: 'Report Airtable drift and optionally correct it',
+    body: {
+      type: 'object',
+      properties: { kit_ids: { type: 'array', items: kitId }, after_kit_id: { type: 'string' }, limit: limit(500), apply: { type: 'boolean' } },
+    },
+    response: { type: 'object', additionalProperties: true },
+  },
+  {
+    handler: 'listAirtableFailures',
+    method: 'POST',
+    path: '/airtable/failures',
+    scope: 'airtable:read',
+    summary: 'Logged Airtable sync failures, newest first',
+    body: { type: 'object', properties: { kit_id: kitId, include_resolved: { type: 'boolean' }, limit: limit(500) } },
+    response: { type: 'object', properties: { failures: rows } },
+  },
+  {
+    handler: 'retryAirtableFailures',
+    method: 'POST',
+    path: '/airtable/failures/retry',
+    scope: 'airtable:write',
+    summary: 'Send logged failures to Airtable again',
+    body: idsOrAll,
+    response: {
+      type: 'object',
+      properties: {
+        ok: { type: 'boolean' },
+        retried: { type: 'integer' },
+        resolved: { type: 'integer' },
+        results: { type: 'array', items: { type: 'object', additionalProperties: true } },
+      },
+    },
+  },
+  {
+    handler: 'issueApiKey',
+    method: 'POST',
+    path: '/admin/api-keys',
+    scope: 'admin:write',
+    summary: 'Issue an API key (the key is only returned here)',
+    body: {
+      type: 'object',
+      required: ['name', 'scopes'],
+      properties: { name: { type: 'string', minLength: 1 }, scopes: { type: 'array', items: { type: 'string' }, minItems: 1 } },
+    },
+    status: 201,
+    response: { type: 'object', properties: { ok: { type: 'boolean' }, key: { type: 'string' }, api_key: row } },
+  },
+  {
+    handler: 'listApiKeys',
+    method: 'POST',
+    path: '/admin/api-keys/list',
+    scope: 'admin:read',
+    summary: 'API keys (never the keys themselves)',
+    body: { type: 'object', properties: { include_revoked: { type: 'boolean' } } },
+    response: { type: 'object', properties: { api_keys: rows } },
+  },
+  {
+    handler: 'revokeApiKey',
+    method: 'POST',
+    path: '/admin/api-keys/revoke',
+    scope: 'admin:write',
+    summary: 'Revoke an API key',
+    body: { type: 'object', required: ['id'], properties: { id: { type: 'integer' } } },
+    response: { type: 'object', properties: { ok: { type: 'boolean' }, api_key: row } },
+  },
+  {
+    handler: 'purgeTestData',
+    method: 'POST',
+    path: '/admin/purge-test-data',
+    scope: 'admin:write',
+    summary: 'Delete every test kit (dry run unless dry_run is false)',
+    body: { type: 'object', properties: { dry_run: { type: 'boolean' } } },
+    response: {
+      type: 'object',
+      properties: {
+        ok: { type: 'boolean' },
+        dry_run: { type: 'boolean' },
+        kits: { type: 'integer' },
+        kit_ids: { type: 'array', items: kitId },
+        would_delete: { type: 'object', additionalProperties: { type: 'integer' } },
+        deleted: { type: 'object', additionalProperties: { type: 'integer' } },
+      },
+    },
+  },
+  {
+    handler: 'webhookActions',
+    method: 'POST',
+    path: '/webhooks/actions',
+    summary: 'Webhook: Calendly events (Calendly-Webhook-Signature) or actions updates (X-Webhook-Secret); always 200',
+    body: { ...kitUpdate, required: [], description: 'A Calendly invitee.* event, or kit_id plus actions columns' },
+    validate: false,
+    response: {
+      type: 'object',
+      description: 'The processing result, or { ok, duplicate: true, status } for an event id seen before. 503 when the event could not be stored',
+      properties: { ok: { type: 'boolean' }, inbox_id: { type: 'integer' }, duplicate: { type: 'boolean' } },
+      additionalProperties: true,
+    },
+  },
+  {
+    handler: 'listWebhookInbox',
+    method: 'POST',
+    path: '/webhooks/inbox',
+    scope: 'webhooks:read',
+    summary: 'Stored webhooks, newest first, without their bodies',
+    body: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ['received', 'processed', 'ignored', 'failed'] },
+        provider: { type: 'string' },
+        kit_id: kitId,
+        limit: limit(500),
+      },
+    },
+    response: { type: 'object', properties: { events: rows } },
+  },
+  {
+    handler: 'replayWebhooks',
+    method: 'POST',
+    path: '/webhooks/inbox/replay',
+    scope: 'webhooks:write',
+    summary: 'Process one stored webhook, or every failed one, again',
+    body: {
+      type: 'object',
+      description: 'id (with force to replay an event that is not failed), or all: true',
+      properties: { id: { type: 'integer' }, force: { type: 'boolean' }, all: { type: 'boolean' }, limit: limit(100) },
+    },
+    response: {
+      type: 'object',
+      properties: {
+        ok: { type: 'boolean' },
+        replayed: { type: 'integer' },
+        results: {
+          type: 'array',
+          items: { type: 'object', properties: { id: { type: 'integer' }, status: { type: 'string' }, error: { type: 'string' } } },
+        },
+      },
+    },
+  },
+  {
+    handler: 'getOpenApi',
+    method: 'GET',
+    path: '/openapi.json',
+    summary: 'This API as an OpenAPI 3 document',
+    response: { type: 'object', additionalProperties: true },
+  },
+];
+
+/** The registry entry for a handler export name, or undefined. */
+function forHandler(name) {
+  return ROUTES.find((route) => route.handler === name);
+}
+
+/** { handler: scope } for every route that needs an API key. */
+function handlerScopes() {
+  return Object.fromEntries(ROUTES.filter((route) => route.scope).map((route) => [route.handler, route.scope]));
+}
+
+module.exports = {
+  ROUTES,
+  forHandler,
+  handlerScopes,
+};
@@ -0,0 +1,181 @@
+/**
+ * Notification rules — which router messages a kit write queues, configured with NOTIFICATION_RULES (a JSON array)
+ * instead of code. DEFAULT_RULES is the send_pdf_email rule that used to be hardcoded. A rule:
+ *
+ *   message_type  the message queued, e.g. "send_pdf_email"
+ *   when          { "table.column": condition } over the kit's rows, all of which must hold. Conditions use the
+ *                 /{table}/query grammar (lib/query.js): a value, null, or { eq, ne, in, is_null, gt, gte, lt, lte }
+ *   trigger_on    ["table.column" | "table.*", ...] — the rule is checked after a write to one of these
+ *   once_flag     "table.column" (optional) — a boolean column the rule won't fire past; dispatchOutbox sets it when
+ *                 the message is delivered, and the outbox dedupe key keeps it to one queued message per kit
+ *   fields        { messageField: "table.column" } copied into the message (null becomes "")
+ *
+ * No rule fires for a kit without a users row or whose consent was withdrawn.
+ */
+
+const lifecycle = require('./lifecycle');
+const query = require('./query');
+const log = require('./log');
+
+const DEFAULT_RULES = [
+  {
+    message_type: 'send_pdf_email',
+    when: { 'consents.toc_agreed': true, 'actions.appointment_made': true },
+    trigger_on: ['consents.toc_agreed', 'actions.appointment_made'],
+    once_flag: 'actions.pdf_email_sent',
+    fields: { firstName: 'users.first_name', email: 'users.email' },
+  },
+];
+const REF = /^([a-z_]+)\.([a-zA-Z_][a-zA-Z0-9_]*|\*)$/;
+const NUMERIC_TYPES = ['smallint', 'integer', 'bigint', 'numeric', 'real', 'double precision'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/** { table, column } for a "table.column" reference to a kit table, or null. wildcard allows "table.*". */
+function parseRef(ref, { wildcard = false } = {}) {
+  const match = typeof ref === 'string' ? REF.exec(ref) : null;
+  if (!match || !lifecycle.KIT_TABLES.includes(match[1])) return null;
+  if (match[2] === '*' && !wildcard) return null;
+  return { table: match[1], column: match[2] };
+}
+
+/** Structural problems with one rule (column names and condition values are checked when it is evaluated). */
+function ruleErrors(rule) {
+  if (!isPlainObject(rule)) return ['must be an object'];
+  const errors = [];
+  if (!rule.message_type || typeof rule.message_type !== 'string') errors.push('"message_type" must be a string');
+  if (!isPlainObject(rule.when)) errors.push('"when" must be an object of { "table.column": condition }');
+  else Object.keys(rule.when).filter((key) => !parseRef(key)).forEach((key) => errors.push(`"when.${key}" is not a kit table column`));
+  if (!Array.isArray(rule.trigger_on) || rule.trigger_on.length === 0) errors.push('"trigger_on" must be a non-empty array');
+  else rule.trigger_on.filter((ref) => !parseRef(ref, { wildcard: true })).forEach((ref) => errors.push(`"trigger_on" entry "${ref}" is not a kit table column`));
+  if (rule.once_flag !== undefined && !parseRef(rule.once_flag)) errors.push('"once_flag" must be a kit table column');
+  if (rule.fields !== undefined && (!isPlainObject(rule.fields) || !Object.values(rule.fields).every((ref) => parseRef(ref)))) {
+    errors.push('"fields" must map message fields to kit table columns');
+  }
+  return errors;
+}
+
+let cached = { raw: undefined, rules: DEFAULT_RULES };
+
+/** The configured rules, parsed once per value of NOTIFICATION_RULES. Invalid rules are logged and left out. */
+function activeRules() {
+  const raw = process.env.NOTIFICATION_RULES;
+  if (raw === cached.raw) return cached.rules;
+  let rules = DEFAULT_RULES;
+  if (raw) {
+    try {
+      const parsed = JSON.parse(raw);
+      if (!Array.isArray(parsed)) throw new Error('not an array');
+      rules = parsed.filter((rule, i) => {
+        const errors = ruleErrors(rule);
+        if (errors.length > 0) log.error('NOTIFICATION_RULES: rule ignored', { index: i, errors });
+        return errors.length === 0;
+      });
+    } catch (err) {
+      log.error('NOTIFICATION_RULES is not a valid JSON array; using defaults', { value: raw, error: err.message });
+    }
+  }
+  cached = { raw, rules };
+  return rules;
+}
+
+/** True when a write to the "table.column" refs in written should make rule be checked. */
+function isTriggered(rule, written) {
+  return rule.trigger_on.some((trigger) => {
+    const { table, column } = parseRef(trigger, { wildcard: true });
+    return written.some((ref) => ref === trigger || (column === '*' && ref.startsWith(`${table}.`)));
+  });
+}
+
+/** A row value or condition value in a form that compares like Postgres would for the column type. */
+function comparable(value, meta) {
+  if (value === null || value === undefined) return null;
+  if (meta.type === 'boolean') return lifecycle.flag(value);
+  if (meta.type.startsWith('timestamp') || meta.type === 'date') {
+    const date = value instanceof Date ? value : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.getTime();
+  }
+  if (NUMERIC_TYPES.includes(meta.type)) return Number(value);
+  return typeof value === 'object' ? JSON.stringify(value) : value;
+}
+
+/** Whether one parsed condition ({ op, value } from query.parseCondition) holds for a row value. */
+function conditionHolds({ op, value }, rowValue, meta) {
+  const actual = comparable(rowValue, meta);
+  if (op === 'is_null') return (actual === null) === value;
+  if (actual === null) return false;
+  if (op === 'in') return value.some((v) => comparable(v, meta) === actual);
+  const expected = comparable(value, meta);
+  switch (op) {
+    case 'eq': return actual === expected;
+    case 'ne': return actual !== expected;
+    case 'gt': return actual > expected;
+    case 'gte': return actual >= expected;
+    case 'lt': return actual < expected;
+    case 'lte': return actual <= expected;
+    default: return false;
+  }
+}
+
+/**
+ * Why rule would not fire for a kit right now, or null if it would.
+ * rows: { table: row | null } for the kit tables; loadColumns(table) resolves to lib/schema.js column metadata.
+ */
+async function blocker(rule, rows, loadColumns) {
+  if (!rows.users) return 'no user';
+  if (rows.consents && rows.consents.withdrawn_at != null) return 'consent withdrawn';
+  for (const [key, condition] of Object.entries(rule.when)) {
+    const { table, column } = parseRef(key);
+    const meta = (await loadColumns(table))[column];
+    if (!meta) return `${key}: unknown column`;
+    const parsed = query.parseCondition(column, meta, condition);
+    if (parsed.error) return `${key}: ${parsed.error}`;
+    const row = rows[table];
+    const value = row ? row[column] ?? null : null;
+    if (!parsed.conditions.every((c) => conditionHolds(c, value, meta))) {
+      return row ? `${key}: wanted ${JSON.stringify(condition)}, found ${JSON.stringify(value)}` : `no ${table} row`;
+    }
+  }
+  if (rule.once_flag) {
+    const { table, column } = parseRef(rule.once_flag);
+    if (lifecycle.flag(rows[table]?.[column])) return `${rule.once_flag} already true`;
+  }
+  return null;
+}
+
+/** The outbox message for rule and a kit. extra holds fields the caller knows (e.g. the Calendly link). */
+function buildMessage(rule, kitId, rows, extra = {}) {
+  const message = { message_type: rule.message_type, kit_id: kitId };
+  for (const [field, ref] of Object.entries(rule.fields || {})) {
+    const { table, column } = parseRef(ref);
+    message[field] = rows[table]?.[column] ?? '';
+  }
+  for (const [field, value] of Object.entries(extra)) {
+    if (value !== undefined) message[field] = value;
+  }
+  return message;
+}
+
+/** Outbox dedupe key: once-per-kit rules share one per message_type and kit; others are never deduplicated. */
+function dedupeKey(rule, kitId) {
+  return rule.once_flag ? `${rule.message_type}:${kitId}` : null;
+}
+
+/** { table, column } to set when a message_type is delivered, or null when its rule has no once_flag. */
+function onceFlagFor(messageType) {
+  const rule = activeRules().find((r) => r.message_type === messageType && r.once_flag);
+  return rule ? parseRef(rule.once_flag) : null;
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  ruleErrors,
+  activeRules,
+  isTriggered,
+  blocker,
+  buildMessage,
+  dedupeKey,
+  onceFlagFor,
+};
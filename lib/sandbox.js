@@ -0,0 +1,107 @@
+/**
+ * Sandbox behaviour for test kits (users.is_test = true) and the test-data purge.
+ *
+ *   TEST_KIT_NOTIFICATIONS  'tag' (default): queue as usual with "test": true in the message and an is_test
+ *                           SNS message attribute, so subscribers can filter; 'suppress': don't queue at all
+ *   TEST_KIT_AIRTABLE       'skip' (default): no Airtable writes; 'sandbox': write through
+ *                           AIRTABLE_SANDBOX_LAMBDA_ARN instead of the production target
+ * Every sandboxed side effect is logged as test traffic.
+ */
+
+const lifecycle = require('./lifecycle');
+const log = require('./log');
+const { STATE_TABLE } = require('./stateStore');
+const { OUTBOX_TABLE } = require('./outbox');
+const { FAILURES_TABLE } = require('./airtable');
+const { REMINDERS_TABLE } = require('./reminders');
+const { INBOX_TABLE } = require('./inbox');
+const { IDEMPOTENCY_TABLE } = require('./idempotency');
+
+const KIT_TABLES = lifecycle.KIT_TABLES;
+
+function isTestUser(user) {
+  return Boolean(user) && lifecycle.flag(user.is_test);
+}
+
+function logTestTraffic(action, details) {
+  log.info('Test traffic', { action, ...details });
+}
+
+function notificationMode() {
+  return process.env.TEST_KIT_NOTIFICATIONS === 'suppress' ? 'suppress' : 'tag';
+}
+
+/**
+ * The message to queue for a kit whose users row is user: unchanged for real kits, tagged for test kits,
+ * or null when test notifications are suppressed.
+ */
+function notificationFor(user, message) {
+  if (!isTestUser(user)) return message;
+  const mode = notificationMode();
+  logTestTraffic(mode === 'suppress' ? 'notification_suppressed' : 'notification_tagged', {
+    kit_id: message.kit_id,
+    message_type: message.message_type,
+  });
+  return mode === 'suppress' ? null : { ...message, test: true };
+}
+
+/** SNS MessageAttributes for a queued message ({} unless it was tagged as test traffic). */
+function messageAttributes(message) {
+  return message && message.test === true
+    ? { is_test: { DataType: 'String', StringValue: 'true' } }
+    : {};
+}
+
+/**
+ * Where a kit's Airtable writes go: {} for the normal target, { lambdaArn } for the sandbox target,
+ * or { skip: true } when test kits are not synced.
+ */
+function airtableTarget(user, kitId) {
+  if (!isTestUser(user)) return {};
+  const sandboxArn = process.env.AIRTABLE_SANDBOX_LAMBDA_ARN;
+  if (process.env.TEST_KIT_AIRTABLE === 'sandbox' && sandboxArn) {
+    logTestTraffic('airtable_sandbox', { kit_id: kitId });
+    return { lambdaArn: sandboxArn };
+  }
+  logTestTraffic('airtable_skipped', { kit_id: kitId });
+  return { skip: true };
+}
+
+/**
+ * Delete every test kit: its rows in the five kit tables, /state keys with the kit_id as a ':'-separated
+ * segment (e.g. "abc-123", "job:abc-123", "abc-123:progress"), pending or failed outbox messages,
+ * unresolved Airtable failures, reminder counts, the webhooks stored for them and their stored idempotent responses. The audit log is append-only and keeps its history.
+ * With dryRun nothing is deleted and the counts say what would be. Call inside a transaction.
+ * Returns { kit_ids, counts: { table: n } }.
+ */
+async function purgeTestData(db, { dryRun }) {
+  const kits = await db.query('SELECT DISTINCT kit_id FROM users WHERE is_test IS TRUE ORDER BY kit_id');
+  const kitIds = kits.rows.map((r) => r.kit_id);
+  const targets = [
+    ...KIT_TABLES.map((table) => ({ table, where: 'kit_id = ANY($1::text[])' })),
+    { table: STATE_TABLE, where: "string_to_array(key, ':') && $1::text[]" },
+    { table: OUTBOX_TABLE, where: "kit_id = ANY($1::text[]) AND status <> 'delivered'" },
+    { table: FAILURES_TABLE, where: 'kit_id = ANY($1::text[]) AND resolved_at IS NULL' },
+    { table: REMINDERS_TABLE, where: 'kit_id = ANY($1::text[])' },
+    { table: INBOX_TABLE, where: 'kit_ids && $1::text[]' },
+    { table: IDEMPOTENCY_TABLE, where: 'kit_id = ANY($1::text[])' },
+  ];
+  const counts = {};
+  for (const { table, where } of targets) {
+    const result = await db.query(
+      dryRun ? `SELECT count(*)::int AS n FROM ${table} WHERE ${where}` : `DELETE FROM ${table} WHERE ${where}`,
+      [kitIds]
+    );
+    counts[table] = dryRun ? result.rows[0].n : result.rowCount;
+  }
+  return { kit_ids: kitIds, counts };
+}
+
+module.exports = {
+  isTestUser,
+  logTestTraffic,
+  notificationFor,
+  messageAttributes,
+  airtableTarget,
+  purgeTestData,
+};
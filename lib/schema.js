@@ -0,0 +1,167 @@
+/**
+ * Column metadata for the kit tables, read from information_schema once per cold start,
+ * and per-field validation/coercion of update bodies against it.
+ */
+
+/** Columns callers may never write through the update endpoints. */
+const PROTECTED_COLUMNS = ['id', 'kit_id', 'created_at'];
+
+const INTEGER_RANGES = {
+  smallint: [-32768, 32767],
+  integer: [-2147483648, 2147483647],
+};
+const TRUE_STRINGS = ['true', 't', '1', 'yes', 'y', 'on'];
+const FALSE_STRINGS = ['false', 'f', '0', 'no', 'n', 'off'];
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const cache = new Map();
+
+/**
+ * { column_name: { type, nullable, maxLength } } for tableName, cached for the life of the container.
+ * Throws with code 42P01 (like Postgres) when the table has no columns, i.e. doesn't exist.
+ */
+async function loadColumns(db, tableName) {
+  if (cache.has(tableName)) return cache.get(tableName);
+  const result = await db.query(
+    `SELECT column_name, data_type, is_nullable, character_maximum_length
+     FROM information_schema.columns
+     WHERE table_schema = current_schema() AND table_name = $1
+     ORDER BY ordinal_position`,
+    [tableName]
+  );
+  if (result.rows.length === 0) {
+    throw Object.assign(new Error(`Table "${tableName}" not found`), { code: '42P01' });
+  }
+  const columns = {};
+  for (const row of result.rows) {
+    columns[row.column_name] = {
+      type: row.data_type,
+      nullable: row.is_nullable === 'YES',
+      maxLength: row.character_maximum_length,
+    };
+  }
+  cache.set(tableName, columns);
+  return columns;
+}
+
+/** Forget cached metadata (after a migration, or in tests). */
+function clearCache() {
+  cache.clear();
+}
+
+/** Epoch seconds or milliseconds, or any string Date can parse; null if it isn't a date. */
+function toDate(value) {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+  if (typeof value === 'number' && Number.isFinite(value)) return new Date(value < 1e12 ? value * 1000 : value);
+  if (typeof value === 'string' && value.trim()) {
+    const time = Date.parse(value.trim());
+    return Number.isNaN(time) ? null : new Date(time);
+  }
+  return null;
+}
+
+/** Coerce one value to a column type. Returns { value } or { error }. */
+function coerce(value, column) {
+  const { type } = column;
+  if (value === null) return column.nullable ? { value: null } : { error: 'Column is NOT NULL' };
+
+  if (type === 'boolean') {
+    if (typeof value === 'boolean') return { value };
+    if (value === 1 || value === 0) return { value: value === 1 };
+    if (typeof value === 'string') {
+      const lower = value.trim().toLowerCase();
+      if (TRUE_STRINGS.includes(lower)) return { value: true };
+      if (FALSE_STRINGS.includes(lower)) return { value: false };
+    }
+    return { error: 'Expected a boolean' };
+  }
+
+  if (type === 'smallint' || type === 'integer' || type === 'bigint') {
+    const text = typeof value === 'number' ? String(value) : typeof value === 'string' ? value.trim() : '';
+    if (!/^-?\d+$/.test(text)) return { error: 'Expected an integer' };
+    if (type === 'bigint') return { value: text };
+    const n = Number(text);
+    const [min, max] = INTEGER_RANGES[type];
+    if (n < min || n > max) return { error: `Out of range for ${type}` };
+    return { value: n };
+  }
+
+  if (type === 'numeric' || type === 'real' || type === 'double precision') {
+    const n = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof n !== 'number' || !Number.isFinite(n)) return { error: 'Expected a number' };
+    return { value: n };
+  }
+
+  if (type === 'text' || type === 'character varying' || type === 'character') {
+    if (typeof value === 'object') return { error: 'Expected a string' };
+    const text = String(value);
+    if (column.maxLength && text.length > column.maxLength) {
+      return { error: `Longer than ${column.maxLength} characters` };
+    }
+    return { value: text };
+  }
+
+  if (type === 'date') {
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value.trim()) && toDate(value)) return { value: value.trim() };
+    const date = toDate(value);
+    if (!date) return { error: 'Expected a date (YYYY-MM-DD or ISO 8601)' };
+    return { value: date.toISOString().slice(0, 10) };
+  }
+
+  if (type.startsWith('timestamp')) {
+    const date = toDate(value);
+    if (!date) return { error: 'Expected a timestamp (ISO 8601 or epoch)' };
+    return { value: date.toISOString() };
+  }
+
+  if (type === 'json' || type === 'jsonb') return { value: JSON.stringify(value) };
+
+  if (type === 'uuid') {
+    if (typeof value !== 'string' || !UUID.test(value.trim())) return { error: 'Expected a UUID' };
+    return { value: value.trim() };
+  }
+
+  if (type === 'ARRAY') {
+    if (!Array.isArray(value)) return { error: 'Expected an array' };
+    return { value };
+  }
+
+  return { value };
+}
+
+/**
+ * Validate and coerce an update body ({ column: value }, kit_id already removed) against a table's columns.
+ * Returns { values, errors }: values holds the coerced value per column, errors a message per rejected field.
+ */
+function validateUpdates(columns, updates) {
+  const values = {};
+  const errors = {};
+  for (const [name, value] of Object.entries(updates)) {
+    if (PROTECTED_COLUMNS.includes(name)) {
+      errors[name] = 'Column is protected and cannot be updated';
+    } else if (!columns[name]) {
+      errors[name] = 'Unknown column';
+    } else if (value === undefined || Number.isNaN(value)) {
+      errors[name] = 'Invalid value. Use null to clear a field.';
+    } else {
+      const result = coerce(value, columns[name]);
+      if (result.error) errors[name] = `${result.error} (column type ${columns[name].type})`;
+      else values[name] = result.value;
+    }
+  }
+  return { values, errors };
+}
+
+/** Columns a caller may write: every column except the protected ones. */
+function writableColumns(columns) {
+  return Object.keys(columns).filter((name) => !PROTECTED_COLUMNS.includes(name));
+}
+
+module.exports = {
+  PROTECTED_COLUMNS,
+  loadColumns,
+  clearCache,
+  coerce,
+  validateUpdates,
+  writableColumns,
+};
@@ -0,0 +1,45 @@
+/**
+ * Outside dependencies the handlers reach through, so they can run somewhere other than AWS:
+ *   repository — data access (lib/repository/postgres.js by default, lib/repository/memory.js offline)
+ *   sns, lambda — anything with send(command), like the AWS SDK clients they default to
+ *   fetch — defaults to the global fetch
+ * Each default is created on first use. configure() swaps any of them; reset() goes back to the defaults.
+ */
+
+const { SNSClient } = require('@aws-sdk/client-sns');
+const { LambdaClient } = require('@aws-sdk/client-lambda');
+
+const defaults = {
+  repository: () => require('./repository/postgres').createPostgresRepository(),
+  sns: () => new SNSClient({}),
+  lambda: () => new LambdaClient({ region: 'us-east-1' }),
+  fetch: () => (...args) => fetch(...args),
+};
+
+let current = {};
+
+function get(name) {
+  if (!current[name]) current[name] = defaults[name]();
+  return current[name];
+}
+
+/** Override some of { repository, sns, lambda, fetch }; the rest keep their current value. */
+function configure(overrides) {
+  for (const name of Object.keys(overrides)) {
+    if (!defaults[name]) throw new Error(`Unknown service "${name}"`);
+  }
+  current = { ...current, ...overrides };
+}
+
+function reset() {
+  current = {};
+}
+
+module.exports = {
+  repository: () => get('repository'),
+  sns: () => get('sns'),
+  lambda: () => get('lambda'),
+  fetch: () => get('fetch'),
+  configure,
+  reset,
+};
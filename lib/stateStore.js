@@ -0,0 +1,245 @@
+/**
+ * Key-value state store (GET/POST /state) with per-key versions for compare-and-swap,
+ * partial updates, deletes, prefix listing and expiry.
+ *
+ * Expects table: state_machine_state (key text primary key, value jsonb, version bigint,
+ * expires_at timestamptz, updated_at timestamptz).
+ * Every write bumps version by one; a write with an expected version only applies if the stored
+ * version still matches (0 = the key must not exist yet, '*' = the key must exist).
+ * Keys past expires_at read as missing, are replaced as if new on the next write, and are
+ * deleted by the sweeper.
+ */
+
+const STATE_TABLE = 'state_machine_state';
+const COLUMNS = 'key, value, version, expires_at, updated_at';
+const LIVE = '(expires_at IS NULL OR expires_at > now())';
+
+function toRow(row) {
+  return row && {
+    key: row.key,
+    value: row.value,
+    version: Number(row.version),
+    expires_at: row.expires_at,
+    updated_at: row.updated_at,
+  };
+}
+
+/** Quoted strong ETag for a version. */
+function etag(version) {
+  return `"${version}"`;
+}
+
+/**
+ * Expected version from body.expected_version or an If-Match header ("3", 3, W/"3" or *).
+ * Returns undefined when neither is sent, or { error } when the value isn't usable.
+ */
+function parseExpectedVersion(bodyValue, ifMatch) {
+  const raw = bodyValue !== undefined ? bodyValue : ifMatch;
+  if (raw === undefined || raw === null || raw === '') return undefined;
+  if (raw === '*') return '*';
+  const text = String(raw).trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1');
+  if (!/^\d+$/.test(text)) return { error: 'expected_version / If-Match must be a non-negative integer version or *' };
+  return Number(text);
+}
+
+/** A JSON path as an array of keys: ["a", "b", 0] or the dotted form "a.b.0". Returns null if unusable. */
+function parsePath(path) {
+  const parts = typeof path === 'string' ? path.split('.') : path;
+  if (!Array.isArray(parts) || parts.length === 0) return null;
+  if (!parts.every((p) => (typeof p === 'string' && p !== '') || Number.isInteger(p))) return null;
+  return parts.map((p) => (typeof p === 'string' && /^\d+$/.test(p) ? Number(p) : p));
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/** RFC 7386 JSON merge patch: objects merge recursively, null removes a member, anything else replaces. */
+function mergePatch(target, patch) {
+  if (!isObject(patch)) return patch;
+  const result = isObject(target) ? { ...target } : {};
+  for (const [k, v] of Object.entries(patch)) {
+    if (v === null) delete result[k];
+    else result[k] = mergePatch(result[k], v);
+  }
+  return result;
+}
+
+/** Copy of doc with value set at path, creating objects along the way. */
+function setIn(doc, path, value) {
+  if (path.length === 0) return value;
+  const [head, ...rest] = path;
+  const container = Array.isArray(doc) && Number.isInteger(head) ? [...doc] : isObject(doc) ? { ...doc } : {};
+  container[head] = setIn(container[head], rest, value);
+  return container;
+}
+
+/** Copy of doc without the member at path (unchanged if the path doesn't exist). */
+function removeIn(doc, path) {
+  const [head, ...rest] = path;
+  if (Array.isArray(doc) && Number.isInteger(head)) {
+    if (head >= doc.length) return doc;
+    const copy = [...doc];
+    if (rest.length === 0) copy.splice(head, 1);
+    else copy[head] = removeIn(copy[head], rest);
+    return copy;
+  }
+  if (!isObject(doc) || !(head in doc)) return doc;
+  const copy = { ...doc };
+  if (rest.length === 0) delete copy[head];
+  else copy[head] = removeIn(copy[head], rest);
+  return copy;
+}
+
+async function get(db, key) {
+  const result = await db.query(
+    `SELECT ${COLUMNS} FROM ${STATE_TABLE} WHERE key = $1 AND ${LIVE}`,
+    [key]
+  );
+  return toRow(result.rows[0]);
+}
+
+/** Drop an expired key, then read and lock it inside a transaction (null when it doesn't exist). */
+async function getForUpdate(db, key) {
+  await db.query(`DELETE FROM ${STATE_TABLE} WHERE key = $1 AND expires_at <= now()`, [key]);
+  const result = await db.query(
+    `SELECT ${COLUMNS} FROM ${STATE_TABLE} WHERE key = $1 FOR UPDATE`,
+    [key]
+  );
+  return toRow(result.rows[0]);
+}
+
+/**
+ * Write a value. Without expectedVersion this is an unconditional upsert.
+ * ttlSeconds: a number sets expires_at that far from now, null clears it, undefined keeps the current expiry.
+ * Returns { row } on success or { conflict: currentRow|null } when expectedVersion doesn't match.
+ */
+async function put(db, key, value, { expectedVersion, ttlSeconds } = {}) {
+  const params = [key, JSON.stringify(value)];
+  let newExpiry = 'NULL';
+  if (ttlSeconds !== undefined && ttlSeconds !== null) {
+    params.push(ttlSeconds);
+    newExpiry = `now() + make_interval(secs => $${params.length})`;
+  }
+  const updatedExpiry = ttlSeconds === undefined ? `${STATE_TABLE}.expires_at` : newExpiry;
+  let result;
+  if (expectedVersion === undefined) {
+    result = await db.query(
+      `INSERT INTO ${STATE_TABLE} (key, value, version, expires_at, updated_at)
+       VALUES ($1, $2::jsonb, 1, ${newExpiry}, now())
+       ON CONFLICT (key) DO UPDATE SET value = $2::jsonb, version = ${STATE_TABLE}.version + 1,
+         expires_at = ${updatedExpiry}, updated_at = now()
+       RETURNING ${COLUMNS}`,
+      params
+    );
+  } else if (expectedVersion === 0) {
+    result = await db.query(
+      `INSERT INTO ${STATE_TABLE} (key, value, version, expires_at, updated_at)
+       VALUES ($1, $2::jsonb, 1, ${newExpiry}, now())
+       ON CONFLICT (key) DO NOTHING
+       RETURNING ${COLUMNS}`,
+      params
+    );
+  } else {
+    let versionClause = '';
+    if (expectedVersion !== '*') {
+      params.push(expectedVersion);
+      versionClause = ` AND version = $${params.length}`;
+    }
+    result = await db.query(
+      `UPDATE ${STATE_TABLE} SET value = $2::jsonb, version = version + 1,
+         expires_at = ${updatedExpiry}, updated_at = now()
+       WHERE key = $1${versionClause}
+       RETURNING ${COLUMNS}`,
+      params
+    );
+  }
+  if (result.rows.length === 0) return { conflict: await get(db, key) };
+  return { row: toRow(result.rows[0]) };
+}
+
+/** Delete a key. Returns { row } (the deleted row) or { conflict: currentRow|null } on a version mismatch or missing key. */
+async function remove(db, key, { expectedVersion } = {}) {
+  const params = [key];
+  let versionClause = '';
+  if (expectedVersion !== undefined && expectedVersion !== '*') {
+    params.push(expectedVersion);
+    versionClause = ' AND version = $2';
+  }
+  const result = await db.query(
+    `DELETE FROM ${STATE_TABLE} WHERE key = $1 AND ${LIVE}${versionClause} RETURNING ${COLUMNS}`,
+    params
+  );
+  if (result.rows.length === 0) return { conflict: await get(db, key) };
+  return { row: toRow(result.rows[0]) };
+}
+
+/**
+ * Live keys starting with prefix, in key order, after cursor (the last key of the previous page).
+ * Returns { items, next_cursor }; items carry value only when includeValues is set.
+ */
+async function list(db, { prefix = '', cursor, limit = 100, includeValues = false }) {
+  const escaped = prefix.replace(/[\\%_]/g, (c) => `\\${c}`);
+  const result = await db.query(
+    `SELECT key, ${includeValues ? 'value, ' : ''}version, expires_at, updated_at FROM ${STATE_TABLE}
+     WHERE key LIKE $1 AND key > $2 AND ${LIVE}
+     ORDER BY key LIMIT $3`,
+    [`${escaped}%`, cursor || '', limit + 1]
+  );
+  const rows = result.rows.slice(0, limit).map((row) => ({
+    key: row.key,
+    ...(includeValues ? { value: row.value } : {}),
+    version: Number(row.version),
+    expires_at: row.expires_at,
+    updated_at: row.updated_at,
+  }));
+  const hasMore = result.rows.length > limit;
+  return { items: rows, next_cursor: hasMore ? rows[rows.length - 1].key : null };
+}
+
+/** State key holding where a paged scheduled job (e.g. reconcileAirtableJob) stopped. */
+function jobCursorKey(job) {
+  return `job:${job}:cursor`;
+}
+
+/** The kit_id a paged job last stopped after, or null to start from the first kit. */
+async function getJobCursor(db, job) {
+  const row = await get(db, jobCursorKey(job));
+  return row?.value?.after_kit_id || null;
+}
+
+/** Save where a paged job stopped (null once it reached the last kit). */
+async function putJobCursor(db, job, afterKitId) {
+  await put(db, jobCursorKey(job), { after_kit_id: afterKitId || null });
+}
+
+/** Delete up to batchSize expired keys. Returns the deleted keys. */
+async function sweepExpired(db, batchSize = 500) {
+  const result = await db.query(
+    `DELETE FROM ${STATE_TABLE} WHERE key IN (
+       SELECT key FROM ${STATE_TABLE} WHERE expires_at <= now() ORDER BY expires_at LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     ) RETURNING key`,
+    [batchSize]
+  );
+  return result.rows.map((r) => r.key);
+}
+
+module.exports = {
+  STATE_TABLE,
+  etag,
+  parseExpectedVersion,
+  parsePath,
+  mergePatch,
+  setIn,
+  removeIn,
+  get,
+  getForUpdate,
+  put,
+  remove,
+  list,
+  sweepExpired,
+  jobCursorKey,
+  getJobCursor,
+  putJobCursor,
+};
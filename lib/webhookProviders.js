@@ -0,0 +1,60 @@
+/**
+ * Senders of POST /webhooks/actions. A provider says whether a request is its own, authenticates it and names
+ * the event, so the inbox (lib/inbox.js) can store and deduplicate it:
+ *
+ *   name       inbox provider and WebhookOutcome metric Source
+ *   matches    (event, body) → true when the request comes from this sender; checked in order
+ *   verify     (event) → { ok } or { ok: false, reason }
+ *   eventId    (event, body, rawBody) → the sender's id for the event; a redelivery carries the same id, and an
+ *              event without one gets a fresh id so it is never taken for a duplicate
+ *   eventType  (body) → short event name for listings
+ *
+ * To add a sender, add a provider here (before shared-secret, which takes everything else) and a processor
+ * under the same name in WEBHOOK_PROCESSORS in handler.js.
+ */
+
+const crypto = require('crypto');
+const { getHeader } = require('./http');
+const webhookSignature = require('./webhookSignature');
+
+function bodyHash(rawBody) {
+  return `sha256:${crypto.createHash('sha256').update(rawBody).digest('hex')}`;
+}
+
+const PROVIDERS = [
+  {
+    name: 'calendly',
+    matches: (event, body) => String(body.event || '').toLowerCase().startsWith('invitee.')
+      || Boolean(getHeader(event, 'Calendly-Webhook-Signature')),
+    verify: (event) => webhookSignature.verifyCalendlySignature(event),
+    // An invitee's created and canceled events share its URI, so the event name is part of the id.
+    eventId: (event, body, rawBody) => (typeof body.payload?.uri === 'string'
+      ? `${body.event}:${body.payload.uri}`
+      : bodyHash(rawBody)),
+    eventType: (body) => String(body.event || 'unknown'),
+  },
+  {
+    name: 'shared-secret',
+    matches: () => true,
+    verify: (event) => webhookSignature.verifySharedSecret(event),
+    // Only a sender-supplied X-Webhook-Id marks a redelivery. Without one every request is a new event: the same
+    // body can legitimately be sent again later (true, false, true), so it must not be deduplicated on its hash.
+    eventId: (event) => getHeader(event, 'X-Webhook-Id') || `request:${crypto.randomUUID()}`,
+    eventType: (body) => (typeof body.event === 'string' ? body.event : 'actions.update'),
+  },
+];
+
+/** The provider for a webhook request (shared-secret when no other matches). */
+function providerFor(event, body) {
+  return PROVIDERS.find((provider) => provider.matches(event, body));
+}
+
+function byName(name) {
+  return PROVIDERS.find((provider) => provider.name === name) || null;
+}
+
+module.exports = {
+  PROVIDERS,
+  providerFor,
+  byName,
+};
@@ -0,0 +1,86 @@
+/**
+ * Webhook authenticity checks for POST /webhooks/actions.
+ *
+ * Calendly signs each delivery with the header
+ *   Calendly-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+ * using the webhook subscription's signing key. Other callers of the generic actions-update
+ * path send a shared secret in X-Webhook-Secret.
+ */
+
+const crypto = require('crypto');
+const { getHeader } = require('./http');
+
+const DEFAULT_TOLERANCE_SECONDS = 180;
+
+/** The request body exactly as it was sent, which is what the signature covers. */
+function rawBody(event) {
+  if (typeof event.body !== 'string') return event.body == null ? '' : JSON.stringify(event.body);
+  return event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body;
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/** Parse "t=...,v1=...[,v1=...]" into { timestamp, signatures }. */
+function parseSignatureHeader(header) {
+  const parsed = { timestamp: null, signatures: [] };
+  for (const part of String(header).split(',')) {
+    const [k, v] = part.split('=').map((s) => s && s.trim());
+    if (k === 't') parsed.timestamp = v;
+    else if (k === 'v1' && v) parsed.signatures.push(v);
+  }
+  return parsed;
+}
+
+/**
+ * Verify a Calendly delivery. Returns { ok: true } or { ok: false, reason }.
+ * options: { signingKey, toleranceSeconds, now } (now in ms, for tests)
+ */
+function verifyCalendlySignature(event, options = {}) {
+  const signingKey = options.signingKey ?? process.env.CALENDLY_WEBHOOK_SIGNING_KEY;
+  if (!signingKey) return { ok: false, reason: 'CALENDLY_WEBHOOK_SIGNING_KEY not set' };
+
+  const header = getHeader(event, 'Calendly-Webhook-Signature');
+  if (!header) return { ok: false, reason: 'missing Calendly-Webhook-Signature header' };
+
+  const { timestamp, signatures } = parseSignatureHeader(header);
+  if (!timestamp || !/^\d+$/.test(timestamp) || signatures.length === 0) {
+    return { ok: false, reason: 'malformed Calendly-Webhook-Signature header' };
+  }
+
+  const tolerance = options.toleranceSeconds
+    ?? (parseInt(process.env.CALENDLY_WEBHOOK_TOLERANCE_SECONDS || '', 10) || DEFAULT_TOLERANCE_SECONDS);
+  const now = Math.floor((options.now ?? Date.now()) / 1000);
+  if (Math.abs(now - parseInt(timestamp, 10)) > tolerance) {
+    return { ok: false, reason: 'timestamp outside tolerance window' };
+  }
+
+  const expected = crypto
+    .createHmac('sha256', signingKey)
+    .update(`${timestamp}.${rawBody(event)}`)
+    .digest('hex');
+  if (!signatures.some((sig) => safeEqual(sig, expected))) {
+    return { ok: false, reason: 'signature mismatch' };
+  }
+  return { ok: true };
+}
+
+/** Verify the X-Webhook-Secret header against WEBHOOK_SHARED_SECRET. Returns { ok } or { ok: false, reason }. */
+function verifySharedSecret(event, options = {}) {
+  const secret = options.secret ?? process.env.WEBHOOK_SHARED_SECRET;
+  if (!secret) return { ok: false, reason: 'WEBHOOK_SHARED_SECRET not set' };
+  const provided = getHeader(event, 'X-Webhook-Secret');
+  if (!provided) return { ok: false, reason: 'missing X-Webhook-Secret header' };
+  if (!safeEqual(provided, secret)) return { ok: false, reason: 'shared secret mismatch' };
+  return { ok: true };
+}
+
+module.exports = {
+  rawBody,
+  parseSignatureHeader,
+  verifyCalendlySignature,
+  verifySharedSecret,
+};
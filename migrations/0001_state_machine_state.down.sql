@@ -0,0 +1,5 @@
+-- state_machine_state predates the migrations and 0001 only adopted it, so there is nothing this migration owns to
+-- undo. Dropping the table would delete live state; do that by hand if it is really intended.
+DO $$ BEGIN
+  RAISE EXCEPTION 'Migration 0001_state_machine_state cannot be rolled back: it adopted the existing state table';
+END $$;
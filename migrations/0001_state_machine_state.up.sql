@@ -0,0 +1,11 @@
+-- Key-value store behind GET/POST /state. IF NOT EXISTS so databases created before migrations adopt it as is.
+CREATE TABLE IF NOT EXISTS state_machine_state (
+  key         text primary key,
+  value       jsonb,
+  version     bigint not null default 1,
+  expires_at  timestamptz,
+  updated_at  timestamptz default now()
+);
+ALTER TABLE state_machine_state ADD COLUMN IF NOT EXISTS version bigint not null default 1;
+ALTER TABLE state_machine_state ADD COLUMN IF NOT EXISTS expires_at timestamptz;
+CREATE INDEX IF NOT EXISTS state_machine_state_expires_at_idx ON state_machine_state (expires_at) WHERE expires_at IS NOT NULL;
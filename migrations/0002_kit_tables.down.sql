@@ -0,0 +1,5 @@
+-- The kit tables predate the migrations and 0002 only adopted them (and their columns), so rolling it back would
+-- delete participant data. Drop them by hand if that is really intended.
+DO $$ BEGIN
+  RAISE EXCEPTION 'Migration 0002_kit_tables cannot be rolled back: it adopted the existing kit tables';
+END $$;
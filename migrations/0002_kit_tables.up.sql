@@ -0,0 +1,55 @@
+-- The five kit tables, keyed by kit_id. Existing tables keep their other columns and only gain the ones the handlers read.
+CREATE TABLE IF NOT EXISTS users (
+  id          bigserial primary key,
+  kit_id      text not null unique,
+  email       text,
+  first_name  text,
+  is_test     boolean not null default false,
+  created_at  timestamptz not null default now()
+);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email text;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS first_name text;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS is_test boolean not null default false;
+CREATE INDEX IF NOT EXISTS users_email_lower_idx ON users (LOWER(email));
+
+CREATE TABLE IF NOT EXISTS consents (
+  id            bigserial primary key,
+  kit_id        text not null,
+  toc_agreed    boolean not null default false,
+  withdrawn_at  timestamptz,
+  created_at    timestamptz not null default now()
+);
+ALTER TABLE consents ADD COLUMN IF NOT EXISTS toc_agreed boolean not null default false;
+ALTER TABLE consents ADD COLUMN IF NOT EXISTS withdrawn_at timestamptz;
+CREATE INDEX IF NOT EXISTS consents_kit_id_idx ON consents (kit_id);
+
+CREATE TABLE IF NOT EXISTS reports (
+  id          bigserial primary key,
+  kit_id      text not null,
+  created_at  timestamptz not null default now()
+);
+CREATE INDEX IF NOT EXISTS reports_kit_id_idx ON reports (kit_id);
+
+CREATE TABLE IF NOT EXISTS actions (
+  id                      bigserial primary key,
+  kit_id                  text not null,
+  appointment_made        boolean not null default false,
+  appointment_event_uri   text,
+  appointment_start_time  timestamptz,
+  pdf_email_sent          boolean not null default false,
+  created_at              timestamptz not null default now()
+);
+ALTER TABLE actions ADD COLUMN IF NOT EXISTS appointment_made boolean not null default false;
+ALTER TABLE actions ADD COLUMN IF NOT EXISTS appointment_event_uri text;
+ALTER TABLE actions ADD COLUMN IF NOT EXISTS appointment_start_time timestamptz;
+ALTER TABLE actions ADD COLUMN IF NOT EXISTS pdf_email_sent boolean not null default false;
+CREATE INDEX IF NOT EXISTS actions_kit_id_idx ON actions (kit_id);
+
+CREATE TABLE IF NOT EXISTS kits (
+  id           bigserial primary key,
+  kit_id       text not null,
+  canceled_at  timestamptz,
+  created_at   timestamptz not null default now()
+);
+ALTER TABLE kits ADD COLUMN IF NOT EXISTS canceled_at timestamptz;
+CREATE INDEX IF NOT EXISTS kits_kit_id_idx ON kits (kit_id);
@@ -0,0 +1,14 @@
+CREATE TABLE IF NOT EXISTS kit_audit_log (
+  id            bigserial primary key,
+  table_name    text not null,
+  kit_id        text,
+  state_key     text,
+  operation     text not null,
+  changes       jsonb not null,
+  source_route  text,
+  request_id    text,
+  api_key       text,
+  created_at    timestamptz not null default now()
+);
+ALTER TABLE kit_audit_log ADD COLUMN IF NOT EXISTS api_key text;
+CREATE INDEX IF NOT EXISTS kit_audit_log_kit_id_idx ON kit_audit_log (kit_id, created_at);
@@ -0,0 +1,15 @@
+CREATE TABLE IF NOT EXISTS notification_outbox (
+  id               bigserial primary key,
+  kit_id           text,
+  message_type     text not null,
+  topic_arn        text not null,
+  message          jsonb not null,
+  dedupe_key       text unique,
+  status           text not null default 'pending',
+  attempts         integer not null default 0,
+  last_error       text,
+  next_attempt_at  timestamptz not null default now(),
+  created_at       timestamptz not null default now(),
+  delivered_at     timestamptz
+);
+CREATE INDEX IF NOT EXISTS notification_outbox_due_idx ON notification_outbox (status, next_attempt_at);
@@ -0,0 +1 @@
+DROP TABLE IF EXISTS airtable_sync_failures;
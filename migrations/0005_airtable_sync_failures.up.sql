@@ -0,0 +1,13 @@
+CREATE TABLE IF NOT EXISTS airtable_sync_failures (
+  id               bigserial primary key,
+  kit_id           text not null,
+  table_name       text not null,
+  fields           jsonb not null,
+  reason           text not null,
+  status_code      integer,
+  error            text,
+  attempts         integer not null default 0,
+  created_at       timestamptz not null default now(),
+  last_attempt_at  timestamptz,
+  resolved_at      timestamptz
+);
@@ -0,0 +1,10 @@
+CREATE TABLE IF NOT EXISTS api_keys (
+  id            bigserial primary key,
+  name          text not null,
+  key_hash      text not null unique,
+  key_prefix    text not null,
+  scopes        text[] not null,
+  created_at    timestamptz not null default now(),
+  last_used_at  timestamptz,
+  revoked_at    timestamptz
+);
@@ -0,0 +1,3 @@
+ALTER TABLE consents DROP COLUMN IF EXISTS agreed_at;
+ALTER TABLE consents DROP COLUMN IF EXISTS terms_version;
+DROP TABLE IF EXISTS consent_events;
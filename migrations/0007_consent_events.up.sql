@@ -0,0 +1,29 @@
+-- Consent ledger: one row per agreement, decline or withdrawal. consents keeps the current values.
+CREATE TABLE IF NOT EXISTS consent_events (
+  id             bigserial primary key,
+  kit_id         text not null,
+  event          text not null check (event IN ('agreed', 'declined', 'withdrawn')),
+  terms_version  text,
+  occurred_at    timestamptz not null default now(),
+  source         text,
+  request_id     text,
+  api_key        text,
+  details        jsonb,
+  created_at     timestamptz not null default now()
+);
+CREATE INDEX IF NOT EXISTS consent_events_kit_id_idx ON consent_events (kit_id, occurred_at, id);
+
+ALTER TABLE consents ADD COLUMN IF NOT EXISTS terms_version text;
+ALTER TABLE consents ADD COLUMN IF NOT EXISTS agreed_at timestamptz;
+
+-- Seed the ledger from consents rows that predate it.
+INSERT INTO consent_events (kit_id, event, occurred_at, source)
+SELECT c.kit_id, 'agreed', COALESCE(c.created_at, now()), 'backfill'
+FROM consents c
+WHERE c.toc_agreed IS TRUE
+  AND NOT EXISTS (SELECT 1 FROM consent_events e WHERE e.kit_id = c.kit_id);
+INSERT INTO consent_events (kit_id, event, occurred_at, source)
+SELECT c.kit_id, 'withdrawn', c.withdrawn_at, 'backfill'
+FROM consents c
+WHERE c.withdrawn_at IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM consent_events e WHERE e.kit_id = c.kit_id AND e.event = 'withdrawn');
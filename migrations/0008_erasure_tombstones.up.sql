@@ -0,0 +1,12 @@
+-- One row per erased kit. Only a hash of the email is kept, so a later signup or webhook for it can be refused.
+CREATE TABLE IF NOT EXISTS erasure_tombstones (
+  id          bigserial primary key,
+  kit_id      text not null,
+  email_hash  text,
+  mode        text not null check (mode IN ('anonymize', 'delete')),
+  request_id  text,
+  api_key     text,
+  erased_at   timestamptz not null default now()
+);
+CREATE INDEX IF NOT EXISTS erasure_tombstones_email_hash_idx ON erasure_tombstones (email_hash);
+CREATE INDEX IF NOT EXISTS erasure_tombstones_kit_id_idx ON erasure_tombstones (kit_id);
@@ -0,0 +1,9 @@
+-- Reminders sent to kits stuck in a lifecycle stage: one row per kit and message_type.
+CREATE TABLE IF NOT EXISTS kit_reminders (
+  kit_id          text not null,
+  message_type    text not null,
+  reminder_count  integer not null default 0,
+  stage_since     timestamptz,
+  last_sent_at    timestamptz,
+  primary key (kit_id, message_type)
+);
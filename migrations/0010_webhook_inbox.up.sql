@@ -0,0 +1,19 @@
+-- Every authenticated incoming webhook, stored before it is processed (lib/inbox.js). One row per provider event id.
+CREATE TABLE IF NOT EXISTS webhook_inbox (
+  id            bigserial primary key,
+  provider      text not null,
+  event_id      text not null,
+  event_type    text,
+  headers       jsonb not null default '{}'::jsonb,
+  raw_body      text not null,
+  status        text not null default 'received' check (status in ('received', 'processed', 'ignored', 'failed')),
+  attempts      integer not null default 0,
+  last_error    text,
+  response      jsonb,
+  kit_ids       text[] not null default '{}',
+  received_at   timestamptz not null default now(),
+  processed_at  timestamptz,
+  unique (provider, event_id)
+);
+CREATE INDEX IF NOT EXISTS webhook_inbox_status_idx ON webhook_inbox (status, received_at);
+CREATE INDEX IF NOT EXISTS webhook_inbox_kit_ids_idx ON webhook_inbox USING gin (kit_ids);
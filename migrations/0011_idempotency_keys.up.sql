@@ -0,0 +1,16 @@
+-- First response per Idempotency-Key (lib/idempotency.js), replayed for retries until expires_at. One row per scope and key.
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  id            bigserial primary key,
+  scope         text not null,
+  key           text not null,
+  request_hash  text not null,
+  kit_id        text,
+  status        text not null default 'in_progress' check (status in ('in_progress', 'completed')),
+  response      jsonb,
+  created_at    timestamptz not null default now(),
+  completed_at  timestamptz,
+  expires_at    timestamptz not null,
+  unique (scope, key)
+);
+CREATE INDEX IF NOT EXISTS idempotency_keys_expires_at_idx ON idempotency_keys (expires_at);
+CREATE INDEX IF NOT EXISTS idempotency_keys_kit_id_idx ON idempotency_keys (kit_id) WHERE kit_id IS NOT NULL;
@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+/**
+ * Admin command for API keys (use it to issue the first admin key; afterwards /admin/api-keys works too).
+ *
+ *   npm run api-keys -- issue <name> <scope>[,<scope>...]
+ *   npm run api-keys -- list [--all]
+ *   npm run api-keys -- revoke <id>
+ *
+ * Connects with the DB_* environment variables, falling back to config/config.js.
+ */
+
+const { Pool } = require('pg');
+const config = require('../config/config');
+const apiKeys = require('../lib/apiKeys');
+
+function usage() {
+  console.error('Usage: api-keys issue <name> <scope>[,<scope>...] | list [--all] | revoke <id>');
+  process.exit(1);
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const pool = new Pool({
+    host: process.env.DB_HOST || config.DB_HOST,
+    port: parseInt(process.env.DB_PORT || config.DB_PORT || '5432', 10),
+    database: process.env.DB_NAME || config.DB_NAME,
+    user: process.env.DB_USER || config.DB_USER,
+    password: process.env.DB_PASSWORD || config.DB_PASSWORD,
+    ssl: { rejectUnauthorized: false },
+    max: 1,
+  });
+  try {
+    if (command === 'issue') {
+      const [name, scopeList] = args;
+      if (!name || !scopeList) usage();
+      const scopes = scopeList.split(',').map((s) => s.trim()).filter(Boolean);
+      const invalid = scopes.filter((scope) => !apiKeys.isValidScope(scope));
+      if (invalid.length > 0) throw new Error(`Invalid scopes: ${invalid.join(', ')}`);
+      const { key, record } = await apiKeys.issue(pool, { name, scopes });
+      console.log(JSON.stringify({ key, api_key: record }, null, 2));
+      console.error('Store the key now; it cannot be shown again.');
+    } else if (command === 'list') {
+      const keys = await apiKeys.list(pool, { includeRevoked: args.includes('--all') });
+      console.table(keys.map((k) => ({ ...k, scopes: k.scopes.join(',') })));
+    } else if (command === 'revoke') {
+      const id = parseInt(args[0], 10);
+      if (!Number.isInteger(id)) usage();
+      const revoked = await apiKeys.revoke(pool, id);
+      if (!revoked) throw new Error(`No active API key with id ${id}`);
+      console.log(JSON.stringify(revoked, null, 2));
+    } else {
+      usage();
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+/**
+ * Schema migrations (files in migrations/, see lib/migrations.js).
+ *
+ *   npm run migrate -- up [--to <version>]
+ *   npm run migrate -- status
+ *   npm run migrate -- down [--steps <n>]
+ *   npm run migrate -- check
+ *
+ * Connects with the DB_* environment variables, falling back to config/config.js.
+ */
+
+const { Pool } = require('pg');
+const config = require('../config/config');
+const migrations = require('../lib/migrations');
+
+function usage() {
+  console.error('Usage: migrate up [--to <version>] | status | down [--steps <n>] | check');
+  process.exit(1);
+}
+
+function option(args, name) {
+  const i = args.indexOf(name);
+  return i === -1 ? undefined : args[i + 1];
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  if (!['up', 'status', 'down', 'check'].includes(command)) usage();
+  const pool = new Pool({
+    host: process.env.DB_HOST || config.DB_HOST,
+    port: parseInt(process.env.DB_PORT || config.DB_PORT || '5432', 10),
+    database: process.env.DB_NAME || config.DB_NAME,
+    user: process.env.DB_USER || config.DB_USER,
+    password: process.env.DB_PASSWORD || config.DB_PASSWORD,
+    ssl: { rejectUnauthorized: false },
+    max: 1,
+  });
+  const client = await pool.connect();
+  try {
+    if (command === 'up') {
+      const to = option(args, '--to');
+      if (args.includes('--to') && !/^\d{4}$/.test(to || '')) usage();
+      const applied = await migrations.up(client, { to });
+      console.log(applied.length ? `Applied: ${applied.join(', ')}` : 'Nothing to apply.');
+    } else if (command === 'status') {
+      const rows = await migrations.status(client);
+      console.table(rows);
+      if (rows.some((r) => r.state === 'changed' || r.state === 'missing')) process.exitCode = 1;
+    } else if (command === 'down') {
+      const steps = args.includes('--steps') ? parseInt(option(args, '--steps'), 10) : 1;
+      if (!Number.isInteger(steps) || steps < 1) usage();
+      const rolledBack = await migrations.down(client, { steps });
+      console.log(rolledBack.length ? `Rolled back: ${rolledBack.join(', ')}` : 'Nothing to roll back.');
+    } else {
+      const result = await migrations.checkSchema(client);
+      console.log(JSON.stringify(result, null, 2));
+      if (!result.ok) process.exitCode = 1;
+    }
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+/**
+ * OpenAPI document from the route registry (lib/routes.js).
+ *
+ *   npm run openapi -- print    print the document
+ *   npm run openapi -- write    write it to client/openapi.json (the JS client's copy; run by the client's prepack)
+ *   npm run openapi -- check    fail if serverless.yml or handler.js disagree with the registry
+ */
+
+const fs = require('fs');
+const path = require('path');
+const openapi = require('../lib/openapi');
+const { ROUTES } = require('../lib/routes');
+
+const ROOT = path.join(__dirname, '..');
+const CLIENT_SPEC = path.join(ROOT, 'client', 'openapi.json');
+
+function usage() {
+  console.error('Usage: openapi print | write | check');
+  process.exit(1);
+}
+
+function render() {
+  return `${JSON.stringify(openapi.document(), null, 2)}\n`;
+}
+
+/** { functionName: { handler, path?, method? } } for the HTTP functions in serverless.yml. */
+function serverlessRoutes() {
+  const yml = fs.readFileSync(path.join(ROOT, 'serverless.yml'), 'utf8');
+  const functions = yml.slice(yml.indexOf('\nfunctions:'), yml.indexOf('\nresources:'));
+  const found = {};
+  let current = null;
+  for (const line of functions.split('\n')) {
+    const name = /^ {2}([A-Za-z0-9]+):\s*$/.exec(line);
+    if (name) {
+      current = found[name[1]] = {};
+      continue;
+    }
+    const field = /^\s+(?:- )?(handler|path|method|schedule):\s*(\S+)/.exec(line);
+    if (current && field) current[field[1]] = field[2];
+  }
+  return Object.fromEntries(Object.entries(found).filter(([, fn]) => fn.path));
+}
+
+function check() {
+  const problems = [];
+  const handler = require('../handler');
+  const declared = serverlessRoutes();
+  for (const route of ROUTES) {
+    if (typeof handler[route.handler] !== 'function') problems.push(`${route.handler}: not exported by handler.js`);
+    const fn = declared[route.handler];
+    if (!fn) {
+      problems.push(`${route.handler}: no HTTP function in serverless.yml`);
+    } else if (fn.path !== route.path || fn.method.toUpperCase() !== route.method) {
+      problems.push(`${route.handler}: serverless.yml has ${fn.method} ${fn.path}, registry has ${route.method} ${route.path}`);
+    }
+  }
+  for (const name of Object.keys(declared)) {
+    if (!ROUTES.some((route) => route.handler === name)) problems.push(`${name}: in serverless.yml but not in lib/routes.js`);
+  }
+  return problems;
+}
+
+const command = process.argv[2];
+if (command === 'print') {
+  process.stdout.write(render());
+} else if (command === 'write') {
+  fs.writeFileSync(CLIENT_SPEC, render());
+  console.log(`Wrote ${path.relative(ROOT, CLIENT_SPEC)} (${ROUTES.length} routes)`);
+} else if (command === 'check') {
+  const problems = check();
+  problems.forEach((problem) => console.error(problem));
+  if (problems.length > 0) process.exit(1);
+  console.log(`OK: ${ROUTES.length} routes match serverless.yml and handler.js`);
+} else {
+  usage();
+}
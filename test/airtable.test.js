@@ -0,0 +1,167 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, post } = require('./helpers');
+const services = require('../lib/services');
+const airtable = require('../lib/airtable');
+const handler = require('../handler');
+
+const READ_ARN = 'arn:aws:lambda:us-east-1:000000000000:function:getAirtable';
+const UPDATE_ARN = 'arn:aws:lambda:us-east-1:000000000000:function:updateAirtable';
+
+/** A Lambda stub: reads answer from records ({ kit_id: fields }), updates with updateStatus. */
+function airtableLambda(records, { updateStatus = 200 } = {}) {
+  const updates = [];
+  services.configure({
+    lambda: {
+      send: async (command) => {
+        const payload = JSON.parse(command.input.Payload);
+        let result;
+        if (command.input.FunctionName === READ_ARN) {
+          result = records[payload.kit_id] ? { statusCode: 200, body: { fields: records[payload.kit_id] } } : { statusCode: 404 };
+        } else {
+          updates.push(payload);
+          result = { statusCode: updateStatus, body: updateStatus >= 400 ? 'Airtable is down' : '{}' };
+        }
+        return { Payload: Buffer.from(JSON.stringify(result)) };
+      },
+    },
+  });
+  return updates;
+}
+
+describe('airtable helpers', () => {
+  it('mirrors only the configured columns, in Title Case', () => {
+    assert.equal(airtable.toTitleCase('appointment_made'), 'Appointment Made');
+    assert.deepEqual(airtable.mirroredFields('actions', { appointment_made: true, id: 3 }), { appointment_made: true });
+    assert.deepEqual(airtable.mirroredFields('reports', { created_at: 'x' }), {});
+  });
+
+  it('diffs rows against Airtable fields, treating unchecked boxes as empty', () => {
+    const rows = { actions: { appointment_made: false, pdf_email_sent: true }, consents: null };
+    const differences = airtable.diffKit(rows, { 'Appointment Made': null, 'Pdf Email Sent': false });
+    assert.deepEqual(differences, [
+      { table: 'actions', column: 'pdf_email_sent', field: 'Pdf Email Sent', postgres: true, airtable: false },
+    ]);
+  });
+});
+
+describe('Airtable reconciliation', () => {
+  let ctx;
+  beforeEach(() => {
+    process.env.AIRTABLE_READ_LAMBDA_ARN = READ_ARN;
+    process.env.AIRTABLE_LAMBDA_ARN = UPDATE_ARN;
+    ctx = setup({
+      users: [{ kit_id: 'kit-1' }, { kit_id: 'kit-2' }, { kit_id: 'kit-3', is_test: true }],
+      consents: [{ kit_id: 'kit-1', toc_agreed: true }, { kit_id: 'kit-2', toc_agreed: true }],
+    });
+  });
+  afterEach(() => {
+    delete process.env.AIRTABLE_READ_LAMBDA_ARN;
+    delete process.env.AIRTABLE_LAMBDA_ARN;
+    mock.restoreAll();
+  });
+
+  it('reports drift and kits missing in Airtable, leaving test kits out', async () => {
+    airtableLambda({ 'kit-1': { 'Toc Agreed': false } });
+
+    const res = await handler.reconcileAirtable(post(ctx.auth, {}));
+
+    assert.equal(res.statusCode, 200);
+    const report = JSON.parse(res.body);
+    assert.equal(report.checked, 2);
+    assert.equal(report.drifted, 1);
+    assert.equal(report.missing, 1);
+    assert.deepEqual(report.kits[0].differences.map((d) => d.column), ['toc_agreed']);
+    assert.deepEqual(report.kits[1], { kit_id: 'kit-2', missing_in_airtable: true });
+  });
+
+  it('pushes corrections with apply', async () => {
+    const updates = airtableLambda({ 'kit-1': { 'Toc Agreed': false }, 'kit-2': { 'Toc Agreed': true } });
+
+    const res = await handler.reconcileAirtable(post(ctx.auth, { apply: true }));
+
+    assert.equal(JSON.parse(res.body).kits[0].corrected, true);
+    assert.deepEqual(updates, [{ kit_id: 'kit-1', fields: [{ 'Toc Agreed': true }] }]);
+    assert.equal(ctx.repository.data.airtableFailures.length, 0);
+  });
+
+  it('logs a correction that fails to the sync failure log', async () => {
+    airtableLambda({ 'kit-1': { 'Toc Agreed': false }, 'kit-2': { 'Toc Agreed': true } }, { updateStatus: 500 });
+
+    const res = await handler.reconcileAirtable(post(ctx.auth, { apply: true }));
+
+    assert.equal(JSON.parse(res.body).kits[0].corrected, false);
+    const [failure] = ctx.repository.data.airtableFailures;
+    assert.equal(failure.kit_id, 'kit-1');
+    assert.equal(failure.table_name, 'consents');
+    assert.deepEqual(failure.fields, { toc_agreed: true });
+  });
+
+  it('answers with where to continue once its time budget runs out', async () => {
+    airtableLambda({});
+    let clock = 0;
+    mock.method(Date, 'now', () => clock);
+    const original = services.lambda();
+    services.configure({ lambda: { send: async (command) => { clock += 15000; return original.send(command); } } });
+
+    const paged = JSON.parse((await handler.reconcileAirtable(post(ctx.auth, {}))).body);
+    const listed = JSON.parse((await handler.reconcileAirtable(post(ctx.auth, { kit_ids: ['kit-1', 'kit-2', 'kit-9'] }))).body);
+
+    assert.equal(paged.checked, 2);
+    assert.equal(listed.checked, 2);
+    assert.deepEqual(listed.remaining_kit_ids, ['kit-9']);
+  });
+
+  it('stops before an empty paged run reaches its budget with next_after_kit_id', async () => {
+    airtableLambda({});
+    let clock = 0;
+    mock.method(Date, 'now', () => clock);
+    const original = services.lambda();
+    services.configure({ lambda: { send: async (command) => { clock += 25000; return original.send(command); } } });
+
+    const report = JSON.parse((await handler.reconcileAirtable(post(ctx.auth, {}))).body);
+
+    assert.equal(report.checked, 1);
+    assert.equal(report.next_after_kit_id, 'kit-1');
+  });
+});
+
+describe('reconcileAirtableJob', () => {
+  const kitIds = Array.from({ length: 450 }, (_, i) => `kit-${String(i).padStart(3, '0')}`);
+  let ctx;
+  beforeEach(() => {
+    process.env.AIRTABLE_READ_LAMBDA_ARN = READ_ARN;
+    ctx = setup({ users: kitIds.map((kit_id) => ({ kit_id })) });
+    airtableLambda({});
+  });
+  afterEach(() => {
+    delete process.env.AIRTABLE_READ_LAMBDA_ARN;
+  });
+
+  it('stops near the timeout and carries on from the saved cursor', async () => {
+    let calls = 0;
+    const first = await handler.reconcileAirtableJob({}, { getRemainingTimeInMillis: () => (++calls > 250 ? 1000 : 600000) });
+
+    assert.equal(first.complete, false);
+    assert.equal(ctx.repository.data.jobCursors.reconcileAirtableJob, kitIds[first.checked - 1]);
+
+    const second = await handler.reconcileAirtableJob({}, { getRemainingTimeInMillis: () => 600000 });
+
+    assert.equal(second.complete, true);
+    assert.equal(first.checked + second.checked, kitIds.length);
+    assert.equal(ctx.repository.data.jobCursors.reconcileAirtableJob, null);
+  });
+
+  it('keeps the cursor of every finished page when a run fails', async () => {
+    const listKitIds = ctx.repository.listKitIds.bind(ctx.repository);
+    let pages = 0;
+    ctx.repository.listKitIds = async (options) => {
+      if (++pages === 2) throw Object.assign(new Error('connection lost'), { code: 'ECONNREFUSED' });
+      return listKitIds(options);
+    };
+
+    await assert.rejects(handler.reconcileAirtableJob({}, { getRemainingTimeInMillis: () => 600000 }));
+
+    assert.equal(ctx.repository.data.jobCursors.reconcileAirtableJob, kitIds[199]);
+  });
+});
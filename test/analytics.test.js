@@ -0,0 +1,99 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, post } = require('./helpers');
+const analytics = require('../lib/analytics');
+const handler = require('../handler');
+
+/** A loadKits row created at createdAt that reached stages, each hours after the one before. */
+function kit(kitId, createdAt, stages = []) {
+  const row = { kit_id: kitId, created_at: createdAt };
+  let at = new Date(createdAt).getTime();
+  analytics.STAGES.slice(1).forEach((stage, i) => {
+    const reached = i < stages.length;
+    row[`reached_${stage}`] = reached;
+    if (reached) at += stages[i] * 3600 * 1000;
+    row[`${stage}_at`] = reached ? new Date(at).toISOString() : null;
+  });
+  return row;
+}
+
+const kits = [
+  kit('kit-1', '2030-01-07T10:00:00.000Z', [1, 2, 3, 4]),
+  kit('kit-2', '2030-01-08T10:00:00.000Z', [3, 2]),
+  kit('kit-3', '2030-01-14T10:00:00.000Z'),
+];
+
+describe('funnel', () => {
+  it('counts kits cumulatively per stage with conversions and median hours', () => {
+    const stages = analytics.summarize(kits);
+
+    assert.deepEqual(stages.map((s) => s.kits), [3, 2, 2, 1, 1]);
+    assert.deepEqual(stages[0], {
+      stage: 'created', kits: 3, conversion_from_previous: null, conversion_from_start: null, median_hours_from_previous: null,
+    });
+    assert.equal(stages[1].conversion_from_previous, 0.6667);
+    assert.equal(stages[1].median_hours_from_previous, 2);
+    assert.equal(stages[3].conversion_from_previous, 0.5);
+    assert.equal(stages[3].conversion_from_start, 0.3333);
+  });
+
+  it('counts a kit whose stage time is unknown but leaves it out of the median', () => {
+    const stages = analytics.summarize([kits[0], { ...kits[1], toc_agreed_at: null }]);
+
+    assert.equal(stages[1].kits, 2);
+    assert.equal(stages[1].median_hours_from_previous, 1);
+  });
+
+  it('skips a stage flag set without the earlier ones', () => {
+    const stages = analytics.summarize([{ ...kit('kit-4', '2030-01-07T10:00:00.000Z'), reached_appointment_made: true }]);
+
+    assert.equal(stages[3].kits, 0);
+  });
+
+  it('groups weekly cohorts by the Monday of the creation week', () => {
+    assert.equal(analytics.weekOf('2030-01-13T23:59:59.000Z'), '2030-01-07');
+    assert.equal(analytics.weekOf('2030-01-14T00:00:00.000Z'), '2030-01-14');
+
+    const report = analytics.funnel(kits, { cohort: 'week' });
+
+    assert.equal(report.total.kits, 3);
+    assert.deepEqual(report.cohorts.map((c) => [c.cohort, c.kits]), [['2030-01-07', 2], ['2030-01-14', 1]]);
+    assert.equal(analytics.funnel(kits).cohorts, undefined);
+  });
+
+  it('renders CSV with the totals first and empty cells for nulls', () => {
+    const lines = analytics.toCsv(analytics.funnel(kits, { cohort: 'week' })).split('\r\n');
+
+    assert.equal(lines[0], 'cohort,stage,kits,conversion_from_previous,conversion_from_start,median_hours_from_previous');
+    assert.equal(lines[1], 'all,created,3,,,');
+    assert.equal(lines[2], 'all,toc_agreed,2,0.6667,0.6667,2');
+    assert.equal(lines[6], '2030-01-07,created,2,,,');
+    assert.equal(lines.length, 1 + 3 * analytics.STAGES.length + 1);
+    assert.equal(lines.at(-1), '');
+  });
+});
+
+describe('loadKits', () => {
+  it('passes the range and test-kit flag as parameters', async () => {
+    const queries = [];
+    const db = { query: async (sql, params) => { queries.push({ sql, params }); return { rows: [] }; } };
+
+    await analytics.loadKits(db, { from: '2030-01-01T00:00:00Z' });
+
+    assert.deepEqual(queries[0].params, ['2030-01-01T00:00:00Z', null, false]);
+    assert.match(queries[0].sql, /u\.is_test IS NOT TRUE/);
+  });
+});
+
+describe('POST /analytics/funnel', () => {
+  let ctx;
+  beforeEach(() => {
+    ctx = setup();
+  });
+
+  it('rejects a bad range, cohort or format before reading', async () => {
+    for (const body of [{ from: 'yesterday' }, { cohort: 'month' }, { include_test: 'yes' }, { format: 'xlsx' }]) {
+      assert.equal((await handler.getFunnel(post(ctx.auth, body))).statusCode, 400);
+    }
+  });
+});
@@ -0,0 +1,69 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, post } = require('./helpers');
+const apiKeys = require('../lib/apiKeys');
+const handler = require('../handler');
+
+describe('API key scopes', () => {
+  it('cover a route through the exact scope, a resource or action wildcard, or "*"', () => {
+    assert.equal(apiKeys.hasScope(['actions:write'], 'actions:write'), true);
+    assert.equal(apiKeys.hasScope(['actions:*'], 'actions:read'), true);
+    assert.equal(apiKeys.hasScope(['*:read'], 'users:read'), true);
+    assert.equal(apiKeys.hasScope(['*'], 'privacy:write'), true);
+    assert.equal(apiKeys.hasScope(['*:read', 'users:write'], 'actions:write'), false);
+    assert.equal(apiKeys.hasScope(undefined, 'actions:read'), false);
+  });
+
+  it('only accept "<resource>:<read|write|*>", "*:<read|write>" or "*"', () => {
+    assert.deepEqual(['users:read', 'state:*', '*:write', '*', 'users', 'users:delete', '*:*', 'Users:read'].map(apiKeys.isValidScope),
+      [true, true, true, true, false, false, false, false]);
+  });
+
+  it('read the key from a Bearer Authorization header or X-Api-Key', () => {
+    assert.equal(apiKeys.extractKey({ headers: { Authorization: 'Bearer psm_abc' } }), 'psm_abc');
+    assert.equal(apiKeys.extractKey({ headers: { 'x-api-key': 'psm_def' } }), 'psm_def');
+    assert.equal(apiKeys.extractKey({ headers: { Authorization: 'Basic abc' } }), null);
+  });
+});
+
+describe('requireApiKey', () => {
+  let ctx;
+  let readOnly;
+  beforeEach(() => {
+    ctx = setup({ users: [{ kit_id: 'kit-1', email: 'pat@example.com' }] });
+    readOnly = ctx.repository.issueApiKey({ name: 'reader', scopes: ['users:read'] });
+  });
+
+  it('answers 401 without a key or with an unknown or revoked one', async () => {
+    const body = { kit_id: 'kit-1' };
+    assert.equal((await handler.getUsersByKitId({ headers: {}, body: JSON.stringify(body) })).statusCode, 401);
+    assert.equal((await handler.getUsersByKitId(post({ 'x-api-key': 'psm_unknown' }, body))).statusCode, 401);
+
+    ctx.repository.data.apiKeys.find((key) => key.name === 'reader').revoked_at = new Date().toISOString();
+    assert.equal((await handler.getUsersByKitId(post({ 'x-api-key': readOnly }, body))).statusCode, 401);
+  });
+
+  it('answers 403 when the key lacks the route scope and runs the route when it has it', async () => {
+    const res = await handler.updateUsers(post({ 'x-api-key': readOnly }, { kit_id: 'kit-1', first_name: 'Sam' }));
+
+    assert.equal(res.statusCode, 403);
+    assert.deepEqual(JSON.parse(res.body).scopes, ['users:read']);
+    assert.equal(ctx.repository.data.tables.users[0].first_name, undefined);
+    assert.equal((await handler.getUsersByKitId(post({ 'x-api-key': readOnly }, { kit_id: 'kit-1' }))).statusCode, 200);
+  });
+
+  it('needs read scope on every table a query filters on', async () => {
+    const res = await handler.queryUsers(post({ 'x-api-key': readOnly }, { where: { 'consents.toc_agreed': true } }));
+
+    assert.equal(res.statusCode, 403);
+    assert.match(JSON.parse(res.body).error, /consents:read/);
+  });
+
+  it('attributes writes to the calling key in the audit log', async () => {
+    const writer = ctx.repository.issueApiKey({ name: 'writer', scopes: ['users:write'] });
+
+    await handler.updateUsers(post({ authorization: `Bearer ${writer}` }, { kit_id: 'kit-1', first_name: 'Sam' }));
+
+    assert.equal(ctx.repository.data.audit.at(-1).api_key, `writer (${writer.slice(0, 10)})`);
+  });
+});
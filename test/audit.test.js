@@ -0,0 +1,55 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, post } = require('./helpers');
+const audit = require('../lib/audit');
+const handler = require('../handler');
+
+describe('audit entries', () => {
+  it('diff only the columns whose value changed', () => {
+    const diff = audit.diffRows({ a: 1, b: { x: 1 }, c: null }, { a: 1, b: { x: 2 }, c: undefined, d: 'new' });
+
+    assert.deepEqual(diff, { b: { before: { x: 1 }, after: { x: 2 } }, d: { before: null, after: 'new' } });
+  });
+
+  it('carry the route, request id and calling key, and are skipped when nothing changed', () => {
+    const event = { rawPath: '/actions/update', requestContext: { requestId: 'req-1' }, apiKey: { name: 'ops', prefix: 'sk_ab' } };
+    const entry = { table: 'actions', kitId: 'kit-1', operation: 'update', event };
+
+    const row = audit.buildEntry({ ...entry, before: { appointment_made: false }, after: { appointment_made: true } });
+
+    assert.equal(row.source_route, '/actions/update');
+    assert.equal(row.request_id, 'req-1');
+    assert.equal(row.api_key, 'ops (sk_ab)');
+    assert.equal(audit.buildEntry({ ...entry, before: { appointment_made: true }, after: { appointment_made: true } }), null);
+  });
+});
+
+describe('POST /history', () => {
+  let ctx;
+  beforeEach(async () => {
+    ctx = setup({ users: [{ kit_id: 'kit-1', email: 'pat@example.com', first_name: 'Pat' }] });
+    await handler.updateConsents(post(ctx.auth, { kit_id: 'kit-1', toc_agreed: true }));
+    await handler.updateUsers(post(ctx.auth, { kit_id: 'kit-1', first_name: 'Sam' }));
+    await handler.updateUsers(post(ctx.auth, { kit_id: 'kit-1', first_name: 'Sam' }));
+  });
+
+  const history = async (body) => {
+    const res = await handler.getHistory(post(ctx.auth, body));
+    assert.equal(res.statusCode, 200);
+    return JSON.parse(res.body).history;
+  };
+
+  it('lists every write to the kit oldest first, without no-op writes', async () => {
+    const rows = await history({ kit_id: 'kit-1' });
+
+    assert.deepEqual(rows.map((r) => [r.table_name, r.operation]), [['consents', 'insert'], ['users', 'update']]);
+    assert.deepEqual(rows[1].changes, { first_name: { before: 'Pat', after: 'Sam' } });
+    assert.match(rows[1].api_key, /^test/);
+  });
+
+  it('filters by table and time, and rejects tables that are not kit tables', async () => {
+    assert.equal((await history({ kit_id: 'kit-1', table: 'users' })).length, 1);
+    assert.equal((await history({ kit_id: 'kit-1', from: '2999-01-01T00:00:00Z' })).length, 0);
+    assert.equal((await handler.getHistory(post(ctx.auth, { kit_id: 'kit-1', table: 'api_keys' }))).statusCode, 400);
+  });
+});
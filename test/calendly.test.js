@@ -0,0 +1,126 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, calendlyEvent } = require('./helpers');
+const handler = require('../handler');
+
+const EVENT_URI = 'https://api.calendly.com/scheduled_events/ev-1';
+
+function invitee(event, payload = {}) {
+  return calendlyEvent({
+    event,
+    payload: {
+      uri: `https://api.calendly.com/scheduled_events/ev-1/invitees/${event}`,
+      email: 'pat@example.com',
+      scheduled_event: { uri: EVENT_URI, start_time: '2030-01-01T15:00:00.000Z' },
+      ...payload,
+    },
+  });
+}
+
+describe('Calendly webhook', () => {
+  let ctx;
+  beforeEach(() => {
+    ctx = setup({
+      users: [{ kit_id: 'kit-1', email: 'pat@example.com', first_name: 'Pat' }],
+      consents: [{ kit_id: 'kit-1', toc_agreed: true }],
+      reports: [{ kit_id: 'kit-1' }],
+    });
+  });
+
+  const actions = () => ctx.repository.data.tables.actions.find((row) => row.kit_id === 'kit-1');
+  const queued = (type) => ctx.repository.data.outbox.filter((row) => row.message_type === type);
+
+  it('invitee.created books the kit and queues send_pdf_email', async () => {
+    const res = await handler.webhookActions(invitee('invitee.created'));
+
+    assert.equal(res.statusCode, 200);
+    const body = JSON.parse(res.body);
+    assert.equal(body.ok, true);
+    assert.equal(body.kit_id, 'kit-1');
+    assert.equal(actions().appointment_made, true);
+    assert.equal(actions().appointment_event_uri, EVENT_URI);
+    assert.equal(new Date(actions().appointment_start_time).toISOString(), '2030-01-01T15:00:00.000Z');
+    assert.equal(queued('send_pdf_email').length, 1);
+    assert.equal(ctx.repository.data.inbox[0].status, 'processed');
+  });
+
+  it('answers a redelivered invitee.created from the inbox without writing again', async () => {
+    const event = invitee('invitee.created');
+    await handler.webhookActions(event);
+    const auditRows = ctx.repository.data.audit.length;
+
+    const res = await handler.webhookActions(event);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(ctx.repository.data.inbox.length, 1);
+    assert.equal(ctx.repository.data.audit.length, auditRows);
+  });
+
+  it('drops a badly signed event with 200 and stores nothing', async () => {
+    const event = invitee('invitee.created');
+    event.headers['calendly-webhook-signature'] = event.headers['calendly-webhook-signature'].replace(/v1=\w+/, `v1=${'0'.repeat(64)}`);
+
+    const res = await handler.webhookActions(event);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(JSON.parse(res.body).ok, false);
+    assert.equal(ctx.repository.data.inbox.length, 0);
+    assert.equal(ctx.repository.data.tables.actions.length, 0);
+  });
+
+  it('invitee.canceled clears the appointment and queues appointment_canceled', async () => {
+    await handler.webhookActions(invitee('invitee.created'));
+
+    const res = await handler.webhookActions(invitee('invitee.canceled', { cancellation: { reason: 'sick' } }));
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(JSON.parse(res.body).canceled, ['kit-1']);
+    assert.equal(actions().appointment_made, false);
+    assert.equal(actions().appointment_event_uri, null);
+    assert.equal(actions().appointment_start_time, null);
+    const [message] = queued('appointment_canceled');
+    assert.equal(message.message.reason, 'sick');
+  });
+
+  it('ignores invitee.canceled for an event other than the stored one', async () => {
+    await handler.webhookActions(invitee('invitee.created'));
+
+    const res = await handler.webhookActions(invitee('invitee.canceled', {
+      scheduled_event: { uri: 'https://api.calendly.com/scheduled_events/ev-old' },
+    }));
+
+    assert.deepEqual(JSON.parse(res.body).canceled, []);
+    assert.equal(actions().appointment_made, true);
+  });
+
+  it('reschedule: leaves the kit booked on the cancel half and queues appointment_rescheduled on the new booking', async () => {
+    await handler.webhookActions(invitee('invitee.created'));
+
+    const cancel = await handler.webhookActions(invitee('invitee.canceled', { rescheduled: true }));
+
+    assert.equal(JSON.parse(cancel.body).rescheduled, true);
+    assert.equal(actions().appointment_made, true);
+    assert.equal(queued('appointment_canceled').length, 0);
+
+    const created = await handler.webhookActions(invitee('invitee.created', {
+      uri: 'https://api.calendly.com/scheduled_events/ev-2/invitees/new',
+      old_invitee: 'https://api.calendly.com/scheduled_events/ev-1/invitees/invitee.created',
+      scheduled_event: { uri: 'https://api.calendly.com/scheduled_events/ev-2', start_time: '2030-01-02T15:00:00.000Z' },
+    }));
+
+    assert.equal(JSON.parse(created.body).rescheduled, true);
+    assert.equal(actions().appointment_event_uri, 'https://api.calendly.com/scheduled_events/ev-2');
+    const [message] = queued('appointment_rescheduled');
+    assert.equal(message.message.start_time, '2030-01-02T15:00:00.000Z');
+    assert.equal(queued('appointment_made').length, 1);
+  });
+
+  it('answers an event for an unknown email with ok:false and records the inbox event as failed', async () => {
+    const res = await handler.webhookActions(invitee('invitee.created', { email: 'nobody@example.com' }));
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(JSON.parse(res.body).ok, false);
+    assert.equal(ctx.repository.data.inbox[0].status, 'failed');
+    assert.equal(ctx.repository.data.tables.actions.length, 0);
+  });
+});
@@ -0,0 +1,103 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, post } = require('./helpers');
+const changefeed = require('../lib/changefeed');
+const handler = require('../handler');
+
+const CHANGE_FEED_TOPIC_ARN = 'arn:aws:sns:us-east-1:000000000000:changes';
+
+describe('change events', () => {
+  const row = {
+    id: 42,
+    table_name: 'actions',
+    kit_id: 'kit-1',
+    operation: 'update',
+    changes: { appointment_made: { before: false, after: true } },
+    source_route: '/actions/update',
+    request_id: 'req-1',
+    created_at: new Date('2030-01-01T00:00:00.000Z'),
+  };
+
+  it('are built from the audit row', () => {
+    const event = changefeed.buildEvent(row);
+
+    assert.equal(event.message_type, changefeed.MESSAGE_TYPE);
+    assert.equal(event.event_id, '42');
+    assert.equal(event.table, 'actions');
+    assert.equal(event.state_key, null);
+    assert.deepEqual(event.columns, ['appointment_made']);
+    assert.equal(event.occurred_at, '2030-01-01T00:00:00.000Z');
+  });
+
+  it('carry filterable message attributes, leaving out empty ones', () => {
+    const attributes = changefeed.messageAttributes(changefeed.buildEvent(row));
+
+    assert.deepEqual(attributes.columns, { DataType: 'String.Array', StringValue: '["appointment_made"]' });
+    assert.equal(attributes.kit_id.StringValue, 'kit-1');
+    assert.equal(attributes.source_route.StringValue, '/actions/update');
+    const bare = changefeed.messageAttributes(changefeed.buildEvent({ ...row, kit_id: null, source_route: null }));
+    assert.equal(bare.kit_id, undefined);
+    assert.equal(bare.source_route, undefined);
+  });
+});
+
+describe('change feed', () => {
+  let ctx;
+  let clock;
+  beforeEach(() => {
+    process.env.CHANGE_FEED_TOPIC_ARN = CHANGE_FEED_TOPIC_ARN;
+    clock = new Date('2030-01-01T00:00:00.000Z');
+    ctx = setup({
+      users: [{ kit_id: 'kit-1', email: 'pat@example.com' }, { kit_id: 'kit-2', email: 'sam@example.com' }],
+      reports: [{ kit_id: 'kit-1' }],
+    }, { now: () => clock });
+  });
+  afterEach(() => {
+    delete process.env.CHANGE_FEED_TOPIC_ARN;
+  });
+
+  const changeMessages = () => ctx.repository.data.outbox.filter((r) => r.message_type === changefeed.MESSAGE_TYPE);
+  const listChanges = async (body) => JSON.parse((await handler.listChanges(post(ctx.auth, body))).body);
+  const settle = () => { clock = new Date(clock.getTime() + (changefeed.SETTLE_SECONDS + 1) * 1000); };
+
+  it('queues an event with each write and publishes it with its attributes', async () => {
+    await handler.updateConsents(post(ctx.auth, { kit_id: 'kit-1', toc_agreed: true }));
+    assert.equal(changeMessages().length, 1);
+
+    await handler.dispatchOutbox({ id: 'schedule-1' });
+
+    const published = ctx.published.find((p) => p.TopicArn === CHANGE_FEED_TOPIC_ARN);
+    assert.equal(JSON.parse(published.Message).table, 'consents');
+    assert.equal(published.MessageAttributes.table.StringValue, 'consents');
+    assert.equal(published.MessageAttributes.kit_id.StringValue, 'kit-1');
+  });
+
+  it('queues nothing when the topic is not configured', async () => {
+    delete process.env.CHANGE_FEED_TOPIC_ARN;
+
+    await handler.updateConsents(post(ctx.auth, { kit_id: 'kit-1', toc_agreed: true }));
+
+    assert.equal(changeMessages().length, 0);
+    assert.equal(ctx.repository.data.audit.length, 1);
+  });
+
+  it('lists settled events after a cursor, page by page', async () => {
+    await handler.updateConsents(post(ctx.auth, { kit_id: 'kit-1', toc_agreed: true }));
+    await handler.updateUsers(post(ctx.auth, { kit_id: 'kit-2', first_name: 'Sam' }));
+    assert.deepEqual((await listChanges({})).changes, []);
+    settle();
+
+    const first = await listChanges({ limit: 1 });
+    assert.deepEqual(first.changes.map((c) => c.kit_id), ['kit-1']);
+    assert.equal(first.has_more, true);
+    const second = await listChanges({ after: first.next_cursor });
+    assert.deepEqual(second.changes.map((c) => c.kit_id), ['kit-2']);
+    assert.equal(second.has_more, false);
+    assert.deepEqual((await listChanges({ table: 'users' })).changes.map((c) => c.kit_id), ['kit-2']);
+  });
+
+  it('rejects a malformed cursor or unknown table', async () => {
+    assert.equal((await handler.listChanges(post(ctx.auth, { after: 'abc' }))).statusCode, 400);
+    assert.equal((await handler.listChanges(post(ctx.auth, { table: 'nope' }))).statusCode, 400);
+  });
+});
@@ -0,0 +1,85 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, post } = require('./helpers');
+const consent = require('../lib/consent');
+const handler = require('../handler');
+
+describe('consent ledger', () => {
+  const events = [
+    { id: 1, event: 'agreed', terms_version: '2024-05', occurred_at: '2030-01-01T00:00:00Z' },
+    { id: 2, event: 'agreed', terms_version: '2025-01', occurred_at: '2030-02-01T00:00:00Z' },
+    { id: 3, event: 'withdrawn', terms_version: null, occurred_at: '2030-03-01T00:00:00Z' },
+    { id: 4, event: 'agreed', terms_version: '2025-06', occurred_at: '2030-04-01T00:00:00Z' },
+  ];
+
+  it('gives the consent in force at a point in time, with a withdrawal staying in force', () => {
+    assert.equal(consent.effectiveAt(events, new Date('2029-12-31T00:00:00Z')).status, 'none');
+    assert.deepEqual(consent.effectiveAt(events, new Date('2030-02-15T00:00:00Z')), {
+      status: 'agreed', terms_version: '2025-01', since: '2030-02-01T00:00:00Z', event_id: 2,
+    });
+    assert.equal(consent.effectiveAt(events, new Date('2030-05-01T00:00:00Z')).event_id, 3);
+  });
+
+  it('maps consents row updates to ledger events', () => {
+    assert.deepEqual(consent.eventsForUpdate({ toc_agreed: true, terms_version: 'v1' }), [{ event: 'agreed', termsVersion: 'v1', occurredAt: undefined }]);
+    assert.deepEqual(consent.eventsForUpdate({ toc_agreed: false }), [{ event: 'declined' }]);
+    assert.deepEqual(consent.eventsForUpdate({ terms_version: 'v2' }), []);
+    assert.throws(() => consent.buildEvent({ kitId: 'kit-1', event: 'revoked' }), /Unknown consent event/);
+  });
+});
+
+describe('agree and withdraw', () => {
+  let ctx;
+  beforeEach(() => {
+    ctx = setup({
+      users: [{ kit_id: 'kit-1', email: 'pat@example.com' }],
+      reports: [{ kit_id: 'kit-1' }],
+    });
+  });
+
+  const book = async () => {
+    await handler.agreeConsent(post(ctx.auth, { kit_id: 'kit-1', terms_version: '2024-05' }));
+    await handler.updateActions(post(ctx.auth, { kit_id: 'kit-1', appointment_made: true }));
+  };
+
+  it('records agreement in the ledger and the consents row', async () => {
+    const res = await handler.agreeConsent(post(ctx.auth, { kit_id: 'kit-1', terms_version: '2024-05', source: 'app' }));
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(ctx.repository.data.tables.consents[0].toc_agreed, true);
+    assert.equal(ctx.repository.data.tables.consents[0].terms_version, '2024-05');
+    const [ledger] = ctx.repository.data.consentEvents;
+    assert.equal(ledger.event, 'agreed');
+    assert.equal(ledger.source, 'app');
+  });
+
+  it('withdrawal cancels queued messages and later writes are refused', async () => {
+    await book();
+    assert.equal(ctx.repository.data.outbox.filter((row) => row.status === 'pending').length, 1);
+
+    const res = await handler.withdrawConsent(post(ctx.auth, { kit_id: 'kit-1', reason: 'moved away' }));
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(JSON.parse(res.body).canceled_outbox_ids.length, 1);
+    assert.equal(ctx.repository.data.outbox[0].status, 'canceled');
+    assert.equal(ctx.repository.data.consentEvents.at(-1).details.reason, 'moved away');
+
+    assert.equal((await handler.agreeConsent(post(ctx.auth, { kit_id: 'kit-1', terms_version: '2025-01' }))).statusCode, 409);
+    const again = await handler.withdrawConsent(post(ctx.auth, { kit_id: 'kit-1' }));
+    assert.equal(JSON.parse(again.body).already_withdrawn, true);
+    await handler.dispatchOutbox({ id: 'schedule-1' });
+    assert.equal(ctx.published.length, 0);
+  });
+
+  it('/consents/history answers the ledger and the consent in force', async () => {
+    await book();
+    await handler.withdrawConsent(post(ctx.auth, { kit_id: 'kit-1' }));
+
+    const res = await handler.getConsentHistory(post(ctx.auth, { kit_id: 'kit-1' }));
+
+    const body = JSON.parse(res.body);
+    assert.deepEqual(body.events.map((e) => e.event), ['agreed', 'withdrawn']);
+    assert.equal(body.effective.status, 'withdrawn');
+    assert.equal((await handler.getConsentHistory(post(ctx.auth, { kit_id: 'kit-1', at: 'yesterday' }))).statusCode, 400);
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Shared setup for the handler tests: a fresh memory repository behind lib/services.js, stubbed SNS, Lambda and
+ * fetch that record what they were sent, and an API key with every scope. Tests call setup() in beforeEach so no
+ * state leaks between them.
+ */
+
+const crypto = require('crypto');
+const services = require('../lib/services');
+const { createMemoryRepository } = require('../lib/repository/memory');
+
+const CALENDLY_SIGNING_KEY = 'test-signing-key';
+
+process.env.ROUTER_TOPIC_ARN = 'arn:aws:sns:us-east-1:000000000000:router';
+process.env.CALENDLY_WEBHOOK_SIGNING_KEY = CALENDLY_SIGNING_KEY;
+
+/**
+ * Configure services with a memory repository seeded with rows (options are passed to createMemoryRepository).
+ * Returns { repository, published, invoked, fetched, auth }: SNS publishes, Lambda invocations (FunctionName and
+ * parsed Payload) and fetch calls ({ url, body }) are collected in the arrays.
+ */
+function setup(rows = {}, options = {}) {
+  const repository = createMemoryRepository({ ...options, rows });
+  const published = [];
+  const invoked = [];
+  const fetched = [];
+  services.configure({
+    repository,
+    sns: { send: async (command) => published.push(command.input) },
+    lambda: {
+      send: async (command) => {
+        invoked.push({ FunctionName: command.input.FunctionName, Payload: JSON.parse(command.input.Payload) });
+        return { Payload: Buffer.from('{"statusCode":200}') };
+      },
+    },
+    fetch: async (url, init) => {
+      fetched.push({ url, body: JSON.parse(init.body) });
+      return new Response('{}');
+    },
+  });
+  const key = repository.issueApiKey({ name: 'test', scopes: ['*'] });
+  return { repository, published, invoked, fetched, auth: { authorization: `Bearer ${key}` } };
+}
+
+/** A POST event with a JSON body. */
+function post(auth, body) {
+  return { headers: auth, body: JSON.stringify(body) };
+}
+
+/** A Calendly webhook event for payload, signed with CALENDLY_SIGNING_KEY. */
+function calendlyEvent(payload) {
+  const body = JSON.stringify(payload);
+  const t = Math.floor(Date.now() / 1000);
+  const signature = crypto.createHmac('sha256', CALENDLY_SIGNING_KEY).update(`${t}.${body}`).digest('hex');
+  return { headers: { 'calendly-webhook-signature': `t=${t},v1=${signature}` }, body };
+}
+
+module.exports = {
+  setup,
+  post,
+  calendlyEvent,
+};
@@ -0,0 +1,94 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setup } = require('./helpers');
+const idempotency = require('../lib/idempotency');
+const handler = require('../handler');
+
+describe('idempotency keys', () => {
+  it('hash the method, route and body regardless of key order', () => {
+    const event = (body) => ({ rawPath: '/actions/update', requestContext: { http: { method: 'POST' } }, body: JSON.stringify(body) });
+
+    assert.equal(idempotency.requestHash(event({ a: 1, b: 2 })), idempotency.requestHash(event({ b: 2, a: 1 })));
+    assert.notEqual(idempotency.requestHash(event({ a: 1 })), idempotency.requestHash(event({ a: 2 })));
+    assert.equal(idempotency.keyOf({ headers: { 'idempotency-key': 'retry 1' } }), null);
+    assert.equal(idempotency.keyOf({ headers: {} }), undefined);
+  });
+});
+
+describe('Idempotency-Key on POST /actions/update', () => {
+  let ctx;
+  beforeEach(() => {
+    ctx = setup({
+      users: [{ kit_id: 'kit-1', email: 'pat@example.com' }],
+      consents: [{ kit_id: 'kit-1', toc_agreed: true }],
+      reports: [{ kit_id: 'kit-1' }],
+    });
+  });
+
+  const update = (key, body) => handler.updateActions({
+    rawPath: '/actions/update',
+    requestContext: { http: { method: 'POST' } },
+    headers: { ...ctx.auth, 'Idempotency-Key': key },
+    body: JSON.stringify(body),
+  });
+  const auditCount = () => ctx.repository.data.audit.filter((r) => r.table_name === 'actions').length;
+
+  it('replays the stored response to a retry without writing again', async () => {
+    const first = await update('key-1', { kit_id: 'kit-1', appointment_made: true });
+    const retry = await update('key-1', { kit_id: 'kit-1', appointment_made: true });
+
+    assert.equal(first.statusCode, 200);
+    assert.equal(retry.statusCode, 200);
+    assert.equal(retry.body, first.body);
+    assert.equal(retry.headers[idempotency.REPLAYED_HEADER], 'true');
+    assert.equal(first.headers[idempotency.REPLAYED_HEADER], undefined);
+    assert.equal(auditCount(), 1);
+    assert.equal(ctx.repository.data.outbox.length, 1);
+  });
+
+  it('answers 422 when the key is reused for a different body', async () => {
+    await update('key-1', { kit_id: 'kit-1', appointment_made: true });
+
+    const res = await update('key-1', { kit_id: 'kit-1', appointment_made: false });
+
+    assert.equal(res.statusCode, 422);
+    assert.equal(JSON.parse(res.body).idempotency_key, 'key-1');
+  });
+
+  it('answers 409 while the first request still holds the key', async () => {
+    const body = { kit_id: 'kit-1', appointment_made: true };
+    const [apiKey] = ctx.repository.data.apiKeys;
+    await ctx.repository.claimIdempotencyKey({
+      scope: `api_key:${apiKey.id}`,
+      key: 'key-1',
+      requestHash: idempotency.requestHash({ rawPath: '/actions/update', requestContext: { http: { method: 'POST' } }, body: JSON.stringify(body) }),
+      ttlHours: 24,
+    });
+
+    const res = await update('key-1', body);
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(auditCount(), 0);
+  });
+
+  it('rejects a malformed key', async () => {
+    const res = await update('x'.repeat(256), { kit_id: 'kit-1', appointment_made: true });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(ctx.repository.data.idempotency.length, 0);
+  });
+
+  it('does not store a 5xx response, so the retry runs again', async () => {
+    const { transaction } = ctx.repository;
+    ctx.repository.transaction = async () => { throw Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }); };
+    const failed = await update('key-1', { kit_id: 'kit-1', appointment_made: true });
+    ctx.repository.transaction = transaction;
+
+    const retry = await update('key-1', { kit_id: 'kit-1', appointment_made: true });
+
+    assert.equal(failed.statusCode, 500);
+    assert.equal(ctx.repository.data.idempotency.length, 1);
+    assert.equal(retry.statusCode, 200);
+    assert.equal(retry.headers[idempotency.REPLAYED_HEADER], undefined);
+  });
+});
@@ -0,0 +1,124 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const lifecycle = require('../lib/lifecycle');
+const { setup, post } = require('./helpers');
+const handler = require('../handler');
+
+const user = { kit_id: 'kit-1' };
+const agreed = { toc_agreed: true };
+const report = { id: 1 };
+
+describe('lifecycle.computeState', () => {
+  const cases = [
+    [{}, 'unregistered'],
+    [{ users: user }, 'registered'],
+    [{ users: user, consents: agreed }, 'consented'],
+    [{ users: user, consents: agreed, reports: report }, 'report_ready'],
+    [{ users: user, consents: agreed, reports: report, actions: { appointment_made: true } }, 'appointment_made'],
+    [{ users: user, consents: agreed, reports: report, actions: { appointment_made: false, pdf_email_sent: true } }, 'pdf_sent'],
+    [{ users: user, consents: { ...agreed, withdrawn_at: '2024-05-01T00:00:00Z' } }, 'withdrawn'],
+    [{ users: user, kits: { canceled_at: '2024-05-01T00:00:00Z' } }, 'canceled'],
+  ];
+  for (const [rows, state] of cases) {
+    it(`is ${state} for ${Object.keys(rows).join(', ') || 'no rows'}`, () => {
+      assert.equal(lifecycle.computeState(rows), state);
+    });
+  }
+
+  it('keeps guards cumulative: a report or booking without consent is still registered', () => {
+    assert.equal(lifecycle.computeState({ users: user, reports: report }), 'registered');
+    assert.equal(lifecycle.computeState({ users: user, reports: report, actions: { appointment_made: true } }), 'registered');
+  });
+});
+
+describe('lifecycle.checkUpdate', () => {
+  const reportReady = { users: user, consents: agreed, reports: report, actions: null, kits: null };
+
+  it('allows a listed transition', () => {
+    const check = lifecycle.checkUpdate(reportReady, 'actions', { appointment_made: true });
+    assert.deepEqual(check, { allowed: true, from: 'report_ready', to: 'appointment_made', transition: 'book' });
+  });
+
+  it('allows agreeing after the report arrived', () => {
+    const check = lifecycle.checkUpdate({ users: user, reports: report }, 'consents', agreed);
+    assert.deepEqual(check, { allowed: true, from: 'registered', to: 'report_ready', transition: 'consent' });
+  });
+
+  it('rejects skipping a stage', () => {
+    const check = lifecycle.checkUpdate(reportReady, 'actions', { pdf_email_sent: true });
+    assert.equal(check.allowed, false);
+    assert.equal(check.to, 'pdf_sent');
+  });
+
+  it('rejects a stage flag set before the previous stage even when the state does not change', () => {
+    const check = lifecycle.checkUpdate({ users: user }, 'actions', { appointment_made: true });
+    assert.deepEqual(check, { allowed: false, from: 'registered', to: 'appointment_made', transition: null });
+  });
+
+  for (const [name, rows] of [
+    ['withdrawn', { ...reportReady, consents: { ...agreed, withdrawn_at: '2024-05-01T00:00:00Z' } }],
+    ['canceled', { ...reportReady, kits: { canceled_at: '2024-05-01T00:00:00Z' } }],
+  ]) {
+    it(`rejects setting stage flags on a ${name} kit`, () => {
+      for (const updates of [{ appointment_made: true }, { pdf_email_sent: true }]) {
+        const check = lifecycle.checkUpdate(rows, 'actions', updates);
+        assert.equal(check.allowed, false, JSON.stringify(updates));
+        assert.equal(check.from, name);
+      }
+    });
+
+    it(`still allows other writes on a ${name} kit`, () => {
+      assert.equal(lifecycle.checkUpdate(rows, 'actions', { appointment_event_uri: null }).allowed, true);
+    });
+  }
+
+  it('allows re-sending a flag that is already set', () => {
+    const booked = { ...reportReady, actions: { appointment_made: true } };
+    assert.equal(lifecycle.checkUpdate(booked, 'actions', { appointment_made: true }).allowed, true);
+  });
+});
+
+describe('lifecycle over HTTP', () => {
+  it('GET /kits/{kit_id}/state returns the state and next transitions', async () => {
+    const ctx = setup({ users: [user], consents: [{ kit_id: 'kit-1', ...agreed }] });
+
+    const res = await handler.getKitState({ headers: ctx.auth, pathParameters: { kit_id: 'kit-1' } });
+
+    assert.equal(res.statusCode, 200);
+    const body = JSON.parse(res.body);
+    assert.equal(body.state, 'consented');
+    assert.deepEqual(body.allowed_transitions.map((t) => t.transition), ['report', 'cancel', 'withdraw']);
+  });
+
+  it('GET /kits/{kit_id}/state answers 404 for an unknown kit', async () => {
+    const ctx = setup({ users: [user] });
+
+    const res = await handler.getKitState({ headers: ctx.auth, pathParameters: { kit_id: 'kit-9' } });
+
+    assert.equal(res.statusCode, 404);
+    assert.equal(JSON.parse(res.body).kit_id, 'kit-9');
+  });
+
+  it('answers 409 for consent to a kit nobody registered', async () => {
+    const ctx = setup({ users: [user] });
+
+    const res = await handler.updateConsents(post(ctx.auth, { kit_id: 'kit-9', toc_agreed: true }));
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(JSON.parse(res.body).current_state, 'unregistered');
+    assert.equal(ctx.repository.data.tables.consents.length, 0);
+  });
+
+  it('answers 409 with the conflict body for an illegal transition', async () => {
+    const ctx = setup({ users: [user], kits: [{ kit_id: 'kit-1', canceled_at: '2024-05-01T00:00:00Z' }] });
+
+    const res = await handler.updateActions(post(ctx.auth, { kit_id: 'kit-1', appointment_made: true }));
+
+    assert.equal(res.statusCode, 409);
+    const body = JSON.parse(res.body);
+    assert.equal(body.current_state, 'canceled');
+    assert.equal(body.attempted_state, 'appointment_made');
+    assert.deepEqual(body.allowed_transitions, []);
+    assert.equal(ctx.repository.data.tables.actions.length, 0);
+  });
+});
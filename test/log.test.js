@@ -0,0 +1,84 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, calendlyEvent } = require('./helpers');
+const log = require('../lib/log');
+const handler = require('../handler');
+
+/** Log lines written while run() runs, parsed. */
+async function captureLines(run) {
+  const lines = [];
+  const capture = (line) => lines.push(JSON.parse(line));
+  mock.method(console, 'log', capture);
+  mock.method(console, 'error', capture);
+  try {
+    await run();
+  } finally {
+    mock.restoreAll();
+  }
+  return lines;
+}
+
+describe('log.redact', () => {
+  afterEach(() => {
+    delete process.env.LOG_REDACT;
+  });
+
+  it('replaces personal and credential fields and masks emails in other strings', () => {
+    const redacted = log.redact({
+      email: 'pat@example.com',
+      first_name: 'Pat',
+      headers: { Authorization: 'Bearer key' },
+      note: 'sent to pat@example.com',
+      kit_id: 'kit-1',
+    });
+
+    assert.deepEqual(redacted, {
+      email: log.REDACTED,
+      first_name: log.REDACTED,
+      headers: { Authorization: log.REDACTED },
+      note: `sent to ${log.REDACTED}`,
+      kit_id: 'kit-1',
+    });
+  });
+
+  it('leaves values alone when LOG_REDACT is "false"', () => {
+    process.env.LOG_REDACT = 'false';
+
+    assert.deepEqual(log.redact({ email: 'pat@example.com' }), { email: 'pat@example.com' });
+  });
+});
+
+describe('log lines', () => {
+  beforeEach(() => {
+    setup({
+      users: [{ kit_id: 'kit-1', email: 'pat@example.com', first_name: 'Pat' }],
+      consents: [{ kit_id: 'kit-1', toc_agreed: true }],
+      reports: [{ kit_id: 'kit-1' }],
+    });
+  });
+
+  it('carry the function and request id, with plain messages and the detail in fields', async () => {
+    const event = calendlyEvent({
+      event: 'invitee.created',
+      payload: {
+        uri: 'https://api.calendly.com/scheduled_events/ev-1/invitees/inv-1',
+        email: 'pat@example.com',
+        scheduled_event: { uri: 'https://api.calendly.com/scheduled_events/ev-1', start_time: '2030-01-01T15:00:00.000Z' },
+      },
+    });
+    event.requestContext = { requestId: 'req-1' };
+
+    const lines = await captureLines(() => handler.webhookActions(event));
+
+    const messages = lines.filter((line) => line.message).map((line) => line.message);
+    for (const message of messages) assert.match(message, /^[\x20-\x7E]+$/);
+    const processed = lines.find((line) => line.message === 'Calendly event processed');
+    assert.equal(processed.event, 'invitee.created');
+    assert.equal(processed.kit_id, 'kit-1');
+    assert.equal(processed.email, log.REDACTED);
+    assert.equal(processed.function, 'webhookActions');
+    assert.equal(processed.request_id, 'req-1');
+    assert.equal(lines.at(-1).message, 'request');
+    assert.equal(lines.at(-1).status, 200);
+  });
+});
@@ -0,0 +1,72 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const migrations = require('../lib/migrations');
+
+/** A temporary migrations directory holding files ({ name: sql }); removed after run(dir). */
+function withDir(files, run) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+  try {
+    for (const [name, sql] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), sql);
+    return run(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+describe('migration files', () => {
+  const loaded = migrations.loadMigrations();
+
+  it('are numbered without gaps and each has an up and a down file', () => {
+    loaded.forEach((m, i) => {
+      assert.equal(m.version, String(i + 1).padStart(4, '0'));
+      assert.ok(m.down, `${m.version}_${m.name} has no down file`);
+    });
+  });
+
+  it('create every table the handlers require', () => {
+    const sql = loaded.map((m) => m.up).join('\n');
+    for (const table of Object.keys(migrations.REQUIRED_COLUMNS)) {
+      assert.match(sql, new RegExp(`(CREATE TABLE IF NOT EXISTS|ALTER TABLE) ${table}\\b`), table);
+    }
+  });
+
+  it('refuse to load a version with two names or without an up file', () => {
+    withDir({ '0001_a.up.sql': 'SELECT 1', '0001_b.down.sql': 'SELECT 1' }, (dir) => {
+      assert.throws(() => migrations.loadMigrations(dir), /two names/);
+    });
+    withDir({ '0001_a.down.sql': 'SELECT 1', 'README.md': '' }, (dir) => {
+      assert.throws(() => migrations.loadMigrations(dir), /no \.up\.sql file/);
+    });
+  });
+});
+
+describe('migration status', () => {
+  it('marks each version applied, pending, changed or missing', async () => {
+    await withDir({ '0001_a.up.sql': 'SELECT 1', '0002_b.up.sql': 'SELECT 2', '0003_c.up.sql': 'SELECT 3' }, async (dir) => {
+      const onDisk = migrations.loadMigrations(dir);
+      const applied = [
+        { version: '0001', name: 'a', checksum: onDisk[0].checksum, applied_at: 't1' },
+        { version: '0002', name: 'b', checksum: 'edited', applied_at: 't2' },
+        { version: '0009', name: 'gone', checksum: 'x', applied_at: 't9' },
+      ];
+      const db = { query: async (sql) => ({ rows: sql.startsWith('SELECT version') ? applied : [] }) };
+
+      const rows = await migrations.status(db, onDisk);
+
+      assert.deepEqual(rows.map((r) => [r.version, r.state]), [['0001', 'applied'], ['0002', 'changed'], ['0003', 'pending'], ['0009', 'missing']]);
+    });
+  });
+});
+
+describe('checkSchema', () => {
+  it('lists missing tables and columns', async () => {
+    const db = { query: async () => ({ rows: [{ table_name: 'users', column_name: 'kit_id' }] }) };
+
+    const result = await migrations.checkSchema(db, { users: ['kit_id', 'is_test'], kit_reminders: ['kit_id'] });
+
+    assert.deepEqual(result, { ok: false, missingTables: ['kit_reminders'], missingColumns: ['users.is_test'] });
+  });
+});
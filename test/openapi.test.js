@@ -0,0 +1,95 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, post } = require('./helpers');
+const openapi = require('../lib/openapi');
+const { ROUTES } = require('../lib/routes');
+const { createClient } = require('../client');
+const handler = require('../handler');
+
+const spec = openapi.document({ serverUrl: 'https://api.example.com' });
+const operations = Object.values(spec.paths).flatMap((item) => Object.values(item));
+const byId = (id) => operations.find((op) => op.operationId === id);
+
+describe('OpenAPI document', () => {
+  it('has one operation per route, with its scope and error responses', () => {
+    assert.equal(operations.length, ROUTES.length);
+    const update = byId('updateActions');
+    assert.equal(update['x-scope'], 'actions:write');
+    assert.ok(update.responses[401] && update.responses[400]);
+    assert.equal(spec.servers[0].url, 'https://api.example.com');
+  });
+
+  it('documents Idempotency-Key only on idempotent routes', () => {
+    const header = (op) => (op.parameters || []).some((p) => p.name === 'Idempotency-Key');
+
+    assert.equal(header(byId('updateActions')), true);
+    assert.ok(byId('updateActions').responses[422]);
+    assert.equal(header(byId('webhookActions')), false);
+  });
+});
+
+describe('request body validation', () => {
+  const schema = {
+    type: 'object',
+    required: ['kit_id'],
+    properties: { kit_id: { type: 'string', minLength: 1 }, ids: { type: 'array', items: { type: 'integer' }, maxItems: 2 } },
+    additionalProperties: false,
+  };
+
+  it('lists every problem with a field path', () => {
+    assert.deepEqual(openapi.validate(schema, { ids: [1, 'x', 3], extra: true }), [
+      '"kit_id" is required and must be a string',
+      '"ids" must have at most 2 items',
+      '"ids[1]" must be an integer',
+      '"extra" is not a known field',
+    ]);
+    assert.deepEqual(openapi.validate(schema, { kit_id: ' ' }), ['"kit_id" must be a non-empty string']);
+  });
+
+  it('answers 400 before a handler runs', async () => {
+    const { auth, repository } = setup({ users: [{ kit_id: 'kit-1' }] });
+
+    const res = await handler.updateActions(post(auth, { kit_id: 42, appointment_made: true }));
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(JSON.parse(res.body).error, '"kit_id" must be a string');
+    assert.equal(repository.data.tables.actions.length, 0);
+  });
+});
+
+describe('JS client', () => {
+  const fakeFetch = (status, body) => {
+    const requests = [];
+    const fetch = async (url, init) => {
+      requests.push({ url, ...init });
+      return new Response(JSON.stringify(body), { status });
+    };
+    return { fetch, requests };
+  };
+
+  it('has a method per operation, filling path parameters and sending the rest as the body', async () => {
+    const { fetch, requests } = fakeFetch(200, { ok: true });
+    const api = createClient({ baseUrl: 'https://api.example.com/', apiKey: 'psm_key', spec, fetch });
+
+    await api.getKitState({ kit_id: 'kit 1' });
+    await api.updateActions({ kit_id: 'kit-1', appointment_made: true }, { headers: { 'Idempotency-Key': 'k1' } });
+
+    assert.equal(requests[0].url, 'https://api.example.com/kits/kit%201/state');
+    assert.equal(requests[0].method, 'GET');
+    assert.equal(requests[1].headers.Authorization, 'Bearer psm_key');
+    assert.equal(requests[1].headers['Idempotency-Key'], 'k1');
+    assert.deepEqual(JSON.parse(requests[1].body), { kit_id: 'kit-1', appointment_made: true });
+  });
+
+  it('rejects with the status and body of an unexpected response', async () => {
+    const { fetch } = fakeFetch(409, { error: 'Illegal state transition' });
+    const api = createClient({ baseUrl: 'https://api.example.com', spec, fetch });
+
+    await assert.rejects(api.updateActions({ kit_id: 'kit-1' }), (error) => {
+      assert.equal(error.status, 409);
+      assert.equal(error.operation, 'updateActions');
+      assert.match(error.message, /Illegal state transition/);
+      return true;
+    });
+  });
+});
@@ -0,0 +1,107 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, post } = require('./helpers');
+const services = require('../lib/services');
+const outbox = require('../lib/outbox');
+const handler = require('../handler');
+
+describe('notification outbox', () => {
+  let ctx;
+  beforeEach(() => {
+    ctx = setup({
+      users: [{ kit_id: 'kit-1', email: 'pat@example.com', first_name: 'Pat' }],
+      reports: [{ kit_id: 'kit-1' }],
+    });
+  });
+
+  const routerMessages = () => ctx.repository.data.outbox.filter((row) => row.message_type === 'send_pdf_email');
+
+  it('queues send_pdf_email once consent and appointment are both set', async () => {
+    await handler.updateConsents(post(ctx.auth, { kit_id: 'kit-1', toc_agreed: true }));
+    assert.equal(routerMessages().length, 0);
+
+    await handler.updateActions(post(ctx.auth, { kit_id: 'kit-1', appointment_made: true }));
+    assert.equal(routerMessages().length, 1);
+    assert.equal(routerMessages()[0].status, 'pending');
+    assert.equal(ctx.published.length, 0);
+  });
+
+  it('publishes queued messages and sets the once flag', async () => {
+    await handler.updateConsents(post(ctx.auth, { kit_id: 'kit-1', toc_agreed: true }));
+    await handler.updateActions(post(ctx.auth, { kit_id: 'kit-1', appointment_made: true }));
+
+    const summary = await handler.dispatchOutbox({ id: 'schedule-1' });
+
+    assert.equal(summary.delivered, 1);
+    assert.equal(ctx.published.length, 1);
+    assert.equal(ctx.published[0].TopicArn, process.env.ROUTER_TOPIC_ARN);
+    const message = JSON.parse(ctx.published[0].Message);
+    assert.equal(message.message_type, 'send_pdf_email');
+    assert.equal(message.kit_id, 'kit-1');
+    assert.equal(message.email, 'pat@example.com');
+    assert.equal(routerMessages()[0].status, 'delivered');
+    assert.equal(ctx.repository.data.tables.actions[0].pdf_email_sent, true);
+  });
+
+  it('does not queue the message again after it was sent', async () => {
+    await handler.updateConsents(post(ctx.auth, { kit_id: 'kit-1', toc_agreed: true }));
+    await handler.updateActions(post(ctx.auth, { kit_id: 'kit-1', appointment_made: true }));
+    await handler.dispatchOutbox({ id: 'schedule-1' });
+
+    await handler.updateConsents(post(ctx.auth, { kit_id: 'kit-1', terms_version: 'v2' }));
+
+    assert.equal(routerMessages().length, 1);
+  });
+
+  it('retries a failed publish on the next run', async () => {
+    await handler.updateConsents(post(ctx.auth, { kit_id: 'kit-1', toc_agreed: true }));
+    await handler.updateActions(post(ctx.auth, { kit_id: 'kit-1', appointment_made: true }));
+    services.configure({ sns: { send: async () => { throw new Error('throttled'); } } });
+
+    const summary = await handler.dispatchOutbox({ id: 'schedule-1' });
+
+    assert.equal(summary.retried, 1);
+    assert.equal(routerMessages()[0].status, 'pending');
+    assert.equal(routerMessages()[0].attempts, 1);
+    assert.equal(ctx.repository.data.tables.actions[0].pdf_email_sent, false);
+  });
+
+  it('rolls the write back with 500 when the message cannot be queued', async () => {
+    await handler.updateConsents(post(ctx.auth, { kit_id: 'kit-1', toc_agreed: true }));
+    ctx.repository.enqueueOutbox = async () => { throw Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }); };
+
+    const res = await handler.updateActions(post(ctx.auth, { kit_id: 'kit-1', appointment_made: true }));
+
+    assert.equal(res.statusCode, 500);
+    assert.equal(JSON.parse(res.body).error, 'Database connection failed');
+    assert.equal(ctx.repository.data.tables.actions.length, 0);
+    assert.equal(routerMessages().length, 0);
+    assert.equal(ctx.fetched.length, 1);
+  });
+});
+
+describe('outbox retries', () => {
+  it('back off exponentially up to an hour', () => {
+    assert.deepEqual([1, 2, 3, 4].map(outbox.backoffSeconds), [30, 60, 120, 240]);
+    assert.equal(outbox.backoffSeconds(20), 3600);
+  });
+
+  it('mark a message failed after MAX_ATTEMPTS and stop retrying it', async () => {
+    let clock = Date.UTC(2030, 0, 1);
+    const { repository } = setup({}, { now: () => new Date(clock) });
+    await repository.enqueueOutbox({ topicArn: process.env.ROUTER_TOPIC_ARN, kitId: 'kit-1', message: { message_type: 'ping' } });
+    services.configure({ sns: { send: async () => { throw new Error('throttled'); } } });
+
+    for (let run = 0; run < outbox.MAX_ATTEMPTS; run += 1) {
+      await handler.dispatchOutbox({ id: `schedule-${run}` });
+      clock += 3600 * 1000;
+    }
+    const summary = await handler.dispatchOutbox({ id: 'schedule-last' });
+
+    const [row] = repository.data.outbox;
+    assert.equal(row.status, 'failed');
+    assert.equal(row.attempts, outbox.MAX_ATTEMPTS);
+    assert.equal(row.last_error, 'throttled');
+    assert.equal(summary.retried + (summary.failed || 0), 0);
+  });
+});
@@ -0,0 +1,87 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, post } = require('./helpers');
+const handler = require('../handler');
+
+const CHANGE_FEED_TOPIC_ARN = 'arn:aws:sns:us-east-1:000000000000:changes';
+
+describe('privacy export and erase', () => {
+  let ctx;
+  beforeEach(async () => {
+    process.env.CHANGE_FEED_TOPIC_ARN = CHANGE_FEED_TOPIC_ARN;
+    ctx = setup({
+      users: [{ kit_id: 'kit-1', email: 'pat@example.com', first_name: 'Pat' }],
+      consents: [{ kit_id: 'kit-1', toc_agreed: true }],
+    });
+    await handler.updateUsers(post(ctx.auth, { kit_id: 'kit-1', first_name: 'Sam' }));
+  });
+  afterEach(() => {
+    delete process.env.CHANGE_FEED_TOPIC_ARN;
+  });
+
+  const erase = (body) => handler.erasePersonalData(post(ctx.auth, body));
+  const auditOf = (table) => ctx.repository.data.audit.filter((row) => row.table_name === table);
+
+  it('exports every kit found by email, with its audit log', async () => {
+    const res = await handler.exportPersonalData(post(ctx.auth, { email: ' PAT@example.com ' }));
+
+    assert.equal(res.statusCode, 200);
+    const [kit] = JSON.parse(res.body).kits;
+    assert.equal(kit.kit_id, 'kit-1');
+    assert.equal(kit.users[0].first_name, 'Sam');
+    assert.deepEqual(kit.audit_log[0].changes.first_name, { before: 'Pat', after: 'Sam' });
+  });
+
+  it('answers 404 for a participant with nothing held and 400 without exactly one of kit_id or email', async () => {
+    assert.equal((await handler.exportPersonalData(post(ctx.auth, { kit_id: 'kit-9' }))).statusCode, 404);
+    assert.equal((await erase({ email: 'nobody@example.com' })).statusCode, 404);
+    assert.equal((await erase({ kit_id: 'kit-1', email: 'pat@example.com' })).statusCode, 400);
+  });
+
+  it('anonymizes: clears the personal columns and redacts them in the audit log', async () => {
+    const res = await erase({ kit_id: 'kit-1' });
+
+    assert.equal(res.statusCode, 200);
+    const [user] = ctx.repository.data.tables.users;
+    assert.equal(user.email, null);
+    assert.equal(user.first_name, null);
+    assert.deepEqual(auditOf('users')[0].changes, { first_name: { before: null, after: null } });
+    assert.equal(ctx.repository.data.tables.consents.length, 1);
+  });
+
+  it('deletes the kit rows but keeps its audit log, redacted', async () => {
+    const res = await erase({ email: 'pat@example.com', mode: 'delete' });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(ctx.repository.data.tables.users.length, 0);
+    assert.equal(ctx.repository.data.tables.consents.length, 0);
+    const [row] = auditOf('users');
+    assert.equal(row.kit_id, 'kit-1');
+    assert.deepEqual(row.changes, { first_name: { before: null, after: null } });
+  });
+
+  it('records one audit row and change event per erasure, naming the tombstone', async () => {
+    await erase({ kit_id: 'kit-1', mode: 'delete' });
+
+    const [tombstone] = ctx.repository.data.tombstones;
+    assert.equal(tombstone.kit_id, 'kit-1');
+    assert.equal(tombstone.email_hash.length, 64);
+    const erasures = auditOf('erasure_tombstones');
+    assert.equal(erasures.length, 1);
+    assert.equal(erasures[0].operation, 'erase');
+    assert.deepEqual(erasures[0].changes.tombstone_id, { before: null, after: tombstone.id });
+    const events = ctx.repository.data.outbox.filter((row) => row.message_type === 'kit_change');
+    assert.equal(events.length, 1);
+    assert.equal(events[0].message.operation, 'erase');
+    assert.equal(events[0].message.event_id, String(erasures[0].id));
+  });
+
+  it('refuses to create the erased user again', async () => {
+    await erase({ kit_id: 'kit-1', mode: 'delete' });
+
+    const res = await handler.createUser(post(ctx.auth, { kit_id: 'kit-2', email: 'Pat@example.com' }));
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(JSON.parse(res.body).conflict, 'erased');
+  });
+});
@@ -0,0 +1,64 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, post } = require('./helpers');
+const profile = require('../lib/profile');
+const handler = require('../handler');
+
+const user = { kit_id: 'kit-1', email: 'pat@example.com' };
+const agreed = { toc_agreed: true };
+
+describe('profile flags', () => {
+  it('name the first missing send_pdf_email precondition', () => {
+    assert.equal(profile.pdfEmailBlocker({}), 'no user');
+    assert.equal(profile.pdfEmailBlocker({ users: user, consents: { ...agreed, withdrawn_at: '2030-01-01' } }), 'consent withdrawn');
+    assert.equal(profile.pdfEmailBlocker({ users: user, consents: agreed, actions: { appointment_made: 'false' } }), 'appointment_made false');
+    assert.equal(profile.pdfEmailBlocker({ users: user, consents: agreed, actions: { appointment_made: true } }), null);
+  });
+
+  it('tell a past appointment from a scheduled one', () => {
+    const now = new Date('2030-01-02T00:00:00Z');
+    assert.equal(profile.appointmentStatus(null, now), 'none');
+    assert.equal(profile.appointmentStatus({ appointment_made: true, appointment_start_time: '2030-01-01T00:00:00Z' }, now), 'past');
+    assert.equal(profile.appointmentStatus({ appointment_made: true, appointment_start_time: '2030-01-03T00:00:00Z' }, now), 'scheduled');
+    assert.equal(profile.appointmentStatus({ appointment_made: true }, now), 'scheduled');
+  });
+});
+
+describe('loadProfiles', () => {
+  it('builds one profile per kit in a single query, with found: false for unknown kits', async () => {
+    const queries = [];
+    const db = {
+      query: async (sql, params) => {
+        queries.push(params);
+        return {
+          rows: [
+            { kit_id: 'kit-1', user, consent: agreed, actions: [{ appointment_made: true }], reports: [{ id: 1 }], kit: null },
+            { kit_id: 'kit-9', user: null, consent: null, actions: [], reports: [], kit: null },
+          ],
+        };
+      },
+    };
+
+    const [known, unknown] = await profile.loadProfiles(db, { kitIds: ['kit-1', 'kit-9'], email: ' Pat@example.com ' });
+
+    assert.deepEqual(queries, [[['kit-1', 'kit-9'], 'Pat@example.com']]);
+    assert.equal(known.found, true);
+    assert.deepEqual(known.derived, {
+      state: 'appointment_made', eligible_for_pdf_email: true, pdf_email_missing: null, appointment_status: 'scheduled',
+    });
+    assert.equal(unknown.found, false);
+    assert.equal(unknown.derived.state, 'unregistered');
+  });
+});
+
+describe('POST /kits/profile', () => {
+  it('rejects a request without a usable kit_id, kit_ids or email', async () => {
+    const { auth } = setup();
+    const status = async (body) => (await handler.getKitProfiles(post(auth, body))).statusCode;
+
+    assert.equal(await status({}), 400);
+    assert.equal(await status({ kit_ids: ['kit-1', 2] }), 400);
+    assert.equal(await status({ kit_ids: Array.from({ length: 101 }, (_, i) => `kit-${i}`) }), 400);
+    assert.equal(await status({ email: ' ' }), 400);
+  });
+});
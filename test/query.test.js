@@ -0,0 +1,101 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const query = require('../lib/query');
+
+const col = (type, nullable = true) => ({ type, nullable, maxLength: null });
+const COLUMNS = {
+  actions: {
+    id: col('bigint', false),
+    kit_id: col('text', false),
+    appointment_made: col('boolean', false),
+    appointment_start_time: col('timestamp with time zone'),
+  },
+  consents: { id: col('bigint', false), kit_id: col('text', false), toc_agreed: col('boolean', false) },
+};
+
+const parse = (body) => query.parseQuery('actions', COLUMNS, body);
+
+/** A db that answers with rows and keeps the SQL and params it was sent. */
+function recordingDb(rows) {
+  const db = { rows, query: async (sql, params) => { Object.assign(db, { sql, params }); return { rows }; } };
+  return db;
+}
+
+describe('query grammar', () => {
+  it('turns values into equality, null into IS NULL and coerces to the column type', () => {
+    const { spec } = parse({ where: { appointment_made: 'true', appointment_start_time: null } });
+
+    assert.deepEqual(spec.where.actions, [
+      { column: 'appointment_made', op: 'eq', value: true },
+      { column: 'appointment_start_time', op: 'is_null', value: true },
+    ]);
+    assert.equal(spec.orderBy, 'id');
+    assert.equal(spec.limit, 100);
+  });
+
+  it('accepts operator objects and filters on joined kit tables', () => {
+    const { spec } = parse({
+      where: { appointment_start_time: { gte: '2030-01-01', lt: '2030-02-01' }, 'consents.toc_agreed': { in: [true] } },
+    });
+
+    assert.deepEqual(spec.where.actions.map((c) => c.op), ['gte', 'lt']);
+    assert.deepEqual(spec.where.consents, [{ column: 'toc_agreed', op: 'in', value: [true] }]);
+    assert.deepEqual(query.joinedTables('actions', { where: { 'consents.toc_agreed': true, 'actions.id': 1 } }), ['consents']);
+  });
+
+  it('reports every invalid field at once', () => {
+    const { errors } = parse({
+      where: { nope: 1, appointment_made: { like: 'x' }, 'users.email': 'a', 'x; DROP': 1, id: { in: [] } },
+      select: ['kit_id', 'secret'],
+      order_by: 'appointment_made; --',
+      order: 'up',
+      limit: 501,
+      cursor: 'not-a-cursor',
+    });
+
+    assert.deepEqual(Object.keys(errors).sort(), [
+      'cursor', 'limit', 'order', 'order_by', 'select',
+      'where.appointment_made', 'where.id', 'where.nope', 'where.users.email', 'where.x; DROP',
+    ]);
+    assert.match(errors['where.appointment_made'], /Unknown operator "like"/);
+    assert.equal(errors['where.users.email'], 'Unknown table "users"');
+  });
+
+  it('rejects values that do not fit the column type', () => {
+    assert.ok(parse({ where: { appointment_made: 'maybe' } }).errors['where.appointment_made']);
+    assert.ok(parse({ where: { id: { gt: 'abc' } } }).errors['where.id']);
+  });
+});
+
+describe('query.run', () => {
+  it('builds parameterized SQL with an EXISTS join and pages with a cursor', async () => {
+    const { spec } = parse({ where: { appointment_made: true, 'consents.toc_agreed': true }, limit: 2 });
+    const db = recordingDb([{ id: 1 }, { id: 2 }, { id: 3 }]);
+
+    const page = await query.run(db, spec);
+
+    assert.match(db.sql, /WHERE t\.appointment_made = \$1 AND EXISTS \(SELECT 1 FROM consents j WHERE j\.kit_id = t\.kit_id AND j\.toc_agreed = \$2\)/);
+    assert.deepEqual(db.params, [true, true, 3]);
+    assert.deepEqual(page.items.map((r) => r.id), [1, 2]);
+    assert.ok(page.next_cursor);
+
+    const next = parse({ where: { appointment_made: true }, limit: 2, cursor: page.next_cursor });
+    const nextDb = recordingDb([{ id: 3 }]);
+    const last = await query.run(nextDb, next.spec);
+
+    assert.match(nextDb.sql, /t\.id > \$2/);
+    assert.deepEqual(nextDb.params, [true, 2, 3]);
+    assert.equal(last.next_cursor, null);
+  });
+
+  it('returns only the selected columns, sorting NULLs last', async () => {
+    const { spec } = parse({ select: ['kit_id'], order_by: 'appointment_start_time', order: 'desc' });
+    const db = recordingDb([{ kit_id: 'kit-1', appointment_start_time: null, id: 4 }]);
+
+    const page = await query.run(db, spec);
+
+    assert.match(db.sql, /SELECT t\.kit_id, t\.appointment_start_time, t\.id FROM actions t/);
+    assert.match(db.sql, /ORDER BY \(t\.appointment_start_time IS NULL\), t\.appointment_start_time DESC, t\.id DESC/);
+    assert.deepEqual(page.items, [{ kit_id: 'kit-1' }]);
+  });
+});
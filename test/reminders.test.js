@@ -0,0 +1,56 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { setup } = require('./helpers');
+const handler = require('../handler');
+
+const LONG_AGO = new Date(Date.now() - 100 * 3600 * 1000).toISOString();
+
+describe('sendStuckKitReminders', () => {
+  const remindersFor = (repository) => repository.data.outbox.filter((row) => row.message_type === 'appointment_reminder');
+
+  it('reminds a consented kit whose report has waited past the threshold', async () => {
+    const { repository } = setup({
+      users: [{ kit_id: 'kit-1', email: 'pat@example.com', created_at: LONG_AGO }],
+      consents: [{ kit_id: 'kit-1', toc_agreed: true, agreed_at: LONG_AGO }],
+      reports: [{ kit_id: 'kit-1', created_at: LONG_AGO }],
+    });
+
+    const summary = await handler.sendStuckKitReminders();
+
+    assert.equal(summary.queued, 1);
+    assert.equal(remindersFor(repository)[0].kit_id, 'kit-1');
+  });
+
+  it('does not remind a kit with a report but no consent', async () => {
+    const { repository } = setup({
+      users: [{ kit_id: 'kit-1', email: 'pat@example.com', created_at: LONG_AGO }],
+      reports: [{ kit_id: 'kit-1', created_at: LONG_AGO }],
+    });
+
+    const summary = await handler.sendStuckKitReminders();
+
+    assert.equal(summary.checked, 1);
+    assert.equal(summary.queued, 0);
+    assert.equal(remindersFor(repository).length, 0);
+  });
+});
+
+describe('sendStuckKitReminders paging', () => {
+  const kitIds = Array.from({ length: 450 }, (_, i) => `kit-${String(i).padStart(3, '0')}`);
+
+  it('stops near the timeout and carries on from the saved cursor', async () => {
+    const { repository } = setup({ users: kitIds.map((kit_id) => ({ kit_id, created_at: LONG_AGO })) });
+    let calls = 0;
+
+    const first = await handler.sendStuckKitReminders({}, { getRemainingTimeInMillis: () => (++calls > 250 ? 1000 : 600000) });
+
+    assert.equal(first.complete, false);
+    assert.equal(repository.data.jobCursors.sendStuckKitReminders, kitIds[first.checked - 1]);
+
+    const second = await handler.sendStuckKitReminders({}, { getRemainingTimeInMillis: () => 600000 });
+
+    assert.equal(second.complete, true);
+    assert.equal(first.checked + second.checked, kitIds.length);
+    assert.equal(repository.data.jobCursors.sendStuckKitReminders, null);
+  });
+});
@@ -0,0 +1,103 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, post } = require('./helpers');
+const rules = require('../lib/rules');
+const handler = require('../handler');
+
+const [PDF_RULE] = rules.DEFAULT_RULES;
+const PROFILE_RULE = {
+  message_type: 'profile_updated',
+  when: { 'consents.toc_agreed': true, 'users.first_name': { is_null: false } },
+  trigger_on: ['users.*'],
+  fields: { firstName: 'users.first_name' },
+};
+
+const columns = async (table) => ({
+  users: { first_name: { type: 'text' } },
+  consents: { toc_agreed: { type: 'boolean' } },
+  actions: { appointment_made: { type: 'boolean' }, pdf_email_sent: { type: 'boolean' } },
+}[table]);
+
+describe('rule parsing', () => {
+  afterEach(() => {
+    delete process.env.NOTIFICATION_RULES;
+  });
+
+  it('names every structural problem in a rule', () => {
+    assert.deepEqual(rules.ruleErrors(PDF_RULE), []);
+    assert.deepEqual(rules.ruleErrors({ message_type: 'x', when: { 'audit.x': 1 }, trigger_on: ['users.*'], once_flag: 'users.*' }), [
+      '"when.audit.x" is not a kit table column',
+      '"once_flag" must be a kit table column',
+    ]);
+  });
+
+  it('falls back to the default rule for an unparseable value and leaves out invalid rules', () => {
+    process.env.NOTIFICATION_RULES = '{"not": "an array"}';
+    assert.deepEqual(rules.activeRules(), rules.DEFAULT_RULES);
+
+    process.env.NOTIFICATION_RULES = JSON.stringify([PROFILE_RULE, { message_type: 'broken' }]);
+    assert.deepEqual(rules.activeRules().map((r) => r.message_type), ['profile_updated']);
+  });
+
+  it('triggers on the listed columns or every column of a table.*', () => {
+    assert.equal(rules.isTriggered(PDF_RULE, ['actions.appointment_made']), true);
+    assert.equal(rules.isTriggered(PDF_RULE, ['actions.appointment_start_time']), false);
+    assert.equal(rules.isTriggered(PROFILE_RULE, ['users.email']), true);
+  });
+});
+
+describe('rule evaluation', () => {
+  const rows = { users: { first_name: 'Pat' }, consents: { toc_agreed: true }, actions: { appointment_made: 'true', pdf_email_sent: false } };
+
+  it('gives the first unmet condition, or null when the rule would fire', async () => {
+    assert.equal(await rules.blocker(PDF_RULE, rows, columns), null);
+    assert.equal(await rules.blocker(PDF_RULE, { ...rows, actions: null }, columns), 'no actions row');
+    assert.equal(await rules.blocker(PDF_RULE, { ...rows, consents: { toc_agreed: false } }, columns),
+      'consents.toc_agreed: wanted true, found false');
+    assert.equal(await rules.blocker(PDF_RULE, { ...rows, actions: { appointment_made: true, pdf_email_sent: true } }, columns),
+      'actions.pdf_email_sent already true');
+    assert.equal(await rules.blocker(PDF_RULE, { ...rows, consents: { toc_agreed: true, withdrawn_at: '2030-01-01' } }, columns),
+      'consent withdrawn');
+  });
+
+  it('builds the message from the rule fields and the caller extras', () => {
+    assert.deepEqual(rules.buildMessage(PDF_RULE, 'kit-1', rows, { link: 'https://x', skipped: undefined }), {
+      message_type: 'send_pdf_email', kit_id: 'kit-1', firstName: 'Pat', email: '', link: 'https://x',
+    });
+    assert.equal(rules.dedupeKey(PDF_RULE, 'kit-1'), 'send_pdf_email:kit-1');
+    assert.equal(rules.dedupeKey(PROFILE_RULE, 'kit-1'), null);
+  });
+});
+
+describe('configured rules over HTTP', () => {
+  let ctx;
+  beforeEach(() => {
+    process.env.NOTIFICATION_RULES = JSON.stringify([PDF_RULE, PROFILE_RULE]);
+    ctx = setup({
+      users: [{ kit_id: 'kit-1', email: 'pat@example.com', first_name: 'Pat' }],
+      consents: [{ kit_id: 'kit-1', toc_agreed: true }],
+    });
+  });
+  afterEach(() => {
+    delete process.env.NOTIFICATION_RULES;
+  });
+
+  it('queue a message per write for a rule without once_flag', async () => {
+    await handler.updateUsers(post(ctx.auth, { kit_id: 'kit-1', first_name: 'Sam' }));
+    await handler.updateUsers(post(ctx.auth, { kit_id: 'kit-1', first_name: 'Alex' }));
+
+    const queued = ctx.repository.data.outbox.filter((row) => row.message_type === 'profile_updated');
+    assert.deepEqual(queued.map((row) => row.message.firstName), ['Sam', 'Alex']);
+  });
+
+  it('/notifications/dry-run explains each rule without queuing', async () => {
+    const res = await handler.dryRunNotificationRules(post(ctx.auth, { kit_id: 'kit-1', written: ['users.email'] }));
+
+    const body = JSON.parse(res.body);
+    assert.deepEqual(body.rules.map((r) => [r.message_type, r.triggered, r.would_fire, r.reason]), [
+      ['send_pdf_email', false, false, 'no actions row'],
+      ['profile_updated', true, true, null],
+    ]);
+    assert.equal(ctx.repository.data.outbox.length, 0);
+  });
+});
@@ -0,0 +1,83 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, post } = require('./helpers');
+const sandbox = require('../lib/sandbox');
+const handler = require('../handler');
+
+const SANDBOX_ARN = 'arn:aws:lambda:us-east-1:000000000000:function:airtableSandbox';
+
+describe('test kits', () => {
+  let ctx;
+  beforeEach(() => {
+    ctx = setup({
+      users: [{ kit_id: 'kit-t', email: 'qa@example.com', is_test: true }],
+      consents: [{ kit_id: 'kit-t', toc_agreed: true }],
+      reports: [{ kit_id: 'kit-t' }],
+    });
+  });
+  afterEach(() => {
+    delete process.env.TEST_KIT_NOTIFICATIONS;
+    delete process.env.TEST_KIT_AIRTABLE;
+    delete process.env.AIRTABLE_SANDBOX_LAMBDA_ARN;
+  });
+
+  const book = () => handler.updateActions(post(ctx.auth, { kit_id: 'kit-t', appointment_made: true }));
+  const pdfEmails = () => ctx.repository.data.outbox.filter((row) => row.message_type === 'send_pdf_email');
+
+  it('tag their messages and publish them with an is_test attribute', async () => {
+    await book();
+    await handler.dispatchOutbox({ id: 'schedule-1' });
+
+    assert.equal(pdfEmails()[0].message.test, true);
+    assert.deepEqual(ctx.published[0].MessageAttributes, { is_test: { DataType: 'String', StringValue: 'true' } });
+  });
+
+  it('queue nothing when TEST_KIT_NOTIFICATIONS is "suppress"', async () => {
+    process.env.TEST_KIT_NOTIFICATIONS = 'suppress';
+
+    assert.equal((await book()).statusCode, 200);
+
+    assert.equal(pdfEmails().length, 0);
+  });
+
+  it('skip Airtable, or write to the sandbox lambda when TEST_KIT_AIRTABLE is "sandbox"', async () => {
+    await book();
+    assert.equal(ctx.fetched.length, 0);
+    assert.equal(ctx.invoked.length, 0);
+
+    process.env.TEST_KIT_AIRTABLE = 'sandbox';
+    process.env.AIRTABLE_SANDBOX_LAMBDA_ARN = SANDBOX_ARN;
+    await handler.updateActions(post(ctx.auth, { kit_id: 'kit-t', appointment_made: false }));
+
+    assert.equal(ctx.invoked.length, 1);
+    assert.equal(ctx.invoked[0].FunctionName, SANDBOX_ARN);
+    assert.equal(ctx.fetched.length, 0);
+  });
+
+  it('leave real kits untouched', () => {
+    const message = { message_type: 'send_pdf_email', kit_id: 'kit-1' };
+
+    assert.equal(sandbox.notificationFor({ is_test: false }, message), message);
+    assert.deepEqual(sandbox.airtableTarget({ is_test: 'false' }, 'kit-1'), {});
+    assert.deepEqual(sandbox.messageAttributes(message), {});
+  });
+});
+
+describe('purgeTestData', () => {
+  it('counts instead of deleting on a dry run, for the test kits only', async () => {
+    const queries = [];
+    const db = {
+      query: async (sql, params) => {
+        queries.push({ sql, params });
+        return sql.startsWith('SELECT DISTINCT') ? { rows: [{ kit_id: 'kit-t' }] } : { rows: [{ n: 2 }], rowCount: 0 };
+      },
+    };
+
+    const result = await sandbox.purgeTestData(db, { dryRun: true });
+
+    assert.deepEqual(result.kit_ids, ['kit-t']);
+    assert.equal(result.counts.users, 2);
+    assert.ok(queries.slice(1).every((q) => q.sql.startsWith('SELECT count(*)') && q.params[0][0] === 'kit-t'));
+    assert.ok(!queries.some((q) => /kit_audit_log/.test(q.sql)));
+  });
+});
@@ -0,0 +1,89 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, post } = require('./helpers');
+const schema = require('../lib/schema');
+const { DEFAULT_COLUMNS } = require('../lib/repository/memory');
+const handler = require('../handler');
+
+describe('schema.coerce', () => {
+  const column = (type, nullable = true, maxLength = null) => ({ type, nullable, maxLength });
+
+  it('coerces booleans from strings and numbers', () => {
+    assert.deepEqual(schema.coerce('true', column('boolean')), { value: true });
+    assert.deepEqual(schema.coerce('0', column('boolean')), { value: false });
+    assert.ok(schema.coerce('maybe', column('boolean')).error);
+  });
+
+  it('coerces integers, keeping bigint as a string, and rejects fractions', () => {
+    assert.deepEqual(schema.coerce('42', column('integer')), { value: 42 });
+    assert.deepEqual(schema.coerce(42, column('bigint')), { value: '42' });
+    assert.ok(schema.coerce(40000, column('smallint')).error);
+    assert.ok(schema.coerce(1.5, column('integer')).error);
+  });
+
+  it('normalises timestamps to ISO strings', () => {
+    assert.deepEqual(schema.coerce('2024-05-01T12:00:00+02:00', column('timestamp with time zone')), { value: '2024-05-01T10:00:00.000Z' });
+    assert.ok(schema.coerce('yesterday', column('timestamp with time zone')).error);
+  });
+
+  it('rejects null for NOT NULL columns and text past maxLength', () => {
+    assert.deepEqual(schema.coerce(null, column('text')), { value: null });
+    assert.ok(schema.coerce(null, column('text', false)).error);
+    assert.ok(schema.coerce('abcd', column('character varying', true, 3)).error);
+  });
+});
+
+describe('schema.validateUpdates', () => {
+  it('returns coerced values and an error per bad field', () => {
+    const { values, errors } = schema.validateUpdates(DEFAULT_COLUMNS.actions, {
+      appointment_made: 'yes',
+      appointment_start_time: 'soon',
+      nope: 1,
+      id: 3,
+    });
+
+    assert.deepEqual(values, { appointment_made: true });
+    assert.deepEqual(Object.keys(errors).sort(), ['appointment_start_time', 'id', 'nope']);
+    assert.equal(errors.nope, 'Unknown column');
+  });
+});
+
+describe('memory repository columns', () => {
+  let ctx;
+  beforeEach(() => {
+    ctx = setup({ users: [{ kit_id: 'kit-1' }] });
+  });
+
+  it('match migrations/: reports has no data columns', async () => {
+    assert.deepEqual(Object.keys(DEFAULT_COLUMNS.reports), ['id', 'kit_id', 'created_at']);
+    const res = await handler.updateReports(post(ctx.auth, { kit_id: 'kit-1', status: 'final' }));
+
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(JSON.parse(res.body).fields, { status: 'Unknown column' });
+  });
+
+  it('reject null in NOT NULL columns like Postgres', async () => {
+    const res = await handler.updateActions(post(ctx.auth, { kit_id: 'kit-1', pdf_email_sent: null }));
+
+    assert.equal(res.statusCode, 400);
+    assert.match(JSON.parse(res.body).fields.pdf_email_sent, /NOT NULL/);
+  });
+
+  it('fill in column defaults on insert', async () => {
+    await handler.updateActions(post(ctx.auth, { kit_id: 'kit-1', appointment_event_uri: 'https://example.com/e' }));
+
+    const [row] = ctx.repository.data.tables.actions;
+    assert.equal(row.appointment_made, false);
+    assert.equal(row.pdf_email_sent, false);
+  });
+
+  it('accept the columns passed in', async () => {
+    const columns = { ...DEFAULT_COLUMNS, reports: { ...DEFAULT_COLUMNS.reports, status: { type: 'text', nullable: true, maxLength: null } } };
+    const custom = setup({ users: [{ kit_id: 'kit-1' }] }, { columns });
+
+    const res = await handler.updateReports(post(custom.auth, { kit_id: 'kit-1', status: 'final' }));
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(custom.repository.data.tables.reports[0].status, 'final');
+  });
+});
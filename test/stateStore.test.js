@@ -0,0 +1,109 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const stateStore = require('../lib/stateStore');
+
+/** A db whose query() answers with the next of results and records what was sent. */
+function scriptedDb(...results) {
+  const queries = [];
+  return {
+    queries,
+    query: async (sql, params) => {
+      queries.push({ sql, params });
+      return results.shift() || { rows: [] };
+    },
+  };
+}
+
+const stored = (version, value = { step: version }) => ({ key: 'kit-1:progress', value, version: String(version), expires_at: null, updated_at: 'now' });
+
+describe('state versions', () => {
+  it('read the expected version from the body or If-Match, strong or weak', () => {
+    assert.equal(stateStore.parseExpectedVersion(3), 3);
+    assert.equal(stateStore.parseExpectedVersion(undefined, '"4"'), 4);
+    assert.equal(stateStore.parseExpectedVersion(undefined, 'W/"5"'), 5);
+    assert.equal(stateStore.parseExpectedVersion('2', '"9"'), 2);
+    assert.equal(stateStore.parseExpectedVersion(undefined, '*'), '*');
+    assert.equal(stateStore.parseExpectedVersion(undefined, undefined), undefined);
+    assert.ok(stateStore.parseExpectedVersion('-1').error);
+    assert.equal(stateStore.etag(7), '"7"');
+  });
+
+  it('write only when the stored version matches', async () => {
+    const db = scriptedDb({ rows: [stored(4)] });
+
+    const result = await stateStore.put(db, 'kit-1:progress', { step: 4 }, { expectedVersion: 3 });
+
+    assert.equal(result.row.version, 4);
+    assert.match(db.queries[0].sql, /WHERE key = \$1 AND version = \$3/);
+    assert.deepEqual(db.queries[0].params, ['kit-1:progress', '{"step":4}', 3]);
+  });
+
+  it('answer a version mismatch with the current row as the conflict', async () => {
+    const db = scriptedDb({ rows: [] }, { rows: [stored(5)] });
+
+    const result = await stateStore.put(db, 'kit-1:progress', { step: 4 }, { expectedVersion: 3 });
+
+    assert.equal(result.row, undefined);
+    assert.equal(result.conflict.version, 5);
+  });
+
+  it('create only when expected_version is 0, and never conflict without one', async () => {
+    const create = scriptedDb({ rows: [] }, { rows: [stored(1)] });
+    assert.equal((await stateStore.put(create, 'kit-1:progress', {}, { expectedVersion: 0 })).conflict.version, 1);
+    assert.match(create.queries[0].sql, /ON CONFLICT \(key\) DO NOTHING/);
+
+    const upsert = scriptedDb({ rows: [stored(2)] });
+    assert.equal((await stateStore.put(upsert, 'kit-1:progress', {})).row.version, 2);
+    assert.match(upsert.queries[0].sql, /version = state_machine_state\.version \+ 1/);
+  });
+});
+
+describe('state operations', () => {
+  it('merge a patch per RFC 7386, removing members set to null', () => {
+    const merged = stateStore.mergePatch({ a: 1, b: { c: 2, d: 3 }, list: [1, 2] }, { b: { c: null, e: 4 }, list: [3], f: 'x' });
+
+    assert.deepEqual(merged, { a: 1, b: { d: 3, e: 4 }, list: [3], f: 'x' });
+  });
+
+  it('parse paths from arrays or dotted strings, with numeric segments as indexes', () => {
+    assert.deepEqual(stateStore.parsePath('steps.0.done'), ['steps', 0, 'done']);
+    assert.deepEqual(stateStore.parsePath(['a', 1]), ['a', 1]);
+    assert.equal(stateStore.parsePath('a..b'), null);
+    assert.equal(stateStore.parsePath([]), null);
+  });
+
+  it('set and remove at a path without touching the original', () => {
+    const doc = { steps: [{ done: false }, { done: false }] };
+
+    assert.deepEqual(stateStore.setIn(doc, ['steps', 1, 'done'], true), { steps: [{ done: false }, { done: true }] });
+    assert.deepEqual(stateStore.setIn(doc, ['meta', 'by'], 'ops'), { ...doc, meta: { by: 'ops' } });
+    assert.deepEqual(stateStore.removeIn(doc, ['steps', 0]), { steps: [{ done: false }] });
+    assert.equal(stateStore.removeIn(doc, ['missing', 'x']), doc);
+    assert.equal(doc.steps[1].done, false);
+  });
+
+  it('set, clear or keep the expiry depending on ttlSeconds', async () => {
+    const withTtl = scriptedDb({ rows: [stored(1)] });
+    await stateStore.put(withTtl, 'k', 1, { ttlSeconds: 60 });
+    assert.match(withTtl.queries[0].sql, /VALUES \(\$1, \$2::jsonb, 1, now\(\) \+ make_interval\(secs => \$3\), now\(\)\)/);
+    assert.equal(withTtl.queries[0].params[2], 60);
+
+    const cleared = scriptedDb({ rows: [stored(2)] });
+    await stateStore.put(cleared, 'k', 1, { ttlSeconds: null });
+    assert.match(cleared.queries[0].sql, /expires_at = NULL/);
+
+    const kept = scriptedDb({ rows: [stored(2)] });
+    await stateStore.put(kept, 'k', 1);
+    assert.match(kept.queries[0].sql, /expires_at = state_machine_state\.expires_at/);
+  });
+
+  it('list keys by prefix with LIKE wildcards escaped, one page at a time', async () => {
+    const db = scriptedDb({ rows: [{ key: 'job:a_1', version: '1' }, { key: 'job:a_2', version: '3' }] });
+
+    const page = await stateStore.list(db, { prefix: 'job:a_', limit: 1 });
+
+    assert.deepEqual(db.queries[0].params, ['job:a\\_%', '', 2]);
+    assert.deepEqual(page.items.map((item) => [item.key, item.version]), [['job:a_1', 1]]);
+    assert.equal(page.next_cursor, 'job:a_1');
+  });
+});
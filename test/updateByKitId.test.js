@@ -0,0 +1,83 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, post } = require('./helpers');
+const handler = require('../handler');
+
+describe('updateByKitId', () => {
+  let ctx;
+  beforeEach(() => {
+    ctx = setup({ users: [{ kit_id: 'kit-1', email: 'pat@example.com', first_name: 'Pat' }] });
+  });
+
+  it('inserts a row when the kit has none', async () => {
+    const res = await handler.updateConsents(post(ctx.auth, { kit_id: 'kit-1', toc_agreed: true }));
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(JSON.parse(res.body), { ok: true, kit_id: 'kit-1', updated: 1, created: true });
+    const rows = ctx.repository.data.tables.consents;
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].kit_id, 'kit-1');
+    assert.equal(rows[0].toc_agreed, true);
+    assert.equal(ctx.repository.data.audit.at(-1).operation, 'insert');
+  });
+
+  it('updates the existing row', async () => {
+    const res = await handler.updateUsers(post(ctx.auth, { kit_id: 'kit-1', first_name: 'Sam' }));
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(JSON.parse(res.body), { ok: true, kit_id: 'kit-1', updated: 1, created: false });
+    const rows = ctx.repository.data.tables.users;
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].first_name, 'Sam');
+    assert.deepEqual(ctx.repository.data.audit.at(-1).changes.first_name, { before: 'Pat', after: 'Sam' });
+  });
+
+  it('coerces values to the column type', async () => {
+    const res = await handler.updateConsents(post(ctx.auth, { kit_id: 'kit-1', toc_agreed: 'true' }));
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(ctx.repository.data.tables.consents[0].toc_agreed, true);
+  });
+
+  it('rejects unknown columns with 400 and the valid ones', async () => {
+    const res = await handler.updateActions(post(ctx.auth, { kit_id: 'kit-1', nope: 1 }));
+
+    assert.equal(res.statusCode, 400);
+    const body = JSON.parse(res.body);
+    assert.deepEqual(body.fields, { nope: 'Unknown column' });
+    assert.ok(body.valid_columns.includes('appointment_made'));
+    assert.equal(ctx.repository.data.tables.actions.length, 0);
+  });
+
+  it('rejects a stage flag set before the previous stage with 409', async () => {
+    const res = await handler.updateActions(post(ctx.auth, { kit_id: 'kit-1', appointment_made: true }));
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(ctx.repository.data.tables.actions.length, 0);
+  });
+
+  it('mirrors the written columns through the configured fetch', async () => {
+    const res = await handler.updateConsents(post(ctx.auth, { kit_id: 'kit-1', toc_agreed: true }));
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(ctx.fetched.length, 1);
+    assert.deepEqual(ctx.fetched[0].body, { kit_id: 'kit-1', fields: [{ 'Toc Agreed': true }] });
+    assert.equal(ctx.repository.data.airtableFailures.length, 0);
+  });
+});
+
+describe('updateConsents', () => {
+  it('rejects toc_agreed on a kit whose consent was withdrawn with 409', async () => {
+    const ctx = setup({
+      users: [{ kit_id: 'kit-1', email: 'pat@example.com' }],
+      consents: [{ kit_id: 'kit-1', toc_agreed: false, withdrawn_at: '2024-05-01T00:00:00.000Z' }],
+    });
+
+    const res = await handler.updateConsents(post(ctx.auth, { kit_id: 'kit-1', toc_agreed: true }));
+
+    assert.equal(res.statusCode, 409);
+    assert.match(JSON.parse(res.body).error, /withdrawn/);
+    assert.equal(ctx.repository.data.tables.consents[0].toc_agreed, false);
+    assert.equal(ctx.repository.data.consentEvents.length, 0);
+  });
+});
@@ -0,0 +1,112 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, post, calendlyEvent } = require('./helpers');
+const handler = require('../handler');
+
+process.env.WEBHOOK_SHARED_SECRET = 'test-shared-secret';
+
+function sharedSecretEvent(body, headers = {}) {
+  return { headers: { 'x-webhook-secret': 'test-shared-secret', ...headers }, body: JSON.stringify(body) };
+}
+
+describe('shared-secret webhook', () => {
+  let ctx;
+  beforeEach(() => {
+    ctx = setup({
+      users: [{ kit_id: 'kit-1', email: 'pat@example.com' }],
+      consents: [{ kit_id: 'kit-1', toc_agreed: true }],
+      reports: [{ kit_id: 'kit-1' }],
+      actions: [{ kit_id: 'kit-1', appointment_made: false }],
+    });
+  });
+
+  const appointmentMade = () => ctx.repository.data.tables.actions[0].appointment_made;
+
+  it('applies a repeated body without X-Webhook-Id each time', async () => {
+    for (const value of [true, false, true]) {
+      const res = await handler.webhookActions(sharedSecretEvent({ kit_id: 'kit-1', appointment_made: value }));
+      assert.equal(JSON.parse(res.body).duplicate, undefined);
+      assert.equal(appointmentMade(), value);
+    }
+    assert.equal(ctx.repository.data.inbox.length, 3);
+  });
+
+  it('deduplicates a redelivery with the same X-Webhook-Id', async () => {
+    const headers = { 'x-webhook-id': 'evt-1' };
+    await handler.webhookActions(sharedSecretEvent({ kit_id: 'kit-1', appointment_made: true }, headers));
+
+    const res = await handler.webhookActions(sharedSecretEvent({ kit_id: 'kit-1', appointment_made: true }, headers));
+
+    assert.equal(JSON.parse(res.body).duplicate, true);
+    assert.equal(ctx.repository.data.inbox.length, 1);
+  });
+
+  it('ignores Idempotency-Key and answers 200 whatever body comes with it', async () => {
+    const headers = { 'idempotency-key': 'key-1' };
+    await handler.webhookActions(sharedSecretEvent({ kit_id: 'kit-1', appointment_made: true }, headers));
+
+    const res = await handler.webhookActions(sharedSecretEvent({ kit_id: 'kit-1', appointment_made: false }, headers));
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers['Idempotent-Replayed'], undefined);
+    assert.equal(appointmentMade(), false);
+    assert.equal(ctx.repository.data.idempotency.length, 0);
+  });
+});
+
+describe('webhook inbox', () => {
+  let ctx;
+  beforeEach(() => {
+    ctx = setup({ consents: [{ kit_id: 'kit-1', toc_agreed: true }], reports: [{ kit_id: 'kit-1' }] });
+  });
+
+  const booking = () => calendlyEvent({
+    event: 'invitee.created',
+    payload: {
+      uri: 'https://api.calendly.com/scheduled_events/ev-1/invitees/inv-1',
+      email: 'pat@example.com',
+      scheduled_event: { uri: 'https://api.calendly.com/scheduled_events/ev-1', start_time: '2030-01-01T15:00:00.000Z' },
+    },
+  });
+
+  it('answers 503 so the sender retries when the event cannot be stored', async () => {
+    ctx.repository.receiveWebhook = async () => { throw Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }); };
+
+    const res = await handler.webhookActions(booking());
+
+    assert.equal(res.statusCode, 503);
+    assert.equal(JSON.parse(res.body).ok, false);
+  });
+
+  it('stores an unhandled event type as ignored', async () => {
+    const res = await handler.webhookActions(calendlyEvent({ event: 'routing_form_submission.created', payload: {} }));
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(ctx.repository.data.inbox[0].status, 'ignored');
+  });
+
+  it('replays a failed event once the participant exists, and lists events by status', async () => {
+    await handler.webhookActions(booking());
+    await handler.webhookActions(calendlyEvent({ event: 'routing_form_submission.created', payload: {} }));
+    const [stored] = ctx.repository.data.inbox;
+    assert.equal(stored.status, 'failed');
+    ctx.repository.data.tables.users.push({ id: 1, kit_id: 'kit-1', email: 'pat@example.com', is_test: false, created_at: new Date().toISOString() });
+
+    const res = await handler.replayWebhooks(post(ctx.auth, { id: stored.id }));
+
+    assert.deepEqual(JSON.parse(res.body).results, [{ id: stored.id, status: 'processed' }]);
+    assert.equal(ctx.repository.data.tables.actions[0].appointment_made, true);
+    const listed = JSON.parse((await handler.listWebhookInbox(post(ctx.auth, { status: 'processed' }))).body).events;
+    assert.deepEqual(listed.map((e) => e.id), [stored.id]);
+    assert.equal(listed[0].raw_body, undefined);
+  });
+
+  it('replays only failed events unless forced', async () => {
+    await handler.webhookActions(calendlyEvent({ event: 'routing_form_submission.created', payload: {} }));
+    const [stored] = ctx.repository.data.inbox;
+
+    assert.equal((await handler.replayWebhooks(post(ctx.auth, { id: stored.id }))).statusCode, 409);
+    const forced = await handler.replayWebhooks(post(ctx.auth, { id: stored.id, force: true }));
+    assert.equal(JSON.parse(forced.body).replayed, 1);
+  });
+});
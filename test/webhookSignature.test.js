@@ -0,0 +1,62 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const webhookSignature = require('../lib/webhookSignature');
+
+const KEY = 'signing-key';
+const NOW = Date.UTC(2030, 0, 1);
+const body = JSON.stringify({ event: 'invitee.created' });
+
+function signed(t, { key = KEY, payload = body, extra = '' } = {}) {
+  const v1 = crypto.createHmac('sha256', key).update(`${t}.${payload}`).digest('hex');
+  return { headers: { 'Calendly-Webhook-Signature': `t=${t},v1=${v1}${extra}` }, body };
+}
+
+const verify = (event, options = {}) => webhookSignature.verifyCalendlySignature(event, { signingKey: KEY, now: NOW, ...options });
+
+describe('verifyCalendlySignature', () => {
+  const t = NOW / 1000;
+
+  it('accepts a signature over "<t>.<raw body>", whichever v1 matches', () => {
+    assert.deepEqual(verify(signed(t)), { ok: true });
+    assert.deepEqual(verify(signed(t, { extra: ',v1=deadbeef' })), { ok: true });
+  });
+
+  it('checks the body as sent, base64 or not', () => {
+    const event = { ...signed(t), body: Buffer.from(body).toString('base64'), isBase64Encoded: true };
+
+    assert.deepEqual(verify(event), { ok: true });
+  });
+
+  it('rejects another key, a changed body and a missing or malformed header', () => {
+    assert.equal(verify(signed(t, { key: 'other' })).reason, 'signature mismatch');
+    assert.equal(verify({ ...signed(t), body: '{"event":"invitee.canceled"}' }).reason, 'signature mismatch');
+    assert.equal(verify({ headers: {}, body }).reason, 'missing Calendly-Webhook-Signature header');
+    assert.equal(verify({ headers: { 'calendly-webhook-signature': 'v1=abc' }, body }).reason, 'malformed Calendly-Webhook-Signature header');
+  });
+
+  it('rejects a replay outside the tolerance window', () => {
+    assert.equal(verify(signed(t - 181)).reason, 'timestamp outside tolerance window');
+    assert.deepEqual(verify(signed(t - 181), { toleranceSeconds: 300 }), { ok: true });
+  });
+
+  it('fails closed without a signing key', () => {
+    const saved = process.env.CALENDLY_WEBHOOK_SIGNING_KEY;
+    delete process.env.CALENDLY_WEBHOOK_SIGNING_KEY;
+    try {
+      assert.equal(webhookSignature.verifyCalendlySignature(signed(t)).reason, 'CALENDLY_WEBHOOK_SIGNING_KEY not set');
+    } finally {
+      if (saved !== undefined) process.env.CALENDLY_WEBHOOK_SIGNING_KEY = saved;
+    }
+  });
+});
+
+describe('verifySharedSecret', () => {
+  it('compares X-Webhook-Secret with the configured secret', () => {
+    const verifySecret = (headers) => webhookSignature.verifySharedSecret({ headers }, { secret: 's3cret' });
+
+    assert.deepEqual(verifySecret({ 'x-webhook-secret': 's3cret' }), { ok: true });
+    assert.equal(verifySecret({ 'x-webhook-secret': 'nope' }).reason, 'shared secret mismatch');
+    assert.equal(verifySecret({}).reason, 'missing X-Webhook-Secret header');
+  });
+});